@@ -6,13 +6,36 @@ class LocalMemoApp {
     this.service = null;
     this.memoList = null;
     this.editor = null;
+    this.trashView = null;
+    this.archiveView = null;
+    this.categoryManager = null;
+    this.snapshotManager = null;
+    this.recoveryManager = null;
+    this.storageAssistant = null;
+    this.storageWarningLevel = 0;
+    this.snapshotTimer = null;
+    this.tabSync = null;
+    this.conflictModal = null;
+    this.passphraseDialog = null;
+    this.workspaceService = null;
+    this.workspace = null;
+    this.workspaceManager = null;
+    this.syncService = null;
+    this.syncManager = null;
+    this.syncTimer = null;
+    this.syncDelayTimer = null;
+    this.exportDialog = null;
+    this.csvImportWizard = null;
+    this.importPreviewDialog = null;
+    this.currentView = 'memos';
     this.currentFilters = {
       search: '',
       category: '',
       priority: '',
-      status: ''
+      status: '',
+      due: ''
     };
-    this.currentSort = 'updateTime';
+    this.currentSort = 'updatedAt-desc';
     this.init();
   }
 
@@ -31,15 +54,16 @@ class LocalMemoApp {
   /**
    * DOM 就绪后的初始化
    */
-  onDOMReady() {
+  async onDOMReady() {
     try {
       Loading.show('正在加载...');
-      this.initService();
+      await this.initService();
       this.initComponents();
       this.bindEvents();
       this.loadMemos();
       Loading.hide();
       Toast.success('备忘录加载成功');
+      this.startSync();
     } catch (error) {
       console.error('应用初始化失败:', error);
       Loading.hide();
@@ -49,10 +73,104 @@ class LocalMemoApp {
 
   /**
    * 初始化服务
+   * 打开当前工作区对应命名空间的存储；
+   * 存储已启用加密时，先显示解锁界面，输入正确的口令后再加载数据
    */
-  initService() {
-    const storage = new StorageManager();
+  async initService() {
+    this.passphraseDialog = new PassphraseDialog();
+    this.workspaceService = new WorkspaceService();
+    this.workspace = this.workspaceService.getCurrent();
+
+    let storage = await this.openStorage(this.workspace.namespace);
+
+    if (EncryptedStorage.isEnabled(storage)) {
+      storage = await this.unlockStorage(storage);
+    }
+    storage.onError = (error) => this.handleStorageError(error);
+
     this.service = new MemoService(storage);
+
+    // 与同步服务器同步（可选）
+    this.syncService = new SyncService(this.service);
+    this.syncService.onStatusChange = () => this.renderSyncStatus();
+    this.renderSyncStatus();
+
+    // 多标签页同步：本页写入后通知其他标签页，收到通知后重新加载
+    // 备忘录有修改时延迟同步到服务器
+    this.tabSync = new TabSync(storage.namespace);
+    storage.onChange = (keys) => {
+      this.tabSync.notify(keys);
+      if (!this.syncService.running && keys.some(key => this.syncService.isSyncedKey(key))) {
+        this.scheduleSync();
+      }
+    };
+    this.tabSync.onMessage = (message) => this.handleExternalChange(message);
+
+    if (this.service.migrationError) {
+      Toast.warning('旧数据升级失败，原始数据已保留: ' + this.service.migrationError);
+    }
+
+    // 加载时发现的损坏数据已隔离到恢复区
+    if (this.service.recoveryError) {
+      Toast.error('发现损坏的数据，但未能隔离保存: ' + this.service.recoveryError);
+    } else if (this.service.recoveredEntries.length > 0) {
+      Toast.show(`发现 ${this.service.recoveredEntries.length} 处损坏的数据，已隔离到恢复区`, 'warning', 10000, {
+        label: '查看',
+        onClick: () => this.recoveryManager.show()
+      });
+    }
+
+    // 清除超过保留天数的回收站条目
+    this.service.purgeExpiredTrash();
+
+    // 自动归档完成时间超过设定天数的备忘录
+    this.service.autoArchiveCompleted();
+
+    // 定时快照：启动时和之后每 10 分钟检查一次，距上次快照超过间隔且数据有变化时保存
+    this.service.autoSnapshot();
+    this.snapshotTimer = setInterval(() => this.service.autoSnapshot(), 10 * 60 * 1000);
+  }
+
+  /**
+   * 打开指定命名空间的底层存储（未解锁）
+   * 优先使用 IndexedDB 存储（首次使用时自动迁移 localStorage 中的数据），不可用时回退到 localStorage
+   * @param {String} namespace - 命名空间
+   * @returns {Promise<StorageManager>} 已就绪的存储
+   */
+  async openStorage(namespace) {
+    try {
+      return await IndexedDBStorage.open(namespace);
+    } catch (error) {
+      console.warn('IndexedDB 不可用，改用 localStorage:', error);
+      const storage = new StorageManager(namespace);
+      await storage.estimateQuota();
+      return storage;
+    }
+  }
+
+  /**
+   * 显示解锁界面，等待用户输入正确的口令
+   * @param {StorageManager} inner - 已加密的底层存储
+   * @returns {Promise<EncryptedStorage>} 已解锁的存储
+   */
+  async unlockStorage(inner) {
+    let unlocked = null;
+    Loading.hide();
+
+    await this.passphraseDialog.ask({
+      title: '🔒 备忘录已加密',
+      message: `请输入工作区"${this.workspace.name}"的口令解锁。口令遗失后数据无法恢复。`,
+      fields: ['passphrase'],
+      confirmText: '解锁',
+      dismissible: false,
+      fullscreen: true,
+      onSubmit: async ({ passphrase }) => {
+        unlocked = await EncryptedStorage.unlock(inner, passphrase);
+      }
+    });
+
+    Loading.show('正在加载...');
+    return unlocked;
   }
 
   /**
@@ -72,12 +190,27 @@ class LocalMemoApp {
     }
     
     // 初始化列表组件
-    this.memoList = new MemoList(
-      memoListContainer,
-      (memo) => this.handleEdit(memo),
-      (id) => this.handleDelete(id),
-      (id) => this.handleToggleComplete(id)
-    );
+    this.memoList = new MemoList(memoListContainer.id, this.service);
+    this.memoList.onMemoClick = (id) => this.handleOpenMemo(id);
+    this.memoList.onMemoDelete = () => {
+      this.showUndoToast('备忘录已移到回收站');
+      this.updateStats();
+    };
+    this.memoList.onMemoToggle = (id, isCompleted) => {
+      this.showUndoToast(isCompleted ? '已标记为完成' : '已标记为未完成');
+      this.updateStats();
+    };
+    this.memoList.onMemoPin = (id, isPinned) => {
+      this.showUndoToast(isPinned ? '已置顶' : '已取消置顶');
+    };
+    this.memoList.onMemoReorder = () => {
+      this.showUndoToast('已调整顺序');
+    };
+    this.memoList.onMemoArchive = (id, isArchived) => {
+      this.showUndoToast(isArchived ? '已归档' : '已取消归档');
+      this.updateStats();
+    };
+    this.memoList.onSelectionChange = (ids) => this.updateSelectionBar(ids);
 
     // 初始化编辑器组件
     this.editor = new MemoEditor(
@@ -85,6 +218,135 @@ class LocalMemoApp {
       (data) => this.handleSave(data),
       () => this.handleCancel()
     );
+    this.editor.onEndSeries = (seriesId) => this.handleEndSeries(seriesId);
+    this.editor.onRestoreRevision = (memoId, revisionId) => this.handleRestoreRevision(memoId, revisionId);
+    this.editor.onOpenMemo = (id) => this.handleOpenMemo(id);
+
+    // 初始化回收站视图
+    this.trashView = new TrashView('trash-view-container', this.service);
+    this.trashView.onRestore = () => {
+      this.showUndoToast('备忘录已恢复');
+      this.updateStats();
+    };
+    this.trashView.onPurge = (ids) => {
+      Toast.success(`已永久删除 ${ids.length} 条备忘录`);
+    };
+
+    // 初始化归档视图
+    this.archiveView = new ArchiveView('archive-view-container', this.service);
+    this.archiveView.onMemoClick = (id) => this.handleOpenMemo(id);
+    this.archiveView.onChange = () => this.updateStats();
+
+    // 初始化分类管理
+    this.categoryManager = new CategoryManager(this.service);
+    this.categoryManager.onChange = () => this.handleCategoriesChange();
+    this.renderCategoryButtons();
+    this.editor.setCategories(this.service.getCategories());
+
+    // 初始化存储空间助手
+    this.storageAssistant = new StorageAssistant(this.service);
+    this.storageAssistant.onChange = () => this.refreshCurrentView();
+    this.storageAssistant.onOpenMemo = (id) => this.handleOpenMemo(id);
+
+    // 初始化快照管理
+    this.snapshotManager = new SnapshotManager(this.service);
+    this.snapshotManager.onRestore = (result) => {
+      this.showUndoToast(`已从快照恢复 ${result.restored} 条备忘录`);
+      this.refreshCurrentView();
+    };
+
+    // 初始化数据恢复
+    this.recoveryManager = new RecoveryManager(this.service);
+    this.recoveryManager.onRestore = (result) => {
+      this.showUndoToast(`已找回 ${result.restored} 条备忘录`);
+      this.refreshCurrentView();
+    };
+
+    // 初始化工作区管理
+    this.workspaceManager = new WorkspaceManager(this.workspaceService);
+    this.workspaceManager.onChange = () => this.renderWorkspaceSwitcher();
+    this.workspaceManager.onSwitch = (workspace) => this.switchWorkspace(workspace.id);
+    this.workspaceManager.onDuplicate = (workspace) => this.handleDuplicateWorkspace(workspace);
+    this.workspaceManager.onDelete = (workspace) => this.handleDeleteWorkspace(workspace);
+    this.renderWorkspaceSwitcher();
+
+    // 初始化同步设置
+    this.syncManager = new SyncManager(this.syncService);
+    this.syncManager.onSync = () => this.handleSyncNow();
+    this.syncManager.onConfigChange = () => this.startSync();
+    this.syncManager.onResolve = () => {
+      this.showUndoToast('已保存合并结果，将在下次同步时上传');
+      this.refreshCurrentView();
+    };
+
+    // 初始化 CSV/日历导出、CSV 导入向导和导入预览
+    this.exportDialog = new ExportDialog(this.service);
+    this.importPreviewDialog = new ImportPreviewDialog(this.service);
+    this.importPreviewDialog.onApply = (report) => this.handleImportApplied(report);
+    this.csvImportWizard = new CsvImportWizard(this.service);
+    this.csvImportWizard.onImport = (data) => this.showImportPreview(data, this.csvImportWizard.filename);
+  }
+
+  /**
+   * 渲染头部的工作区切换下拉框
+   */
+  renderWorkspaceSwitcher() {
+    const select = document.querySelector('#workspace-select');
+    select.innerHTML = '';
+
+    this.workspaceService.getAll().forEach(workspace => {
+      const option = document.createElement('option');
+      option.value = workspace.id;
+      option.textContent = workspace.name;
+      select.appendChild(option);
+    });
+    select.value = this.workspace.id;
+
+    const current = this.workspaceService.getById(this.workspace.id);
+    if (current) {
+      this.workspace = current;
+    }
+    document.title = `LocalMemo - ${this.workspace.name}`;
+  }
+
+  /**
+   * 根据分类列表渲染侧边栏分类按钮
+   */
+  renderCategoryButtons() {
+    const container = document.querySelector('#category-buttons');
+    const categories = this.service.getCategories();
+
+    // 当前筛选的分类已被删除或重命名时，回到"全部"
+    if (this.currentFilters.category && !categories.some(c => c.name === this.currentFilters.category)) {
+      this.currentFilters.category = '';
+    }
+
+    container.innerHTML = '';
+
+    const createButton = (value, label, color) => {
+      const btn = document.createElement('button');
+      btn.className = 'category-btn';
+      btn.dataset.category = value;
+      btn.textContent = label;
+      if (color) {
+        btn.style.borderLeft = `4px solid ${color}`;
+      }
+      const isActive = value === '全部' ? !this.currentFilters.category : this.currentFilters.category === value;
+      btn.classList.toggle('active', isActive);
+      container.appendChild(btn);
+    };
+
+    createButton('全部', '全部');
+    categories.forEach(category => {
+      createButton(category.name, category.icon ? `${category.icon} ${category.name}` : category.name, category.color);
+    });
+  }
+
+  /**
+   * 分类列表变更后刷新依赖分类的界面
+   */
+  handleCategoriesChange() {
+    this.refreshCurrentView();
   }
 
   /**
@@ -106,13 +368,20 @@ class LocalMemoApp {
       }, 300); // 防抖 300ms
     });
 
-    // 分类筛选
-    const categoryFilter = document.querySelector('#category-filter');
-    categoryFilter.addEventListener('change', (e) => {
-      this.currentFilters.category = e.target.value;
+    // 分类筛选（按钮根据分类列表动态生成，使用事件委托）
+    const categoryButtons = document.querySelector('#category-buttons');
+    categoryButtons.addEventListener('click', (e) => {
+      const btn = e.target.closest('.category-btn');
+      if (!btn) return;
+      this.currentFilters.category = btn.dataset.category === '全部' ? '' : btn.dataset.category;
+      this.renderCategoryButtons();
       this.applyFiltersAndSort();
     });
 
+    // 管理分类
+    const manageCategoriesBtn = document.querySelector('#manage-categories-btn');
+    manageCategoriesBtn.addEventListener('click', () => this.categoryManager.show());
+
     // 优先级筛选
     const priorityFilter = document.querySelector('#priority-filter');
     priorityFilter.addEventListener('change', (e) => {
@@ -121,10 +390,25 @@ class LocalMemoApp {
     });
 
     // 状态筛选
-    const statusFilter = document.querySelector('#status-filter');
-    statusFilter.addEventListener('change', (e) => {
-      this.currentFilters.status = e.target.value;
-      this.applyFiltersAndSort();
+    const statusButtons = document.querySelectorAll('.status-btn');
+    statusButtons.forEach(btn => {
+      btn.addEventListener('click', () => {
+        statusButtons.forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        this.currentFilters.status = btn.dataset.status;
+        this.applyFiltersAndSort();
+      });
+    });
+
+    // 截止时间筛选
+    const dueButtons = document.querySelectorAll('.due-btn');
+    dueButtons.forEach(btn => {
+      btn.addEventListener('click', () => {
+        dueButtons.forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        this.currentFilters.due = btn.dataset.due;
+        this.applyFiltersAndSort();
+      });
     });
 
     // 排序选择
@@ -134,6 +418,69 @@ class LocalMemoApp {
       this.applyFiltersAndSort();
     });
 
+    // 回收站按钮
+    const trashBtn = document.querySelector('#trash-btn');
+    trashBtn.addEventListener('click', () => {
+      this.switchView(this.currentView === 'trash' ? 'memos' : 'trash');
+    });
+
+    // 归档按钮
+    const archiveBtn = document.querySelector('#archive-btn');
+    archiveBtn.addEventListener('click', () => {
+      this.switchView(this.currentView === 'archive' ? 'memos' : 'archive');
+    });
+
+    // 归档已完成按钮
+    const archiveCompletedBtn = document.querySelector('#archive-completed-btn');
+    archiveCompletedBtn.addEventListener('click', () => this.handleArchiveCompleted());
+
+    // 导出 / 导入
+    document.querySelector('#export-btn').addEventListener('click', () => this.handleExport(false));
+    document.querySelector('#export-encrypted-btn').addEventListener('click', () => this.handleExport(true));
+    document.querySelector('#export-markdown-btn').addEventListener('click', () => this.handleExportMarkdown());
+    document.querySelector('#export-csv-btn').addEventListener('click', () => this.showExportDialog('csv'));
+    document.querySelector('#export-ics-btn').addEventListener('click', () => this.showExportDialog('ics'));
+    const importInput = document.querySelector('#import-input');
+    document.querySelector('#import-btn').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+      const files = Array.from(importInput.files);
+      importInput.value = '';
+      if (files.length > 0) {
+        this.handleImport(files);
+      }
+    });
+
+    // 存储空间
+    document.querySelector('#storage-btn').addEventListener('click', () => this.storageAssistant.show());
+
+    // 数据快照
+    document.querySelector('#snapshots-btn').addEventListener('click', () => this.snapshotManager.show());
+
+    // 数据恢复
+    document.querySelector('#recovery-btn').addEventListener('click', () => this.recoveryManager.show());
+
+    // 加密设置
+    document.querySelector('#enable-encryption-btn').addEventListener('click', () => this.handleEnableEncryption());
+    document.querySelector('#change-passphrase-btn').addEventListener('click', () => this.handleChangePassphrase());
+    document.querySelector('#disable-encryption-btn').addEventListener('click', () => this.handleDisableEncryption());
+    this.updateEncryptionButtons();
+
+    // 同步
+    document.querySelector('#sync-status-btn').addEventListener('click', () => this.syncManager.show());
+    window.addEventListener('online', () => this.scheduleSync(0));
+
+    // 工作区
+    document.querySelector('#workspace-select').addEventListener('change', (e) => this.switchWorkspace(e.target.value));
+    document.querySelector('#manage-workspaces-btn').addEventListener('click', () => this.workspaceManager.show());
+
+    // 选择备忘录并移动/复制到其他工作区
+    document.querySelector('#select-mode-btn').addEventListener('click', () => {
+      this.memoList.setSelectionMode(!this.memoList.selectionMode);
+    });
+    document.querySelector('#move-selected-btn').addEventListener('click', () => this.handleTransferSelected(true));
+    document.querySelector('#copy-selected-btn').addEventListener('click', () => this.handleTransferSelected(false));
+    document.querySelector('#cancel-selection-btn').addEventListener('click', () => this.memoList.setSelectionMode(false));
+
     // 清空筛选按钮
     const clearBtn = document.querySelector('#clear-filters-btn');
     clearBtn.addEventListener('click', () => this.clearFilters());
@@ -145,6 +492,16 @@ class LocalMemoApp {
         e.preventDefault();
         this.handleNew();
       }
+      // Ctrl/Cmd + Z: 撤销，Ctrl/Cmd + Shift + Z: 重做
+      // 输入框内保留浏览器自带的文本撤销
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !this.isTextInput(e.target)) {
+        e.preventDefault();
+        if (e.shiftKey) {
+          this.handleRedo();
+        } else {
+          this.handleUndo();
+        }
+      }
       // ESC: 关闭编辑器
       if (e.key === 'Escape') {
         this.handleCancel();
@@ -156,28 +513,584 @@ class LocalMemoApp {
    * 加载备忘录列表
    */
   loadMemos() {
-    const memos = this.service.getAllMemos();
-    this.memoList.render(memos);
-    this.updateStats();
+    this.applyFiltersAndSort();
+  }
+
+  /**
+   * 把界面上的筛选条件转换为 MemoService.filterMemos 的参数
+   * @returns {Object} 筛选条件 {keyword, category, priority, isCompleted, due}
+   */
+  getServiceFilters() {
+    const { search, category, priority, status, due } = this.currentFilters;
+    const filters = { keyword: search, category, priority, due };
+    if (status === 'pending' || status === 'completed') {
+      filters.isCompleted = status === 'completed';
+    }
+    return filters;
+  }
+
+  /**
+   * 获取当前的排序方式（排序下拉框的值为"字段-顺序"，例如 dueAt-asc）
+   * @returns {Object} 排序方式 {by, order}
+   */
+  getSortOptions() {
+    const [by, order] = this.currentSort.split('-');
+    return { by, order };
   }
 
   /**
    * 应用筛选和排序
    */
   applyFiltersAndSort() {
-    let memos = this.service.getAllMemos();
+    const filters = this.getServiceFilters();
+    const { by, order } = this.getSortOptions();
+
+    // 列表内的操作（置顶、拖拽排序等）刷新时沿用同样的筛选和排序
+    this.memoList.currentFilter = filters;
+    this.memoList.currentSort = { by, order };
 
     // 应用筛选
-    memos = this.service.filterMemos(memos, this.currentFilters);
+    let memos = this.service.filterMemos(filters);
 
     // 应用排序
-    memos = this.service.sortMemos(memos, this.currentSort);
+    memos = this.service.sortMemos(memos, by, order);
 
     // 渲染列表
     this.memoList.render(memos);
     this.updateStats();
   }
 
+  /**
+   * 切换主区域视图
+   * @param {string} view - 视图名称 (memos|trash|archive)
+   */
+  switchView(view) {
+    this.currentView = view;
+    if (view !== 'memos' && this.memoList.selectionMode) {
+      this.memoList.setSelectionMode(false);
+    }
+    const listContainer = document.querySelector('#memo-list-container');
+
+    if (view === 'trash') {
+      listContainer.style.display = 'none';
+      this.archiveView.hide();
+      this.trashView.show();
+    } else if (view === 'archive') {
+      listContainer.style.display = 'none';
+      this.trashView.hide();
+      this.archiveView.show();
+    } else {
+      this.trashView.hide();
+      this.archiveView.hide();
+      listContainer.style.display = 'block';
+      this.applyFiltersAndSort();
+    }
+
+    document.querySelector('#trash-btn').classList.toggle('active', view === 'trash');
+    document.querySelector('#archive-btn').classList.toggle('active', view === 'archive');
+  }
+
+  /**
+   * 处理归档所有已完成的备忘录
+   */
+  handleArchiveCompleted() {
+    const result = this.service.archiveCompleted();
+
+    if (!result.success) {
+      Toast.error('归档失败: ' + result.errors.join(', '));
+    } else if (result.changed === 0) {
+      Toast.info('没有需要归档的已完成备忘录');
+    } else {
+      this.showUndoToast(`已归档 ${result.changed} 条备忘录`);
+      this.refreshCurrentView();
+    }
+  }
+
+  /**
+   * 处理导出数据
+   * @param {boolean} encrypted - 是否用口令加密导出文件
+   */
+  async handleExport(encrypted) {
+    let content = this.service.exportData();
+
+    if (encrypted) {
+      const values = await this.passphraseDialog.ask({
+        title: '加密导出',
+        message: '导出文件将用此口令加密，导入时需要输入同一口令。',
+        fields: ['passphrase', 'confirm'],
+        confirmText: '导出',
+        onSubmit: async ({ passphrase }) => {
+          content = await CryptoUtil.encryptFile(passphrase, content);
+        }
+      });
+      if (!values) return;
+    }
+
+    const prefix = encrypted ? 'LocalMemo-encrypted' : 'LocalMemo';
+    FileUtil.download(FileUtil.datedFilename(prefix, 'json'), JSON.stringify(content, null, 2));
+    Toast.success(encrypted ? '已导出加密文件' : '数据已导出');
+  }
+
+  /**
+   * 导出所有备忘录为 Markdown 文件，打包为一个 zip 文件下载
+   */
+  handleExportMarkdown() {
+    const files = this.service.exportMarkdown();
+    if (files.length === 0) {
+      Toast.info('没有可导出的备忘录');
+      return;
+    }
+
+    FileUtil.download(FileUtil.datedFilename('LocalMemo-markdown', 'zip'), ZipUtil.create(files), 'application/zip');
+    Toast.success(`已导出 ${files.length} 个 Markdown 文件`);
+  }
+
+  /**
+   * 打开导出对话框（在备忘录视图中可以只导出当前列表）
+   * @param {String} format - 导出格式（csv 或 ics）
+   */
+  showExportDialog(format) {
+    this.exportDialog.show(format, this.currentView === 'memos' ? this.memoList.getDisplayedIds() : []);
+  }
+
+  /**
+   * 处理导入数据（合并到现有备忘录）
+   * 先读取选择的文件（zip 压缩包展开为其中的文件），再按文件类型和内容选择导入方式：
+   * 日历文件按 UID 导入；Markdown、Google Keep、Evernote 和 Todoist 的文件由导入适配器转换；
+   * 其他 CSV 文件打开导入向导；否则按导出的 JSON 文件导入。除日历文件外都先打开导入预览，确认后才写入
+   * @param {Array} files - 选择的文件
+   */
+  async handleImport(files) {
+    let entries;
+    try {
+      entries = await this.readImportFiles(files);
+    } catch (error) {
+      Toast.error('无法读取文件: ' + error.message);
+      return;
+    }
+
+    if (entries.length === 0) {
+      Toast.error('没有找到可以导入的文件');
+      return;
+    }
+
+    const icsEntry = entries.find(entry => /\.ics$/i.test(entry.name));
+    if (icsEntry) {
+      this.handleImportIcs(icsEntry);
+      return;
+    }
+
+    if (entries.some(entry => Importers.find(entry))) {
+      this.showImportPreview(Importers.parse(entries), entries.length === 1 ? entries[0].name : `${entries.length} 个文件`);
+      return;
+    }
+
+    const csvEntry = entries.find(entry => /\.csv$/i.test(entry.name));
+    if (csvEntry) {
+      this.handleImportCsv(csvEntry);
+      return;
+    }
+
+    await this.handleImportJson(entries[0]);
+  }
+
+  /**
+   * 以文本读取选择的文件，zip 压缩包展开为其中可以导入的文件
+   * 忽略以点开头的目录（例如 .obsidian）、macOS 生成的 __MACOSX 目录和图片等其他文件
+   * @param {Array} files - 选择的文件
+   * @returns {Promise<Array>} 文件数组 [{name, content}]
+   */
+  async readImportFiles(files) {
+    const isImportable = (name) => /\.(json|md|markdown|enex|csv|ics)$/i.test(name);
+    const isHidden = (name) => name.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    for (const file of files) {
+      if (/\.zip$/i.test(file.name)) {
+        const zipEntries = await ZipUtil.read(await FileUtil.readAsBytes(file));
+        zipEntries
+          .filter(entry => isImportable(entry.name) && !isHidden(entry.name))
+          .forEach(entry => entries.push({ name: entry.name, content: decoder.decode(entry.content) }));
+      } else {
+        entries.push({ name: file.name, content: await FileUtil.readAsText(file) });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * 导入导出的 JSON 文件（加密文件需要输入导出时的口令）
+   * @param {Object} file - 文件 {name, content}
+   */
+  async handleImportJson(file) {
+    let data;
+    try {
+      data = JSON.parse(file.content);
+    } catch (error) {
+      Toast.error('无法识别文件，请选择导出的 JSON 文件或其他支持的格式');
+      return;
+    }
+
+    if (CryptoUtil.isEncryptedFile(data)) {
+      const encryptedFile = data;
+      const values = await this.passphraseDialog.ask({
+        title: '导入加密文件',
+        message: `"${file.name}" 已加密，请输入导出时设置的口令。`,
+        fields: ['passphrase'],
+        confirmText: '解密并导入',
+        onSubmit: async ({ passphrase }) => {
+          data = await CryptoUtil.decryptFile(passphrase, encryptedFile);
+        }
+      });
+      if (!values) return;
+    }
+
+    this.showImportPreview(data, file.name);
+  }
+
+  /**
+   * 打开导入预览（数据格式无效时提示错误）
+   * @param {Object} data - 导入的数据
+   * @param {String} source - 来源说明（例如文件名）
+   */
+  showImportPreview(data, source) {
+    const preview = this.importPreviewDialog.show(data, source);
+    if (!preview.success) {
+      Toast.error('导入失败: ' + preview.errors.join(', '));
+    }
+  }
+
+  /**
+   * 导入预览确认导入后刷新界面，有变化时提供撤销
+   * @param {Object} report - 导入报告
+   */
+  handleImportApplied(report) {
+    if (report.imported + report.updated === 0) {
+      return;
+    }
+
+    this.showUndoToast(`已导入 ${report.imported} 条备忘录` + (report.updated ? `，更新 ${report.updated} 条` : ''));
+    this.refreshCurrentView();
+  }
+
+  /**
+   * 解析 CSV 文件并打开导入向导
+   * @param {Object} file - 文件 {name, content}
+   */
+  handleImportCsv(file) {
+    const rows = CsvUtil.parse(file.content);
+    if (rows.length === 0) {
+      Toast.error('CSV 文件中没有数据');
+      return;
+    }
+
+    this.csvImportWizard.show(file.name, rows);
+  }
+
+  /**
+   * 导入日历文件（UID 与现有备忘录相同时更新该备忘录）
+   * @param {Object} file - 文件 {name, content}
+   */
+  handleImportIcs(file) {
+    const result = this.service.importIcs(file.content);
+    if (result.success && result.imported === 0 && result.updated === 0) {
+      Toast.info('日历中的备忘录都没有变化');
+      return;
+    }
+    this.showImportResult(result);
+  }
+
+  /**
+   * 显示导入结果并刷新界面
+   * @param {Object} result - 导入结果 {success, imported, updated（可选）, skipped（可选）, errors}
+   */
+  showImportResult(result) {
+    const changed = result.imported + (result.updated || 0);
+    const message = `已导入 ${result.imported} 条备忘录` +
+      (result.updated ? `，更新 ${result.updated} 条` : '') +
+      (result.skipped ? `，跳过 ${result.skipped} 条已删除的笔记等` : '');
+    if (result.success) {
+      this.showUndoToast(message);
+    } else if (changed > 0) {
+      Toast.warning(`${message}，部分失败: ${result.errors.join(', ')}`);
+    } else {
+      Toast.error('导入失败: ' + result.errors.join(', '));
+    }
+    this.refreshCurrentView();
+  }
+
+  /**
+   * 根据是否已启用加密显示对应的加密设置按钮
+   */
+  updateEncryptionButtons() {
+    const encrypted = this.service.storage instanceof EncryptedStorage;
+    document.querySelector('#enable-encryption-btn').style.display = encrypted ? 'none' : '';
+    document.querySelector('#change-passphrase-btn').style.display = encrypted ? '' : 'none';
+    document.querySelector('#disable-encryption-btn').style.display = encrypted ? '' : 'none';
+  }
+
+  /**
+   * 处理启用加密：用新口令加密现有数据后重新加载页面
+   */
+  async handleEnableEncryption() {
+    const storage = this.service.storage;
+    const values = await this.passphraseDialog.ask({
+      title: '启用加密',
+      message: '启用后所有数据将用口令加密保存，每次打开应用都需要输入口令。口令遗失后数据无法恢复，请牢记。',
+      fields: ['passphrase', 'confirm'],
+      confirmText: '启用加密',
+      onSubmit: async ({ passphrase }) => {
+        if (storage.flush) {
+          await storage.flush();
+        }
+        await EncryptedStorage.enable(storage, passphrase);
+      }
+    });
+
+    if (values) {
+      Toast.success('已启用加密，正在重新加载...');
+      setTimeout(() => window.location.reload(), 1000);
+    }
+  }
+
+  /**
+   * 处理修改口令
+   */
+  async handleChangePassphrase() {
+    const values = await this.passphraseDialog.ask({
+      title: '修改口令',
+      fields: ['current', 'newPassphrase', 'confirm'],
+      confirmText: '修改',
+      onSubmit: ({ current, newPassphrase }) => this.service.storage.changePassphrase(current, newPassphrase)
+    });
+
+    if (values) {
+      Toast.success('口令已修改');
+    }
+  }
+
+  /**
+   * 处理关闭加密：把数据以明文写回后重新加载页面
+   */
+  async handleDisableEncryption() {
+    const values = await this.passphraseDialog.ask({
+      title: '关闭加密',
+      message: '关闭后数据将以明文保存在浏览器中。请输入当前口令确认。',
+      fields: ['current'],
+      confirmText: '关闭加密',
+      onSubmit: ({ current }) => this.service.storage.disable(current)
+    });
+
+    if (values) {
+      Toast.success('已关闭加密，正在重新加载...');
+      setTimeout(() => window.location.reload(), 1000);
+    }
+  }
+
+  /**
+   * 切换到其他工作区（重新加载页面后打开该工作区的数据）
+   * @param {String} id - 工作区ID
+   */
+  async switchWorkspace(id) {
+    if (id === this.workspace.id) {
+      return;
+    }
+
+    const result = this.workspaceService.setCurrent(id);
+    if (!result.success) {
+      Toast.error(result.errors.join(', '));
+      this.renderWorkspaceSwitcher();
+      return;
+    }
+
+    // 等待当前工作区的写入完成后再离开
+    if (this.service.storage.flush) {
+      await this.service.storage.flush();
+    }
+    window.location.reload();
+  }
+
+  /**
+   * 处理复制工作区：新建工作区并原样复制全部数据（已加密的工作区复制后使用同一口令）
+   * @param {Object} workspace - 源工作区
+   */
+  async handleDuplicateWorkspace(workspace) {
+    let name = `${workspace.name} 副本`;
+    for (let i = 2; this.workspaceService.validateName(name).length > 0 && i < 100; i++) {
+      name = `${workspace.name} 副本 ${i}`;
+    }
+
+    const result = this.workspaceService.create(name);
+    if (!result.success) {
+      Toast.error(result.errors.join(', '));
+      return;
+    }
+
+    Loading.show('正在复制工作区...');
+    try {
+      if (workspace.id === this.workspace.id && this.service.storage.flush) {
+        await this.service.storage.flush();
+      }
+
+      const source = await this.openStorage(workspace.namespace);
+      const target = await this.openStorage(result.workspace.namespace);
+      let writeError = null;
+      target.onError = (error) => { writeError = error; };
+
+      const written = WorkspaceService.copyData(source, target);
+      if (target.flush) {
+        await target.flush();
+      }
+      if (!written || writeError) {
+        throw writeError || new Error('写入失败');
+      }
+
+      Toast.success(`已复制为工作区"${name}"`);
+    } catch (error) {
+      console.error('复制工作区失败:', error);
+      this.workspaceService.delete(result.workspace.id);
+      Toast.error('复制工作区失败，存储空间可能不足');
+    } finally {
+      Loading.hide();
+    }
+  }
+
+  /**
+   * 处理删除工作区：从列表中移除并清除其全部数据
+   * @param {Object} workspace - 工作区
+   */
+  async handleDeleteWorkspace(workspace) {
+    const result = this.workspaceService.delete(workspace.id);
+    if (!result.success) {
+      Toast.error(result.errors.join(', '));
+      return;
+    }
+
+    try {
+      const storage = await this.openStorage(workspace.namespace);
+      storage.clear();
+      if (storage.flush) {
+        await storage.flush();
+      }
+      Toast.success(`工作区"${workspace.name}"已删除`);
+    } catch (error) {
+      console.error('清除工作区数据失败:', error);
+      Toast.warning(`工作区"${workspace.name}"已从列表中移除，但部分数据未能清除`);
+    }
+  }
+
+  /**
+   * 打开其他工作区的存储，已加密时要求输入该工作区的口令
+   * @param {Object} workspace - 工作区
+   * @returns {Promise<StorageManager|null>} 可读写的存储，取消输入口令时为 null
+   */
+  async openWorkspaceStorage(workspace) {
+    const storage = await this.openStorage(workspace.namespace);
+    if (!EncryptedStorage.isEnabled(storage)) {
+      return storage;
+    }
+
+    let unlocked = null;
+    const values = await this.passphraseDialog.ask({
+      title: `解锁工作区"${workspace.name}"`,
+      message: '目标工作区已加密，请输入该工作区的口令。',
+      fields: ['passphrase'],
+      confirmText: '解锁',
+      onSubmit: async ({ passphrase }) => {
+        unlocked = await EncryptedStorage.unlock(storage, passphrase);
+      }
+    });
+    return values ? unlocked : null;
+  }
+
+  /**
+   * 根据选中的备忘录更新选择工具栏
+   * @param {Array} ids - 选中的备忘录ID数组
+   */
+  updateSelectionBar(ids) {
+    const selecting = this.memoList.selectionMode;
+    document.querySelector('#selection-bar').style.display = selecting ? 'flex' : 'none';
+    document.querySelector('#select-mode-btn').classList.toggle('active', selecting);
+    document.querySelector('#selection-count').textContent = ids.length;
+    document.querySelector('#move-selected-btn').disabled = ids.length === 0;
+    document.querySelector('#copy-selected-btn').disabled = ids.length === 0;
+  }
+
+  /**
+   * 处理把选中的备忘录移动或复制到其他工作区
+   * 先写入目标工作区并等待写入完成，移动时再从当前工作区移除（可撤销）
+   * @param {boolean} move - 是否移动（否则复制）
+   */
+  async handleTransferSelected(move) {
+    const ids = this.memoList.getSelectedIds();
+    const action = move ? '移动' : '复制';
+    if (ids.length === 0) {
+      Toast.info('请先选择备忘录');
+      return;
+    }
+    if (this.workspaceService.getAll().length < 2) {
+      Toast.info('请先在"管理工作区"中新建其他工作区');
+      return;
+    }
+
+    const workspace = await this.workspaceManager.pickTarget(`${action}到工作区`);
+    if (!workspace) return;
+
+    let targetStorage;
+    try {
+      targetStorage = await this.openWorkspaceStorage(workspace);
+    } catch (error) {
+      console.error('打开目标工作区失败:', error);
+      Toast.error('打开目标工作区失败');
+      return;
+    }
+    if (!targetStorage) return;
+
+    Loading.show(`正在${action}...`);
+    const targetSync = new TabSync(workspace.namespace);
+    let writeError = null;
+    targetStorage.onChange = (keys) => targetSync.notify(keys);
+    targetStorage.onError = (error) => { writeError = error; };
+
+    try {
+      const target = new MemoService(targetStorage);
+      const result = this.service.copyMemosTo(ids, target);
+      if (targetStorage.flush) {
+        await targetStorage.flush();
+      }
+
+      if (writeError || result.copied === 0) {
+        Toast.error(`${action}失败: ` + (writeError ? '目标工作区写入失败' : result.errors.join(', ')));
+        return;
+      }
+      if (!result.success) {
+        Toast.warning(`部分备忘录未能${action}: ${result.errors.join(', ')}`);
+        return;
+      }
+
+      if (move) {
+        const removed = this.service.removeMemos(ids, `移动到"${workspace.name}"`);
+        if (!removed.success) {
+          Toast.error('已复制到目标工作区，但未能从当前工作区移除: ' + removed.errors.join(', '));
+          return;
+        }
+        this.showUndoToast(`已将 ${result.copied} 条备忘录移动到"${workspace.name}"`);
+      } else {
+        Toast.success(`已将 ${result.copied} 条备忘录复制到"${workspace.name}"`);
+      }
+      this.memoList.setSelectionMode(false);
+    } catch (error) {
+      console.error(`${action}备忘录失败:`, error);
+      Toast.error(`${action}失败: ${error.message}`);
+    } finally {
+      targetSync.close();
+      Loading.hide();
+      this.refreshCurrentView();
+    }
+  }
+
   /**
    * 清空筛选条件
    */
@@ -187,14 +1100,20 @@ class LocalMemoApp {
       search: '',
       category: '',
       priority: '',
-      status: ''
+      status: '',
+      due: ''
     };
 
     // 重置表单
     document.querySelector('#search-input').value = '';
-    document.querySelector('#category-filter').value = '';
-    document.querySelector('#priority-filter').value = '';
-    document.querySelector('#status-filter').value = '';
+    this.renderCategoryButtons();
+    document.querySelector('#priority-filter').value = '全部';
+    document.querySelectorAll('.status-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.status === 'all');
+    });
+    document.querySelectorAll('.due-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.due === '');
+    });
 
     // 重新加载
     this.applyFiltersAndSort();
@@ -205,14 +1124,54 @@ class LocalMemoApp {
    * 更新统计信息
    */
   updateStats() {
-    const allMemos = this.service.getAllMemos();
-    const totalCount = allMemos.length;
-    const completedCount = allMemos.filter(m => m.isCompleted).length;
-    const activeCount = totalCount - completedCount;
+    const stats = this.service.getStatistics();
+    const totalCount = stats.total;
+    const completedCount = stats.completed;
+    const activeCount = stats.pending;
+
+    document.querySelector('#stat-archived').textContent = stats.archived;
 
     document.querySelector('#total-count').textContent = totalCount;
     document.querySelector('#active-count').textContent = activeCount;
     document.querySelector('#completed-count').textContent = completedCount;
+
+    this.checkStorageUsage();
+  }
+
+  /**
+   * 检查存储用量，超过新的提醒阈值时提示用户释放空间
+   */
+  checkStorageUsage() {
+    const usage = this.service.getStorageUsage();
+    const level = this.service.getStorageWarningLevel(usage.percent);
+
+    if (level > this.storageWarningLevel) {
+      Toast.show(`存储空间已使用 ${usage.percent}%`, 'warning', 8000, {
+        label: '释放空间',
+        onClick: () => this.storageAssistant.show()
+      });
+    }
+    this.storageWarningLevel = level;
+  }
+
+  /**
+   * 处理存储写入失败
+   * @param {Error} error - 错误对象
+   */
+  handleStorageError(error) {
+    // IndexedDB 和加密存储异步写入失败时已回滚缓存，备忘录服务按存储中的实际内容重新比较，下次保存时重新写入
+    if (this.service) {
+      this.service.resetPersistedState();
+    }
+
+    if (StorageManager.isQuotaError(error) && this.storageAssistant) {
+      Toast.show('存储空间已满，最近的修改未能保存', 'error', 8000, {
+        label: '释放空间',
+        onClick: () => this.storageAssistant.show()
+      });
+      return;
+    }
+    Toast.error('数据写入失败，最近的修改可能未保存');
   }
 
   /**
@@ -227,9 +1186,26 @@ class LocalMemoApp {
    * @param {Object} memo - 要编辑的备忘录
    */
   handleEdit(memo) {
+    this.editor.setLinks(
+      this.service.getLinkedMemos(memo.id),
+      this.service.getBacklinks(memo.id)
+    );
     this.editor.showEdit(memo);
   }
 
+  /**
+   * 根据ID打开备忘录（用于链接和反向链接跳转）
+   * @param {string} id - 备忘录ID
+   */
+  handleOpenMemo(id) {
+    const memo = this.service.getMemoById(id);
+    if (memo) {
+      this.handleEdit(memo);
+    } else {
+      Toast.warning('备忘录不存在');
+    }
+  }
+
   /**
    * 处理保存备忘录
    * @param {Object} memoData - 备忘录数据
@@ -240,19 +1216,23 @@ class LocalMemoApp {
 
       if (this.editor.isEditMode) {
         // 编辑模式
-        const updatedMemo = this.service.updateMemo(
+        const result = this.service.updateMemo(
           this.editor.currentMemo.id,
           memoData
         );
-        if (updatedMemo) {
-          Toast.success('备忘录更新成功');
+        if (result.success) {
+          this.showUndoToast('备忘录更新成功');
         } else {
-          Toast.error('备忘录更新失败');
+          Toast.error('备忘录更新失败: ' + result.errors.join(', '));
         }
       } else {
         // 新建模式
-        const newMemo = this.service.addMemo(memoData);
-        Toast.success('备忘录创建成功');
+        const result = this.service.createMemo(memoData);
+        if (result.success) {
+          this.showUndoToast('备忘录创建成功');
+        } else {
+          Toast.error('备忘录创建失败: ' + result.errors.join(', '));
+        }
       }
 
       this.applyFiltersAndSort();
@@ -265,63 +1245,275 @@ class LocalMemoApp {
   }
 
   /**
-   * 处理删除备忘录
-   * @param {string} id - 备忘录ID
+   * 处理结束重复系列
+   * @param {string} seriesId - 系列ID
    */
-  handleDelete(id) {
-    const memo = this.service.getMemoById(id);
-    if (!memo) {
-      Toast.error('备忘录不存在');
+  handleEndSeries(seriesId) {
+    const result = this.service.endSeries(seriesId);
+    if (result.success) {
+      this.showUndoToast('已结束重复系列');
+      this.applyFiltersAndSort();
+    } else {
+      Toast.error(result.errors.join(', '));
+    }
+  }
+
+  /**
+   * 处理恢复历史版本
+   * @param {string} memoId - 备忘录ID
+   * @param {string} revisionId - 版本ID
+   * @returns {Object|null} 恢复后的备忘录
+   */
+  handleRestoreRevision(memoId, revisionId) {
+    const result = this.service.restoreRevision(memoId, revisionId);
+    if (result.success) {
+      this.showUndoToast('已恢复历史版本');
+      this.applyFiltersAndSort();
+      return result.memo;
+    }
+
+    Toast.error(result.errors.join(', '));
+    return null;
+  }
+
+  /**
+   * 显示带"撤销"操作的成功提示
+   * 提示绑定到刚记录的历史操作，之后有其他操作时不会撤销到别的操作
+   * @param {string} message - 提示内容
+   */
+  showUndoToast(message) {
+    const historyId = this.service.getLastHistoryId();
+    Toast.success(message, 5000, {
+      label: '撤销',
+      onClick: () => this.handleUndo(historyId)
+    });
+  }
+
+  /**
+   * 处理撤销
+   * @param {number|null} historyId - 只撤销该历史操作（撤销提示使用），null 表示撤销上一次操作
+   */
+  handleUndo(historyId = null) {
+    const result = this.service.undo(historyId);
+    if (result.success) {
+      Toast.info(`已撤销：${result.label}`);
+      this.refreshCurrentView();
+    } else {
+      Toast.warning(result.errors.join(', '));
+    }
+  }
+
+  /**
+   * 处理重做
+   */
+  handleRedo() {
+    const result = this.service.redo();
+    if (result.success) {
+      Toast.info(`已重做：${result.label}`);
+      this.refreshCurrentView();
+    } else {
+      Toast.warning(result.errors.join(', '));
+    }
+  }
+
+  /**
+   * 刷新当前视图
+   */
+  refreshCurrentView() {
+    this.renderCategoryButtons();
+    this.editor.setCategories(this.service.getCategories());
+
+    if (this.currentView === 'trash') {
+      this.trashView.render();
+      this.updateStats();
+    } else if (this.currentView === 'archive') {
+      this.archiveView.render();
+      this.updateStats();
+    } else {
+      this.applyFiltersAndSort();
+    }
+  }
+
+  /**
+   * 渲染头部的同步状态
+   */
+  renderSyncStatus() {
+    const status = this.syncService.getStatus();
+    const btn = document.querySelector('#sync-status-btn');
+    btn.className = `btn btn-secondary btn-sm sync-status sync-status-${status.status}`;
+    btn.title = status.error || (status.lastSyncAt
+      ? `上次同步：${DateUtil.format(status.lastSyncAt, 'full')}`
+      : '同步设置');
+
+    document.querySelector('#sync-status-text').textContent = status.status === 'conflict'
+      ? `${status.label}（${status.conflicts}）`
+      : status.label;
+
+    if (this.syncManager) {
+      this.syncManager.refresh();
+    }
+  }
+
+  /**
+   * 按同步配置启动定时同步，并立即同步一次
+   */
+  startSync() {
+    clearInterval(this.syncTimer);
+    clearTimeout(this.syncDelayTimer);
+    this.syncTimer = null;
+
+    if (!this.syncService.isEnabled()) {
       return;
     }
 
-    Modal.confirm(
-      '确认删除',
-      `确定要删除备忘录"${memo.title}"吗？`,
-      () => {
-        try {
-          Loading.show('正在删除...');
-          const success = this.service.deleteMemo(id);
-          if (success) {
-            Toast.success('备忘录已删除');
-            this.applyFiltersAndSort();
-          } else {
-            Toast.error('删除失败');
-          }
-          Loading.hide();
-        } catch (error) {
-          console.error('删除备忘录失败:', error);
-          Loading.hide();
-          Toast.error('删除失败，请重试');
-        }
-      }
-    );
+    const { interval } = this.syncService.getConfig();
+    if (interval > 0) {
+      this.syncTimer = setInterval(() => this.runSync(), interval * 60 * 1000);
+    }
+    this.runSync();
   }
 
   /**
-   * 处理切换完成状态
-   * @param {string} id - 备忘录ID
+   * 延迟同步（连续修改时合并为一次）
+   * @param {Number} delay - 延迟毫秒数
    */
-  handleToggleComplete(id) {
-    try {
-      const memo = this.service.getMemoById(id);
-      if (!memo) {
-        Toast.error('备忘录不存在');
-        return;
-      }
+  scheduleSync(delay = 5000) {
+    if (!this.syncService.isEnabled()) {
+      return;
+    }
+    clearTimeout(this.syncDelayTimer);
+    this.syncDelayTimer = setTimeout(() => this.runSync(), delay);
+  }
 
-      const success = this.service.toggleComplete(id);
-      if (success) {
-        const newStatus = !memo.isCompleted;
-        Toast.success(newStatus ? '已标记为完成' : '已标记为未完成');
-        this.applyFiltersAndSort();
-      } else {
-        Toast.error('操作失败');
-      }
+  /**
+   * 与同步服务器同步，收到其他设备的修改后刷新界面
+   * @returns {Promise<Object>} 同步结果
+   */
+  async runSync() {
+    const editingMemo = this.editor.isEditMode ? this.editor.currentMemo : null;
+    const result = await this.syncService.sync();
+
+    if (result.pulled > 0 || result.removed > 0) {
+      this.refreshCurrentView();
+      this.checkEditingMemo(editingMemo, '其他设备');
+    }
+
+    if (result.conflicts > 0) {
+      Toast.show(`${result.conflicts} 条备忘录在本机和其他设备上都被修改，已暂时采用较新的版本`, 'warning', 10000, {
+        label: '合并',
+        onClick: () => this.syncManager.show()
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * 处理立即同步
+   */
+  async handleSyncNow() {
+    const result = await this.runSync();
+    if (!result.success) {
+      Toast.error('同步失败: ' + result.errors.join(', '));
+    } else if (result.errors.length > 0) {
+      Toast.warning('部分备忘录未能同步: ' + result.errors.join(', '));
+    } else {
+      Toast.success(`同步完成：收到 ${result.pulled} 条，删除 ${result.removed} 条，上传 ${result.pushed} 条`);
+    }
+  }
+
+  /**
+   * 处理其他标签页的数据变更：重新加载数据并刷新界面
+   * 如果正在编辑的备忘录被修改或删除，提示用户选择保留哪个版本
+   * @param {Object} message - 同步消息 {tabId, keys, timestamp}
+   */
+  async handleExternalChange(message) {
+    // 其他标签页启用、关闭加密或修改了口令，需要重新解锁
+    if (message.keys.includes(EncryptedStorage.META_KEY)) {
+      window.location.reload();
+      return;
+    }
+
+    const editingMemo = this.editor.isEditMode ? this.editor.currentMemo : null;
+
+    try {
+      await this.service.storage.reload();
+      this.service.reload();
+      this.syncService.reload();
     } catch (error) {
-      console.error('切换完成状态失败:', error);
-      Toast.error('操作失败，请重试');
+      console.error('同步其他标签页的修改失败:', error);
+      Toast.error('同步其他标签页的修改失败，请刷新页面');
+      return;
     }
+
+    this.refreshCurrentView();
+    this.checkEditingMemo(editingMemo);
+  }
+
+  /**
+   * 重新加载数据后检查正在编辑的备忘录是否被修改或删除
+   * @param {Memo|null} editingMemo - 重新加载前编辑器中的备忘录
+   * @param {String} source - 修改来源（显示在提示中）
+   */
+  checkEditingMemo(editingMemo, source = '其他标签页') {
+    if (!editingMemo || !this.editor.isEditing(editingMemo.id)) {
+      return;
+    }
+
+    const latest = this.service.getMemoById(editingMemo.id);
+    if (latest && latest.updatedAt === editingMemo.updatedAt) {
+      // 正在编辑的备忘录没有变化，改为引用重新加载后的实例
+      this.editor.currentMemo = latest;
+      return;
+    }
+
+    this.showEditConflict(editingMemo, latest, source);
+  }
+
+  /**
+   * 提示正在编辑的备忘录已在其他标签页（或其他设备）中被修改或删除
+   * @param {Memo} editingMemo - 编辑器中的备忘录
+   * @param {Memo|null} latest - 其他标签页保存的版本（已删除时为 null）
+   * @param {String} source - 修改来源（显示在提示中）
+   */
+  showEditConflict(editingMemo, latest, source = '其他标签页') {
+    if (!this.conflictModal) {
+      this.conflictModal = new Modal('sync-conflict-modal');
+    }
+
+    if (!latest) {
+      this.conflictModal.show({
+        title: '备忘录已被删除',
+        message: `"${editingMemo.title}" 已在${source}中删除或移到回收站。继续保存将无法写入，可以复制内容后新建备忘录。`,
+        showCancel: false,
+        confirmText: '知道了'
+      });
+      return;
+    }
+
+    this.conflictModal.show({
+      title: `备忘录已在${source}中修改`,
+      message: `"${latest.title}" 在${source}中保存了新的版本（${DateUtil.smartFormat(latest.updatedAt)}）。要保留哪个版本？`,
+      confirmText: `使用${source}的版本`,
+      cancelText: '保留我的编辑',
+      onConfirm: () => this.handleEdit(latest),
+      onCancel: () => {
+        // 保存时将覆盖另一版本
+        this.editor.currentMemo = latest;
+      }
+    });
+  }
+
+  /**
+   * 判断元素是否为文本输入控件
+   * @param {HTMLElement} element - 元素
+   * @returns {boolean}
+   */
+  isTextInput(element) {
+    if (!element) return false;
+    const tag = element.tagName;
+    return tag === 'TEXTAREA' || element.isContentEditable ||
+      (tag === 'INPUT' && !['checkbox', 'radio', 'button'].includes(element.type));
   }
 
   /**
@@ -0,0 +1,189 @@
+/**
+ * Evernote 导入适配器
+ * 读取 Evernote 导出的 .enex 文件（一个文件可以包含多条笔记）
+ *
+ * 笔记内容（ENML）转换为纯文本，复选框转为 "- [ ] " 行；标签转为备忘录标签，
+ * 文件名（通常是笔记本名称）作为分类，不存在时由 previewImport 转为标签；
+ * 提醒时间作为截止时间，提醒已完成的笔记标记为完成，已删除的笔记跳过。
+ */
+
+const EnexImporter = {
+  id: 'enex',
+  label: 'Evernote',
+
+  /**
+   * HTML 实体
+   */
+  ENTITIES: {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+  },
+
+  /**
+   * 判断是否为 ENEX 文件
+   * @param {Object} file - 文件 {name, content}
+   * @returns {Boolean}
+   */
+  matches(file) {
+    return /\.enex$/i.test(file.name) || /^\s*(<\?xml[^>]*>\s*)?(<!DOCTYPE[^>]*>\s*)?<en-export[\s>]/.test(file.content);
+  },
+
+  /**
+   * 转换 ENEX 文件
+   * @param {Array} files - 文件数组 [{name, content}]
+   * @returns {Object} {memos, skipped, errors}
+   */
+  parse(files) {
+    const result = { memos: [], skipped: 0, errors: [] };
+
+    files.forEach(file => {
+      const notes = file.content.match(/<note>[\s\S]*?<\/note>/g);
+      if (!notes) {
+        result.errors.push(`${file.name} 中没有笔记`);
+        return;
+      }
+
+      const notebook = file.name.replace(/^.*\//, '').replace(/\.enex$/i, '').trim();
+      notes.forEach(note => {
+        if (this.getElement(note, 'deleted')) {
+          result.skipped++;
+          return;
+        }
+        result.memos.push(this.toMemo(note, notebook));
+      });
+    });
+
+    return result;
+  },
+
+  /**
+   * 把一条笔记转换为备忘录数据
+   * @param {String} note - <note> 元素的 XML
+   * @param {String} notebook - 笔记本名称
+   * @returns {Object} 备忘录数据
+   */
+  toMemo(note, notebook) {
+    const enml = this.getElement(note, 'content') || '';
+    // 去掉内容和附件后再读取其他字段，避免匹配到其中的同名元素
+    const meta = note.replace(/<content>[\s\S]*?<\/content>/, '').replace(/<resource>[\s\S]*?<\/resource>/g, '');
+
+    let content = this.enmlToText(enml);
+    const sourceUrl = this.getElement(meta, 'source-url');
+    if (sourceUrl) {
+      content = (content ? content + '\n\n' : '') + `来源: ${sourceUrl}`;
+    }
+
+    const memo = {
+      title: Importers.fitTitle(this.getElement(meta, 'title')) || Importers.titleFromContent(content),
+      content,
+      tags: (meta.match(/<tag>[\s\S]*?<\/tag>/g) || []).map(tag => this.getElement(tag, 'tag').trim()).filter(tag => tag)
+    };
+    if (notebook) {
+      memo.category = notebook;
+    }
+
+    const date = (name) => {
+      const parsed = IcsUtil.parseDate(this.getElement(meta, name) || '');
+      return parsed ? parsed.timestamp : null;
+    };
+
+    const createdAt = date('created');
+    const updatedAt = date('updated') || createdAt;
+    if (createdAt) memo.createdAt = createdAt;
+    if (updatedAt) memo.updatedAt = updatedAt;
+
+    const reminderAt = date('reminder-time');
+    if (reminderAt) {
+      memo.dueAt = reminderAt;
+      memo.dueHasTime = true;
+    }
+    const doneAt = date('reminder-done-time');
+    if (doneAt) {
+      memo.isCompleted = true;
+      memo.completedAt = doneAt;
+    }
+
+    return memo;
+  },
+
+  /**
+   * 读取第一个同名元素的文本（支持 CDATA）
+   * @param {String} xml - XML 片段
+   * @param {String} name - 元素名
+   * @returns {String|null}
+   */
+  getElement(xml, name) {
+    const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+    if (!match) {
+      return null;
+    }
+
+    const cdata = match[1].match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+    return cdata ? cdata[1] : this.decodeEntities(match[1]);
+  },
+
+  /**
+   * 把 ENML（Evernote 的 XHTML）转换为纯文本
+   * @param {String} enml - ENML
+   * @returns {String}
+   */
+  enmlToText(enml) {
+    const text = enml
+      .replace(/<\?xml[^>]*\?>|<!DOCTYPE[^>]*>/gi, '')
+      .replace(/\r\n?|\n/g, '')
+      // 旧版复选框 <en-todo checked="true"/> 和新版清单 <li style="--en-checked:true;">
+      .replace(/<en-todo\b([^>]*)\/?>(?:<\/en-todo>)?/gi, (match, attrs) => (/checked\s*=\s*"true"/i.test(attrs) ? '- [x] ' : '- [ ] '))
+      .replace(/<li\b([^>]*)>/gi, (match, attrs) => {
+        const checked = attrs.match(/--en-checked\s*:\s*(true|false)/i);
+        if (checked) {
+          return checked[1].toLowerCase() === 'true' ? '\n- [x] ' : '\n- [ ] ';
+        }
+        return '\n- ';
+      })
+      .replace(/<a\b[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+        const linkText = label.replace(/<[^>]+>/g, '').trim();
+        return !linkText || linkText === href ? href : `[${linkText}](${href})`;
+      })
+      .replace(/<en-media\b[^>]*\/?>(?:<\/en-media>)?/gi, '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<hr\s*\/?>/gi, '\n---\n')
+      .replace(/<\/(div|p|h[1-6]|tr|blockquote|pre|ul|ol|table)>/gi, '\n')
+      .replace(/<\/t[dh]>/gi, '\t')
+      .replace(/<[^>]+>/g, '');
+
+    return this.decodeEntities(text)
+      // 清单项的内容通常包在 <div> 中：合并 "- [ ] " 后面多出的换行，去掉列表项之间的空行
+      .replace(/^(- (?:\[[ x]\] )?)\n+/gm, '$1')
+      .replace(/\n+(?=- )/g, '\n')
+      .split('\n')
+      .map(line => line.replace(/[ \t]+$/, ''))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  },
+
+  /**
+   * 还原 HTML 实体
+   * @param {String} text - 文本
+   * @returns {String}
+   */
+  decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+      }
+      const char = this.ENTITIES[entity.toLowerCase()];
+      return char !== undefined ? char : match;
+    });
+  }
+};
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EnexImporter;
+}
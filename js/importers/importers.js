@@ -0,0 +1,101 @@
+/**
+ * 导入适配器
+ * 把其他应用的导出文件转换为 MemoService.previewImport 可以导入的数据
+ *
+ * 每个适配器是一个对象：
+ *   id            - 标识，例如 'keep'
+ *   label         - 显示名称，例如 'Google Keep'
+ *   matches(file) - 根据文件名和内容判断文件（{name, content}）是否为该格式
+ *   parse(files)  - 转换文件，返回 {memos: 备忘录数据数组, skipped: 跳过的条数（例如已删除的笔记）, errors: 错误信息数组}
+ *
+ * 备忘录数据中省略的字段使用 Memo 的默认值；category 可以省略或使用原应用中的名称（例如笔记本、项目），
+ * previewImport 会把不存在的分类转为标签，备忘录放入默认分类。
+ */
+
+const Importers = {
+  /**
+   * 已注册的适配器（按顺序匹配）
+   */
+  list: [MarkdownImporter, KeepImporter, EnexImporter, TodoistImporter],
+
+  /**
+   * 查找能读取该文件的适配器
+   * @param {Object} file - 文件 {name, content}
+   * @returns {Object|null} 适配器
+   */
+  find(file) {
+    return this.list.find(importer => importer.matches(file)) || null;
+  },
+
+  /**
+   * 用对应的适配器转换文件，合并为一份导入数据（无法识别的文件忽略）
+   * @param {Array} files - 文件数组 [{name, content}]
+   * @returns {Object} previewImport 的数据 {source, schemaVersion, memos, skipped, errors}
+   */
+  parse(files) {
+    const data = {
+      source: '',
+      schemaVersion: MemoMigrations.CURRENT_VERSION,
+      memos: [],
+      skipped: 0,
+      errors: []
+    };
+    const sources = [];
+
+    this.list.forEach(importer => {
+      const matched = files.filter(file => this.find(file) === importer);
+      if (matched.length === 0) {
+        return;
+      }
+
+      try {
+        const result = importer.parse(matched);
+        data.memos.push(...result.memos);
+        data.skipped += result.skipped || 0;
+        data.errors.push(...(result.errors || []).map(error => `${importer.label}: ${error}`));
+        sources.push(importer.id);
+      } catch (error) {
+        data.errors.push(`${importer.label}: 读取失败 (${error.message})`);
+      }
+    });
+
+    data.source = sources.join(',');
+    return data;
+  },
+
+  /**
+   * 把清单项转换为内容中的 "- [ ] " 行
+   * @param {Array} items - 清单项 [{text, checked}]
+   * @returns {String}
+   */
+  checklistToContent(items) {
+    return items
+      .filter(item => item.text && item.text.trim())
+      .map(item => `- [${item.checked ? 'x' : ' '}] ${item.text.trim()}`)
+      .join('\n');
+  },
+
+  /**
+   * 截断标题到允许的长度
+   * @param {String} title - 标题
+   * @returns {String}
+   */
+  fitTitle(title) {
+    return (title || '').replace(/\s+/g, ' ').trim().slice(0, 100);
+  },
+
+  /**
+   * 用内容的第一行（去掉 Markdown 标记）作为标题
+   * @param {String} content - 内容
+   * @returns {String}
+   */
+  titleFromContent(content) {
+    const line = (content || '').split('\n').find(text => text.trim()) || '';
+    return this.fitTitle(line.replace(/^\s*(#+|[-*+]\s+\[[ xX]\]|[-*+]|\d+\.)\s*/, ''));
+  }
+};
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Importers;
+}
@@ -0,0 +1,110 @@
+/**
+ * Google Keep 导入适配器
+ * 读取 Google Takeout 导出的 Keep 笔记（每条笔记一个 .json 文件）
+ *
+ * 标签转为备忘录标签，清单转为内容中的 "- [ ] " 行，置顶和归档状态保留，回收站中的笔记跳过。
+ */
+
+const KeepImporter = {
+  id: 'keep',
+  label: 'Google Keep',
+
+  /**
+   * 判断是否为 Keep 笔记文件
+   * @param {Object} file - 文件 {name, content}
+   * @returns {Boolean}
+   */
+  matches(file) {
+    if (!/\.json$/i.test(file.name)) {
+      return false;
+    }
+    const note = this.parseNote(file.content);
+    return note !== null && ('textContent' in note || 'listContent' in note) && 'userEditedTimestampUsec' in note;
+  },
+
+  /**
+   * 解析 JSON（不是对象时返回 null）
+   * @param {String} text - 文件内容
+   * @returns {Object|null}
+   */
+  parseNote(text) {
+    try {
+      const note = JSON.parse(text);
+      return note && typeof note === 'object' && !Array.isArray(note) ? note : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * 转换 Keep 笔记
+   * @param {Array} files - 文件数组 [{name, content}]
+   * @returns {Object} {memos, skipped, errors}
+   */
+  parse(files) {
+    const result = { memos: [], skipped: 0, errors: [] };
+
+    files.forEach(file => {
+      const note = this.parseNote(file.content);
+      if (!note) {
+        result.errors.push(`无法读取 ${file.name}`);
+        return;
+      }
+      if (note.isTrashed) {
+        result.skipped++;
+        return;
+      }
+      result.memos.push(this.toMemo(note, file.name));
+    });
+
+    return result;
+  },
+
+  /**
+   * 把一条 Keep 笔记转换为备忘录数据
+   * @param {Object} note - Keep 笔记
+   * @param {String} filename - 文件名（笔记没有标题和内容时作为标题）
+   * @returns {Object} 备忘录数据
+   */
+  toMemo(note, filename) {
+    const parts = [];
+    if (note.textContent) {
+      parts.push(note.textContent.replace(/\s+$/, ''));
+    }
+    if (Array.isArray(note.listContent) && note.listContent.length > 0) {
+      parts.push(Importers.checklistToContent(note.listContent.map(item => ({
+        text: item.text || '',
+        checked: Boolean(item.isChecked)
+      }))));
+    }
+    (note.annotations || [])
+      .filter(annotation => annotation.url)
+      .forEach(annotation => parts.push(annotation.title ? `[${annotation.title}](${annotation.url})` : annotation.url));
+
+    const content = parts.join('\n\n');
+    const updatedAt = note.userEditedTimestampUsec ? Math.floor(note.userEditedTimestampUsec / 1000) : null;
+    const createdAt = note.createdTimestampUsec ? Math.floor(note.createdTimestampUsec / 1000) : updatedAt;
+
+    const memo = {
+      title: Importers.fitTitle(note.title) || Importers.titleFromContent(content) ||
+        Importers.fitTitle(filename.replace(/^.*\//, '').replace(/\.json$/i, '')),
+      content,
+      tags: (note.labels || []).map(label => label.name).filter(name => name),
+      isPinned: Boolean(note.isPinned)
+    };
+
+    if (createdAt) memo.createdAt = createdAt;
+    if (updatedAt) memo.updatedAt = updatedAt;
+    if (note.isArchived) {
+      memo.isArchived = true;
+      memo.archivedAt = updatedAt || Date.now();
+    }
+
+    return memo;
+  }
+};
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KeepImporter;
+}
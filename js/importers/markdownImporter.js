@@ -0,0 +1,36 @@
+/**
+ * Markdown 导入适配器
+ * 每个 .md 文件一条备忘录，front matter 的字段见 MarkdownUtil.markdownToMemo
+ */
+
+const MarkdownImporter = {
+  id: 'markdown',
+  label: 'Markdown',
+
+  /**
+   * 判断是否为 Markdown 文件
+   * @param {Object} file - 文件 {name, content}
+   * @returns {Boolean}
+   */
+  matches(file) {
+    return /\.(md|markdown)$/i.test(file.name);
+  },
+
+  /**
+   * 转换 Markdown 文件
+   * @param {Array} files - 文件数组 [{name, content}]
+   * @returns {Object} {memos, skipped, errors}
+   */
+  parse(files) {
+    return {
+      memos: files.map(file => MarkdownUtil.markdownToMemo(file.content, file.name)),
+      skipped: 0,
+      errors: []
+    };
+  }
+};
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MarkdownImporter;
+}
@@ -0,0 +1,165 @@
+/**
+ * Todoist 导入适配器
+ * 读取 Todoist 项目导出的 CSV 文件（TYPE、CONTENT、DESCRIPTION、PRIORITY、INDENT、DATE 等列）
+ *
+ * 每个顶层任务一条备忘录，子任务转为内容中的 "- [ ] " 行，评论追加到内容末尾；
+ * 任务名称中的 @标签 和所在的分区转为标签，文件名（项目名称）作为分类，不存在时由 previewImport 转为标签。
+ * Todoist 只导出未完成的任务。
+ */
+
+const TodoistImporter = {
+  id: 'todoist',
+  label: 'Todoist',
+
+  /**
+   * Todoist 优先级（1 最高，4 为默认的无优先级）对应的备忘录优先级
+   */
+  PRIORITIES: { 1: '高', 2: '中', 3: '中', 4: '低' },
+
+  /**
+   * 判断是否为 Todoist 导出的 CSV 文件（根据表头）
+   * @param {Object} file - 文件 {name, content}
+   * @returns {Boolean}
+   */
+  matches(file) {
+    if (!/\.csv$/i.test(file.name)) {
+      return false;
+    }
+    const header = file.content.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0].toUpperCase().split(',').map(name => name.trim());
+    return ['TYPE', 'CONTENT', 'PRIORITY', 'INDENT'].every(name => header.includes(name));
+  },
+
+  /**
+   * 转换 Todoist CSV 文件
+   * @param {Array} files - 文件数组 [{name, content}]
+   * @returns {Object} {memos, skipped, errors}
+   */
+  parse(files) {
+    const result = { memos: [], skipped: 0, errors: [] };
+
+    files.forEach(file => {
+      const [header, ...rows] = CsvUtil.parse(file.content, ',');
+      const columns = {};
+      header.forEach((name, index) => {
+        columns[name.trim().toUpperCase()] = index;
+      });
+      const cell = (row, name) => (columns[name] !== undefined && row[columns[name]] !== undefined ? row[columns[name]].trim() : '');
+
+      const project = file.name.replace(/^.*\//, '').replace(/\.csv$/i, '').trim();
+      let section = '';
+      let current = null;
+
+      rows.forEach(row => {
+        const type = cell(row, 'TYPE').toLowerCase();
+        const text = cell(row, 'CONTENT');
+
+        if (type === 'section') {
+          section = text;
+          current = null;
+        } else if (type === 'note') {
+          if (current && text) {
+            current.content = (current.content ? current.content + '\n\n' : '') + text;
+          }
+        } else if (type === 'task') {
+          const indent = parseInt(cell(row, 'INDENT'), 10) || 1;
+          if (indent > 1 && current) {
+            const { title } = this.splitLabels(text);
+            const line = '  '.repeat(indent - 2) + Importers.checklistToContent([{ text: title, checked: false }]);
+            current.content = (current.content ? current.content + '\n' : '') + line;
+            return;
+          }
+
+          current = this.toMemo(row, cell, section, project);
+          result.memos.push(current);
+        } else if (type) {
+          result.skipped++;
+        }
+      });
+    });
+
+    return result;
+  },
+
+  /**
+   * 把一个顶层任务转换为备忘录数据
+   * @param {Array} row - CSV 行
+   * @param {Function} cell - 按列名读取单元格
+   * @param {String} section - 所在分区
+   * @param {String} project - 项目名称
+   * @returns {Object} 备忘录数据
+   */
+  toMemo(row, cell, section, project) {
+    const { title, labels } = this.splitLabels(cell(row, 'CONTENT'));
+    const memo = {
+      title: Importers.fitTitle(title),
+      content: cell(row, 'DESCRIPTION'),
+      tags: [...new Set([...labels, ...(section ? [section] : [])])]
+    };
+
+    if (project) {
+      memo.category = project;
+    }
+
+    const priority = this.PRIORITIES[parseInt(cell(row, 'PRIORITY'), 10)];
+    if (priority) {
+      memo.priority = priority;
+    }
+
+    // 日期可能是自然语言（例如 "every monday"），无法识别时保留在内容中
+    const date = cell(row, 'DATE');
+    if (date) {
+      const due = this.parseDate(date);
+      if (due) {
+        memo.dueAt = due.timestamp;
+        memo.dueHasTime = due.hasTime;
+      } else {
+        memo.content = (memo.content ? memo.content + '\n\n' : '') + `日期: ${date}`;
+      }
+    }
+
+    return memo;
+  },
+
+  /**
+   * 拆分任务名称中的 @标签
+   * @param {String} text - 任务名称
+   * @returns {Object} {title, labels}
+   */
+  splitLabels(text) {
+    const labels = [];
+    const title = text.replace(/(^|\s)@([^\s@]+)/g, (match, space, label) => {
+      labels.push(label);
+      return space;
+    }).replace(/\s{2,}/g, ' ').trim();
+
+    return { title: title || text, labels };
+  },
+
+  /**
+   * 解析日期（只识别具体日期，例如 2025-10-27、2025-10-27 14:30、Oct 27 2025）
+   * @param {String} text - 日期文本
+   * @returns {Object|null} {timestamp, hasTime}
+   */
+  parseDate(text) {
+    const match = text.match(/^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}))?/);
+    if (match) {
+      const timestamp = DateUtil.fromInputValues(match[1], match[2] || '');
+      return timestamp ? { timestamp, hasTime: Boolean(match[2]) } : null;
+    }
+
+    if (!/\d{4}/.test(text)) {
+      return null;
+    }
+    const timestamp = DateUtil.parse(text);
+    if (timestamp === null) {
+      return null;
+    }
+    const date = new Date(timestamp);
+    return { timestamp, hasTime: date.getHours() !== 0 || date.getMinutes() !== 0 };
+  }
+};
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TodoistImporter;
+}
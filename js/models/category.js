@@ -0,0 +1,85 @@
+/**
+ * 分类数据模型
+ * 定义分类的数据结构和基本验证
+ */
+
+class Category {
+  /**
+   * 默认分类（首次使用时创建）
+   */
+  static DEFAULTS = [
+    { name: '工作', color: '#3498db', icon: '💼' },
+    { name: '生活', color: '#27ae60', icon: '🏠' },
+    { name: '学习', color: '#8e44ad', icon: '📚' },
+    { name: '其他', color: '#95a5a6', icon: '📌' }
+  ];
+
+  /**
+   * 构造函数
+   * @param {Object} data - 分类数据
+   */
+  constructor(data = {}) {
+    this.id = data.id || Memo.prototype.generateId();
+    this.name = data.name || '';
+    this.color = data.color || '#95a5a6';
+    this.icon = data.icon || '';
+    this.order = data.order || 0;
+  }
+
+  /**
+   * 验证分类数据
+   * @returns {Object} 验证结果 {isValid, errors}
+   */
+  validate() {
+    const errors = [];
+
+    if (!this.name || this.name.trim() === '') {
+      errors.push('分类名称不能为空');
+    }
+
+    if (this.name.length > 20) {
+      errors.push('分类名称长度不能超过20个字符');
+    }
+
+    if (!/^#[0-9a-fA-F]{6}$/.test(this.color)) {
+      errors.push('分类颜色格式无效');
+    }
+
+    if (this.icon.length > 8) {
+      errors.push('分类图标不能超过8个字符');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * 转换为普通对象
+   * @returns {Object} 分类对象
+   */
+  toObject() {
+    return {
+      id: this.id,
+      name: this.name,
+      color: this.color,
+      icon: this.icon,
+      order: this.order
+    };
+  }
+
+  /**
+   * 从对象创建 Category 实例
+   * @param {Object} obj - 普通对象
+   * @returns {Category} Category 实例
+   */
+  static fromObject(obj) {
+    return new Category(obj);
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Category;
+}
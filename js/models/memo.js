@@ -4,6 +4,16 @@
  */
 
 class Memo {
+  /**
+   * 每条备忘录最多保留的历史版本数
+   */
+  static MAX_REVISIONS = 20;
+
+  /**
+   * 记录历史版本的字段
+   */
+  static REVISION_FIELDS = ['title', 'content', 'category', 'priority', 'tags', 'dueAt', 'dueHasTime'];
+
   /**
    * 构造函数
    * @param {Object} data - 备忘录数据
@@ -18,6 +28,33 @@ class Memo {
     this.createdAt = data.createdAt || Date.now();
     this.updatedAt = data.updatedAt || Date.now();
     this.isCompleted = data.isCompleted || false;
+    // 完成时间，旧数据缺失时以最后更新时间代替
+    this.completedAt = data.completedAt || (this.isCompleted ? this.updatedAt : null);
+    this.isPinned = data.isPinned || false;
+    this.isArchived = data.isArchived || false;
+    this.archivedAt = data.archivedAt || null;
+    // 手动排序位置（升序），默认按创建时间倒序排列
+    this.order = typeof data.order === 'number' ? data.order : -this.createdAt;
+    this.dueAt = data.dueAt || null;
+    this.dueHasTime = data.dueHasTime || false;
+    this.checklist = (data.checklist || []).map(item => ({ ...item }));
+    this.autoCompleteChecklist = data.autoCompleteChecklist || false;
+    // 星期几统一为数字（导入的数据中可能是字符串）
+    this.recurrence = data.recurrence
+      ? {
+        ...data.recurrence,
+        weekdays: Array.isArray(data.recurrence.weekdays) ? data.recurrence.weekdays.map(day => Number(day)) : []
+      }
+      : null;
+    this.seriesId = data.seriesId || (this.recurrence ? this.id : null);
+    this.nextOccurrenceId = data.nextOccurrenceId || null;
+    // 内容中 [[标题]] 链接解析出的目标备忘录ID，用于在目标重命名后保持链接
+    this.links = [...(data.links || [])];
+    this.revisions = (data.revisions || []).map(revision => ({
+      ...revision,
+      fields: [...revision.fields],
+      snapshot: { ...revision.snapshot, tags: [...(revision.snapshot.tags || [])] }
+    }));
   }
 
   /**
@@ -38,7 +75,18 @@ class Memo {
    * @returns {Memo} 返回当前实例
    */
   update(updates) {
-    const allowedFields = ['title', 'content', 'category', 'priority', 'tags', 'isCompleted'];
+    const allowedFields = ['title', 'content', 'category', 'priority', 'tags', 'isCompleted', 'isPinned', 'dueAt', 'dueHasTime', 'checklist', 'autoCompleteChecklist', 'recurrence'];
+
+    // 只在清单项变化时应用自动完成规则，否则无法手动把全部勾选的备忘录改回未完成
+    const checklistChanged = 'checklist' in updates &&
+      JSON.stringify(updates.checklist) !== JSON.stringify(this.checklist);
+    
+    const changedFields = Memo.REVISION_FIELDS.filter(key =>
+      key in updates && JSON.stringify(updates[key]) !== JSON.stringify(this[key])
+    );
+    if (changedFields.length > 0) {
+      this.addRevision(changedFields);
+    }
     
     Object.keys(updates).forEach(key => {
       if (allowedFields.includes(key)) {
@@ -46,10 +94,80 @@ class Memo {
       }
     });
     
+    if (this.recurrence && !this.seriesId) {
+      this.seriesId = this.id;
+    }
+    
+    if (checklistChanged) {
+      this.applyChecklistRule();
+    }
     this.updatedAt = Date.now();
+    this.syncCompletedAt();
     return this;
   }
 
+  /**
+   * 根据完成状态同步完成时间
+   */
+  syncCompletedAt() {
+    if (!this.isCompleted) {
+      this.completedAt = null;
+    } else if (!this.completedAt) {
+      this.completedAt = Date.now();
+    }
+  }
+
+  /**
+   * 记录当前内容为一个历史版本（超出上限时丢弃最旧的版本）
+   * @param {Array} fields - 本次修改的字段
+   * @returns {Object} 历史版本 {id, savedAt, fields, snapshot}
+   */
+  addRevision(fields) {
+    const revision = {
+      id: this.generateId(),
+      savedAt: this.updatedAt,
+      fields: [...fields],
+      snapshot: this.getRevisionSnapshot()
+    };
+
+    this.revisions.unshift(revision);
+    this.revisions.splice(Memo.MAX_REVISIONS);
+    return revision;
+  }
+
+  /**
+   * 获取当前内容的版本快照
+   * @returns {Object} 快照 {title, content, category, priority, tags, dueAt, dueHasTime}
+   */
+  getRevisionSnapshot() {
+    return {
+      title: this.title,
+      content: this.content,
+      category: this.category,
+      priority: this.priority,
+      tags: [...this.tags],
+      dueAt: this.dueAt,
+      dueHasTime: this.dueHasTime
+    };
+  }
+
+  /**
+   * 根据ID获取历史版本
+   * @param {String} revisionId - 版本ID
+   * @returns {Object|null} 历史版本
+   */
+  getRevision(revisionId) {
+    return this.revisions.find(revision => revision.id === revisionId) || null;
+  }
+
+  /**
+   * 获取历史版本占用的存储大小（按序列化后的字符数计算，与 StorageManager.getSize 一致）
+   * @returns {Number} 字节数
+   */
+  getRevisionsSize() {
+    return this.revisions.length > 0 ? JSON.stringify(this.revisions).length : 0;
+  }
+
   /**
    * 切换完成状态
    * @returns {Memo} 返回当前实例
@@ -57,6 +175,273 @@ class Memo {
   toggleComplete() {
     this.isCompleted = !this.isCompleted;
     this.updatedAt = Date.now();
+    this.syncCompletedAt();
+    return this;
+  }
+
+  /**
+   * 获取截止时间点
+   * 未指定具体时间的截止日期以当天结束为准
+   * @returns {Number|null} 截止时间戳或null
+   */
+  getDueDeadline() {
+    if (!this.dueAt) {
+      return null;
+    }
+
+    if (this.dueHasTime) {
+      return this.dueAt;
+    }
+
+    const date = new Date(this.dueAt);
+    date.setHours(23, 59, 59, 999);
+    return date.getTime();
+  }
+
+  /**
+   * 判断是否已逾期（已完成的备忘录不算逾期）
+   * @param {Number} now - 当前时间戳
+   * @returns {Boolean} 是否逾期
+   */
+  isOverdue(now = Date.now()) {
+    const deadline = this.getDueDeadline();
+    return !this.isCompleted && deadline !== null && deadline < now;
+  }
+
+  /**
+   * 创建清单项
+   * @param {String} text - 清单项文本
+   * @returns {Object} 清单项 {id, text, isCompleted, createdAt, updatedAt, completedAt}
+   */
+  static createChecklistItem(text) {
+    const now = Date.now();
+    return {
+      id: Memo.prototype.generateId(),
+      text,
+      isCompleted: false,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+  }
+
+  /**
+   * 添加清单项
+   * @param {String} text - 清单项文本
+   * @returns {Object|null} 新增的清单项
+   */
+  addChecklistItem(text) {
+    if (!text || text.trim() === '') {
+      return null;
+    }
+
+    const item = Memo.createChecklistItem(text.trim());
+    this.checklist.push(item);
+    this.updatedAt = Date.now();
+    return item;
+  }
+
+  /**
+   * 移除清单项
+   * @param {String} itemId - 清单项ID
+   * @returns {Memo} 返回当前实例
+   */
+  removeChecklistItem(itemId) {
+    const index = this.checklist.findIndex(item => item.id === itemId);
+    if (index > -1) {
+      this.checklist.splice(index, 1);
+      this.applyChecklistRule();
+      this.updatedAt = Date.now();
+    }
+    return this;
+  }
+
+  /**
+   * 切换清单项完成状态
+   * @param {String} itemId - 清单项ID
+   * @returns {Object|null} 被切换的清单项
+   */
+  toggleChecklistItem(itemId) {
+    const item = this.checklist.find(entry => entry.id === itemId);
+    if (!item) {
+      return null;
+    }
+
+    const now = Date.now();
+    item.isCompleted = !item.isCompleted;
+    item.completedAt = item.isCompleted ? now : null;
+    item.updatedAt = now;
+    this.applyChecklistRule();
+    this.updatedAt = now;
+    return item;
+  }
+
+  /**
+   * 移动清单项位置
+   * @param {String} itemId - 清单项ID
+   * @param {Number} toIndex - 目标位置
+   * @returns {Memo} 返回当前实例
+   */
+  moveChecklistItem(itemId, toIndex) {
+    const fromIndex = this.checklist.findIndex(item => item.id === itemId);
+    if (fromIndex === -1) {
+      return this;
+    }
+
+    const target = Math.max(0, Math.min(toIndex, this.checklist.length - 1));
+    const [item] = this.checklist.splice(fromIndex, 1);
+    this.checklist.splice(target, 0, item);
+    this.updatedAt = Date.now();
+    return this;
+  }
+
+  /**
+   * 获取清单完成进度
+   * @returns {Object} 进度 {completed, total}
+   */
+  getChecklistProgress() {
+    return {
+      completed: this.checklist.filter(item => item.isCompleted).length,
+      total: this.checklist.length
+    };
+  }
+
+  /**
+   * 应用清单自动完成规则：开启后，清单全部勾选时自动完成备忘录
+   */
+  applyChecklistRule() {
+    if (!this.autoCompleteChecklist || this.checklist.length === 0) {
+      return;
+    }
+
+    const { completed, total } = this.getChecklistProgress();
+    if (completed === total) {
+      this.isCompleted = true;
+      this.syncCompletedAt();
+    }
+  }
+
+  /**
+   * 计算下一次重复的截止时间
+   * 以当前截止时间为基准（未设置时以 from 为基准），保留原有的时刻
+   * @param {Number} from - 未设置截止时间时的基准时间戳
+   * @returns {Number|null} 下一次截止时间戳，无重复规则或已超出结束日期时返回null
+   */
+  getNextDueAt(from = Date.now()) {
+    const rule = this.recurrence;
+    if (!rule) {
+      return null;
+    }
+
+    const base = new Date(this.dueAt || from);
+    const next = new Date(base);
+    const interval = Math.max(1, parseInt(rule.interval, 10) || 1);
+
+    switch (rule.type) {
+      case 'daily':
+        next.setDate(base.getDate() + 1);
+        break;
+
+      case 'interval':
+        next.setDate(base.getDate() + interval);
+        break;
+
+      case 'weekly': {
+        const weekdays = rule.weekdays && rule.weekdays.length > 0
+          ? rule.weekdays
+          : [base.getDay()];
+        // 最多向后查找 7 天，规则中没有有效的星期几时不再生成下一次
+        let found = false;
+        for (let step = 0; step < 7 && !found; step++) {
+          next.setDate(next.getDate() + 1);
+          found = weekdays.includes(next.getDay());
+        }
+        if (!found) {
+          return null;
+        }
+        break;
+      }
+
+      case 'monthly': {
+        const day = rule.dayOfMonth || base.getDate();
+        next.setDate(1);
+        next.setMonth(base.getMonth() + 1);
+        // 当月天数不足时取月末（例如 31 号在 2 月取 28/29 号）
+        const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+        next.setDate(Math.min(day, lastDay));
+        break;
+      }
+
+      default:
+        return null;
+    }
+
+    if (rule.until && next.getTime() > rule.until) {
+      return null;
+    }
+
+    return next.getTime();
+  }
+
+  /**
+   * 生成系列中的下一次备忘录
+   * @param {Number} from - 未设置截止时间时的基准时间戳
+   * @returns {Memo|null} 新的备忘录实例，系列已结束时返回null
+   */
+  createNextOccurrence(from = Date.now()) {
+    const nextDueAt = this.getNextDueAt(from);
+    if (nextDueAt === null) {
+      return null;
+    }
+
+    const data = this.toObject();
+    delete data.id;
+    delete data.createdAt;
+    delete data.updatedAt;
+    delete data.order;
+
+    return new Memo({
+      ...data,
+      isCompleted: false,
+      completedAt: null,
+      isArchived: false,
+      archivedAt: null,
+      dueAt: nextDueAt,
+      dueHasTime: this.dueAt ? this.dueHasTime : false,
+      checklist: this.checklist.map(item => Memo.createChecklistItem(item.text)),
+      seriesId: this.seriesId || this.id,
+      nextOccurrenceId: null,
+      revisions: []
+    });
+  }
+
+  /**
+   * 切换置顶状态
+   * @returns {Memo} 返回当前实例
+   */
+  togglePin() {
+    this.isPinned = !this.isPinned;
+    this.updatedAt = Date.now();
+    return this;
+  }
+
+  /**
+   * 归档备忘录
+   * @returns {Memo} 返回当前实例
+   */
+  archive() {
+    this.isArchived = true;
+    this.archivedAt = Date.now();
+    return this;
+  }
+
+  /**
+   * 取消归档
+   * @returns {Memo} 返回当前实例
+   */
+  unarchive() {
+    this.isArchived = false;
+    this.archivedAt = null;
     return this;
   }
 
@@ -89,9 +474,10 @@ class Memo {
 
   /**
    * 验证备忘录数据
+   * @param {Array|null} validCategories - 有效的分类名称（来自分类列表），为空时只检查是否填写
    * @returns {Object} 验证结果 {isValid, errors}
    */
-  validate() {
+  validate(validCategories = null) {
     const errors = [];
 
     if (!this.title || this.title.trim() === '') {
@@ -106,9 +492,10 @@ class Memo {
       errors.push('内容长度不能超过5000个字符');
     }
 
-    const validCategories = ['工作', '生活', '学习', '其他'];
-    if (!validCategories.includes(this.category)) {
-      errors.push('分类必须是：工作、生活、学习、其他之一');
+    if (!this.category || this.category.trim() === '') {
+      errors.push('分类不能为空');
+    } else if (validCategories && !validCategories.includes(this.category)) {
+      errors.push(`分类必须是：${validCategories.join('、')}之一`);
     }
 
     const validPriorities = ['高', '中', '低'];
@@ -116,6 +503,47 @@ class Memo {
       errors.push('优先级必须是：高、中、低之一');
     }
 
+    if (this.dueAt !== null && (typeof this.dueAt !== 'number' || !isFinite(this.dueAt))) {
+      errors.push('截止时间格式无效');
+    }
+
+    // 与 Validator.validateRecurrence 的规则一致
+    if (this.recurrence) {
+      const rule = this.recurrence;
+      const validTypes = ['daily', 'weekly', 'monthly', 'interval'];
+      const interval = Number(rule.interval);
+      const dayOfMonth = Number(rule.dayOfMonth);
+
+      if (!validTypes.includes(rule.type)) {
+        errors.push('重复类型必须是：每天、每周、每月、每隔N天之一');
+      } else if (rule.type === 'interval' && (!Number.isInteger(interval) || interval < 1 || interval > 365)) {
+        errors.push('重复间隔必须是1到365之间的整数');
+      } else if (rule.type === 'weekly' &&
+        (rule.weekdays.length === 0 || rule.weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+        errors.push('每周重复至少需要选择一天');
+      } else if (rule.type === 'monthly' && (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31)) {
+        errors.push('每月重复的日期必须是1到31之间的整数');
+      }
+
+      if (rule.until !== undefined && rule.until !== null && (typeof rule.until !== 'number' || !isFinite(rule.until))) {
+        errors.push('重复结束日期格式无效');
+      }
+    }
+
+    if (!Array.isArray(this.checklist)) {
+      errors.push('清单必须是数组');
+    } else {
+      if (this.checklist.length > 100) {
+        errors.push('清单项数量不能超过100个');
+      }
+      if (this.checklist.some(item => !item || !item.text || item.text.trim() === '')) {
+        errors.push('清单项内容不能为空');
+      }
+      if (this.checklist.some(item => item && item.text && item.text.length > 200)) {
+        errors.push('清单项长度不能超过200个字符');
+      }
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -136,7 +564,27 @@ class Memo {
       tags: [...this.tags],
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
-      isCompleted: this.isCompleted
+      isCompleted: this.isCompleted,
+      completedAt: this.completedAt,
+      isPinned: this.isPinned,
+      isArchived: this.isArchived,
+      archivedAt: this.archivedAt,
+      order: this.order,
+      dueAt: this.dueAt,
+      dueHasTime: this.dueHasTime,
+      checklist: this.checklist.map(item => ({ ...item })),
+      autoCompleteChecklist: this.autoCompleteChecklist,
+      recurrence: this.recurrence
+        ? { ...this.recurrence, weekdays: [...(this.recurrence.weekdays || [])] }
+        : null,
+      seriesId: this.seriesId,
+      nextOccurrenceId: this.nextOccurrenceId,
+      links: [...this.links],
+      revisions: this.revisions.map(revision => ({
+        ...revision,
+        fields: [...revision.fields],
+        snapshot: { ...revision.snapshot, tags: [...revision.snapshot.tags] }
+      }))
     };
   }
 
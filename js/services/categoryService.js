@@ -0,0 +1,252 @@
+/**
+ * 分类管理服务
+ * 维护持久化的分类列表，是分类名称、颜色和图标的唯一来源
+ */
+
+class CategoryService {
+  /**
+   * 构造函数
+   * @param {StorageManager} storageManager - 存储管理器实例
+   */
+  constructor(storageManager) {
+    this.storage = storageManager;
+    this.storageKey = 'categories';
+    this.categories = this.loadCategories();
+
+    // 首次使用时持久化默认分类，保证分类ID稳定
+    if (!this.storage.has(this.storageKey)) {
+      this.saveCategories();
+    }
+  }
+
+  /**
+   * 从存储中加载分类（首次使用时创建默认分类）
+   * @returns {Array} 分类数组
+   */
+  loadCategories() {
+    const categoriesData = this.storage.get(this.storageKey, null);
+
+    if (!Array.isArray(categoriesData) || categoriesData.length === 0) {
+      return Category.DEFAULTS.map((data, index) => new Category({ ...data, order: index }));
+    }
+
+    return categoriesData.map(data => Category.fromObject(data));
+  }
+
+  /**
+   * 重新从存储中加载分类（其他标签页修改数据后调用）
+   */
+  reload() {
+    this.categories = this.loadCategories();
+  }
+
+  /**
+   * 保存所有分类到存储
+   * @returns {Boolean} 是否保存成功
+   */
+  saveCategories() {
+    const categoriesData = this.categories.map(category => category.toObject());
+    return this.storage.set(this.storageKey, categoriesData);
+  }
+
+  /**
+   * 获取分类快照（用于回滚）
+   * @returns {Array} 分类对象数组
+   */
+  captureState() {
+    return this.categories.map(category => category.toObject());
+  }
+
+  /**
+   * 恢复分类快照（只修改内存）
+   * @param {Array} state - 分类对象数组
+   */
+  restoreState(state) {
+    this.categories = state.map(data => Category.fromObject(data));
+  }
+
+  /**
+   * 获取所有分类（按顺序）
+   * @returns {Array} 分类数组
+   */
+  getAll() {
+    return [...this.categories].sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * 获取所有分类名称（按顺序）
+   * @returns {Array} 分类名称数组
+   */
+  getNames() {
+    return this.getAll().map(category => category.name);
+  }
+
+  /**
+   * 根据ID获取分类
+   * @param {String} id - 分类ID
+   * @returns {Category|null} 分类实例或null
+   */
+  getById(id) {
+    return this.categories.find(category => category.id === id) || null;
+  }
+
+  /**
+   * 根据名称获取分类
+   * @param {String} name - 分类名称
+   * @returns {Category|null} 分类实例或null
+   */
+  getByName(name) {
+    return this.categories.find(category => category.name === name) || null;
+  }
+
+  /**
+   * 获取新建备忘录的默认分类名称（优先"其他"，否则为最后一个分类）
+   * @returns {String} 分类名称
+   */
+  getDefaultName() {
+    const names = this.getNames();
+    return names.includes('其他') ? '其他' : names[names.length - 1];
+  }
+
+  /**
+   * 添加分类（只修改内存，由调用方负责保存）
+   * @param {Object} data - 分类数据 {name, color, icon}
+   * @returns {Object} 结果 {success, category, errors}
+   */
+  add(data) {
+    const result = {
+      success: false,
+      category: null,
+      errors: []
+    };
+
+    const category = new Category({
+      ...data,
+      name: (data.name || '').trim(),
+      order: this.categories.reduce((max, item) => Math.max(max, item.order), -1) + 1
+    });
+
+    result.errors = this.validateCategory(category);
+    if (result.errors.length > 0) {
+      return result;
+    }
+
+    this.categories.push(category);
+    result.success = true;
+    result.category = category;
+    return result;
+  }
+
+  /**
+   * 更新分类（只修改内存，由调用方负责保存）
+   * @param {String} id - 分类ID
+   * @param {Object} updates - 更新的字段 {name, color, icon}
+   * @returns {Object} 结果 {success, category, oldName, errors}
+   */
+  update(id, updates) {
+    const result = {
+      success: false,
+      category: null,
+      oldName: null,
+      errors: []
+    };
+
+    const category = this.getById(id);
+    if (!category) {
+      result.errors.push('分类不存在');
+      return result;
+    }
+
+    const candidate = new Category({
+      ...category.toObject(),
+      ...updates,
+      name: updates.name !== undefined ? updates.name.trim() : category.name
+    });
+
+    result.errors = this.validateCategory(candidate);
+    if (result.errors.length > 0) {
+      return result;
+    }
+
+    result.oldName = category.name;
+    Object.assign(category, candidate);
+    result.success = true;
+    result.category = category;
+    return result;
+  }
+
+  /**
+   * 按给定的ID顺序重新排序（只修改内存，由调用方负责保存）
+   * @param {Array} ids - 分类ID数组
+   * @returns {Object} 结果 {success, errors}
+   */
+  reorder(ids) {
+    const result = {
+      success: false,
+      errors: []
+    };
+
+    if (ids.length !== this.categories.length || ids.some(id => !this.getById(id))) {
+      result.errors.push('分类顺序无效');
+      return result;
+    }
+
+    ids.forEach((id, index) => {
+      this.getById(id).order = index;
+    });
+
+    result.success = true;
+    return result;
+  }
+
+  /**
+   * 删除分类（只修改内存，由调用方负责保存）
+   * @param {String} id - 分类ID
+   * @returns {Object} 结果 {success, category, errors}
+   */
+  remove(id) {
+    const result = {
+      success: false,
+      category: null,
+      errors: []
+    };
+
+    const index = this.categories.findIndex(category => category.id === id);
+    if (index === -1) {
+      result.errors.push('分类不存在');
+      return result;
+    }
+
+    if (this.categories.length === 1) {
+      result.errors.push('至少需要保留一个分类');
+      return result;
+    }
+
+    [result.category] = this.categories.splice(index, 1);
+    result.success = true;
+    return result;
+  }
+
+  /**
+   * 验证分类（包括名称唯一性）
+   * @param {Category} category - 分类实例
+   * @returns {Array} 错误信息数组
+   */
+  validateCategory(category) {
+    const errors = category.validate().errors;
+
+    const duplicate = this.categories.find(item =>
+      item.id !== category.id && item.name === category.name
+    );
+    if (duplicate) {
+      errors.push('分类名称已存在');
+    }
+
+    return errors;
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CategoryService;
+}
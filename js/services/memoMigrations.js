@@ -0,0 +1,102 @@
+/**
+ * 备忘录数据结构迁移
+ * 按版本顺序升级旧版本的备忘录数据（本地存储和导出文件）
+ *
+ * 每个迁移步骤接收普通对象数组并返回新数组，不修改传入的数据；
+ * 步骤只补全缺失的字段，重复执行不会改变结果。
+ */
+
+const MemoMigrations = {
+  /**
+   * 当前数据结构版本
+   */
+  CURRENT_VERSION: 5,
+
+  /**
+   * 迁移步骤（按版本号升序），version 为执行后的版本号
+   */
+  steps: [
+    {
+      version: 2,
+      description: '补全截止时间、清单和重复规则字段',
+      migrate: memos => memos.map(memo => ({
+        ...memo,
+        dueAt: memo.dueAt || null,
+        dueHasTime: memo.dueHasTime || false,
+        checklist: Array.isArray(memo.checklist) ? memo.checklist : [],
+        autoCompleteChecklist: memo.autoCompleteChecklist || false,
+        recurrence: memo.recurrence || null,
+        seriesId: memo.seriesId || (memo.recurrence ? memo.id : null),
+        nextOccurrenceId: memo.nextOccurrenceId || null,
+        revisions: Array.isArray(memo.revisions) ? memo.revisions : []
+      }))
+    },
+    {
+      version: 3,
+      description: '补全置顶和手动排序字段',
+      migrate: memos => memos.map(memo => ({
+        ...memo,
+        isPinned: memo.isPinned || false,
+        order: typeof memo.order === 'number' ? memo.order : -(memo.createdAt || 0)
+      }))
+    },
+    {
+      version: 4,
+      description: '补全完成时间和归档字段',
+      migrate: memos => memos.map(memo => ({
+        ...memo,
+        completedAt: memo.completedAt || (memo.isCompleted ? memo.updatedAt || null : null),
+        isArchived: memo.isArchived || false,
+        archivedAt: memo.archivedAt || null
+      }))
+    },
+    {
+      version: 5,
+      description: '补全备忘录链接字段',
+      migrate: memos => memos.map(memo => ({
+        ...memo,
+        links: Array.isArray(memo.links) ? memo.links : []
+      }))
+    }
+  ],
+
+  /**
+   * 判断指定版本的数据是否需要迁移
+   * @param {Number} version - 数据版本
+   * @returns {Boolean}
+   */
+  needsMigration(version) {
+    return version < this.CURRENT_VERSION;
+  },
+
+  /**
+   * 将备忘录数据从指定版本迁移到当前版本
+   * 任一步骤失败时抛出错误，传入的数据保持不变
+   * @param {Array} memos - 备忘录对象数组
+   * @param {Number} fromVersion - 数据当前版本
+   * @returns {Array} 迁移后的备忘录对象数组
+   */
+  migrate(memos, fromVersion) {
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+      throw new Error(`无效的数据版本: ${fromVersion}`);
+    }
+    if (fromVersion > this.CURRENT_VERSION) {
+      throw new Error(`数据版本 ${fromVersion} 高于当前支持的版本 ${this.CURRENT_VERSION}，请升级应用`);
+    }
+
+    return this.steps
+      .filter(step => step.version > fromVersion)
+      .reduce((result, step) => {
+        try {
+          return step.migrate(result);
+        } catch (error) {
+          throw new Error(`迁移到版本 ${step.version}（${step.description}）失败: ${error.message}`);
+        }
+      }, memos);
+  }
+};
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MemoMigrations;
+}
@@ -4,541 +4,3364 @@
  */
 
 class MemoService {
+  /**
+   * 默认设置
+   */
+  static DEFAULT_SETTINGS = {
+    trashRetentionDays: 30,
+    autoArchiveDays: 0,
+    storageWarningThresholds: [80, 95]
+  };
+
+  /**
+   * CSV 导出/导入可用的列（key 为备忘录字段，aliases 用于导入时自动匹配表头）
+   */
+  static CSV_COLUMNS = [
+    { key: 'title', label: '标题', aliases: ['title', 'name', '名称', '主题'] },
+    { key: 'content', label: '内容', aliases: ['content', 'body', 'description', 'notes', '描述', '备注', '正文'] },
+    { key: 'category', label: '分类', aliases: ['category', '类别'] },
+    { key: 'priority', label: '优先级', aliases: ['priority'] },
+    { key: 'tags', label: '标签', aliases: ['tags', 'tag', 'labels'] },
+    { key: 'isCompleted', label: '已完成', aliases: ['completed', 'done', 'iscompleted', '完成', '状态'] },
+    { key: 'dueAt', label: '截止时间', aliases: ['due', 'dueat', 'due date', 'deadline', '截止日期', '到期时间'] },
+    { key: 'createdAt', label: '创建时间', aliases: ['created', 'createdat', 'created at', '创建日期'] },
+    { key: 'updatedAt', label: '更新时间', aliases: ['updated', 'updatedat', 'updated at', 'modified', '修改时间'] },
+    { key: 'completedAt', label: '完成时间', aliases: ['completedat', 'completed at'] },
+    { key: 'isPinned', label: '置顶', aliases: ['pinned', 'ispinned'] },
+    { key: 'isArchived', label: '已归档', aliases: ['archived', 'isarchived', '归档'] },
+    { key: 'id', label: 'ID', aliases: ['id', 'uuid'] }
+  ];
+
+  /**
+   * CSV 默认导出的列
+   */
+  static CSV_DEFAULT_COLUMNS = ['title', 'content', 'category', 'priority', 'tags', 'isCompleted', 'dueAt', 'createdAt', 'updatedAt'];
+
+  /**
+   * 优先级对应的 iCalendar PRIORITY（1 最高，9 最低）
+   */
+  static ICS_PRIORITIES = { 高: 1, 中: 5, 低: 9 };
+
+  /**
+   * 导入预览时比较的字段（ID 相同且这些字段都相同的记录视为相同）
+   */
+  static IMPORT_FIELDS = [
+    { key: 'title', label: '标题' },
+    { key: 'content', label: '内容' },
+    { key: 'category', label: '分类' },
+    { key: 'priority', label: '优先级' },
+    { key: 'tags', label: '标签' },
+    { key: 'dueAt', label: '截止时间' },
+    { key: 'dueHasTime', label: '截止时间' },
+    { key: 'isCompleted', label: '完成状态' },
+    { key: 'isPinned', label: '置顶' },
+    { key: 'isArchived', label: '归档' },
+    { key: 'checklist', label: '清单' },
+    { key: 'recurrence', label: '重复' }
+  ];
+
+  /**
+   * 导入冲突的处理方式：mine 保留本机版本，theirs 使用导入的版本，both 两者都保留（导入的版本使用新ID），
+   * newer 保留更新时间较晚的版本
+   */
+  static IMPORT_RESOLUTIONS = ['mine', 'theirs', 'both', 'newer'];
+
   /**
    * 构造函数
    * @param {StorageManager} storageManager - 存储管理器实例
    */
   constructor(storageManager) {
     this.storage = storageManager;
-    this.storageKey = 'memos';
+    this.storageKey = 'memos'; // 旧版本的单键存储格式
+    this.indexKey = 'memoIndex';
+    this.memoKeyPrefix = 'memo:';
+    this.persistedIndex = [];
+    this.persistedMemos = new Map();
+    // 备忘录仍只保存在旧版本的 memos 键中（转换为逐条存储失败时），保存时继续写入该键
+    this.legacyLayout = false;
+    this.trashKey = 'trash';
+    this.settingsKey = 'settings';
+    this.schemaVersionKey = 'schemaVersion';
+    this.migrationError = null;
+    this.recoveryService = new RecoveryService(storageManager);
+    this.recoveredEntries = [];
+    this.recoveryError = null;
+    this.quarantineCorruptKeys();
+    this.settings = this.loadSettings();
+    this.categoryService = new CategoryService(storageManager);
+    this.snapshotService = new SnapshotService(storageManager);
     this.memos = this.loadMemos();
+    this.trash = this.loadTrash();
+    this.undoStack = [];
+    this.redoStack = [];
+    this.historyLimit = 50;
+    this.historyCounter = 0;
   }
 
   /**
-   * 从存储中加载所有备忘录
-   * @returns {Array} 备忘录数组
+   * 从存储中加载设置（缺失项使用默认值）
+   * @returns {Object} 设置对象
    */
-  loadMemos() {
-    const memosData = this.storage.get(this.storageKey, []);
-    return memosData.map(data => Memo.fromObject(data));
+  loadSettings() {
+    return {
+      ...MemoService.DEFAULT_SETTINGS,
+      ...this.storage.get(this.settingsKey, {})
+    };
   }
 
   /**
-   * 保存所有备忘录到存储
+   * 更新设置
+   * @param {Object} updates - 要更新的设置项
    * @returns {Boolean} 是否保存成功
    */
-  saveMemos() {
-    const memosData = this.memos.map(memo => memo.toObject());
-    return this.storage.set(this.storageKey, memosData);
+  updateSettings(updates) {
+    const oldSettings = this.settings;
+    this.settings = { ...this.settings, ...updates };
+
+    if (this.storage.set(this.settingsKey, this.settings)) {
+      return true;
+    }
+
+    this.settings = oldSettings; // 回滚
+    return false;
   }
 
   /**
-   * 创建新备忘录
-   * @param {Object} memoData - 备忘录数据
-   * @returns {Object} 创建结果 {success, memo, errors}
+   * 重新从存储中加载所有数据（其他标签页修改数据后调用）
+   * 撤销历史中的快照可能覆盖其他标签页的修改，因此一并清空
    */
-  createMemo(memoData) {
-    const result = {
-      success: false,
-      memo: null,
-      errors: []
-    };
+  reload() {
+    this.recoveryService.reload();
+    this.quarantineCorruptKeys();
+    this.settings = this.loadSettings();
+    this.categoryService.reload();
+    this.snapshotService.reload();
+    this.memos = this.loadMemos();
+    this.trash = this.loadTrash();
+    this.undoStack = [];
+    this.redoStack = [];
+  }
 
-    try {
-      // 创建备忘录实例
-      const memo = new Memo(memoData);
+  /**
+   * 隔离存储中无法解析或校验失败的数据（在加载任何数据之前调用，避免损坏的数据被默认值覆盖）
+   */
+  quarantineCorruptKeys() {
+    const result = this.recoveryService.scan();
+    this.recoveredEntries.push(...result.entries);
+    if (!result.success) {
+      this.recoveryError = result.errors.join(', ');
+    }
+  }
 
-      // 验证数据
-      const validation = memo.validate();
-      if (!validation.isValid) {
-        result.errors = validation.errors;
-        return result;
-      }
+  /**
+   * 把无效的记录隔离到恢复区，并在同一次写入中保存修复后的数据
+   * @param {Array} entries - 隔离记录
+   * @param {Array} removeKeys - 要删除的键名数组
+   * @param {Object} items - 修复后的键值对
+   * @returns {Boolean} 是否保存成功
+   */
+  quarantineRecords(entries, removeKeys, items) {
+    if (this.recoveryService.quarantine(entries, removeKeys, items)) {
+      this.recoveredEntries.push(...entries);
+      return true;
+    }
 
-      // 添加到列表
-      this.memos.push(memo);
+    this.recoveryError = '隔离无效的数据失败，存储空间可能不足';
+    return false;
+  }
 
-      // 保存到存储
-      if (this.saveMemos()) {
-        result.success = true;
-        result.memo = memo;
-      } else {
-        result.errors.push('保存失败');
-        this.memos.pop(); // 回滚
-      }
+  /**
+   * 检查存储中的备忘录记录是否有效
+   * @param {*} data - 存储中的备忘录对象
+   * @param {String} expectedId - 期望的ID（逐条存储时为键名中的ID）
+   * @returns {Array} 错误信息数组，有效时为空数组
+   */
+  checkMemoRecord(data, expectedId = null) {
+    if (!data || typeof data !== 'object' || Array.isArray(data) || typeof data.id !== 'string') {
+      return ['不是有效的备忘录对象'];
+    }
+    if (expectedId !== null && data.id !== expectedId) {
+      return [`ID 与键名不一致（${data.id}）`];
+    }
 
-      return result;
+    try {
+      return Memo.fromObject(data).validate().errors;
     } catch (error) {
-      result.errors.push('创建失败: ' + error.message);
-      return result;
+      return [error.message];
     }
   }
 
   /**
-   * 获取所有备忘录
+   * 从存储中加载所有备忘录
+   * 旧版本把所有备忘录存在一个 memos 键中，加载时会转换为逐条存储的格式
    * @returns {Array} 备忘录数组
    */
-  getAllMemos() {
-    return [...this.memos];
+  loadMemos() {
+    let legacyLayout = !this.storage.has(this.indexKey) && this.storage.has(this.storageKey);
+    let memosData = legacyLayout
+      ? this.readLegacyMemos()
+      : this.readMemoRecords();
+    const version = this.getStoredSchemaVersion();
+
+    if (MemoMigrations.needsMigration(version)) {
+      const migrated = this.migrateStoredData(memosData, version, legacyLayout);
+      if (migrated) {
+        memosData = migrated;
+        legacyLayout = false;
+      }
+    } else if (legacyLayout) {
+      if (this.storage.batchWrite(this.getLayoutItems(memosData), [this.storageKey])) {
+        legacyLayout = false;
+      } else {
+        console.error('转换备忘录存储格式失败');
+      }
+    } else if (!this.storage.has(this.schemaVersionKey)) {
+      this.storage.set(this.schemaVersionKey, version);
+    }
+
+    // 逐条存储时 memosData 就是存储中的记录；旧版本单键格式时存储中还没有逐条记录
+    this.legacyLayout = legacyLayout;
+    this.resetPersistedState(legacyLayout ? [] : memosData);
+    return memosData.map(data => Memo.fromObject(data));
   }
 
   /**
-   * 根据ID获取备忘录
-   * @param {String} id - 备忘录ID
-   * @returns {Memo|null} 备忘录实例或null
+   * 按存储中实际保存的备忘录重建上次保存的内容（saveMemos 只写入与之不同的部分）
+   * 异步存储后端（IndexedDB、加密存储）写入失败时由调用方调用，失败的修改会在下次保存时重新写入
+   * @param {Array} memosData - 存储中的备忘录对象数组，省略时从存储读取
    */
-  getMemoById(id) {
-    return this.memos.find(memo => memo.id === id) || null;
+  resetPersistedState(memosData = null) {
+    if (!memosData) {
+      const prefix = this.storage.getKey(this.memoKeyPrefix);
+      memosData = this.legacyLayout ? [] : this.storage.getAllKeys()
+        .filter(fullKey => fullKey.startsWith(prefix))
+        .map(fullKey => this.storage.get(this.getMemoKey(fullKey.slice(prefix.length))))
+        .filter(data => data !== null);
+    }
+
+    const index = this.legacyLayout ? [] : this.storage.get(this.indexKey, []);
+    this.persistedIndex = Array.isArray(index) ? index : [];
+    this.persistedMemos = new Map(memosData.map(data => [data.id, JSON.stringify(Memo.fromObject(data).toObject())]));
   }
 
   /**
-   * 更新备忘录
-   * @param {String} id - 备忘录ID
-   * @param {Object} updates - 更新的字段
-   * @returns {Object} 更新结果 {success, memo, errors}
+   * 按索引读取逐条存储的备忘录
+   * 索引损坏或丢失时找回没有登记在索引中的记录，无效的记录隔离到恢复区，并修复索引
+   * @returns {Array} 备忘录对象数组
    */
-  updateMemo(id, updates) {
-    const result = {
-      success: false,
-      memo: null,
-      errors: []
-    };
+  readMemoRecords() {
+    const index = this.storage.get(this.indexKey, []);
+    const ids = new Set(Array.isArray(index) ? index.filter(id => typeof id === 'string') : []);
+
+    const prefix = this.storage.getKey(this.memoKeyPrefix);
+    this.storage.getAllKeys()
+      .filter(fullKey => fullKey.startsWith(prefix))
+      .forEach(fullKey => ids.add(fullKey.slice(prefix.length)));
+
+    const records = [];
+    const entries = [];
+    const removeKeys = [];
+
+    ids.forEach(id => {
+      const key = this.getMemoKey(id);
+      const data = this.storage.get(key);
+      if (data === null) {
+        return;
+      }
 
-    try {
-      const memo = this.getMemoById(id);
-      if (!memo) {
-        result.errors.push('备忘录不存在');
-        return result;
+      const errors = this.checkMemoRecord(data, id);
+      if (errors.length === 0) {
+        records.push(data);
+      } else {
+        entries.push(this.recoveryService.createEntry(key, JSON.stringify(data), 'invalid', errors.join(', ')));
+        removeKeys.push(key);
       }
+    });
 
-      // 保存旧数据用于回滚
-      const oldData = memo.toObject();
+    const validIds = records.map(data => data.id);
+    if (entries.length > 0 || JSON.stringify(validIds) !== JSON.stringify(index)) {
+      this.quarantineRecords(entries, removeKeys, { [this.indexKey]: validIds });
+    }
 
-      // 更新数据
-      memo.update(updates);
+    return records;
+  }
 
-      // 验证更新后的数据
-      const validation = memo.validate();
-      if (!validation.isValid) {
-        result.errors = validation.errors;
-        // 回滚
-        Object.assign(memo, Memo.fromObject(oldData));
-        return result;
-      }
+  /**
+   * 读取旧版本单键存储的备忘录，无效的记录隔离到恢复区
+   * @returns {Array} 备忘录对象数组
+   */
+  readLegacyMemos() {
+    const memosData = this.storage.get(this.storageKey, []);
+    if (!Array.isArray(memosData)) {
+      this.quarantineRecords([
+        this.recoveryService.createEntry(this.storageKey, JSON.stringify(memosData), 'invalid', '不是备忘录数组')
+      ], [], {});
+      return [];
+    }
 
-      // 保存到存储
-      if (this.saveMemos()) {
-        result.success = true;
-        result.memo = memo;
-      } else {
-        result.errors.push('保存失败');
-        // 回滚
-        Object.assign(memo, Memo.fromObject(oldData));
+    const entries = [];
+    const records = memosData.filter(data => {
+      const errors = this.checkMemoRecord(data);
+      if (errors.length > 0) {
+        entries.push(this.recoveryService.createEntry(this.storageKey, JSON.stringify(data), 'invalid', errors.join(', ')));
       }
+      return errors.length === 0;
+    });
 
-      return result;
-    } catch (error) {
-      result.errors.push('更新失败: ' + error.message);
-      return result;
+    if (entries.length > 0) {
+      this.quarantineRecords(entries, [], {});
     }
+    return records;
   }
 
   /**
-   * 删除备忘录
+   * 获取单条备忘录的存储键名
    * @param {String} id - 备忘录ID
-   * @returns {Object} 删除结果 {success, errors}
+   * @returns {String} 键名
    */
-  deleteMemo(id) {
-    const result = {
-      success: false,
-      errors: []
-    };
+  getMemoKey(id) {
+    return this.memoKeyPrefix + id;
+  }
 
-    try {
-      const index = this.memos.findIndex(memo => memo.id === id);
-      if (index === -1) {
-        result.errors.push('备忘录不存在');
-        return result;
-      }
+  /**
+   * 生成逐条存储格式的写入内容（索引和每条备忘录）
+   * @param {Array} memosData - 备忘录对象数组
+   * @returns {Object} 键值对对象
+   */
+  getLayoutItems(memosData) {
+    const items = { [this.indexKey]: memosData.map(data => data.id) };
+    memosData.forEach(data => {
+      items[this.getMemoKey(data.id)] = data;
+    });
+    return items;
+  }
 
-      // 删除备忘录
-      const deleted = this.memos.splice(index, 1);
+  /**
+   * 获取存储中数据的结构版本（没有记录版本的旧数据视为版本 1）
+   * @returns {Number} 数据版本
+   */
+  getStoredSchemaVersion() {
+    const hasData = [this.storageKey, this.indexKey, this.trashKey].some(key => this.storage.has(key));
+    const defaultVersion = hasData ? 1 : MemoMigrations.CURRENT_VERSION;
+    return this.storage.get(this.schemaVersionKey, defaultVersion);
+  }
 
-      // 保存到存储
-      if (this.saveMemos()) {
-        result.success = true;
-      } else {
-        result.errors.push('删除失败');
-        // 回滚
-        this.memos.splice(index, 0, ...deleted);
-      }
+  /**
+   * 迁移存储中的备忘录和回收站数据并写回存储（同时转换为逐条存储格式）
+   * 迁移或保存失败时存储中的原始数据保持不变，错误记录在 migrationError 中
+   * @param {Array} memosData - 存储中的备忘录对象数组
+   * @param {Number} version - 数据当前版本
+   * @param {Boolean} legacyLayout - 数据是否读取自旧版本的 memos 键（只有这时才在写入逐条存储的数据后删除该键）
+   * @returns {Array|null} 迁移后的备忘录对象数组，失败时返回 null
+   */
+  migrateStoredData(memosData, version, legacyLayout = false) {
+    const trashData = this.storage.get(this.trashKey, []);
 
-      return result;
+    let migratedMemos;
+    let migratedTrash;
+    try {
+      migratedMemos = MemoMigrations.migrate(memosData, version);
+      const trashMemos = MemoMigrations.migrate(trashData.map(entry => entry.memo), version);
+      migratedTrash = trashData.map((entry, index) => ({ ...entry, memo: trashMemos[index] }));
     } catch (error) {
-      result.errors.push('删除失败: ' + error.message);
-      return result;
+      console.error('数据迁移失败:', error);
+      this.migrationError = error.message;
+      return null;
+    }
+
+    // 数据和版本号一起原子写入，失败时存储保持原样
+    const items = {
+      ...this.getLayoutItems(migratedMemos),
+      [this.trashKey]: migratedTrash,
+      [this.schemaVersionKey]: MemoMigrations.CURRENT_VERSION
+    };
+    const removeKeys = legacyLayout ? [this.storageKey] : [];
+
+    if (this.storage.batchWrite(items, removeKeys)) {
+      return migratedMemos;
     }
+
+    this.migrationError = '保存迁移后的数据失败';
+    return null;
   }
 
   /**
-   * 切换备忘录完成状态
-   * @param {String} id - 备忘录ID
-   * @returns {Object} 切换结果 {success, memo, errors}
+   * 比较内存和上次保存的内容，收集需要写入的备忘录
+   * @returns {Object} 变更 {items, removeKeys, serialized, ids}
    */
-  toggleMemoComplete(id) {
-    const result = {
-      success: false,
-      memo: null,
-      errors: []
-    };
+  collectMemoChanges() {
+    const items = {};
+    const serialized = new Map();
 
-    try {
-      const memo = this.getMemoById(id);
-      if (!memo) {
-        result.errors.push('备忘录不存在');
-        return result;
+    this.memos.forEach(memo => {
+      const data = memo.toObject();
+      const json = JSON.stringify(data);
+      serialized.set(memo.id, json);
+      if (this.persistedMemos.get(memo.id) !== json) {
+        items[this.getMemoKey(memo.id)] = data;
       }
+    });
 
-      memo.toggleComplete();
-
-      if (this.saveMemos()) {
-        result.success = true;
-        result.memo = memo;
-      } else {
-        result.errors.push('保存失败');
-        memo.toggleComplete(); // 回滚
-      }
+    const removeKeys = [...this.persistedMemos.keys()]
+      .filter(id => !serialized.has(id))
+      .map(id => this.getMemoKey(id));
 
-      return result;
-    } catch (error) {
-      result.errors.push('切换状态失败: ' + error.message);
-      return result;
+    const ids = this.memos.map(memo => memo.id);
+    if (JSON.stringify(ids) !== JSON.stringify(this.persistedIndex)) {
+      items[this.indexKey] = ids;
     }
+
+    return { items, removeKeys, serialized, ids };
   }
 
   /**
-   * 搜索备忘录（标题和内容）
-   * @param {String} keyword - 搜索关键词
-   * @returns {Array} 匹配的备忘录数组
+   * 保存备忘录到存储（只写入有变化的备忘录和索引，多条写入原子提交）
+   * 仍为旧版本单键格式时写入整个 memos 键，下次加载时再尝试转换
+   * @param {Object} extraItems - 需要在同一次写入中保存的其他键值对
+   * @returns {Boolean} 是否保存成功
    */
-  searchMemos(keyword) {
-    if (!keyword || keyword.trim() === '') {
-      return this.getAllMemos();
+  saveMemos(extraItems = {}) {
+    if (this.legacyLayout) {
+      return this.storage.batchWrite({
+        [this.storageKey]: this.memos.map(memo => memo.toObject()),
+        ...extraItems
+      });
     }
 
-    const lowerKeyword = keyword.toLowerCase();
-    return this.memos.filter(memo => {
-      const titleMatch = memo.title.toLowerCase().includes(lowerKeyword);
-      const contentMatch = memo.content.toLowerCase().includes(lowerKeyword);
-      return titleMatch || contentMatch;
-    });
+    const changes = this.collectMemoChanges();
+    const items = { ...changes.items, ...extraItems };
+
+    if (Object.keys(items).length === 0 && changes.removeKeys.length === 0) {
+      return true;
+    }
+
+    if (!this.storage.batchWrite(items, changes.removeKeys)) {
+      return false;
+    }
+
+    this.persistedMemos = changes.serialized;
+    this.persistedIndex = changes.ids;
+    return true;
   }
 
   /**
-   * 按分类筛选备忘录
-   * @param {String} category - 分类名称
-   * @returns {Array} 筛选后的备忘录数组
+   * 从存储中加载回收站
+   * @returns {Array} 回收站条目数组 [{memo, deletedAt}]
    */
-  filterByCategory(category) {
-    if (!category || category === '全部') {
-      return this.getAllMemos();
+  loadTrash() {
+    const trashData = this.storage.get(this.trashKey, []);
+    const entries = [];
+    const validData = (Array.isArray(trashData) ? trashData : [trashData]).filter(entry => {
+      const errors = this.checkMemoRecord(entry && entry.memo);
+      if (errors.length > 0) {
+        entries.push(this.recoveryService.createEntry(this.trashKey, JSON.stringify(entry), 'invalid', errors.join(', ')));
+      }
+      return errors.length === 0;
+    });
+
+    // 无效的条目隔离到恢复区
+    if (entries.length > 0) {
+      this.quarantineRecords(entries, [], { [this.trashKey]: validData });
     }
-    return this.memos.filter(memo => memo.category === category);
+
+    return validData.map(entry => ({
+      memo: Memo.fromObject(entry.memo),
+      deletedAt: entry.deletedAt
+    }));
   }
 
   /**
-   * 按优先级筛选备忘录
-   * @param {String} priority - 优先级
-   * @returns {Array} 筛选后的备忘录数组
+   * 保存回收站到存储
+   * @returns {Boolean} 是否保存成功
    */
-  filterByPriority(priority) {
-    if (!priority || priority === '全部') {
-      return this.getAllMemos();
-    }
-    return this.memos.filter(memo => memo.priority === priority);
+  saveTrash() {
+    return this.storage.set(this.trashKey, this.getTrashData());
   }
 
   /**
-   * 按标签筛选备忘录
-   * @param {String} tag - 标签名称
-   * @returns {Array} 筛选后的备忘录数组
+   * 获取回收站的存储数据
+   * @returns {Array} 回收站条目对象数组
    */
-  filterByTag(tag) {
-    if (!tag) {
-      return this.getAllMemos();
-    }
-    return this.memos.filter(memo => memo.tags.includes(tag));
+  getTrashData() {
+    return this.trash.map(entry => ({
+      memo: entry.memo.toObject(),
+      deletedAt: entry.deletedAt
+    }));
   }
 
   /**
-   * 按完成状态筛选备忘录
-   * @param {Boolean} isCompleted - 是否已完成
-   * @returns {Array} 筛选后的备忘录数组
+   * 同时保存回收站和备忘录（原子写入，失败时两者都保持原样）
+   * @returns {Boolean} 是否全部保存成功
    */
-  filterByStatus(isCompleted) {
-    return this.memos.filter(memo => memo.isCompleted === isCompleted);
+  saveMemosAndTrash() {
+    return this.saveMemos({ [this.trashKey]: this.getTrashData() });
   }
 
   /**
-   * 组合筛选
-   * @param {Object} filters - 筛选条件 {category, priority, tag, isCompleted, keyword}
-   * @returns {Array} 筛选后的备忘录数组
+   * 同时保存分类、回收站和备忘录（原子写入）
+   * @returns {Boolean} 是否全部保存成功
    */
-  filterMemos(filters = {}) {
-    let results = this.getAllMemos();
+  saveAll() {
+    return this.saveMemos({
+      [this.trashKey]: this.getTrashData(),
+      [this.categoryService.storageKey]: this.categoryService.captureState()
+    });
+  }
 
-    // 按分类筛选
-    if (filters.category && filters.category !== '全部') {
-      results = results.filter(memo => memo.category === filters.category);
-    }
+  /**
+   * 将备忘录放入回收站（只修改内存）
+   * @param {Array} memos - 备忘录实例数组
+   */
+  moveToTrash(memos) {
+    const deletedAt = Date.now();
+    memos.forEach(memo => {
+      this.trash.push({ memo, deletedAt });
+    });
+  }
 
-    // 按优先级筛选
-    if (filters.priority && filters.priority !== '全部') {
-      results = results.filter(memo => memo.priority === filters.priority);
-    }
+  /**
+   * 获取当前备忘录、回收站和分类的快照
+   * @returns {Object} 快照 {memos, trash, categories}
+   */
+  captureState() {
+    return {
+      memos: this.memos.map(memo => memo.toObject()),
+      trash: this.trash.map(entry => ({
+        memo: entry.memo.toObject(),
+        deletedAt: entry.deletedAt
+      })),
+      categories: this.categoryService.captureState()
+    };
+  }
 
-    // 按标签筛选
-    if (filters.tag) {
-      results = results.filter(memo => memo.tags.includes(filters.tag));
-    }
+  /**
+   * 恢复到指定快照并保存
+   * @param {Object} state - 快照 {memos, trash, categories}
+   * @returns {Boolean} 是否保存成功
+   */
+  restoreState(state) {
+    const backup = this.captureState();
+
+    const apply = (snapshot) => {
+      this.memos = snapshot.memos.map(data => Memo.fromObject(data));
+      this.trash = snapshot.trash.map(entry => ({
+        memo: Memo.fromObject(entry.memo),
+        deletedAt: entry.deletedAt
+      }));
+      this.categoryService.restoreState(snapshot.categories);
+    };
 
-    // 按完成状态筛选
-    if (filters.isCompleted !== undefined) {
-      results = results.filter(memo => memo.isCompleted === filters.isCompleted);
-    }
+    const save = () => this.saveAll();
 
-    // 按关键词搜索
-    if (filters.keyword && filters.keyword.trim() !== '') {
-      const lowerKeyword = filters.keyword.toLowerCase();
-      results = results.filter(memo => {
-        const titleMatch = memo.title.toLowerCase().includes(lowerKeyword);
-        const contentMatch = memo.content.toLowerCase().includes(lowerKeyword);
-        return titleMatch || contentMatch;
-      });
+    apply(state);
+    if (save()) {
+      return true;
     }
 
-    return results;
+    // 回滚
+    apply(backup);
+    save();
+    return false;
   }
 
   /**
-   * 排序备忘录
-   * @param {Array} memos - 备忘录数组
-   * @param {String} sortBy - 排序字段 (createdAt|updatedAt|priority|title)
-   * @param {String} order - 排序顺序 (asc|desc)
-   * @returns {Array} 排序后的备忘录数组
+   * 生成撤销历史中保存的部分快照：只保留与另一个快照不同的备忘录和回收站条目，其余只记录ID和顺序
+   * @param {Object} state - 快照 {memos, trash, categories}
+   * @param {Object} other - 用于比较的快照
+   * @returns {Object} 部分快照 {memoIds, memos, trashIds, trash, categories}
    */
-  sortMemos(memos, sortBy = 'createdAt', order = 'desc') {
-    const sorted = [...memos];
+  compactState(state, other) {
+    const otherMemos = new Map(other.memos.map(data => [data.id, JSON.stringify(data)]));
+    const otherTrash = new Map(other.trash.map(entry => [entry.memo.id, JSON.stringify(entry)]));
 
-    sorted.sort((a, b) => {
-      let comparison = 0;
+    return {
+      memoIds: state.memos.map(data => data.id),
+      memos: state.memos.filter(data => otherMemos.get(data.id) !== JSON.stringify(data)),
+      trashIds: state.trash.map(entry => entry.memo.id),
+      trash: state.trash.filter(entry => otherTrash.get(entry.memo.id) !== JSON.stringify(entry)),
+      categories: state.categories
+    };
+  }
 
-      switch (sortBy) {
-        case 'createdAt':
-        case 'updatedAt':
-          comparison = a[sortBy] - b[sortBy];
-          break;
-        
-        case 'priority':
-          const priorityOrder = { '高': 3, '中': 2, '低': 1 };
-          comparison = priorityOrder[a.priority] - priorityOrder[b.priority];
-          break;
-        
-        case 'title':
-          comparison = a.title.localeCompare(b.title);
-          break;
-        
-        default:
-          comparison = 0;
-      }
+  /**
+   * 把撤销历史中的部分快照补全为完整快照（没有保存的备忘录和回收站条目取自当前数据）
+   * @param {Object} partial - compactState 生成的部分快照
+   * @returns {Object} 快照 {memos, trash, categories}
+   */
+  expandState(partial) {
+    const memos = new Map(this.memos.map(memo => [memo.id, memo.toObject()]));
+    partial.memos.forEach(data => memos.set(data.id, Memo.fromObject(data).toObject()));
 
-      return order === 'asc' ? comparison : -comparison;
+    const trash = new Map(this.trash.map(entry => [entry.memo.id, { memo: entry.memo.toObject(), deletedAt: entry.deletedAt }]));
+    partial.trash.forEach(entry => trash.set(entry.memo.id, { memo: Memo.fromObject(entry.memo).toObject(), deletedAt: entry.deletedAt }));
+
+    return {
+      memos: partial.memoIds.filter(id => memos.has(id)).map(id => memos.get(id)),
+      trash: partial.trashIds.filter(id => trash.has(id)).map(id => trash.get(id)),
+      categories: partial.categories
+    };
+  }
+
+  /**
+   * 记录一次操作到撤销历史
+   * 每条历史只保存操作前后有变化的备忘录和回收站条目，撤销和重做时其余数据取自当前状态
+   * @param {String} label - 操作名称
+   * @param {Object} before - 操作前的快照
+   */
+  recordHistory(label, before) {
+    const after = this.captureState();
+    this.undoStack.push({
+      id: ++this.historyCounter,
+      label,
+      before: this.compactState(before, after),
+      after: this.compactState(after, before),
+      timestamp: Date.now()
     });
 
-    return sorted;
+    if (this.undoStack.length > this.historyLimit) {
+      this.undoStack.shift();
+    }
+
+    // 新操作会使重做历史失效
+    this.redoStack = [];
   }
 
   /**
-   * 获取所有标签
-   * @returns {Array} 标签数组（去重）
+   * 从撤销历史的所有快照（备忘录和回收站）中移除已永久删除的备忘录，保证永久删除不会被撤销恢复
+   * @param {Array} ids - 备忘录ID数组
    */
-  getAllTags() {
-    const tagsSet = new Set();
-    this.memos.forEach(memo => {
-      memo.tags.forEach(tag => tagsSet.add(tag));
+  forgetInHistory(ids) {
+    const forgotten = new Set(ids);
+    const purge = (state) => {
+      state.memoIds = state.memoIds.filter(id => !forgotten.has(id));
+      state.memos = state.memos.filter(data => !forgotten.has(data.id));
+      state.trashIds = state.trashIds.filter(id => !forgotten.has(id));
+      state.trash = state.trash.filter(entry => !forgotten.has(entry.memo.id));
+    };
+
+    [...this.undoStack, ...this.redoStack].forEach(entry => {
+      purge(entry.before);
+      purge(entry.after);
     });
-    return Array.from(tagsSet).sort();
   }
 
   /**
-   * 获取统计信息
-   * @returns {Object} 统计数据
+   * 获取最近一次操作的历史记录ID（用于把撤销提示绑定到对应的操作）
+   * @returns {Number|null} 历史记录ID，没有可撤销的操作时为 null
    */
-  getStatistics() {
-    const total = this.memos.length;
-    const completed = this.memos.filter(m => m.isCompleted).length;
-    const pending = total - completed;
+  getLastHistoryId() {
+    const entry = this.undoStack[this.undoStack.length - 1];
+    return entry ? entry.id : null;
+  }
 
-    const byCategory = {
-      '工作': 0,
-      '生活': 0,
-      '学习': 0,
-      '其他': 0
+  /**
+   * 撤销上一次操作
+   * @param {Number|null} historyId - 只在上一次操作是该历史记录时撤销（撤销提示使用），null 表示不限制
+   * @returns {Object} 撤销结果 {success, label, errors}
+   */
+  undo(historyId = null) {
+    const result = {
+      success: false,
+      label: '',
+      errors: []
     };
 
-    const byPriority = {
-      '高': 0,
-      '中': 0,
-      '低': 0
-    };
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (!last) {
+      result.errors.push('没有可撤销的操作');
+      return result;
+    }
+    if (historyId !== null && last.id !== historyId) {
+      result.errors.push('之后已有其他修改，请使用 Ctrl+Z 按顺序撤销');
+      return result;
+    }
 
-    this.memos.forEach(memo => {
-      byCategory[memo.category]++;
-      byPriority[memo.priority]++;
-    });
+    const entry = this.undoStack.pop();
 
-    return {
-      total,
-      completed,
-      pending,
-      completionRate: total > 0 ? Math.round((completed / total) * 100) : 0,
-      byCategory,
-      byPriority,
-      totalTags: this.getAllTags().length
+    if (this.restoreState(this.expandState(entry.before))) {
+      this.redoStack.push(entry);
+      result.success = true;
+      result.label = entry.label;
+    } else {
+      this.undoStack.push(entry);
+      result.errors.push('撤销失败');
+    }
+
+    return result;
+  }
+
+  /**
+   * 重做上一次撤销的操作
+   * @returns {Object} 重做结果 {success, label, errors}
+   */
+  redo() {
+    const result = {
+      success: false,
+      label: '',
+      errors: []
     };
+
+    const entry = this.redoStack.pop();
+    if (!entry) {
+      result.errors.push('没有可重做的操作');
+      return result;
+    }
+
+    if (this.restoreState(this.expandState(entry.after))) {
+      this.undoStack.push(entry);
+      result.success = true;
+      result.label = entry.label;
+    } else {
+      this.redoStack.push(entry);
+      result.errors.push('重做失败');
+    }
+
+    return result;
   }
 
   /**
-   * 批量删除备忘录
-   * @param {Array} ids - 备忘录ID数组
-   * @returns {Object} 删除结果 {success, deleted, errors}
+   * 是否有可撤销的操作
+   * @returns {Boolean}
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * 是否有可重做的操作
+   * @returns {Boolean}
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * 创建新备忘录
+   * @param {Object} memoData - 备忘录数据
+   * @returns {Object} 创建结果 {success, memo, errors}
    */
-  batchDeleteMemos(ids) {
+  createMemo(memoData) {
     const result = {
       success: false,
-      deleted: 0,
+      memo: null,
       errors: []
     };
 
     try {
-      const deletedMemos = [];
-      
-      ids.forEach(id => {
-        const index = this.memos.findIndex(memo => memo.id === id);
-        if (index !== -1) {
-          deletedMemos.push({ index, memo: this.memos[index] });
-          this.memos.splice(index, 1);
-          result.deleted++;
-        } else {
-          result.errors.push(`备忘录 ${id} 不存在`);
-        }
+      const historyBefore = this.captureState();
+      // 创建备忘录实例（未指定分类时使用默认分类）
+      const memo = new Memo({
+        ...memoData,
+        category: memoData.category || this.categoryService.getDefaultName()
       });
 
+      // 验证数据
+      const validation = memo.validate(this.categoryService.getNames());
+      if (!validation.isValid) {
+        result.errors = validation.errors;
+        return result;
+      }
+
+      // 添加到列表（新标题可能让其他备忘录中的链接生效）
+      this.memos.push(memo);
+      this.refreshLinks();
+
+      // 保存到存储
       if (this.saveMemos()) {
         result.success = true;
+        this.recordHistory('创建备忘录', historyBefore);
+        result.memo = memo;
       } else {
         result.errors.push('保存失败');
-        // 回滚
-        deletedMemos.sort((a, b) => a.index - b.index);
-        deletedMemos.forEach(item => {
-          this.memos.splice(item.index, 0, item.memo);
-        });
+        this.memos.pop(); // 回滚
+        this.refreshLinks();
       }
 
       return result;
     } catch (error) {
-      result.errors.push('批量删除失败: ' + error.message);
+      result.errors.push('创建失败: ' + error.message);
       return result;
     }
   }
 
   /**
-   * 清空所有已完成的备忘录
-   * @returns {Object} 清空结果 {success, deleted, errors}
+   * 获取所有备忘录
+   * @returns {Array} 备忘录数组
    */
-  clearCompleted() {
-    const completedIds = this.memos
-      .filter(memo => memo.isCompleted)
-      .map(memo => memo.id);
-    
-    return this.batchDeleteMemos(completedIds);
+  getAllMemos() {
+    return [...this.memos];
   }
 
   /**
-   * 导出所有备忘录数据
-   * @returns {Object} 导出的数据对象
+   * 根据ID获取备忘录
+   * @param {String} id - 备忘录ID
+   * @returns {Memo|null} 备忘录实例或null
    */
-  exportData() {
-    return {
-      version: '1.0',
-      timestamp: Date.now(),
-      memos: this.memos.map(memo => memo.toObject()),
-      statistics: this.getStatistics()
-    };
+  getMemoById(id) {
+    return this.memos.find(memo => memo.id === id) || null;
   }
 
   /**
-   * 导入备忘录数据
-   * @param {Object} data - 导入的数据对象
-   * @param {Boolean} merge - 是否合并（false则覆盖）
-   * @returns {Object} 导入结果 {success, imported, errors}
+   * 更新备忘录
+   * @param {String} id - 备忘录ID
+   * @param {Object} updates - 更新的字段
+   * @returns {Object} 更新结果 {success, memo, errors}
    */
-  importData(data, merge = false) {
+  updateMemo(id, updates) {
     const result = {
       success: false,
-      imported: 0,
+      memo: null,
       errors: []
     };
 
     try {
-      if (!data || !data.memos || !Array.isArray(data.memos)) {
-        result.errors.push('无效的数据格式');
+      const historyBefore = this.captureState();
+      const memo = this.getMemoById(id);
+      if (!memo) {
+        result.errors.push('备忘录不存在');
         return result;
       }
 
-      const backupMemos = [...this.memos];
+      // 保存旧数据用于回滚
+      const oldData = memo.toObject();
+
+      // 更新数据
+      memo.update(updates);
 
-      if (!merge) {
-        this.memos = [];
+      // 验证更新后的数据
+      const validation = memo.validate(this.categoryService.getNames());
+      if (!validation.isValid) {
+        result.errors = validation.errors;
+        // 回滚
+        Object.assign(memo, Memo.fromObject(oldData));
+        return result;
       }
 
-      data.memos.forEach((memoData, index) => {
-        try {
-          const memo = Memo.fromObject(memoData);
-          const validation = memo.validate();
-          
-          if (validation.isValid) {
-            // 检查是否已存在（避免ID冲突）
-            if (!this.getMemoById(memo.id)) {
-              this.memos.push(memo);
-              result.imported++;
-            } else if (merge) {
-              // 合并模式下，如果ID已存在则生成新ID
-              memo.id = memo.generateId();
-              this.memos.push(memo);
-              result.imported++;
-            }
-          } else {
-            result.errors.push(`第 ${index + 1} 条数据无效: ${validation.errors.join(', ')}`);
-          }
-        } catch (error) {
-          result.errors.push(`导入第 ${index + 1} 条数据失败: ${error.message}`);
-        }
-      });
+      // 标题变更时同步改写指向它的链接
+      const rewritten = memo.title !== oldData.title
+        ? this.renameLinks(memo, oldData.title)
+        : [];
+      this.refreshLinks();
 
+      // 保存到存储
       if (this.saveMemos()) {
-        result.success = result.errors.length === 0;
+        result.success = true;
+        this.recordHistory('编辑备忘录', historyBefore);
+        result.memo = memo;
       } else {
         result.errors.push('保存失败');
-        this.memos = backupMemos; // 回滚
+        // 回滚
+        Object.assign(memo, Memo.fromObject(oldData));
+        rewritten.forEach(item => {
+          item.memo.content = item.content;
+        });
+        this.refreshLinks();
       }
 
       return result;
     } catch (error) {
-      result.errors.push('导入失败: ' + error.message);
+      result.errors.push('更新失败: ' + error.message);
       return result;
     }
   }
+
+  /**
+   * 根据标题查找链接目标
+   * 标题重复时优先使用已记录的链接，其次是未完成且未归档的备忘录
+   * @param {String} title - 链接标题
+   * @param {Array} preferIds - 优先匹配的备忘录ID
+   * @returns {Memo|null} 备忘录实例或null
+   */
+  resolveLinkTitle(title, preferIds = []) {
+    const candidates = this.memos.filter(memo => memo.title === title);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    return candidates.find(memo => preferIds.includes(memo.id)) ||
+      candidates.find(memo => !memo.isCompleted && !memo.isArchived) ||
+      candidates[0];
+  }
+
+  /**
+   * 重新解析所有备忘录内容中的链接（只修改内存，由调用方负责保存）
+   */
+  refreshLinks() {
+    this.memos.forEach(memo => {
+      const ids = LinkUtil.extractTitles(memo.content)
+        .map(title => this.resolveLinkTitle(title, memo.links))
+        .filter(target => target !== null)
+        .map(target => target.id);
+      memo.links = [...new Set(ids)];
+    });
+  }
+
+  /**
+   * 备忘录重命名后改写其他备忘录中指向它的链接（只修改内存，由调用方负责保存）
+   * @param {Memo} target - 被重命名的备忘录
+   * @param {String} oldTitle - 旧标题
+   * @returns {Array} 被改写的备忘录及原内容 [{memo, content}]，用于回滚
+   */
+  renameLinks(target, oldTitle) {
+    const rewritten = [];
+
+    this.memos.forEach(memo => {
+      if (!memo.links.includes(target.id)) {
+        return;
+      }
+      rewritten.push({ memo, content: memo.content });
+      memo.content = LinkUtil.renameTitle(memo.content, oldTitle, target.title);
+    });
+
+    return rewritten;
+  }
+
+  /**
+   * 获取备忘录链接到的其他备忘录
+   * @param {String} id - 备忘录ID
+   * @returns {Array} 备忘录数组
+   */
+  getLinkedMemos(id) {
+    const memo = this.getMemoById(id);
+    if (!memo) {
+      return [];
+    }
+
+    return memo.links
+      .map(linkId => this.getMemoById(linkId))
+      .filter(target => target !== null);
+  }
+
+  /**
+   * 获取引用了指定备忘录的其他备忘录（反向链接）
+   * @param {String} id - 备忘录ID
+   * @returns {Array} 备忘录数组
+   */
+  getBacklinks(id) {
+    return this.memos.filter(memo => memo.id !== id && memo.links.includes(id));
+  }
+
+  /**
+   * 恢复备忘录的历史版本（恢复本身也会生成一个新的历史版本）
+   * @param {String} memoId - 备忘录ID
+   * @param {String} revisionId - 版本ID
+   * @returns {Object} 恢复结果 {success, memo, errors}
+   */
+  restoreRevision(memoId, revisionId) {
+    const result = {
+      success: false,
+      memo: null,
+      errors: []
+    };
+
+    try {
+      const historyBefore = this.captureState();
+      const memo = this.getMemoById(memoId);
+      if (!memo) {
+        result.errors.push('备忘录不存在');
+        return result;
+      }
+
+      const revision = memo.getRevision(revisionId);
+      if (!revision) {
+        result.errors.push('历史版本不存在');
+        return result;
+      }
+
+      // 版本中的分类已不存在时（例如导入或同步来的历史版本）归入默认分类
+      const snapshot = { ...revision.snapshot, tags: [...revision.snapshot.tags] };
+      if (!this.categoryService.getByName(snapshot.category)) {
+        snapshot.category = this.categoryService.getDefaultName();
+      }
+      // 截止时间和是否包含时刻一起恢复；旧版本的快照没有记录是否包含时刻，沿用当前的设置
+      if (!('dueHasTime' in snapshot)) {
+        snapshot.dueHasTime = Boolean(snapshot.dueAt) && memo.dueHasTime;
+      }
+
+      const oldData = memo.toObject();
+      memo.update(snapshot);
+
+      const validation = memo.validate(this.categoryService.getNames());
+      if (!validation.isValid) {
+        result.errors = validation.errors;
+        Object.assign(memo, Memo.fromObject(oldData));
+        return result;
+      }
+
+      const rewritten = memo.title !== oldData.title
+        ? this.renameLinks(memo, oldData.title)
+        : [];
+      this.refreshLinks();
+
+      if (this.saveMemos()) {
+        result.success = true;
+        this.recordHistory('恢复历史版本', historyBefore);
+        result.memo = memo;
+      } else {
+        result.errors.push('保存失败');
+        // 回滚
+        Object.assign(memo, Memo.fromObject(oldData));
+        rewritten.forEach(item => {
+          item.memo.content = item.content;
+        });
+        this.refreshLinks();
+      }
+
+      return result;
+    } catch (error) {
+      result.errors.push('恢复历史版本失败: ' + error.message);
+      return result;
+    }
+  }
+
+  /**
+   * 获取所有备忘录历史版本占用的存储大小
+   * @returns {Number} 字节数
+   */
+  getRevisionsSize() {
+    return this.memos.reduce((size, memo) => size + memo.getRevisionsSize(), 0);
+  }
+
+  /**
+   * 清除所有备忘录的历史版本以释放存储空间（可撤销）
+   * @returns {Object} 清除结果 {success, cleared, freed, errors}
+   */
+  purgeRevisions() {
+    const result = {
+      success: false,
+      cleared: 0,
+      freed: 0,
+      errors: []
+    };
+
+    const historyBefore = this.captureState();
+    const backup = new Map();
+
+    this.memos.forEach(memo => {
+      if (memo.revisions.length > 0) {
+        backup.set(memo, memo.revisions);
+        result.freed += memo.getRevisionsSize();
+        memo.revisions = [];
+        result.cleared++;
+      }
+    });
+
+    if (result.cleared === 0) {
+      result.success = true;
+      return result;
+    }
+
+    if (this.saveMemos()) {
+      result.success = true;
+      this.recordHistory('清除历史版本', historyBefore);
+    } else {
+      result.errors.push('保存失败');
+      backup.forEach((revisions, memo) => {
+        memo.revisions = revisions;
+      });
+      result.freed = 0;
+    }
+
+    return result;
+  }
+
+  /**
+   * 删除备忘录（移到回收站）
+   * @param {String} id - 备忘录ID
+   * @returns {Object} 删除结果 {success, errors}
+   */
+  deleteMemo(id) {
+    const result = {
+      success: false,
+      errors: []
+    };
+
+    try {
+      const historyBefore = this.captureState();
+      const index = this.memos.findIndex(memo => memo.id === id);
+      if (index === -1) {
+        result.errors.push('备忘录不存在');
+        return result;
+      }
+
+      // 移到回收站
+      const deleted = this.memos.splice(index, 1);
+      this.moveToTrash(deleted);
+
+      // 保存到存储
+      if (this.saveMemosAndTrash()) {
+        result.success = true;
+        this.recordHistory('删除备忘录', historyBefore);
+      } else {
+        result.errors.push('删除失败');
+        // 回滚
+        this.memos.splice(index, 0, ...deleted);
+        this.trash.splice(-deleted.length);
+        this.saveMemosAndTrash();
+      }
+
+      return result;
+    } catch (error) {
+      result.errors.push('删除失败: ' + error.message);
+      return result;
+    }
+  }
+
+  /**
+   * 切换备忘录完成状态
+   * @param {String} id - 备忘录ID
+   * @returns {Object} 切换结果 {success, memo, nextMemo, errors}
+   */
+  toggleMemoComplete(id) {
+    const result = {
+      success: false,
+      memo: null,
+      nextMemo: null,
+      errors: []
+    };
+
+    try {
+      const historyBefore = this.captureState();
+      const memo = this.getMemoById(id);
+      if (!memo) {
+        result.errors.push('备忘录不存在');
+        return result;
+      }
+
+      memo.toggleComplete();
+
+      const nextMemo = this.spawnNextOccurrence(memo);
+
+      if (this.saveMemos()) {
+        result.success = true;
+        this.recordHistory(memo.isCompleted ? '标记完成' : '标记未完成', historyBefore);
+        result.memo = memo;
+        result.nextMemo = nextMemo;
+      } else {
+        result.errors.push('保存失败');
+        // 回滚
+        if (nextMemo) {
+          this.memos.pop();
+          memo.nextOccurrenceId = null;
+        }
+        memo.toggleComplete();
+      }
+
+      return result;
+    } catch (error) {
+      result.errors.push('切换状态失败: ' + error.message);
+      return result;
+    }
+  }
+
+  /**
+   * 完成重复备忘录时生成下一次（每个备忘录只生成一次）
+   * 只修改内存中的列表，由调用方负责保存和回滚
+   * @param {Memo} memo - 备忘录实例
+   * @returns {Memo|null} 新生成的备忘录
+   */
+  spawnNextOccurrence(memo) {
+    if (!memo.isCompleted || !memo.recurrence || memo.nextOccurrenceId) {
+      return null;
+    }
+
+    const nextMemo = memo.createNextOccurrence();
+    if (nextMemo) {
+      memo.nextOccurrenceId = nextMemo.id;
+      this.memos.push(nextMemo);
+    }
+    return nextMemo;
+  }
+
+  /**
+   * 切换备忘录置顶状态
+   * @param {String} id - 备忘录ID
+   * @returns {Object} 切换结果 {success, memo, errors}
+   */
+  togglePin(id) {
+    const result = {
+      success: false,
+      memo: null,
+      errors: []
+    };
+
+    try {
+      const historyBefore = this.captureState();
+      const memo = this.getMemoById(id);
+      if (!memo) {
+        result.errors.push('备忘录不存在');
+        return result;
+      }
+
+      memo.togglePin();
+
+      if (this.saveMemos()) {
+        result.success = true;
+        this.recordHistory(memo.isPinned ? '置顶' : '取消置顶', historyBefore);
+        result.memo = memo;
+      } else {
+        result.errors.push('保存失败');
+        memo.togglePin(); // 回滚
+      }
+
+      return result;
+    } catch (error) {
+      result.errors.push('切换置顶失败: ' + error.message);
+      return result;
+    }
+  }
+
+  /**
+   * 按给定顺序重新排列备忘录（手动排序）
+   * 只在这些备忘录原有的位置之间互换，未列出的备忘录位置保持不变
+   * @param {Array} ids - 按新顺序排列的备忘录ID数组
+   * @returns {Object} 排序结果 {success, errors}
+   */
+  reorderMemos(ids) {
+    const result = {
+      success: false,
+      errors: []
+    };
+
+    try {
+      const historyBefore = this.captureState();
+      const memos = ids.map(id => this.getMemoById(id));
+      if (memos.some(memo => !memo)) {
+        result.errors.push('备忘录不存在');
+        return result;
+      }
+
+      const oldOrders = memos.map(memo => memo.order);
+      const slots = [...oldOrders].sort((a, b) => a - b);
+      // 位置相同（例如同一毫秒创建）时稍作错开，保证新顺序生效
+      for (let i = 1; i < slots.length; i++) {
+        if (slots[i] <= slots[i - 1]) {
+          slots[i] = slots[i - 1] + 0.001;
+        }
+      }
+      memos.forEach((memo, index) => {
+        memo.order = slots[index];
+      });
+
+      if (this.saveMemos()) {
+        result.success = true;
+        this.recordHistory('调整顺序', historyBefore);
+      } else {
+        result.errors.push('保存失败');
+        // 回滚
+        memos.forEach((memo, index) => {
+          memo.order = oldOrders[index];
+        });
+      }
+
+      return result;
+    } catch (error) {
+      result.errors.push('调整顺序失败: ' + error.message);
+      return result;
+    }
+  }
+
+  /**
+   * 获取重复系列中的所有备忘录
+   * @param {String} seriesId - 系列ID
+   * @returns {Array} 按截止时间排序的备忘录数组
+   */
+  getSeriesMemos(seriesId) {
+    if (!seriesId) {
+      return [];
+    }
+    const series = this.memos.filter(memo => memo.seriesId === seriesId);
+    return this.sortMemos(series, 'dueAt', 'asc');
+  }
+
+  /**
+   * 结束重复系列：清除系列中未完成备忘录的重复规则，不再生成后续备忘录
+   * @param {String} seriesId - 系列ID
+   * @returns {Object} 结果 {success, updated, errors}
+   */
+  endSeries(seriesId) {
+    const result = {
+      success: false,
+      updated: 0,
+      errors: []
+    };
+
+    try {
+      const historyBefore = this.captureState();
+      const pending = this.memos.filter(memo =>
+        memo.seriesId === seriesId && memo.recurrence && !memo.isCompleted
+      );
+
+      if (pending.length === 0) {
+        result.errors.push('系列不存在或已结束');
+        return result;
+      }
+
+      const backups = pending.map(memo => memo.toObject());
+      pending.forEach(memo => memo.update({ recurrence: null }));
+
+      if (this.saveMemos()) {
+        result.success = true;
+        this.recordHistory('结束重复系列', historyBefore);
+        result.updated = pending.length;
+      } else {
+        result.errors.push('保存失败');
+        // 回滚
+        pending.forEach((memo, index) => {
+          Object.assign(memo, Memo.fromObject(backups[index]));
+        });
+      }
+
+      return result;
+    } catch (error) {
+      result.errors.push('结束系列失败: ' + error.message);
+      return result;
+    }
+  }
+
+  /**
+   * 切换清单项完成状态
+   * @param {String} memoId - 备忘录ID
+   * @param {String} itemId - 清单项ID
+   * @returns {Object} 切换结果 {success, memo, nextMemo, errors}
+   */
+  toggleChecklistItem(memoId, itemId) {
+    const result = {
+      success: false,
+      memo: null,
+      nextMemo: null,
+      errors: []
+    };
+
+    try {
+      const historyBefore = this.captureState();
+      const memo = this.getMemoById(memoId);
+      if (!memo) {
+        result.errors.push('备忘录不存在');
+        return result;
+      }
+
+      const oldData = memo.toObject();
+
+      if (!memo.toggleChecklistItem(itemId)) {
+        result.errors.push('清单项不存在');
+        return result;
+      }
+
+      // 清单自动完成时同样生成下一次重复
+      const nextMemo = this.spawnNextOccurrence(memo);
+
+      if (this.saveMemos()) {
+        result.success = true;
+        this.recordHistory('勾选清单项', historyBefore);
+        result.memo = memo;
+        result.nextMemo = nextMemo;
+      } else {
+        result.errors.push('保存失败');
+        // 回滚
+        if (nextMemo) {
+          this.memos.pop();
+        }
+        Object.assign(memo, Memo.fromObject(oldData));
+      }
+
+      return result;
+    } catch (error) {
+      result.errors.push('切换清单项失败: ' + error.message);
+      return result;
+    }
+  }
+
+  /**
+   * 搜索备忘录（标题和内容）
+   * @param {String} keyword - 搜索关键词
+   * @returns {Array} 匹配的备忘录数组
+   */
+  searchMemos(keyword) {
+    if (!keyword || keyword.trim() === '') {
+      return this.getAllMemos();
+    }
+
+    const lowerKeyword = keyword.toLowerCase();
+    return this.memos.filter(memo => {
+      const titleMatch = memo.title.toLowerCase().includes(lowerKeyword);
+      const contentMatch = memo.content.toLowerCase().includes(lowerKeyword);
+      return titleMatch || contentMatch;
+    });
+  }
+
+  /**
+   * 按分类筛选备忘录
+   * @param {String} category - 分类名称
+   * @returns {Array} 筛选后的备忘录数组
+   */
+  filterByCategory(category) {
+    if (!category || category === '全部') {
+      return this.getAllMemos();
+    }
+    return this.memos.filter(memo => memo.category === category);
+  }
+
+  /**
+   * 按优先级筛选备忘录
+   * @param {String} priority - 优先级
+   * @returns {Array} 筛选后的备忘录数组
+   */
+  filterByPriority(priority) {
+    if (!priority || priority === '全部') {
+      return this.getAllMemos();
+    }
+    return this.memos.filter(memo => memo.priority === priority);
+  }
+
+  /**
+   * 按标签筛选备忘录
+   * @param {String} tag - 标签名称
+   * @returns {Array} 筛选后的备忘录数组
+   */
+  filterByTag(tag) {
+    if (!tag) {
+      return this.getAllMemos();
+    }
+    return this.memos.filter(memo => memo.tags.includes(tag));
+  }
+
+  /**
+   * 按完成状态筛选备忘录
+   * @param {Boolean} isCompleted - 是否已完成
+   * @returns {Array} 筛选后的备忘录数组
+   */
+  filterByStatus(isCompleted) {
+    return this.memos.filter(memo => memo.isCompleted === isCompleted);
+  }
+
+  /**
+   * 按截止时间筛选备忘录
+   * @param {String} due - 截止范围 (overdue|today|week)
+   * @returns {Array} 筛选后的备忘录数组
+   */
+  filterByDue(due) {
+    if (!due) {
+      return this.getAllMemos();
+    }
+    return this.memos.filter(memo => this.matchesDue(memo, due));
+  }
+
+  /**
+   * 判断备忘录是否落在指定截止范围内
+   * @param {Memo} memo - 备忘录实例
+   * @param {String} due - 截止范围 (overdue|today|week)
+   * @returns {Boolean} 是否匹配
+   */
+  matchesDue(memo, due) {
+    const deadline = memo.getDueDeadline();
+    if (deadline === null) {
+      return false;
+    }
+
+    switch (due) {
+      case 'overdue':
+        return memo.isOverdue();
+
+      case 'today': {
+        const { start, end } = DateUtil.getDayRange();
+        return deadline >= start && deadline <= end;
+      }
+
+      case 'week': {
+        const { start, end } = DateUtil.getWeekRange();
+        return deadline >= start && deadline <= end;
+      }
+
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * 组合筛选
+   * @param {Object} filters - 筛选条件 {category, priority, tag, isCompleted, due, keyword, archived}
+   * @returns {Array} 筛选后的备忘录数组
+   */
+  filterMemos(filters = {}) {
+    let results = this.getAllMemos();
+
+    // 默认只显示未归档的备忘录，archived 为 true 时只显示已归档的
+    const showArchived = filters.archived === true;
+    results = results.filter(memo => memo.isArchived === showArchived);
+
+    // 按分类筛选
+    if (filters.category && filters.category !== '全部') {
+      results = results.filter(memo => memo.category === filters.category);
+    }
+
+    // 按优先级筛选
+    if (filters.priority && filters.priority !== '全部') {
+      results = results.filter(memo => memo.priority === filters.priority);
+    }
+
+    // 按标签筛选
+    if (filters.tag) {
+      results = results.filter(memo => memo.tags.includes(filters.tag));
+    }
+
+    // 按完成状态筛选
+    if (filters.isCompleted !== undefined) {
+      results = results.filter(memo => memo.isCompleted === filters.isCompleted);
+    }
+
+    // 按截止时间筛选
+    if (filters.due) {
+      results = results.filter(memo => this.matchesDue(memo, filters.due));
+    }
+
+    // 按关键词搜索
+    if (filters.keyword && filters.keyword.trim() !== '') {
+      const lowerKeyword = filters.keyword.toLowerCase();
+      results = results.filter(memo => {
+        const titleMatch = memo.title.toLowerCase().includes(lowerKeyword);
+        const contentMatch = memo.content.toLowerCase().includes(lowerKeyword);
+        return titleMatch || contentMatch;
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * 排序备忘录
+   * @param {Array} memos - 备忘录数组
+   * @param {String} sortBy - 排序字段 (createdAt|updatedAt|dueAt|priority|title|manual)
+   * @param {String} order - 排序顺序 (asc|desc)
+   * @returns {Array} 排序后的备忘录数组
+   */
+  sortMemos(memos, sortBy = 'createdAt', order = 'desc') {
+    const sorted = [...memos];
+
+    sorted.sort((a, b) => {
+      let comparison = 0;
+
+      // 置顶的备忘录始终排在最前
+      if (a.isPinned !== b.isPinned) {
+        return a.isPinned ? -1 : 1;
+      }
+
+      // 没有截止时间的备忘录始终排在最后
+      if (sortBy === 'dueAt' && (!a.dueAt || !b.dueAt)) {
+        return (a.dueAt ? 0 : 1) - (b.dueAt ? 0 : 1);
+      }
+
+      switch (sortBy) {
+        case 'createdAt':
+        case 'updatedAt':
+          comparison = a[sortBy] - b[sortBy];
+          break;
+
+        case 'dueAt':
+          comparison = a.getDueDeadline() - b.getDueDeadline();
+          break;
+
+        case 'manual':
+          comparison = a.order - b.order;
+          break;
+        
+        case 'priority':
+          const priorityOrder = { '高': 3, '中': 2, '低': 1 };
+          comparison = priorityOrder[a.priority] - priorityOrder[b.priority];
+          break;
+        
+        case 'title':
+          comparison = a.title.localeCompare(b.title);
+          break;
+        
+        default:
+          comparison = 0;
+      }
+
+      return order === 'asc' ? comparison : -comparison;
+    });
+
+    return sorted;
+  }
+
+  /**
+   * 获取所有标签
+   * @returns {Array} 标签数组（去重）
+   */
+  getAllTags() {
+    const tagsSet = new Set();
+    this.memos.forEach(memo => {
+      memo.tags.forEach(tag => tagsSet.add(tag));
+    });
+    return Array.from(tagsSet).sort();
+  }
+
+  /**
+   * 获取统计信息
+   * @returns {Object} 统计数据
+   */
+  getStatistics() {
+    // 已归档的备忘录单独计数，不计入其他统计
+    const activeMemos = this.memos.filter(m => !m.isArchived);
+    const archived = this.memos.length - activeMemos.length;
+    const total = activeMemos.length;
+    const completed = activeMemos.filter(m => m.isCompleted).length;
+    const pending = total - completed;
+    const overdue = activeMemos.filter(m => m.isOverdue()).length;
+
+    const byCategory = {};
+    this.categoryService.getNames().forEach(name => {
+      byCategory[name] = 0;
+    });
+
+    const byPriority = {
+      '高': 0,
+      '中': 0,
+      '低': 0
+    };
+
+    activeMemos.forEach(memo => {
+      byCategory[memo.category] = (byCategory[memo.category] || 0) + 1;
+      byPriority[memo.priority]++;
+    });
+
+    return {
+      total,
+      completed,
+      pending,
+      overdue,
+      archived,
+      completionRate: total > 0 ? Math.round((completed / total) * 100) : 0,
+      byCategory,
+      byPriority,
+      totalTags: this.getAllTags().length
+    };
+  }
+
+  /**
+   * 批量删除备忘录（移到回收站）
+   * @param {Array} ids - 备忘录ID数组
+   * @param {String} historyLabel - 撤销历史中显示的操作名称
+   * @returns {Object} 删除结果 {success, deleted, errors}
+   */
+  batchDeleteMemos(ids, historyLabel = '批量删除') {
+    const result = {
+      success: false,
+      deleted: 0,
+      errors: []
+    };
+
+    try {
+      const historyBefore = this.captureState();
+      const deletedMemos = [];
+      
+      ids.forEach(id => {
+        const index = this.memos.findIndex(memo => memo.id === id);
+        if (index !== -1) {
+          deletedMemos.push({ index, memo: this.memos[index] });
+          this.memos.splice(index, 1);
+          result.deleted++;
+        } else {
+          result.errors.push(`备忘录 ${id} 不存在`);
+        }
+      });
+
+      this.moveToTrash(deletedMemos.map(item => item.memo));
+
+      if (this.saveMemosAndTrash()) {
+        result.success = true;
+        this.recordHistory(historyLabel, historyBefore);
+      } else {
+        result.errors.push('保存失败');
+        // 回滚
+        deletedMemos.sort((a, b) => a.index - b.index);
+        deletedMemos.forEach(item => {
+          this.memos.splice(item.index, 0, item.memo);
+        });
+        if (deletedMemos.length > 0) {
+          this.trash.splice(-deletedMemos.length);
+        }
+        this.saveMemosAndTrash();
+      }
+
+      return result;
+    } catch (error) {
+      result.errors.push('批量删除失败: ' + error.message);
+      return result;
+    }
+  }
+
+  /**
+   * 清空所有已完成的备忘录（移到回收站，不包括已归档的）
+   * @returns {Object} 清空结果 {success, deleted, errors}
+   */
+  clearCompleted() {
+    const completedIds = this.memos
+      .filter(memo => memo.isCompleted && !memo.isArchived)
+      .map(memo => memo.id);
+
+    if (completedIds.length > 0) {
+      this.snapshotBefore('clearCompleted');
+    }
+    
+    return this.batchDeleteMemos(completedIds, '清空已完成');
+  }
+
+  /**
+   * 获取所有已归档的备忘录（最近归档的在前）
+   * @returns {Array} 备忘录数组
+   */
+  getArchivedMemos() {
+    return this.memos
+      .filter(memo => memo.isArchived)
+      .sort((a, b) => b.archivedAt - a.archivedAt);
+  }
+
+  /**
+   * 批量设置归档状态
+   * @param {Array} ids - 备忘录ID数组
+   * @param {Boolean} archived - 是否归档
+   * @param {String} historyLabel - 撤销历史中显示的操作名称
+   * @returns {Object} 结果 {success, changed, errors}
+   */
+  setArchived(ids, archived, historyLabel) {
+    const result = {
+      success: false,
+      changed: 0,
+      errors: []
+    };
+
+    try {
+      const historyBefore = this.captureState();
+      const changedMemos = [];
+
+      ids.forEach(id => {
+        const memo = this.getMemoById(id);
+        if (!memo) {
+          result.errors.push(`备忘录 ${id} 不存在`);
+          return;
+        }
+        if (memo.isArchived === archived) {
+          return;
+        }
+
+        changedMemos.push({ memo, archivedAt: memo.archivedAt });
+        if (archived) {
+          memo.archive();
+        } else {
+          memo.unarchive();
+        }
+        result.changed++;
+      });
+
+      if (changedMemos.length === 0) {
+        result.success = result.errors.length === 0;
+        return result;
+      }
+
+      if (this.saveMemos()) {
+        result.success = true;
+        this.recordHistory(historyLabel, historyBefore);
+      } else {
+        result.errors.push('保存失败');
+        // 回滚
+        changedMemos.forEach(({ memo, archivedAt }) => {
+          memo.isArchived = !archived;
+          memo.archivedAt = archivedAt;
+        });
+        result.changed = 0;
+      }
+
+      return result;
+    } catch (error) {
+      result.errors.push((archived ? '归档' : '取消归档') + '失败: ' + error.message);
+      return result;
+    }
+  }
+
+  /**
+   * 批量归档备忘录
+   * @param {Array} ids - 备忘录ID数组
+   * @param {String} historyLabel - 撤销历史中显示的操作名称
+   * @returns {Object} 结果 {success, changed, errors}
+   */
+  archiveMemos(ids, historyLabel = '批量归档') {
+    return this.setArchived(ids, true, historyLabel);
+  }
+
+  /**
+   * 批量取消归档
+   * @param {Array} ids - 备忘录ID数组
+   * @param {String} historyLabel - 撤销历史中显示的操作名称
+   * @returns {Object} 结果 {success, changed, errors}
+   */
+  unarchiveMemos(ids, historyLabel = '批量取消归档') {
+    return this.setArchived(ids, false, historyLabel);
+  }
+
+  /**
+   * 归档备忘录
+   * @param {String} id - 备忘录ID
+   * @returns {Object} 结果 {success, changed, errors}
+   */
+  archiveMemo(id) {
+    return this.archiveMemos([id], '归档');
+  }
+
+  /**
+   * 取消归档备忘录
+   * @param {String} id - 备忘录ID
+   * @returns {Object} 结果 {success, changed, errors}
+   */
+  unarchiveMemo(id) {
+    return this.unarchiveMemos([id], '取消归档');
+  }
+
+  /**
+   * 归档所有已完成的备忘录
+   * @returns {Object} 结果 {success, changed, errors}
+   */
+  archiveCompleted() {
+    const completedIds = this.memos
+      .filter(memo => memo.isCompleted && !memo.isArchived)
+      .map(memo => memo.id);
+
+    return this.archiveMemos(completedIds, '归档已完成');
+  }
+
+  /**
+   * 自动归档完成时间超过设定天数的备忘录
+   * @param {Number} now - 当前时间戳
+   * @returns {Object} 结果 {success, changed, errors}
+   */
+  autoArchiveCompleted(now = Date.now()) {
+    const days = this.settings.autoArchiveDays;
+    if (!days) {
+      return { success: true, changed: 0, errors: [] };
+    }
+
+    const threshold = now - days * 24 * 60 * 60 * 1000;
+    const expiredIds = this.memos
+      .filter(memo => memo.isCompleted && !memo.isArchived && memo.completedAt <= threshold)
+      .map(memo => memo.id);
+
+    if (expiredIds.length === 0) {
+      return { success: true, changed: 0, errors: [] };
+    }
+
+    return this.archiveMemos(expiredIds, '自动归档');
+  }
+
+  /**
+   * 设置自动归档天数
+   * @param {Number} days - 完成后多少天自动归档（0 表示不自动归档）
+   * @returns {Object} 设置结果 {success, errors}
+   */
+  setAutoArchiveDays(days) {
+    const value = Number(days);
+    if (!Number.isInteger(value) || value < 0 || value > 3650) {
+      return { success: false, errors: ['自动归档天数必须是0到3650之间的整数'] };
+    }
+
+    if (!this.updateSettings({ autoArchiveDays: value })) {
+      return { success: false, errors: ['保存失败'] };
+    }
+
+    return { success: true, errors: [] };
+  }
+
+  /**
+   * 获取所有分类（按顺序）
+   * @returns {Array} 分类数组
+   */
+  getCategories() {
+    return this.categoryService.getAll();
+  }
+
+  /**
+   * 在分类变更后保存分类和备忘录，失败时回滚到操作前的快照
+   * @param {Object} result - 操作结果
+   * @param {String} label - 撤销历史中显示的操作名称
+   * @param {Object} before - 操作前的快照
+   * @returns {Object} 操作结果
+   */
+  commitCategoryChange(result, label, before) {
+    if (this.saveAll()) {
+      result.success = true;
+      this.recordHistory(label, before);
+    } else {
+      result.success = false;
+      result.errors.push('保存失败');
+      // 回滚
+      this.restoreState(before);
+    }
+    return result;
+  }
+
+  /**
+   * 重命名备忘录的分类（迁移备忘录、回收站和历史版本，只修改内存）
+   * @param {String} oldName - 原分类名称
+   * @param {String} newName - 新分类名称
+   * @returns {Number} 迁移的备忘录数量
+   */
+  migrateCategory(oldName, newName) {
+    let migrated = 0;
+    [...this.memos, ...this.trash.map(entry => entry.memo)].forEach(memo => {
+      if (memo.category === oldName) {
+        memo.category = newName;
+        migrated++;
+      }
+      memo.revisions.forEach(revision => {
+        if (revision.snapshot.category === oldName) {
+          revision.snapshot.category = newName;
+        }
+      });
+    });
+    return migrated;
+  }
+
+  /**
+   * 创建分类
+   * @param {Object} data - 分类数据 {name, color, icon}
+   * @returns {Object} 创建结果 {success, category, errors}
+   */
+  createCategory(data) {
+    try {
+      const historyBefore = this.captureState();
+      const result = this.categoryService.add(data);
+      if (!result.success) {
+        return result;
+      }
+      return this.commitCategoryChange(result, '创建分类', historyBefore);
+    } catch (error) {
+      return { success: false, category: null, errors: ['创建分类失败: ' + error.message] };
+    }
+  }
+
+  /**
+   * 更新分类（重命名时同步迁移备忘录）
+   * @param {String} id - 分类ID
+   * @param {Object} updates - 更新的字段 {name, color, icon}
+   * @returns {Object} 更新结果 {success, category, migrated, errors}
+   */
+  updateCategory(id, updates) {
+    try {
+      const historyBefore = this.captureState();
+      const result = this.categoryService.update(id, updates);
+      if (!result.success) {
+        return result;
+      }
+
+      result.migrated = result.oldName !== result.category.name
+        ? this.migrateCategory(result.oldName, result.category.name)
+        : 0;
+
+      return this.commitCategoryChange(result, '编辑分类', historyBefore);
+    } catch (error) {
+      return { success: false, category: null, errors: ['更新分类失败: ' + error.message] };
+    }
+  }
+
+  /**
+   * 调整分类顺序
+   * @param {Array} ids - 按新顺序排列的分类ID数组
+   * @returns {Object} 结果 {success, errors}
+   */
+  reorderCategories(ids) {
+    try {
+      const historyBefore = this.captureState();
+      const result = this.categoryService.reorder(ids);
+      if (!result.success) {
+        return result;
+      }
+      return this.commitCategoryChange(result, '调整分类顺序', historyBefore);
+    } catch (error) {
+      return { success: false, errors: ['调整分类顺序失败: ' + error.message] };
+    }
+  }
+
+  /**
+   * 删除分类，原分类下的备忘录迁移到目标分类
+   * @param {String} id - 分类ID
+   * @param {String} targetName - 迁移目标分类名称，默认为剩余的默认分类
+   * @returns {Object} 删除结果 {success, category, migrated, errors}
+   */
+  deleteCategory(id, targetName = null) {
+    try {
+      const historyBefore = this.captureState();
+      const result = this.categoryService.remove(id);
+      if (!result.success) {
+        return result;
+      }
+
+      const target = targetName || this.categoryService.getDefaultName();
+      if (!this.categoryService.getByName(target)) {
+        this.categoryService.restoreState(historyBefore.categories);
+        return { success: false, category: null, errors: ['迁移目标分类不存在'] };
+      }
+
+      result.migrated = this.migrateCategory(result.category.name, target);
+      return this.commitCategoryChange(result, '删除分类', historyBefore);
+    } catch (error) {
+      return { success: false, category: null, errors: ['删除分类失败: ' + error.message] };
+    }
+  }
+
+  /**
+   * 获取回收站中的备忘录
+   * @returns {Array} 回收站条目数组 [{memo, deletedAt, expiresAt}]，最近删除的在前
+   */
+  getTrash() {
+    return this.trash
+      .map(entry => ({
+        ...entry,
+        expiresAt: this.getTrashExpiry(entry)
+      }))
+      .sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  /**
+   * 计算回收站条目的自动清除时间
+   * @param {Object} entry - 回收站条目
+   * @returns {Number|null} 自动清除的时间戳，保留天数为0时返回null（不自动清除）
+   */
+  getTrashExpiry(entry) {
+    const days = this.settings.trashRetentionDays;
+    if (!days) {
+      return null;
+    }
+    return entry.deletedAt + days * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * 从回收站恢复备忘录
+   * @param {Array} ids - 备忘录ID数组
+   * @returns {Object} 恢复结果 {success, restored, errors}
+   */
+  restoreMemos(ids) {
+    const result = {
+      success: false,
+      restored: 0,
+      errors: []
+    };
+
+    try {
+      const historyBefore = this.captureState();
+      const backupTrash = [...this.trash];
+      const backupMemos = [...this.memos];
+
+      ids.forEach(id => {
+        const index = this.trash.findIndex(entry => entry.memo.id === id);
+        if (index === -1) {
+          result.errors.push(`回收站中不存在备忘录 ${id}`);
+          return;
+        }
+
+        const [entry] = this.trash.splice(index, 1);
+        // 避免与现有备忘录ID冲突
+        if (this.getMemoById(entry.memo.id)) {
+          entry.memo.id = entry.memo.generateId();
+        }
+        this.memos.push(entry.memo);
+        result.restored++;
+      });
+      this.refreshLinks();
+
+      if (this.saveMemosAndTrash()) {
+        result.success = result.errors.length === 0;
+        this.recordHistory('恢复备忘录', historyBefore);
+      } else {
+        result.errors.push('保存失败');
+        // 回滚
+        this.trash = backupTrash;
+        this.memos = backupMemos;
+        this.refreshLinks();
+        this.saveMemosAndTrash();
+      }
+
+      return result;
+    } catch (error) {
+      result.errors.push('恢复失败: ' + error.message);
+      return result;
+    }
+  }
+
+  /**
+   * 从回收站恢复单条备忘录
+   * @param {String} id - 备忘录ID
+   * @returns {Object} 恢复结果 {success, restored, errors}
+   */
+  restoreMemo(id) {
+    return this.restoreMemos([id]);
+  }
+
+  /**
+   * 从回收站永久删除备忘录
+   * @param {Array} ids - 备忘录ID数组
+   * @returns {Object} 删除结果 {success, purged, errors}
+   */
+  purgeMemos(ids) {
+    const result = {
+      success: false,
+      purged: 0,
+      errors: []
+    };
+
+    try {
+      const backupTrash = [...this.trash];
+
+      ids.forEach(id => {
+        const index = this.trash.findIndex(entry => entry.memo.id === id);
+        if (index === -1) {
+          result.errors.push(`回收站中不存在备忘录 ${id}`);
+          return;
+        }
+        this.trash.splice(index, 1);
+        result.purged++;
+      });
+
+      if (this.saveTrash()) {
+        result.success = result.errors.length === 0;
+        this.forgetInHistory(ids);
+      } else {
+        result.errors.push('保存失败');
+        this.trash = backupTrash; // 回滚
+      }
+
+      return result;
+    } catch (error) {
+      result.errors.push('永久删除失败: ' + error.message);
+      return result;
+    }
+  }
+
+  /**
+   * 清空回收站
+   * @returns {Object} 删除结果 {success, purged, errors}
+   */
+  emptyTrash() {
+    if (this.trash.length > 0) {
+      this.snapshotBefore('emptyTrash');
+    }
+    return this.purgeMemos(this.trash.map(entry => entry.memo.id));
+  }
+
+  /**
+   * 清除超过保留天数的回收站条目
+   * @param {Number} now - 当前时间戳
+   * @returns {Object} 删除结果 {success, purged, errors}
+   */
+  purgeExpiredTrash(now = Date.now()) {
+    const expiredIds = this.trash
+      .filter(entry => {
+        const expiresAt = this.getTrashExpiry(entry);
+        return expiresAt !== null && expiresAt <= now;
+      })
+      .map(entry => entry.memo.id);
+
+    if (expiredIds.length === 0) {
+      return { success: true, purged: 0, errors: [] };
+    }
+
+    return this.purgeMemos(expiredIds);
+  }
+
+  /**
+   * 设置回收站保留天数
+   * @param {Number} days - 保留天数（0 表示不自动清除）
+   * @returns {Object} 设置结果 {success, errors}
+   */
+  setTrashRetentionDays(days) {
+    const value = Number(days);
+    if (!Number.isInteger(value) || value < 0 || value > 3650) {
+      return { success: false, errors: ['保留天数必须是0到3650之间的整数'] };
+    }
+
+    if (!this.updateSettings({ trashRetentionDays: value })) {
+      return { success: false, errors: ['保存失败'] };
+    }
+
+    return { success: true, errors: [] };
+  }
+
+  /**
+   * 获取快照保存的数据（备忘录、回收站、分类和设置）
+   * @returns {Object} 快照数据 {memos, trash, categories, settings}
+   */
+  captureSnapshotState() {
+    return {
+      ...this.captureState(),
+      settings: { ...this.settings }
+    };
+  }
+
+  /**
+   * 立即保存一个快照
+   * @param {String} reason - 快照原因（见 SnapshotService.REASONS）
+   * @param {Number} now - 当前时间戳
+   * @returns {Object} 保存结果 {success, snapshot, errors}
+   */
+  takeSnapshot(reason = 'manual', now = Date.now()) {
+    return this.snapshotService.create(this.captureSnapshotState(), reason, now);
+  }
+
+  /**
+   * 在破坏性操作前保存快照（失败时只记录日志，不阻止操作）
+   * @param {String} reason - 快照原因
+   */
+  snapshotBefore(reason) {
+    const result = this.takeSnapshot(reason);
+    if (!result.success) {
+      console.warn(`${this.snapshotService.getReasonLabel(reason)}快照保存失败:`, result.errors.join(', '));
+    }
+  }
+
+  /**
+   * 距上次定时快照超过间隔且数据有变化时保存定时快照
+   * @param {Number} now - 当前时间戳
+   * @returns {Object} 保存结果 {success, snapshot, errors}（无需保存时 snapshot 为 null）
+   */
+  autoSnapshot(now = Date.now()) {
+    const state = this.captureSnapshotState();
+    if (!this.snapshotService.isAutoSnapshotDue(state, now)) {
+      return { success: true, snapshot: null, errors: [] };
+    }
+    return this.snapshotService.create(state, 'auto', now);
+  }
+
+  /**
+   * 获取所有快照摘要（最新的在前）
+   * @returns {Array} 快照摘要数组
+   */
+  getSnapshots() {
+    return this.snapshotService.getAll();
+  }
+
+  /**
+   * 读取快照数据并升级到当前数据结构版本
+   * @param {String} id - 快照ID
+   * @returns {Object} 读取结果 {success, snapshot, state, errors}
+   */
+  loadSnapshot(id) {
+    const result = {
+      success: false,
+      snapshot: null,
+      state: null,
+      errors: []
+    };
+
+    const snapshot = this.snapshotService.get(id);
+    if (!snapshot || !snapshot.state) {
+      result.errors.push('快照不存在或已损坏');
+      return result;
+    }
+
+    try {
+      const version = snapshot.schemaVersion || 1;
+      const trashMemos = MemoMigrations.migrate(snapshot.state.trash.map(entry => entry.memo), version);
+      result.state = {
+        ...snapshot.state,
+        memos: MemoMigrations.migrate(snapshot.state.memos, version),
+        trash: snapshot.state.trash.map((entry, index) => ({ ...entry, memo: trashMemos[index] }))
+      };
+    } catch (error) {
+      result.errors.push('快照数据迁移失败: ' + error.message);
+      return result;
+    }
+
+    result.success = true;
+    result.snapshot = snapshot;
+    return result;
+  }
+
+  /**
+   * 预览快照内容
+   * @param {String} id - 快照ID
+   * @returns {Object} 预览结果 {success, snapshot, memos, trashCount, categories, errors}
+   */
+  previewSnapshot(id) {
+    const loaded = this.loadSnapshot(id);
+    if (!loaded.success) {
+      return { success: false, errors: loaded.errors };
+    }
+
+    return {
+      success: true,
+      snapshot: loaded.snapshot,
+      memos: loaded.state.memos.map(data => Memo.fromObject(data)),
+      trashCount: loaded.state.trash.length,
+      categories: loaded.state.categories,
+      errors: []
+    };
+  }
+
+  /**
+   * 从快照恢复全部数据（恢复前先保存当前数据的快照，可撤销）
+   * @param {String} id - 快照ID
+   * @returns {Object} 恢复结果 {success, restored, errors}
+   */
+  restoreSnapshot(id) {
+    const result = {
+      success: false,
+      restored: 0,
+      errors: []
+    };
+
+    const loaded = this.loadSnapshot(id);
+    if (!loaded.success) {
+      result.errors = loaded.errors;
+      return result;
+    }
+
+    const historyBefore = this.captureState();
+    this.snapshotBefore('restore');
+
+    const { memos, trash, categories, settings } = loaded.state;
+    if (!this.restoreState({ memos, trash, categories })) {
+      result.errors.push('保存失败');
+      return result;
+    }
+    if (settings) {
+      this.updateSettings(settings);
+    }
+
+    this.recordHistory('恢复快照', historyBefore);
+    result.success = true;
+    result.restored = memos.length;
+    return result;
+  }
+
+  /**
+   * 删除快照
+   * @param {String} id - 快照ID
+   * @returns {Object} 删除结果 {success, errors}
+   */
+  deleteSnapshot(id) {
+    return this.snapshotService.delete(id);
+  }
+
+  /**
+   * 获取恢复区中的隔离记录（最新的在前）
+   * @returns {Array} 隔离记录数组
+   */
+  getRecoveryEntries() {
+    return this.recoveryService.getAll();
+  }
+
+  /**
+   * 预览隔离记录中可以找回的备忘录
+   * @param {String} id - 隔离记录ID
+   * @returns {Object} 预览结果 {success, entry, memos, skipped, errors}
+   */
+  previewRecovery(id) {
+    const entry = this.recoveryService.get(id);
+    if (!entry) {
+      return { success: false, entry: null, memos: [], skipped: 0, errors: ['记录不存在'] };
+    }
+
+    const { memos, skipped } = RecoveryService.salvageMemos(entry.raw);
+    return { success: true, entry, memos, skipped, errors: [] };
+  }
+
+  /**
+   * 从隔离记录中找回备忘录（分类已不存在时改为默认分类，ID冲突时生成新ID）
+   * @param {String} id - 隔离记录ID
+   * @param {Array} memoIds - 要找回的备忘录ID（默认全部）
+   * @returns {Object} 找回结果 {success, restored, errors}
+   */
+  restoreFromRecovery(id, memoIds = null) {
+    const result = {
+      success: false,
+      restored: 0,
+      errors: []
+    };
+
+    try {
+      const preview = this.previewRecovery(id);
+      if (!preview.success) {
+        result.errors.push(...preview.errors);
+        return result;
+      }
+
+      const memos = memoIds ? preview.memos.filter(memo => memoIds.includes(memo.id)) : preview.memos;
+      if (memos.length === 0) {
+        result.errors.push('没有可以找回的备忘录');
+        return result;
+      }
+
+      const historyBefore = this.captureState();
+      const backupMemos = [...this.memos];
+      const categoryNames = this.categoryService.getNames();
+
+      memos.forEach(memo => {
+        if (this.getMemoById(memo.id)) {
+          memo.id = memo.generateId();
+        }
+        if (!categoryNames.includes(memo.category)) {
+          memo.category = this.categoryService.getDefaultName();
+        }
+        this.memos.push(memo);
+        result.restored++;
+      });
+
+      this.refreshLinks();
+
+      if (this.saveMemos()) {
+        result.success = true;
+        this.recordHistory('从恢复区找回', historyBefore);
+      } else {
+        result.errors.push('保存失败');
+        this.memos = backupMemos; // 回滚
+        this.refreshLinks();
+        result.restored = 0;
+      }
+
+      return result;
+    } catch (error) {
+      result.errors.push('找回失败: ' + error.message);
+      return result;
+    }
+  }
+
+  /**
+   * 删除隔离记录
+   * @param {String} id - 隔离记录ID
+   * @returns {Object} 删除结果 {success, errors}
+   */
+  discardRecovery(id) {
+    return this.recoveryService.delete(id);
+  }
+
+  /**
+   * 判断存储键所属的用量分组
+   * @param {String} key - 键名（不含命名空间）
+   * @returns {String} 分组 (memos|trash|snapshots|other)
+   */
+  getStorageGroup(key) {
+    if (key === this.indexKey || key === this.storageKey || key.startsWith(this.memoKeyPrefix)) {
+      return 'memos';
+    }
+    if (key === this.trashKey) {
+      return 'trash';
+    }
+    if (key === this.snapshotService.indexKey || key.startsWith(this.snapshotService.keyPrefix)) {
+      return 'snapshots';
+    }
+    return 'other';
+  }
+
+  /**
+   * 获取存储用量统计
+   * @param {Number} largestLimit - 返回占用最大的备忘录数量
+   * @returns {Object} 用量 {used, quota, remaining, percent, groups, revisions, keys, largestMemos}
+   */
+  getStorageUsage(largestLimit = 5) {
+    const keys = this.storage.getSizeByKey();
+    const groups = { memos: 0, trash: 0, snapshots: 0, other: 0 };
+    let used = 0;
+
+    Object.keys(keys).forEach(key => {
+      groups[this.getStorageGroup(key)] += keys[key];
+      used += keys[key];
+    });
+
+    const quota = this.storage.getQuota();
+    const largestMemos = this.memos
+      .map(memo => ({ memo, bytes: keys[this.getMemoKey(memo.id)] || 0 }))
+      .sort((a, b) => b.bytes - a.bytes)
+      .slice(0, largestLimit);
+
+    return {
+      used,
+      quota,
+      remaining: Math.max(0, quota - used),
+      percent: Number.isFinite(quota) && quota > 0 ? Math.min(100, Math.round(used / quota * 100)) : 0,
+      groups,
+      revisions: this.getRevisionsSize(),
+      keys,
+      largestMemos
+    };
+  }
+
+  /**
+   * 获取当前用量达到的最高提醒阈值
+   * @param {Number} percent - 已用百分比
+   * @returns {Number} 达到的阈值（百分比），未达到任何阈值时为 0
+   */
+  getStorageWarningLevel(percent) {
+    return this.settings.storageWarningThresholds
+      .filter(threshold => percent >= threshold)
+      .reduce((max, threshold) => Math.max(max, threshold), 0);
+  }
+
+  /**
+   * 设置存储空间提醒阈值
+   * @param {Array} thresholds - 已用百分比阈值数组（1 到 100 的整数）
+   * @returns {Object} 设置结果 {success, errors}
+   */
+  setStorageWarningThresholds(thresholds) {
+    const values = thresholds.map(Number);
+    if (values.length === 0 || values.some(value => !Number.isInteger(value) || value < 1 || value > 100)) {
+      return { success: false, errors: ['提醒阈值必须是1到100之间的整数'] };
+    }
+
+    const sorted = [...new Set(values)].sort((a, b) => a - b);
+    if (!this.updateSettings({ storageWarningThresholds: sorted })) {
+      return { success: false, errors: ['保存失败'] };
+    }
+
+    return { success: true, errors: [] };
+  }
+
+  /**
+   * 删除旧快照以释放存储空间（保留最新的若干个）
+   * @param {Number} keep - 保留的快照数量
+   * @returns {Object} 删除结果 {success, deleted, errors}
+   */
+  purgeSnapshots(keep = 1) {
+    return this.snapshotService.clear(keep);
+  }
+
+  /**
+   * 将备忘录复制到另一个工作区（目标中缺少的分类会一并创建，ID冲突时生成新ID）
+   * @param {Array} ids - 备忘录ID数组
+   * @param {MemoService} target - 目标工作区的备忘录服务
+   * @returns {Object} 复制结果 {success, copied, errors}
+   */
+  copyMemosTo(ids, target) {
+    const result = {
+      success: false,
+      copied: 0,
+      errors: []
+    };
+
+    try {
+      const memos = [];
+      ids.forEach(id => {
+        const memo = this.getMemoById(id);
+        if (memo) {
+          memos.push(memo);
+        } else {
+          result.errors.push(`备忘录 ${id} 不存在`);
+        }
+      });
+
+      if (memos.length === 0) {
+        result.errors.push('没有可复制的备忘录');
+        return result;
+      }
+
+      const missingCategories = [...new Set(memos.map(memo => memo.category))]
+        .filter(name => !target.categoryService.getByName(name));
+      for (const name of missingCategories) {
+        const source = this.categoryService.getByName(name);
+        const created = target.createCategory(source ? { name, color: source.color, icon: source.icon } : { name });
+        if (!created.success) {
+          result.errors.push(`创建分类"${name}"失败: ${created.errors.join(', ')}`);
+          return result;
+        }
+      }
+
+      // 与导入文件使用同样的预览和写入流程，目标中已有相同ID的备忘录时一律保留两份（复制的一份使用新ID）
+      const preview = target.previewImport({
+        schemaVersion: MemoMigrations.CURRENT_VERSION,
+        memos: memos.map(memo => memo.toObject())
+      });
+      const resolutions = {};
+      preview.items.forEach(item => {
+        resolutions[item.index] = 'both';
+      });
+      const report = target.applyImport(preview, resolutions);
+
+      result.copied = report.imported;
+      result.errors.push(...report.errors);
+      result.success = report.success && result.errors.length === 0;
+      return result;
+    } catch (error) {
+      result.errors.push('复制失败: ' + error.message);
+      return result;
+    }
+  }
+
+  /**
+   * 从当前工作区移除备忘录（移动到其他工作区后调用，不放入回收站，可撤销）
+   * @param {Array} ids - 备忘录ID数组
+   * @param {String} historyLabel - 撤销历史中显示的操作名称
+   * @returns {Object} 移除结果 {success, removed, errors}
+   */
+  removeMemos(ids, historyLabel = '移动到其他工作区') {
+    const result = {
+      success: false,
+      removed: 0,
+      errors: []
+    };
+
+    try {
+      const historyBefore = this.captureState();
+      const backupMemos = [...this.memos];
+
+      this.memos = this.memos.filter(memo => !ids.includes(memo.id));
+      result.removed = backupMemos.length - this.memos.length;
+      this.refreshLinks();
+
+      if (this.saveMemos()) {
+        result.success = true;
+        this.recordHistory(historyLabel, historyBefore);
+      } else {
+        result.errors.push('保存失败');
+        this.memos = backupMemos; // 回滚
+        this.refreshLinks();
+      }
+
+      return result;
+    } catch (error) {
+      result.errors.push('移除失败: ' + error.message);
+      return result;
+    }
+  }
+
+  /**
+   * 应用同步服务器上的修改：新增或替换备忘录，把已在其他设备删除的备忘录移到回收站
+   * 备忘录使用的分类不存在时按服务器上的分类信息创建。
+   * 同步的修改不进入撤销历史；撤销历史中的快照可能覆盖这些修改，因此一并清空
+   * @param {Object} changes - 修改 {memos: 备忘录对象数组, deletedIds: 备忘录ID数组, categories: 分类对象数组}
+   * @returns {Object} 应用结果 {success, updated, removed, skippedIds, errors}
+   */
+  applyRemoteChanges(changes) {
+    const result = {
+      success: false,
+      updated: 0,
+      removed: 0,
+      skippedIds: [],
+      errors: []
+    };
+
+    const memosData = changes.memos || [];
+    const deletedIds = (changes.deletedIds || []).filter(id => this.getMemoById(id));
+    const categories = changes.categories || [];
+
+    try {
+      if (deletedIds.length > 0) {
+        this.snapshotBefore('sync');
+      }
+
+      const backupMemos = [...this.memos];
+      const backupTrash = [...this.trash];
+      const backupCategories = this.categoryService.captureState();
+
+      const missingCategories = [...new Set(memosData.map(data => data.category))]
+        .filter(name => name && !this.categoryService.getByName(name));
+      missingCategories.forEach(name => {
+        const source = categories.find(category => category.name === name);
+        const added = this.categoryService.add(source ? { name, color: source.color, icon: source.icon } : { name });
+        if (!added.success) {
+          result.errors.push(`创建分类"${name}"失败: ${added.errors.join(', ')}`);
+        }
+      });
+
+      memosData.forEach(data => {
+        try {
+          const memo = Memo.fromObject(data);
+          const validation = this.validateIncomingMemo(memo, this.categoryService.getNames());
+          if (!validation.isValid) {
+            result.errors.push(`"${memo.title}" 无效: ${validation.errors.join(', ')}`);
+            result.skippedIds.push(data.id);
+            return;
+          }
+
+          const index = this.memos.findIndex(item => item.id === memo.id);
+          if (index === -1) {
+            this.memos.push(memo);
+          } else {
+            this.memos[index] = memo;
+          }
+          // 本机已删除、其他设备修改后保留的备忘录从回收站中取回
+          this.trash = this.trash.filter(entry => entry.memo.id !== memo.id);
+          result.updated++;
+        } catch (error) {
+          result.errors.push(`应用备忘录 ${data && data.id} 失败: ${error.message}`);
+          result.skippedIds.push(data && data.id);
+        }
+      });
+
+      const removed = this.memos.filter(memo => deletedIds.includes(memo.id));
+      this.memos = this.memos.filter(memo => !deletedIds.includes(memo.id));
+      this.moveToTrash(removed);
+      result.removed = removed.length;
+
+      this.refreshLinks();
+
+      if (this.saveAll()) {
+        result.success = true;
+        this.undoStack = [];
+        this.redoStack = [];
+      } else {
+        result.errors.push('保存失败');
+        // 回滚
+        this.memos = backupMemos;
+        this.trash = backupTrash;
+        this.categoryService.restoreState(backupCategories);
+        this.refreshLinks();
+      }
+
+      return result;
+    } catch (error) {
+      result.errors.push('应用同步修改失败: ' + error.message);
+      return result;
+    }
+  }
+
+  /**
+   * 导出所有备忘录数据
+   * @returns {Object} 导出的数据对象
+   */
+  exportData() {
+    return {
+      version: '1.0',
+      schemaVersion: MemoMigrations.CURRENT_VERSION,
+      timestamp: Date.now(),
+      memos: this.memos.map(memo => memo.toObject()),
+      statistics: this.getStatistics()
+    };
+  }
+
+  /**
+   * 导出所有备忘录为 Markdown 文件（每条一个文件，front matter 保存分类、优先级、标签、时间和完成状态）
+   * @returns {Array} 文件数组 [{name, content, modifiedAt}]
+   */
+  exportMarkdown() {
+    const usedNames = new Set();
+    return this.memos.map(memo => ({
+      name: MarkdownUtil.getFilename(memo.title, usedNames),
+      content: MarkdownUtil.memoToMarkdown(memo.toObject()),
+      modifiedAt: memo.updatedAt
+    }));
+  }
+
+  /**
+   * 调整导入适配器转换的备忘录的分类
+   * 没有分类或分类不存在时归入默认分类，原分类名称保留为标签
+   * @param {Object} memoData - 备忘录数据
+   * @returns {Object} 调整后的备忘录数据
+   */
+  adaptImportedCategory(memoData) {
+    const memo = { ...memoData };
+    if (memo.category && !this.categoryService.getByName(memo.category)) {
+      memo.tags = [...new Set([...(memo.tags || []), memo.category])];
+      memo.category = null;
+    }
+    memo.category = memo.category || this.categoryService.getDefaultName();
+    return memo;
+  }
+
+  /**
+   * 导出备忘录为 CSV 文本（带 UTF-8 BOM，第一行为表头）
+   * @param {Array} memos - 要导出的备忘录（按此顺序）
+   * @param {Array} columns - 要导出的列（CSV_COLUMNS 中的 key）
+   * @returns {String} CSV 文本
+   */
+  exportCsv(memos, columns = MemoService.CSV_DEFAULT_COLUMNS) {
+    const selected = MemoService.CSV_COLUMNS.filter(column => columns.includes(column.key));
+    const rows = memos.map(memo => selected.map(column => this.formatCsvValue(memo, column.key)));
+    return CsvUtil.stringify([selected.map(column => column.label), ...rows]);
+  }
+
+  /**
+   * 把备忘录字段转换为 CSV 单元格文本
+   * @param {Memo} memo - 备忘录
+   * @param {String} key - 字段
+   * @returns {String}
+   */
+  formatCsvValue(memo, key) {
+    const value = memo[key];
+    switch (key) {
+      case 'tags':
+        return value.join(', ');
+      case 'isCompleted':
+      case 'isPinned':
+      case 'isArchived':
+        return value ? '是' : '否';
+      case 'dueAt':
+        return value ? DateUtil.format(value, memo.dueHasTime ? 'full' : 'date') : '';
+      case 'createdAt':
+      case 'updatedAt':
+      case 'completedAt':
+        return value ? DateUtil.format(value, 'full') : '';
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * 根据 CSV 表头猜测每列对应的备忘录字段（每个字段只匹配一列）
+   * @param {Array} header - 表头单元格
+   * @returns {Array} 每列对应的字段 key，无法匹配时为空字符串
+   */
+  guessCsvMapping(header) {
+    const used = new Set();
+    return header.map(name => {
+      const text = String(name).trim().toLowerCase();
+      const column = MemoService.CSV_COLUMNS.find(item =>
+        !used.has(item.key) && (item.label.toLowerCase() === text || item.key.toLowerCase() === text || item.aliases.includes(text))
+      );
+      if (!column) {
+        return '';
+      }
+      used.add(column.key);
+      return column.key;
+    });
+  }
+
+  /**
+   * 按列映射把 CSV 行转换为备忘录数据，并用 Validator.validateMemo 检查每一行
+   * 没有分类的行归入默认分类，导出时为防止公式执行而加的单引号会去掉
+   * @param {Array} rows - 数据行（不含表头）
+   * @param {Array} mapping - 每列对应的字段 key（空字符串表示不导入该列）
+   * @param {Number} firstRowNumber - 第一行数据在文件中的行号（用于错误信息）
+   * @returns {Array} [{row: 行号, memo: 备忘录数据, errors: 错误信息数组}]
+   */
+  parseCsvRows(rows, mapping, firstRowNumber = 2) {
+    const names = this.categoryService.getNames();
+
+    return rows.map((cells, index) => {
+      const memo = {};
+      const errors = [];
+
+      mapping.forEach((key, column) => {
+        const raw = cells[column] !== undefined ? CsvUtil.unescapeFormula(cells[column]) : '';
+        const text = raw.trim();
+        if (!key || (text === '' && key !== 'title')) {
+          return;
+        }
+
+        switch (key) {
+          case 'content':
+            memo.content = raw.replace(/\s+$/, '');
+            break;
+          case 'priority':
+            memo.priority = MarkdownUtil.PRIORITY_ALIASES[text.toLowerCase()] || text;
+            break;
+          case 'tags':
+            memo.tags = [...new Set(text.split(/[,，;；]/).map(tag => tag.trim().replace(/^#/, '')).filter(tag => tag))];
+            break;
+          case 'isCompleted':
+          case 'isPinned':
+          case 'isArchived':
+            memo[key] = /^(是|已完成|已归档|完成|true|yes|y|1|x|✓|✔|done|completed)$/i.test(text);
+            break;
+          case 'dueAt':
+            memo.dueAt = this.parseCsvDate(text);
+            memo.dueHasTime = !/^\d{4}[-/.]\d{1,2}[-/.]\d{1,2}$/.test(text);
+            break;
+          case 'createdAt':
+          case 'updatedAt':
+          case 'completedAt': {
+            const timestamp = this.parseCsvDate(text);
+            if (isNaN(timestamp)) {
+              const column = MemoService.CSV_COLUMNS.find(item => item.key === key);
+              errors.push(`${column.label}格式无效`);
+            } else {
+              memo[key] = timestamp;
+            }
+            break;
+          }
+          default:
+            memo[key] = text;
+        }
+      });
+
+      memo.category = memo.category || this.categoryService.getDefaultName();
+      if (memo.createdAt && !memo.updatedAt) {
+        memo.updatedAt = memo.createdAt;
+      }
+      if (memo.isArchived) {
+        memo.archivedAt = memo.updatedAt || Date.now();
+      }
+
+      const validation = Validator.validateMemo(memo, { categories: names });
+      return {
+        row: firstRowNumber + index,
+        memo,
+        errors: [...validation.errors, ...errors]
+      };
+    });
+  }
+
+  /**
+   * 解析 CSV 中的日期（只有日期时按本地时间的零点）
+   * @param {String} text - 日期文本，例如 2025-10-27、2025/10/27 14:30
+   * @returns {Number} 时间戳，无法解析时为 NaN
+   */
+  parseCsvDate(text) {
+    const match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (match) {
+      const [, year, month, day, hours, minutes, seconds] = match.map(value => Number(value) || 0);
+      return new Date(year, month - 1, day, hours, minutes, seconds).getTime();
+    }
+
+    const timestamp = DateUtil.parse(text);
+    return timestamp === null ? NaN : timestamp;
+  }
+
+  /**
+   * 把 CSV 数据转换为导入数据（有错误的行跳过，错误信息放入数据的 errors，由导入预览列出）
+   * @param {Array} rows - 数据行（不含表头）
+   * @param {Array} mapping - 每列对应的字段 key
+   * @param {Number} firstRowNumber - 第一行数据在文件中的行号
+   * @returns {Object} 转换结果 {success, data: previewImport 的数据, errors}
+   */
+  prepareCsvImport(rows, mapping, firstRowNumber = 2) {
+    if (!mapping.includes('title')) {
+      return { success: false, data: null, errors: ['请选择作为标题的列'] };
+    }
+
+    const parsed = this.parseCsvRows(rows, mapping, firstRowNumber);
+    const errors = parsed
+      .filter(item => item.errors.length > 0)
+      .map(item => `第 ${item.row} 行: ${item.errors.join(', ')}`);
+    const memos = parsed.filter(item => item.errors.length === 0).map(item => item.memo);
+
+    if (memos.length === 0) {
+      return { success: false, data: null, errors: errors.length > 0 ? errors : ['没有可导入的数据'] };
+    }
+
+    // 按文件中的行顺序排在列表最前（CSV 的创建时间只精确到秒，按创建时间得出的位置会相同）
+    const top = this.memos.reduce((min, memo) => Math.min(min, memo.order), -Date.now());
+    memos.forEach((memo, index) => {
+      memo.order = top - memos.length + index;
+    });
+
+    return {
+      success: true,
+      data: { schemaVersion: MemoMigrations.CURRENT_VERSION, memos, errors },
+      errors: []
+    };
+  }
+
+  /**
+   * 导出备忘录为 iCalendar 文本，每条备忘录一个 VTODO（UID 为备忘录ID）
+   * 分类和标签写入 CATEGORIES，分类在最前
+   * @param {Array} memos - 要导出的备忘录
+   * @returns {String} .ics 文本
+   */
+  exportIcs(memos) {
+    const now = IcsUtil.formatDateTime(Date.now());
+
+    const components = memos.map(memo => {
+      const properties = [
+        ['UID', IcsUtil.escapeText(memo.id)],
+        ['DTSTAMP', now],
+        ['CREATED', IcsUtil.formatDateTime(memo.createdAt)],
+        ['LAST-MODIFIED', IcsUtil.formatDateTime(memo.updatedAt)],
+        ['SUMMARY', IcsUtil.escapeText(memo.title)],
+        ['DESCRIPTION', IcsUtil.escapeText(memo.content)],
+        ['PRIORITY', MemoService.ICS_PRIORITIES[memo.priority]],
+        ['CATEGORIES', [memo.category, ...memo.tags].map(name => IcsUtil.escapeText(name)).join(',')],
+        ['STATUS', memo.isCompleted ? 'COMPLETED' : 'NEEDS-ACTION']
+      ];
+
+      if (memo.dueAt) {
+        properties.push(memo.dueHasTime
+          ? ['DUE', IcsUtil.formatDateTime(memo.dueAt)]
+          : ['DUE', IcsUtil.formatDate(memo.dueAt), { VALUE: 'DATE' }]);
+      }
+      if (memo.isCompleted) {
+        properties.push(['COMPLETED', IcsUtil.formatDateTime(memo.completedAt || memo.updatedAt)]);
+        properties.push(['PERCENT-COMPLETE', 100]);
+      }
+
+      return { type: 'VTODO', properties };
+    });
+
+    return IcsUtil.stringify(components);
+  }
+
+  /**
+   * 把 VTODO 或 VEVENT 转换为备忘录数据
+   * CATEGORIES 中第一个已存在的分类作为分类，其余作为标签；VEVENT 的开始时间作为截止时间
+   * @param {Object} component - IcsUtil.parse 返回的组件
+   * @returns {Object} 备忘录数据（只包含日历中有的字段）
+   */
+  parseIcsComponent(component) {
+    const text = (name) => {
+      const property = IcsUtil.getProperty(component, name);
+      return property ? IcsUtil.unescapeText(property.value) : '';
+    };
+    const date = (name) => {
+      const property = IcsUtil.getProperty(component, name);
+      return property ? IcsUtil.parseDate(property.value) : null;
+    };
+
+    const memo = {
+      title: text('SUMMARY').trim(),
+      content: text('DESCRIPTION').replace(/\s+$/, '')
+    };
+
+    const uid = text('UID').trim();
+    if (uid) memo.id = uid;
+
+    const priority = parseInt(text('PRIORITY'), 10);
+    if (priority >= 1 && priority <= 9) {
+      memo.priority = priority <= 4 ? '高' : priority === 5 ? '中' : '低';
+    }
+
+    const names = (component.properties.CATEGORIES || [])
+      .reduce((list, property) => list.concat(IcsUtil.splitList(property.value)), []);
+    const category = names.find(name => this.categoryService.getByName(name));
+    memo.category = category || this.categoryService.getDefaultName();
+    memo.tags = [...new Set(names.filter(name => name !== category))];
+
+    const created = date('CREATED');
+    const modified = date('LAST-MODIFIED') || date('DTSTAMP');
+    if (created) memo.createdAt = created.timestamp;
+    if (modified) memo.updatedAt = modified.timestamp;
+
+    const due = component.type === 'VEVENT' ? date('DTSTART') : date('DUE');
+    memo.dueAt = due ? due.timestamp : null;
+    memo.dueHasTime = due ? due.hasTime : false;
+
+    const completed = date('COMPLETED');
+    memo.isCompleted = text('STATUS').toUpperCase() === 'COMPLETED' || Boolean(completed);
+    if (memo.isCompleted && completed) {
+      memo.completedAt = completed.timestamp;
+    }
+
+    return memo;
+  }
+
+  /**
+   * 导入 iCalendar 文件：UID 与现有备忘录相同时更新该备忘录，否则新建
+   * 更新只改变日历中包含的字段（标题、内容、优先级、分类、标签、截止时间和完成状态），会记录历史版本
+   * 重复备忘录因此变为已完成时生成下一次
+   * @param {String} text - .ics 文本
+   * @returns {Object} 导入结果 {success, imported, updated, errors}
+   */
+  importIcs(text) {
+    const result = {
+      success: false,
+      imported: 0,
+      updated: 0,
+      errors: []
+    };
+
+    const components = IcsUtil.parse(text);
+    if (components.length === 0) {
+      result.errors.push('文件中没有待办事项或日程');
+      return result;
+    }
+
+    const historyBefore = this.captureState();
+    const backupMemos = this.memos.map(memo => Memo.fromObject(memo.toObject()));
+    const names = this.categoryService.getNames();
+    const fields = ['title', 'content', 'priority', 'category', 'tags', 'dueAt', 'dueHasTime', 'isCompleted'];
+    const seen = new Set();
+    const renamed = [];
+
+    components.forEach((component, index) => {
+      const data = this.parseIcsComponent(component);
+      const label = `第 ${index + 1} 条日程`;
+
+      // 同一文件中 UID 重复时只使用第一条
+      if (data.id && seen.has(data.id)) {
+        return;
+      }
+      seen.add(data.id);
+
+      const validation = Validator.validateMemo(data, { categories: names });
+      if (!validation.isValid) {
+        result.errors.push(`${label}无效: ${validation.errors.join(', ')}`);
+        return;
+      }
+
+      const existing = data.id ? this.getMemoById(data.id) : null;
+      if (!existing) {
+        this.memos.push(Memo.fromObject(data));
+        result.imported++;
+        return;
+      }
+
+      const updates = {};
+      fields.forEach(key => {
+        if (key in data && JSON.stringify(data[key]) !== JSON.stringify(existing[key])) {
+          updates[key] = data[key];
+        }
+      });
+      if (Object.keys(updates).length === 0) {
+        return;
+      }
+
+      const oldTitle = existing.title;
+      const wasCompleted = existing.isCompleted;
+      existing.update(updates);
+      if (data.isCompleted && data.completedAt) {
+        existing.completedAt = data.completedAt;
+      }
+      // 与在列表中勾选完成一样，完成重复备忘录时生成下一次
+      if (!wasCompleted && existing.isCompleted) {
+        this.spawnNextOccurrence(existing);
+      }
+      if (existing.title !== oldTitle) {
+        renamed.push({ memo: existing, oldTitle });
+      }
+      result.updated++;
+    });
+
+    if (result.imported === 0 && result.updated === 0) {
+      result.success = result.errors.length === 0;
+      return result;
+    }
+
+    renamed.forEach(item => this.renameLinks(item.memo, item.oldTitle));
+    this.refreshLinks();
+
+    if (this.saveMemos()) {
+      result.success = result.errors.length === 0;
+      this.recordHistory('导入日历', historyBefore);
+    } else {
+      result.errors.push('保存失败');
+      result.imported = 0;
+      result.updated = 0;
+      this.memos = backupMemos;
+      this.refreshLinks();
+    }
+
+    return result;
+  }
+
+  /**
+   * 验证从导入文件或同步服务器读入的备忘录
+   * 除模型本身的验证外，重复规则、清单和链接按编辑器使用的 Validator 规则检查
+   * @param {Memo} memo - 备忘录实例
+   * @param {Array} validCategories - 有效的分类名称
+   * @returns {Object} 验证结果 {isValid, errors}
+   */
+  validateIncomingMemo(memo, validCategories) {
+    const errors = [...memo.validate(validCategories).errors];
+    const data = memo.toObject();
+
+    [
+      Validator.validateRecurrence(data.recurrence),
+      Validator.validateChecklist(data.checklist),
+      Validator.validateLinks(data.links)
+    ].forEach(fieldResult => {
+      if (!fieldResult.isValid && !errors.includes(fieldResult.message)) {
+        errors.push(fieldResult.message);
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * 预览导入（不修改任何数据）
+   * 每条记录按 ID 与现有备忘录比较，分为 new（新备忘录）、identical（与现有备忘录相同）、
+   * changed（ID 相同但内容不同，即冲突）和 invalid（无效）
+   * 数据可以是导出文件，也可以是导入适配器（Importers.parse）的转换结果：
+   * 带有 source 时按 adaptImportedCategory 调整分类，skipped 和 errors 合并到预览结果中
+   * @param {Object} data - 导入的数据对象 {schemaVersion, memos, source, skipped, errors}
+   * @returns {Object} 预览结果 {success, items: [{index, status, memo, existing, changedFields, errors}], counts, skipped, errors}
+   */
+  previewImport(data) {
+    const result = {
+      success: false,
+      items: [],
+      counts: { new: 0, identical: 0, changed: 0, invalid: 0 },
+      skipped: (data && data.skipped) || 0,
+      errors: data && Array.isArray(data.errors) ? [...data.errors] : []
+    };
+
+    if (!data || !data.memos || !Array.isArray(data.memos)) {
+      result.errors.push('无效的数据格式');
+      return result;
+    }
+
+    let memosData;
+    try {
+      memosData = MemoMigrations.migrate(data.memos, data.schemaVersion || 1);
+    } catch (error) {
+      result.errors.push('数据迁移失败: ' + error.message);
+      return result;
+    }
+
+    if (data.source) {
+      memosData = memosData.map(memoData => this.adaptImportedCategory(memoData));
+    }
+
+    const names = this.categoryService.getNames();
+    const seen = new Map();
+
+    memosData.forEach((memoData, index) => {
+      const item = { index, status: 'invalid', memo: null, existing: null, changedFields: [], errors: [] };
+      result.items.push(item);
+
+      try {
+        const memo = Memo.fromObject(memoData);
+        item.memo = memo.toObject();
+
+        const validation = this.validateIncomingMemo(memo, names);
+        if (!validation.isValid) {
+          item.errors = validation.errors;
+        } else if (seen.has(memo.id)) {
+          item.errors = [`与第 ${seen.get(memo.id) + 1} 条数据的ID重复`];
+        } else {
+          seen.set(memo.id, index);
+          const existing = this.getMemoById(memo.id);
+          if (!existing) {
+            item.status = 'new';
+          } else {
+            item.existing = existing.toObject();
+            item.changedFields = MemoService.IMPORT_FIELDS
+              .map(field => field.key)
+              .filter(key => JSON.stringify(item.memo[key]) !== JSON.stringify(item.existing[key]));
+            item.status = item.changedFields.length > 0 ? 'changed' : 'identical';
+          }
+        }
+      } catch (error) {
+        item.errors = [error.message];
+      }
+
+      result.counts[item.status]++;
+    });
+
+    result.success = true;
+    return result;
+  }
+
+  /**
+   * 按预览结果导入：新备忘录直接添加，相同的跳过（指定 both 时复制一份），冲突按 resolutions 处理（未指定的保留本机版本）
+   * 使用导入的版本时，本机版本保存为一条历史版本，ID、排序位置和历史版本保持不变
+   * @param {Object} preview - previewImport 的结果
+   * @param {Object} resolutions - 冲突的处理方式 {记录序号: IMPORT_RESOLUTIONS 之一}
+   * @returns {Object} 导入报告 {success, added, replaced, kept, duplicated, identical, invalid, skipped,
+   *   imported（added + duplicated）, updated（replaced）, details: [{index, title, status, action}], errors}
+   */
+  applyImport(preview, resolutions = {}) {
+    const report = {
+      success: false,
+      added: 0,
+      replaced: 0,
+      kept: 0,
+      duplicated: 0,
+      identical: 0,
+      invalid: 0,
+      skipped: preview.skipped || 0,
+      imported: 0,
+      updated: 0,
+      details: [],
+      errors: [...preview.errors]
+    };
+
+    if (!preview.success) {
+      return report;
+    }
+
+    // 可能用导入的版本替换本机备忘录时先保存快照
+    if (preview.items.some(item => item.status === 'changed' && ['theirs', 'newer'].includes(resolutions[item.index]))) {
+      this.snapshotBefore('import');
+    }
+
+    const historyBefore = this.captureState();
+    const backupMemos = this.memos.map(memo => Memo.fromObject(memo.toObject()));
+    const renamed = [];
+
+    const addCopy = (data) => {
+      const memo = Memo.fromObject(data);
+      memo.id = memo.generateId();
+      this.memos.push(memo);
+    };
+
+    preview.items.forEach(item => {
+      const detail = { index: item.index, title: item.memo ? item.memo.title : '', status: item.status, action: item.status };
+      report.details.push(detail);
+
+      if (item.status === 'invalid') {
+        report.invalid++;
+        report.errors.push(`第 ${item.index + 1} 条数据无效: ${item.errors.join(', ')}`);
+        return;
+      }
+      if (item.status === 'identical' && resolutions[item.index] !== 'both') {
+        report.identical++;
+        return;
+      }
+
+      // 预览后本机数据可能已经变化（例如同步），按当前状态处理
+      const existing = this.getMemoById(item.memo.id);
+      if (item.status === 'new') {
+        if (existing) {
+          addCopy(item.memo);
+          detail.action = 'duplicated';
+          report.duplicated++;
+        } else {
+          this.memos.push(Memo.fromObject(item.memo));
+          detail.action = 'added';
+          report.added++;
+        }
+        return;
+      }
+
+      let resolution = MemoService.IMPORT_RESOLUTIONS.includes(resolutions[item.index]) ? resolutions[item.index] : 'mine';
+      if (resolution === 'newer') {
+        resolution = existing && item.memo.updatedAt <= existing.updatedAt ? 'mine' : 'theirs';
+      }
+
+      if (!existing) {
+        this.memos.push(Memo.fromObject(item.memo));
+        detail.action = 'added';
+        report.added++;
+      } else if (resolution === 'theirs') {
+        const revisionFields = Memo.REVISION_FIELDS.filter(key => JSON.stringify(item.memo[key]) !== JSON.stringify(existing[key]));
+        if (revisionFields.length > 0) {
+          existing.addRevision(revisionFields);
+        }
+        const memo = Memo.fromObject({
+          ...item.memo,
+          id: existing.id,
+          order: existing.order,
+          revisions: existing.revisions
+        });
+        this.memos[this.memos.indexOf(existing)] = memo;
+        if (memo.title !== existing.title) {
+          renamed.push({ memo, oldTitle: existing.title });
+        }
+        detail.action = 'replaced';
+        report.replaced++;
+      } else if (resolution === 'both') {
+        addCopy(item.memo);
+        detail.action = 'duplicated';
+        report.duplicated++;
+      } else {
+        detail.action = 'kept';
+        report.kept++;
+      }
+    });
+
+    report.imported = report.added + report.duplicated;
+    report.updated = report.replaced;
+
+    if (report.imported === 0 && report.updated === 0) {
+      report.success = report.errors.length === 0;
+      return report;
+    }
+
+    renamed.forEach(item => this.renameLinks(item.memo, item.oldTitle));
+    this.refreshLinks();
+
+    if (this.saveMemos()) {
+      report.success = report.errors.length === 0;
+      this.recordHistory('导入数据', historyBefore);
+    } else {
+      report.errors.push('保存失败');
+      report.added = report.replaced = report.duplicated = report.imported = report.updated = 0;
+      report.details = [];
+      this.memos = backupMemos;
+      this.refreshLinks();
+    }
+
+    return report;
+  }
 }
 
 // 导出
@@ -0,0 +1,294 @@
+/**
+ * 数据恢复服务
+ * 把无法解析、校验失败或无效的存储数据隔离到 recovery 键中，避免被后续的保存覆盖，
+ * 并从隔离的原始数据中找回仍然有效的备忘录
+ *
+ * 每条隔离记录保存原键名、原始内容和损坏原因，用户确认后才会删除。
+ */
+
+class RecoveryService {
+  /**
+   * 损坏原因的显示名称
+   */
+  static REASONS = {
+    parse: '无法解析',
+    checksum: '校验值不匹配',
+    decrypt: '无法解密',
+    invalid: '记录无效'
+  };
+
+  /**
+   * 构造函数
+   * @param {StorageManager} storageManager - 存储管理器实例
+   */
+  constructor(storageManager) {
+    this.storage = storageManager;
+    this.recoveryKey = 'recovery';
+    this.entries = [];
+    this.pendingEntries = [];
+    this.reload();
+  }
+
+  /**
+   * 从存储中加载隔离记录
+   * recovery 键本身损坏时，把它的原始内容作为一条新的隔离记录保留
+   */
+  reload() {
+    const record = this.storage.inspect(this.recoveryKey);
+    this.pendingEntries = [];
+
+    if (record.status === 'corrupt') {
+      this.entries = [];
+      this.pendingEntries.push(this.createEntry(this.recoveryKey, record.raw, record.error.reason || 'parse'));
+    } else {
+      this.entries = Array.isArray(record.value) ? record.value : [];
+    }
+  }
+
+  /**
+   * 获取所有隔离记录（最新的在前）
+   * @returns {Array} 隔离记录数组 [{id, key, reason, detail, raw, size, detectedAt}]
+   */
+  getAll() {
+    return [...this.entries].sort((a, b) => b.detectedAt - a.detectedAt);
+  }
+
+  /**
+   * 根据ID获取隔离记录
+   * @param {String} id - 记录ID
+   * @returns {Object|null} 隔离记录
+   */
+  get(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * 获取损坏原因的显示名称
+   * @param {String} reason - 损坏原因
+   * @returns {String} 显示名称
+   */
+  getReasonLabel(reason) {
+    return RecoveryService.REASONS[reason] || reason;
+  }
+
+  /**
+   * 创建隔离记录
+   * @param {String} key - 原键名
+   * @param {String} raw - 原始内容
+   * @param {String} reason - 损坏原因（见 RecoveryService.REASONS）
+   * @param {String} detail - 补充说明
+   * @returns {Object} 隔离记录
+   */
+  createEntry(key, raw, reason, detail = '') {
+    const text = typeof raw === 'string' ? raw : String(raw);
+    return {
+      id: Memo.prototype.generateId(),
+      key,
+      reason,
+      detail,
+      raw: text,
+      size: text.length,
+      detectedAt: Date.now()
+    };
+  }
+
+  /**
+   * 保存隔离记录，并在同一次原子写入中删除已损坏的键、写入修复后的数据
+   * @param {Array} entries - 新的隔离记录
+   * @param {Array} removeKeys - 要删除的键名数组
+   * @param {Object} extraItems - 需要一并写入的其他键值对
+   * @returns {Boolean} 是否保存成功（失败时损坏的数据保持原样）
+   */
+  quarantine(entries, removeKeys = [], extraItems = {}) {
+    const all = [...this.pendingEntries, ...entries];
+    if (all.length === 0 && removeKeys.length === 0 && Object.keys(extraItems).length === 0) {
+      return true;
+    }
+
+    const retained = [...this.entries, ...all];
+    if (!this.storage.batchWrite({ ...extraItems, [this.recoveryKey]: retained }, removeKeys)) {
+      return false;
+    }
+
+    this.entries = retained;
+    this.pendingEntries = [];
+    return true;
+  }
+
+  /**
+   * 检查存储中的所有键，隔离无法解析或校验失败的数据
+   * @returns {Object} 检查结果 {success, entries, errors}
+   */
+  scan() {
+    const result = {
+      success: false,
+      entries: [...this.pendingEntries],
+      errors: []
+    };
+
+    const prefix = this.storage.namespace + ':';
+    const removeKeys = [];
+
+    this.storage.getAllKeys()
+      .map(fullKey => fullKey.slice(prefix.length))
+      .filter(key => key !== this.recoveryKey)
+      .forEach(key => {
+        const record = this.storage.inspect(key);
+        if (record.status === 'corrupt') {
+          result.entries.push(this.createEntry(key, record.raw, record.error.reason || 'parse', record.error.message));
+          removeKeys.push(key);
+        }
+      });
+
+    const entries = result.entries.slice(this.pendingEntries.length);
+    if (!this.quarantine(entries, removeKeys)) {
+      result.errors.push('隔离损坏的数据失败，存储空间可能不足');
+      return result;
+    }
+
+    result.success = true;
+    return result;
+  }
+
+  /**
+   * 删除隔离记录
+   * @param {String} id - 记录ID
+   * @returns {Object} 删除结果 {success, errors}
+   */
+  delete(id) {
+    const retained = this.entries.filter(entry => entry.id !== id);
+    if (retained.length === this.entries.length) {
+      return { success: false, errors: ['记录不存在'] };
+    }
+
+    if (!this.storage.set(this.recoveryKey, retained)) {
+      return { success: false, errors: ['删除记录失败'] };
+    }
+
+    this.entries = retained;
+    return { success: true, errors: [] };
+  }
+
+  /**
+   * 从原始内容中找回备忘录
+   * 能完整解析时按结构查找备忘录对象（兼容单条记录、备忘录数组、回收站和快照）；
+   * 不能解析时逐个尝试内容中以 {"id": 开头的对象
+   * @param {String} raw - 原始内容
+   * @returns {Object} 结果 {memos: 有效的 Memo 实例数组, skipped: 无效的记录数量}
+   */
+  static salvageMemos(raw) {
+    let candidates;
+    try {
+      let value = JSON.parse(raw);
+      if (value && typeof value === 'object' && '$checksum' in value && '$value' in value) {
+        value = value.$value;
+      }
+      candidates = RecoveryService.collectMemoObjects(value);
+    } catch (error) {
+      candidates = RecoveryService.scanMemoObjects(raw);
+    }
+
+    const memos = [];
+    let skipped = 0;
+    const seen = new Set();
+
+    candidates.forEach(data => {
+      try {
+        const memo = Memo.fromObject(data);
+        if (memo.validate().isValid && !seen.has(memo.id)) {
+          seen.add(memo.id);
+          memos.push(memo);
+        } else {
+          skipped++;
+        }
+      } catch (error) {
+        skipped++;
+      }
+    });
+
+    return { memos, skipped };
+  }
+
+  /**
+   * 在解析后的数据中查找备忘录对象
+   * @param {*} value - 解析后的数据
+   * @returns {Array} 备忘录对象数组
+   */
+  static collectMemoObjects(value) {
+    if (Array.isArray(value)) {
+      return value.flatMap(item => RecoveryService.collectMemoObjects(item));
+    }
+    if (!value || typeof value !== 'object') {
+      return [];
+    }
+    if (typeof value.id === 'string' && 'title' in value) {
+      return [value];
+    }
+    return Object.values(value).flatMap(item => RecoveryService.collectMemoObjects(item));
+  }
+
+  /**
+   * 在无法整体解析的文本中逐个解析以 {"id": 开头的对象
+   * @param {String} text - 原始内容
+   * @returns {Array} 备忘录对象数组
+   */
+  static scanMemoObjects(text) {
+    const objects = [];
+    const pattern = /\{\s*"id"\s*:/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const end = RecoveryService.findObjectEnd(text, match.index);
+      if (end === -1) {
+        continue;
+      }
+
+      try {
+        objects.push(...RecoveryService.collectMemoObjects(JSON.parse(text.slice(match.index, end + 1))));
+        pattern.lastIndex = end + 1;
+      } catch (error) {
+        // 该对象内部已损坏，继续查找下一个
+      }
+    }
+
+    return objects;
+  }
+
+  /**
+   * 查找从指定位置开始的 JSON 对象的结束位置（跳过字符串中的括号）
+   * @param {String} text - 文本
+   * @param {Number} start - 对象起始位置（'{' 的位置）
+   * @returns {Number} 结束位置（'}' 的位置），找不到时为 -1
+   */
+  static findObjectEnd(text, start) {
+    let depth = 0;
+    let inString = false;
+
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (char === '\\') {
+          i++;
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0) {
+          return i;
+        }
+      }
+    }
+
+    return -1;
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RecoveryService;
+}
@@ -0,0 +1,271 @@
+/**
+ * 数据快照服务
+ * 定时以及在覆盖导入、清空已完成等破坏性操作前保存全部数据的快照，可从快照恢复
+ *
+ * 每个快照单独存储在 snapshot:<id> 键中，snapshotIndex 键保存快照摘要列表（不含数据）。
+ * 定时快照按小时/天/周轮换保留，破坏性操作前的快照按数量保留。
+ */
+
+class SnapshotService {
+  /**
+   * 轮换保留策略
+   * hourly/daily/weekly：定时快照在最近的多少个小时/天/周中各保留最新的一个
+   * manual：手动和破坏性操作前的快照保留最新的多少个
+   */
+  static RETENTION = {
+    hourly: 24,
+    daily: 7,
+    weekly: 4,
+    manual: 10
+  };
+
+  /**
+   * 定时快照的最小间隔（毫秒）
+   */
+  static AUTO_INTERVAL = 60 * 60 * 1000;
+
+  /**
+   * 快照原因的显示名称
+   */
+  static REASONS = {
+    auto: '定时快照',
+    manual: '手动快照',
+    import: '覆盖导入前',
+    clearCompleted: '清空已完成前',
+    emptyTrash: '清空回收站前',
+    restore: '恢复快照前',
+    sync: '同步删除前'
+  };
+
+  /**
+   * 构造函数
+   * @param {StorageManager} storageManager - 存储管理器实例
+   */
+  constructor(storageManager) {
+    this.storage = storageManager;
+    this.indexKey = 'snapshotIndex';
+    this.keyPrefix = 'snapshot:';
+    this.snapshots = this.loadIndex();
+  }
+
+  /**
+   * 从存储中加载快照摘要列表
+   * @returns {Array} 快照摘要数组
+   */
+  loadIndex() {
+    const index = this.storage.get(this.indexKey, []);
+    return Array.isArray(index) ? index : [];
+  }
+
+  /**
+   * 重新从存储中加载快照列表（其他标签页修改数据后调用）
+   */
+  reload() {
+    this.snapshots = this.loadIndex();
+  }
+
+  /**
+   * 获取快照的存储键名
+   * @param {String} id - 快照ID
+   * @returns {String} 键名
+   */
+  getKey(id) {
+    return this.keyPrefix + id;
+  }
+
+  /**
+   * 计算字符串的校验值（用于跳过内容没有变化的定时快照）
+   * @param {String} text - 字符串
+   * @returns {String} 十六进制校验值
+   */
+  static hashString(text) {
+    return StorageManager.checksum(text);
+  }
+
+  /**
+   * 获取所有快照摘要（最新的在前）
+   * @returns {Array} 快照摘要数组 [{id, createdAt, reason, memoCount, trashCount, size, checksum}]
+   */
+  getAll() {
+    return [...this.snapshots].sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * 获取完整快照
+   * @param {String} id - 快照ID
+   * @returns {Object|null} 快照 {id, createdAt, reason, schemaVersion, state}，不存在时为 null
+   */
+  get(id) {
+    if (!this.snapshots.some(snapshot => snapshot.id === id)) {
+      return null;
+    }
+    return this.storage.get(this.getKey(id));
+  }
+
+  /**
+   * 获取快照原因的显示名称
+   * @param {String} reason - 快照原因
+   * @returns {String} 显示名称
+   */
+  getReasonLabel(reason) {
+    return SnapshotService.REASONS[reason] || reason;
+  }
+
+  /**
+   * 保存快照，并按保留策略删除过期的快照
+   * @param {Object} state - 要保存的数据 {memos, trash, categories, settings}
+   * @param {String} reason - 快照原因（见 SnapshotService.REASONS）
+   * @param {Number} now - 当前时间戳
+   * @returns {Object} 保存结果 {success, snapshot, errors}
+   */
+  create(state, reason, now = Date.now()) {
+    const result = {
+      success: false,
+      snapshot: null,
+      errors: []
+    };
+
+    try {
+      const serialized = JSON.stringify(state);
+      const summary = {
+        id: Memo.prototype.generateId(),
+        createdAt: now,
+        reason,
+        memoCount: state.memos.length,
+        trashCount: state.trash.length,
+        size: serialized.length,
+        checksum: SnapshotService.hashString(serialized)
+      };
+
+      const snapshots = [...this.snapshots, summary];
+      const keepIds = this.getRetainedIds(snapshots, now);
+      const retained = snapshots.filter(snapshot => keepIds.has(snapshot.id));
+      const removeKeys = snapshots
+        .filter(snapshot => !keepIds.has(snapshot.id))
+        .map(snapshot => this.getKey(snapshot.id));
+
+      const items = {
+        [this.indexKey]: retained,
+        [this.getKey(summary.id)]: {
+          ...summary,
+          schemaVersion: MemoMigrations.CURRENT_VERSION,
+          state
+        }
+      };
+
+      if (!this.storage.batchWrite(items, removeKeys)) {
+        result.errors.push('保存快照失败，存储空间可能不足');
+        return result;
+      }
+
+      this.snapshots = retained;
+      result.success = true;
+      result.snapshot = summary;
+      return result;
+    } catch (error) {
+      result.errors.push('创建快照失败: ' + error.message);
+      return result;
+    }
+  }
+
+  /**
+   * 判断是否需要保存定时快照（距上次定时快照超过间隔且数据有变化）
+   * @param {Object} state - 当前数据
+   * @param {Number} now - 当前时间戳
+   * @returns {Boolean}
+   */
+  isAutoSnapshotDue(state, now = Date.now()) {
+    const latest = this.getAll().find(snapshot => snapshot.reason === 'auto');
+    if (!latest) {
+      return true;
+    }
+    if (now - latest.createdAt < SnapshotService.AUTO_INTERVAL) {
+      return false;
+    }
+    return latest.checksum !== SnapshotService.hashString(JSON.stringify(state));
+  }
+
+  /**
+   * 按保留策略计算需要保留的快照
+   * 定时快照：最近 N 个小时/天/周中各保留该时段最新的一个（同一快照可同时满足多个时段）
+   * 其他快照：保留最新的 N 个
+   * @param {Array} snapshots - 快照摘要数组
+   * @param {Number} now - 当前时间戳
+   * @returns {Set} 保留的快照ID集合
+   */
+  getRetainedIds(snapshots, now = Date.now()) {
+    const retention = SnapshotService.RETENTION;
+    const sorted = [...snapshots].sort((a, b) => b.createdAt - a.createdAt);
+    const autoSnapshots = sorted.filter(snapshot => snapshot.reason === 'auto' && snapshot.createdAt <= now);
+    const keep = new Set();
+
+    const keepPerPeriod = (getPeriod, limit) => {
+      const periods = new Set();
+      autoSnapshots.forEach(snapshot => {
+        const period = getPeriod(snapshot.createdAt);
+        if (!periods.has(period) && periods.size < limit) {
+          periods.add(period);
+          keep.add(snapshot.id);
+        }
+      });
+    };
+
+    keepPerPeriod(time => Math.floor(time / (60 * 60 * 1000)), retention.hourly);
+    keepPerPeriod(time => DateUtil.formatDate(new Date(time)), retention.daily);
+    keepPerPeriod(time => DateUtil.getWeekRange(time).start, retention.weekly);
+
+    sorted
+      .filter(snapshot => snapshot.reason !== 'auto')
+      .slice(0, retention.manual)
+      .forEach(snapshot => keep.add(snapshot.id));
+
+    return keep;
+  }
+
+  /**
+   * 删除快照
+   * @param {String} id - 快照ID
+   * @returns {Object} 删除结果 {success, errors}
+   */
+  delete(id) {
+    const retained = this.snapshots.filter(snapshot => snapshot.id !== id);
+    if (retained.length === this.snapshots.length) {
+      return { success: false, errors: ['快照不存在'] };
+    }
+
+    if (!this.storage.batchWrite({ [this.indexKey]: retained }, [this.getKey(id)])) {
+      return { success: false, errors: ['删除快照失败'] };
+    }
+
+    this.snapshots = retained;
+    return { success: true, errors: [] };
+  }
+
+  /**
+   * 删除旧快照，只保留最新的若干个
+   * @param {Number} keep - 保留的快照数量
+   * @returns {Object} 删除结果 {success, deleted, errors}
+   */
+  clear(keep = 0) {
+    const sorted = this.getAll();
+    const retained = sorted.slice(0, keep);
+    const removed = sorted.slice(keep);
+
+    if (removed.length === 0) {
+      return { success: true, deleted: 0, errors: [] };
+    }
+
+    const removeKeys = removed.map(snapshot => this.getKey(snapshot.id));
+    if (!this.storage.batchWrite({ [this.indexKey]: retained }, removeKeys)) {
+      return { success: false, deleted: 0, errors: ['删除快照失败'] };
+    }
+
+    this.snapshots = retained;
+    return { success: true, deleted: removed.length, errors: [] };
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SnapshotService;
+}
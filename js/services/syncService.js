@@ -0,0 +1,622 @@
+/**
+ * 同步服务
+ * 把备忘录与自托管的 HTTP 或 WebDAV 服务器双向同步（可选功能，默认关闭）
+ *
+ * 服务器上保存一个同步文档：
+ * {format, schemaVersion, updatedAt, categories, memos: {<id>: {version, updatedAt, deviceId, deleted, data}}}
+ * 每条备忘录有独立的版本号，每次上传加 1；删除的备忘录保留为 deleted 为 true 的墓碑记录。
+ * 本机在 sync 键中记录上次同步时每条备忘录的版本号和内容校验值，据此判断哪一端有修改：
+ * 只有一端修改时直接采用；两端都修改时按修改时间采用较新的一端（后写入者胜），
+ * 两端的标题或内容不同时另外记录为冲突，由用户在合并界面中决定最终内容。
+ */
+
+class SyncService {
+  /**
+   * 同步文档的格式标识
+   */
+  static FORMAT = 'LocalMemo-sync';
+
+  /**
+   * 同步状态的显示名称
+   */
+  static STATUS = {
+    disabled: '未启用同步',
+    idle: '已同步',
+    syncing: '正在同步',
+    offline: '无法连接服务器',
+    error: '同步失败',
+    conflict: '有冲突待合并'
+  };
+
+  /**
+   * 默认配置
+   */
+  static DEFAULT_CONFIG = {
+    enabled: false,
+    type: 'http',
+    url: '',
+    username: '',
+    password: '',
+    interval: 5 // 自动同步间隔（分钟），0 表示只在修改后和手动同步
+  };
+
+  /**
+   * 其他设备同时写入时的最大重试次数
+   */
+  static MAX_ATTEMPTS = 3;
+
+  /**
+   * 构造函数
+   * @param {MemoService} memoService - 备忘录服务实例
+   * @param {Function} createTransport - 根据配置创建传输层的函数（默认创建 SyncTransport）
+   */
+  constructor(memoService, createTransport = (config) => new SyncTransport(config)) {
+    this.memoService = memoService;
+    this.storage = memoService.storage;
+    this.createTransport = createTransport;
+    this.stateKey = 'sync';
+    this.state = null;
+    this.state = this.loadState();
+
+    // 未加密的存储中不保留密码（例如关闭加密前保存的配置）
+    const saved = this.storage.get(this.stateKey, {}) || {};
+    if (!this.canStorePassword() && saved.config && saved.config.password) {
+      this.saveState();
+    }
+    this.status = this.state.config.enabled ? 'idle' : 'disabled';
+    this.lastError = null;
+    this.running = null;
+    this.onStatusChange = null;
+  }
+
+  /**
+   * 从存储中加载同步状态
+   * @returns {Object} 同步状态 {config, deviceId, lastSyncAt, etag, known, conflicts}
+   */
+  loadState() {
+    const saved = this.storage.get(this.stateKey, {}) || {};
+    const config = { ...SyncService.DEFAULT_CONFIG, ...saved.config };
+    if (!this.canStorePassword()) {
+      // 密码只保存在内存中，重新加载状态时沿用本次输入的密码
+      config.password = this.state ? this.state.config.password : '';
+    }
+
+    return {
+      config,
+      deviceId: saved.deviceId || Memo.prototype.generateId(),
+      lastSyncAt: saved.lastSyncAt || null,
+      etag: saved.etag || null,
+      known: saved.known && typeof saved.known === 'object' ? saved.known : {},
+      conflicts: Array.isArray(saved.conflicts) ? saved.conflicts : []
+    };
+  }
+
+  /**
+   * 重新从存储中加载同步状态（其他标签页可能已同步）
+   */
+  reload() {
+    this.state = this.loadState();
+    if (!this.running) {
+      this.setStatus(this.getIdleStatus());
+    }
+  }
+
+  /**
+   * 保存同步状态（未启用加密存储时不保存密码）
+   * @returns {Boolean} 是否保存成功
+   */
+  saveState() {
+    if (this.canStorePassword()) {
+      return this.storage.set(this.stateKey, this.state);
+    }
+    return this.storage.set(this.stateKey, {
+      ...this.state,
+      config: { ...this.state.config, password: '' }
+    });
+  }
+
+  /**
+   * 同步密码是否可以保存到存储中
+   * 只有启用加密存储时才保存；未加密时密码只保存在内存中，重新打开应用后需要重新输入
+   * @returns {Boolean}
+   */
+  canStorePassword() {
+    return typeof EncryptedStorage !== 'undefined' && this.storage instanceof EncryptedStorage;
+  }
+
+  /**
+   * 获取同步配置
+   * @returns {Object} 配置 {enabled, type, url, username, password, interval}
+   */
+  getConfig() {
+    return { ...this.state.config };
+  }
+
+  /**
+   * 更新同步配置
+   * 更换服务器后清空已同步的版本记录，下次同步时与新服务器上的数据合并
+   * @param {Object} updates - 要更新的配置项
+   * @returns {Object} 更新结果 {success, errors}
+   */
+  updateConfig(updates) {
+    const config = { ...this.state.config, ...updates };
+    config.interval = Math.max(0, parseInt(config.interval, 10) || 0);
+
+    const errors = config.enabled ? SyncTransport.validateConfig(config) : [];
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const oldState = this.state;
+    const serverChanged = config.type !== oldState.config.type || config.url.trim() !== oldState.config.url.trim();
+    this.state = {
+      ...oldState,
+      config: { ...config, url: config.url.trim() },
+      ...(serverChanged ? { known: {}, etag: null, lastSyncAt: null } : {})
+    };
+
+    if (!this.saveState()) {
+      this.state = oldState; // 回滚
+      return { success: false, errors: ['保存失败'] };
+    }
+
+    this.lastError = null;
+    this.setStatus(this.getIdleStatus());
+    return { success: true, errors: [] };
+  }
+
+  /**
+   * 是否已启用同步
+   * @returns {Boolean}
+   */
+  isEnabled() {
+    return this.state.config.enabled;
+  }
+
+  /**
+   * 判断存储键的变更是否需要同步
+   * @param {String} key - 存储键名
+   * @returns {Boolean}
+   */
+  isSyncedKey(key) {
+    const { memoKeyPrefix, indexKey, storageKey } = this.memoService;
+    return key.startsWith(memoKeyPrefix) || key === indexKey || key === storageKey;
+  }
+
+  /**
+   * 没有正在进行的同步时应显示的状态
+   * @returns {String} 状态
+   */
+  getIdleStatus() {
+    if (!this.isEnabled()) {
+      return 'disabled';
+    }
+    if (this.lastError) {
+      return this.lastError.status === 0 ? 'offline' : 'error';
+    }
+    return this.state.conflicts.length > 0 ? 'conflict' : 'idle';
+  }
+
+  /**
+   * 更新同步状态并通知外部
+   * @param {String} status - 状态（见 SyncService.STATUS）
+   */
+  setStatus(status) {
+    this.status = status;
+    if (this.onStatusChange) {
+      this.onStatusChange(this.getStatus());
+    }
+  }
+
+  /**
+   * 获取当前同步状态
+   * @returns {Object} 状态 {status, label, lastSyncAt, error, conflicts}
+   */
+  getStatus() {
+    return {
+      status: this.status,
+      label: SyncService.STATUS[this.status],
+      lastSyncAt: this.state.lastSyncAt,
+      error: this.lastError ? this.lastError.message : null,
+      conflicts: this.state.conflicts.length
+    };
+  }
+
+  /**
+   * 计算备忘录内容的校验值
+   * @param {Object} data - 备忘录对象
+   * @returns {String} 校验值
+   */
+  hashMemo(data) {
+    return StorageManager.checksum(JSON.stringify(data));
+  }
+
+  /**
+   * 按当前版本的模型规范化备忘录对象（与本机保存的格式一致，便于比较）
+   * @param {Object} data - 备忘录对象
+   * @returns {Object} 备忘录对象
+   */
+  normalizeMemo(data) {
+    return Memo.fromObject(data).toObject();
+  }
+
+  /**
+   * 与服务器同步（正在同步时返回同一次同步的结果）
+   * @returns {Promise<Object>} 同步结果 {success, pulled, removed, pushed, conflicts, errors}
+   */
+  sync() {
+    if (!this.running) {
+      this.running = this.runSync().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  /**
+   * 执行一次同步；其他设备在读取和写入之间修改了服务器上的数据时重新同步
+   * @returns {Promise<Object>} 同步结果 {success, pulled, removed, pushed, conflicts, errors}
+   */
+  async runSync() {
+    const result = {
+      success: false,
+      pulled: 0,
+      removed: 0,
+      pushed: 0,
+      conflicts: 0,
+      errors: []
+    };
+
+    if (!this.isEnabled()) {
+      result.errors.push('未启用同步');
+      return result;
+    }
+
+    this.setStatus('syncing');
+
+    try {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await this.syncOnce(result);
+          break;
+        } catch (error) {
+          if (error.status !== 412 || attempt >= SyncService.MAX_ATTEMPTS) {
+            throw error;
+          }
+        }
+      }
+      result.success = true;
+      this.lastError = null;
+    } catch (error) {
+      console.error('同步失败:', error);
+      result.errors.push(error.message);
+      this.lastError = { message: error.message, status: error.status };
+    }
+
+    this.setStatus(this.getIdleStatus());
+    return result;
+  }
+
+  /**
+   * 读取服务器上的同步文档，应用其他设备的修改，再上传本机的修改
+   * @param {Object} result - 同步结果（累加）
+   * @returns {Promise<void>}
+   */
+  async syncOnce(result) {
+    const transport = this.createTransport(this.state.config);
+    const pulled = await transport.pull();
+    const remote = this.readDocument(pulled.document);
+    const plan = this.plan(remote.memos);
+
+    // 应用其他设备的修改
+    if (plan.incoming.length > 0 || plan.deletions.length > 0) {
+      const applied = this.memoService.applyRemoteChanges({
+        memos: plan.incoming.map(entry => entry.data),
+        deletedIds: plan.deletions,
+        categories: remote.categories
+      });
+      if (!applied.success) {
+        throw new Error(applied.errors.join(', '));
+      }
+
+      // 无法应用的备忘录不记录版本，下次同步时重试
+      applied.skippedIds.forEach(id => delete plan.known[id]);
+      result.pulled += applied.updated;
+      result.removed += applied.removed;
+      result.errors.push(...applied.errors);
+    }
+
+    this.recordConflicts(plan.conflicts);
+    result.conflicts += plan.conflicts.length;
+    Object.assign(this.state.known, plan.known);
+    if (!this.saveState()) {
+      throw new Error('保存同步状态失败');
+    }
+
+    // 上传本机的修改
+    const outgoingIds = Object.keys(plan.outgoing);
+    if (outgoingIds.length > 0) {
+      const document = this.buildDocument(remote, plan.outgoing);
+      const pushed = await transport.push(document, pulled.etag, pulled.document !== null);
+
+      outgoingIds.forEach(id => {
+        const entry = plan.outgoing[id];
+        this.state.known[id] = entry.deleted
+          ? { version: entry.version, deleted: true }
+          : { version: entry.version, hash: this.hashMemo(entry.data) };
+      });
+      this.state.etag = pushed.etag;
+      result.pushed += outgoingIds.length;
+    } else {
+      this.state.etag = pulled.etag;
+    }
+
+    this.state.lastSyncAt = Date.now();
+    if (!this.saveState()) {
+      throw new Error('保存同步状态失败');
+    }
+  }
+
+  /**
+   * 检查并规范化服务器上的同步文档（旧版本数据结构的备忘录会升级到当前版本）
+   * @param {Object|null} document - 同步文档（服务器上还没有时为 null）
+   * @returns {Object} 同步文档
+   */
+  readDocument(document) {
+    if (document === null) {
+      return {
+        format: SyncService.FORMAT,
+        schemaVersion: MemoMigrations.CURRENT_VERSION,
+        categories: [],
+        memos: {}
+      };
+    }
+
+    if (!document || document.format !== SyncService.FORMAT || !document.memos || typeof document.memos !== 'object') {
+      throw new Error('服务器上的文件不是 LocalMemo 同步数据');
+    }
+
+    const version = document.schemaVersion || 1;
+    const memos = { ...document.memos };
+    if (MemoMigrations.needsMigration(version)) {
+      const ids = Object.keys(memos).filter(id => !memos[id].deleted && memos[id].data);
+      const migrated = MemoMigrations.migrate(ids.map(id => memos[id].data), version);
+      ids.forEach((id, index) => {
+        memos[id] = { ...memos[id], data: migrated[index] };
+      });
+    }
+
+    return {
+      ...document,
+      schemaVersion: MemoMigrations.CURRENT_VERSION,
+      categories: Array.isArray(document.categories) ? document.categories : [],
+      memos
+    };
+  }
+
+  /**
+   * 比较本机、服务器和上次同步时的版本，生成同步计划
+   * @param {Object} remoteMemos - 服务器上的备忘录记录 {<id>: {version, updatedAt, deviceId, deleted, data}}
+   * @returns {Object} 同步计划 {incoming, deletions, outgoing, known, conflicts}
+   */
+  plan(remoteMemos) {
+    const now = Date.now();
+    const known = this.state.known;
+    const localMemos = new Map(this.memoService.memos.map(memo => [memo.id, memo]));
+    const deletedAt = new Map(this.memoService.trash.map(entry => [entry.memo.id, entry.deletedAt]));
+    const ids = new Set([...localMemos.keys(), ...Object.keys(remoteMemos), ...Object.keys(known)]);
+
+    const plan = {
+      incoming: [], // 采用服务器版本的备忘录记录
+      deletions: [], // 已在其他设备删除的备忘录ID
+      outgoing: {}, // 要上传的记录
+      known: {}, // 应用后记录的版本
+      conflicts: []
+    };
+
+    const takeRemote = (id, remote) => {
+      if (remote.deleted) {
+        if (localMemos.has(id)) {
+          plan.deletions.push(id);
+        }
+        plan.known[id] = { version: remote.version, deleted: true };
+      } else {
+        const data = this.normalizeMemo(remote.data);
+        plan.incoming.push({ id, data });
+        plan.known[id] = { version: remote.version, hash: this.hashMemo(data) };
+      }
+    };
+
+    const sendLocal = (id, local, localData, remote, base) => {
+      const previous = remote ? remote.version : (base ? base.version : 0);
+      plan.outgoing[id] = {
+        version: previous + 1,
+        updatedAt: local ? local.updatedAt : (deletedAt.get(id) || now),
+        deviceId: this.state.deviceId,
+        deleted: !local,
+        data: localData
+      };
+    };
+
+    ids.forEach(id => {
+      const base = known[id] || null;
+      const local = localMemos.get(id) || null;
+      const remote = remoteMemos[id] || null;
+      const localData = local ? local.toObject() : null;
+      const localHash = localData ? this.hashMemo(localData) : null;
+
+      const localChanged = local
+        ? !base || base.deleted || base.hash !== localHash
+        : !!base && !base.deleted;
+      const remoteChanged = !!remote && (!base || remote.version !== base.version);
+
+      if (!localChanged && !remoteChanged) {
+        return;
+      }
+      if (!remoteChanged) {
+        sendLocal(id, local, localData, remote, base);
+        return;
+      }
+      if (!localChanged) {
+        takeRemote(id, remote);
+        return;
+      }
+
+      // 两端都有修改
+      const remoteData = remote.deleted ? null : this.normalizeMemo(remote.data);
+      if (!local && remote.deleted) {
+        plan.known[id] = { version: remote.version, deleted: true };
+        return;
+      }
+      if (local && remoteData && this.hashMemo(remoteData) === localHash) {
+        plan.known[id] = { version: remote.version, hash: localHash };
+        return;
+      }
+
+      // 后写入者胜；时间相同时按设备ID决定，保证各设备得到相同的结果
+      const localTime = local ? local.updatedAt : (deletedAt.get(id) || now);
+      const remoteTime = remote.updatedAt || 0;
+      const localWins = localTime > remoteTime ||
+        (localTime === remoteTime && this.state.deviceId > (remote.deviceId || ''));
+
+      if (local && remoteData && (local.title !== remoteData.title || local.content !== remoteData.content)) {
+        plan.conflicts.push({
+          id: Memo.prototype.generateId(),
+          memoId: id,
+          local: localData,
+          remote: remoteData,
+          winner: localWins ? 'local' : 'remote',
+          detectedAt: now
+        });
+      }
+
+      if (localWins) {
+        sendLocal(id, local, localData, remote, base);
+      } else {
+        takeRemote(id, remote);
+      }
+    });
+
+    return plan;
+  }
+
+  /**
+   * 生成要上传的同步文档（服务器上的记录加上本机的修改，分类信息以本机为准合并）
+   * @param {Object} remote - 服务器上的同步文档
+   * @param {Object} outgoing - 本机要上传的记录
+   * @returns {Object} 同步文档
+   */
+  buildDocument(remote, outgoing) {
+    const categories = new Map(remote.categories.map(category => [category.name, category]));
+    this.memoService.getCategories().forEach(category => {
+      categories.set(category.name, { name: category.name, color: category.color, icon: category.icon });
+    });
+
+    return {
+      format: SyncService.FORMAT,
+      schemaVersion: MemoMigrations.CURRENT_VERSION,
+      updatedAt: Date.now(),
+      categories: [...categories.values()],
+      memos: { ...remote.memos, ...outgoing }
+    };
+  }
+
+  /**
+   * 记录新的冲突（同一备忘录的旧冲突被替换）
+   * @param {Array} conflicts - 冲突数组
+   */
+  recordConflicts(conflicts) {
+    if (conflicts.length === 0) {
+      return;
+    }
+    const memoIds = conflicts.map(conflict => conflict.memoId);
+    this.state.conflicts = [
+      ...this.state.conflicts.filter(conflict => !memoIds.includes(conflict.memoId)),
+      ...conflicts
+    ];
+  }
+
+  /**
+   * 获取所有待合并的冲突（最新的在前）
+   * @returns {Array} 冲突数组 [{id, memoId, local, remote, winner, detectedAt}]
+   */
+  getConflicts() {
+    return [...this.state.conflicts].sort((a, b) => b.detectedAt - a.detectedAt);
+  }
+
+  /**
+   * 根据ID获取冲突
+   * @param {String} id - 冲突ID
+   * @returns {Object|null} 冲突
+   */
+  getConflict(id) {
+    return this.state.conflicts.find(conflict => conflict.id === id) || null;
+  }
+
+  /**
+   * 移除冲突记录并保存
+   * @param {String} id - 冲突ID
+   * @returns {Boolean} 是否保存成功
+   */
+  removeConflict(id) {
+    const oldConflicts = this.state.conflicts;
+    this.state.conflicts = oldConflicts.filter(conflict => conflict.id !== id);
+    if (!this.saveState()) {
+      this.state.conflicts = oldConflicts; // 回滚
+      return false;
+    }
+    this.setStatus(this.running ? 'syncing' : this.getIdleStatus());
+    return true;
+  }
+
+  /**
+   * 用合并后的标题和内容解决冲突（作为一次普通编辑保存，下次同步时上传）
+   * @param {String} id - 冲突ID
+   * @param {Object} merged - 合并结果 {title, content}
+   * @returns {Object} 解决结果 {success, memo, errors}
+   */
+  resolveConflict(id, merged) {
+    const conflict = this.getConflict(id);
+    if (!conflict) {
+      return { success: false, memo: null, errors: ['冲突不存在'] };
+    }
+
+    const memo = this.memoService.getMemoById(conflict.memoId);
+    if (!memo) {
+      return { success: false, memo: null, errors: ['备忘录已被删除，可以忽略这个冲突'] };
+    }
+
+    let result = { success: true, memo, errors: [] };
+    if (memo.title !== merged.title || memo.content !== merged.content) {
+      result = this.memoService.updateMemo(memo.id, { title: merged.title, content: merged.content });
+      if (!result.success) {
+        return result;
+      }
+    }
+
+    if (!this.removeConflict(id)) {
+      result.errors.push('保存同步状态失败');
+    }
+    return result;
+  }
+
+  /**
+   * 忽略冲突（保留当前版本）
+   * @param {String} id - 冲突ID
+   * @returns {Object} 结果 {success, errors}
+   */
+  dismissConflict(id) {
+    if (!this.getConflict(id)) {
+      return { success: false, errors: ['冲突不存在'] };
+    }
+    if (!this.removeConflict(id)) {
+      return { success: false, errors: ['保存失败'] };
+    }
+    return { success: true, errors: [] };
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SyncService;
+}
@@ -0,0 +1,235 @@
+/**
+ * 工作区服务
+ * 维护工作区列表，每个工作区对应一个独立的存储命名空间（例如"个人"和"团队项目"）
+ *
+ * 工作区列表保存在 localStorage 的 LocalMemo-workspaces 命名空间中，
+ * 启动时无需打开 IndexedDB 即可确定要加载的工作区。
+ * 默认工作区使用原有的 LocalMemo 命名空间，升级前的数据自动归入默认工作区。
+ */
+
+class WorkspaceService {
+  /**
+   * 默认工作区的命名空间
+   */
+  static DEFAULT_NAMESPACE = 'LocalMemo';
+
+  /**
+   * 工作区名称的最大长度
+   */
+  static MAX_NAME_LENGTH = 30;
+
+  /**
+   * 构造函数
+   * @param {StorageManager} storageManager - 保存工作区列表的存储（默认使用独立的命名空间）
+   */
+  constructor(storageManager = new StorageManager('LocalMemo-workspaces')) {
+    this.storage = storageManager;
+    this.listKey = 'list';
+    this.currentKey = 'current';
+    this.workspaces = this.loadWorkspaces();
+  }
+
+  /**
+   * 从存储中加载工作区列表（首次使用时创建默认工作区）
+   * @returns {Array} 工作区数组 [{id, name, namespace, createdAt}]
+   */
+  loadWorkspaces() {
+    const workspaces = this.storage.get(this.listKey, []);
+    if (Array.isArray(workspaces) && workspaces.length > 0) {
+      return workspaces;
+    }
+
+    return [{
+      id: 'default',
+      name: '默认',
+      namespace: WorkspaceService.DEFAULT_NAMESPACE,
+      createdAt: Date.now()
+    }];
+  }
+
+  /**
+   * 重新从存储中加载工作区列表（其他标签页可能已修改）
+   */
+  reload() {
+    this.workspaces = this.loadWorkspaces();
+  }
+
+  /**
+   * 保存工作区列表
+   * @returns {Boolean} 是否保存成功
+   */
+  saveWorkspaces() {
+    return this.storage.set(this.listKey, this.workspaces);
+  }
+
+  /**
+   * 获取所有工作区
+   * @returns {Array} 工作区数组
+   */
+  getAll() {
+    return [...this.workspaces];
+  }
+
+  /**
+   * 根据ID获取工作区
+   * @param {String} id - 工作区ID
+   * @returns {Object|null} 工作区
+   */
+  getById(id) {
+    return this.workspaces.find(workspace => workspace.id === id) || null;
+  }
+
+  /**
+   * 获取当前工作区（记录的工作区不存在时回到第一个工作区）
+   * @returns {Object} 工作区
+   */
+  getCurrent() {
+    return this.getById(this.storage.get(this.currentKey)) || this.workspaces[0];
+  }
+
+  /**
+   * 设置当前工作区（下次加载时生效）
+   * @param {String} id - 工作区ID
+   * @returns {Object} 设置结果 {success, errors}
+   */
+  setCurrent(id) {
+    if (!this.getById(id)) {
+      return { success: false, errors: ['工作区不存在'] };
+    }
+    if (!this.storage.set(this.currentKey, id)) {
+      return { success: false, errors: ['保存失败'] };
+    }
+    return { success: true, errors: [] };
+  }
+
+  /**
+   * 校验工作区名称
+   * @param {String} name - 名称
+   * @param {String} excludeId - 校验重名时排除的工作区ID
+   * @returns {Array} 错误信息数组
+   */
+  validateName(name, excludeId = null) {
+    const errors = [];
+    const trimmed = (name || '').trim();
+
+    if (!trimmed) {
+      errors.push('工作区名称不能为空');
+    } else if (trimmed.length > WorkspaceService.MAX_NAME_LENGTH) {
+      errors.push(`工作区名称不能超过 ${WorkspaceService.MAX_NAME_LENGTH} 个字符`);
+    } else if (this.workspaces.some(workspace => workspace.id !== excludeId && workspace.name === trimmed)) {
+      errors.push(`工作区"${trimmed}"已存在`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * 新建工作区
+   * @param {String} name - 名称
+   * @returns {Object} 创建结果 {success, workspace, errors}
+   */
+  create(name) {
+    const result = {
+      success: false,
+      workspace: null,
+      errors: this.validateName(name)
+    };
+
+    if (result.errors.length > 0) {
+      return result;
+    }
+
+    const id = Memo.prototype.generateId();
+    const workspace = {
+      id,
+      name: name.trim(),
+      namespace: `${WorkspaceService.DEFAULT_NAMESPACE}@${id}`,
+      createdAt: Date.now()
+    };
+
+    this.workspaces.push(workspace);
+    if (!this.saveWorkspaces()) {
+      this.workspaces.pop(); // 回滚
+      result.errors.push('保存失败');
+      return result;
+    }
+
+    result.success = true;
+    result.workspace = workspace;
+    return result;
+  }
+
+  /**
+   * 重命名工作区
+   * @param {String} id - 工作区ID
+   * @param {String} name - 新名称
+   * @returns {Object} 更新结果 {success, errors}
+   */
+  rename(id, name) {
+    const workspace = this.getById(id);
+    if (!workspace) {
+      return { success: false, errors: ['工作区不存在'] };
+    }
+
+    const errors = this.validateName(name, id);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const oldName = workspace.name;
+    workspace.name = name.trim();
+    if (!this.saveWorkspaces()) {
+      workspace.name = oldName; // 回滚
+      return { success: false, errors: ['保存失败'] };
+    }
+
+    return { success: true, errors: [] };
+  }
+
+  /**
+   * 从列表中删除工作区（不能删除当前工作区和最后一个工作区；数据由调用方清除）
+   * @param {String} id - 工作区ID
+   * @returns {Object} 删除结果 {success, workspace, errors}
+   */
+  delete(id) {
+    const index = this.workspaces.findIndex(workspace => workspace.id === id);
+    if (index === -1) {
+      return { success: false, workspace: null, errors: ['工作区不存在'] };
+    }
+    if (this.workspaces.length === 1) {
+      return { success: false, workspace: null, errors: ['至少需要保留一个工作区'] };
+    }
+    if (this.getCurrent().id === id) {
+      return { success: false, workspace: null, errors: ['不能删除当前工作区，请先切换到其他工作区'] };
+    }
+
+    const [workspace] = this.workspaces.splice(index, 1);
+    if (!this.saveWorkspaces()) {
+      this.workspaces.splice(index, 0, workspace); // 回滚
+      return { success: false, workspace: null, errors: ['保存失败'] };
+    }
+
+    return { success: true, workspace, errors: [] };
+  }
+
+  /**
+   * 复制一个存储命名空间中的全部数据到另一个存储（原样复制，已加密的数据保持加密）
+   * @param {StorageManager} source - 源存储（未解锁的底层存储）
+   * @param {StorageManager} target - 目标存储
+   * @returns {Boolean} 是否写入成功
+   */
+  static copyData(source, target) {
+    const prefix = source.namespace + ':';
+    const items = {};
+    source.getAllKeys().forEach(fullKey => {
+      const key = fullKey.slice(prefix.length);
+      items[key] = source.get(key);
+    });
+    return target.batchWrite(items);
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WorkspaceService;
+}
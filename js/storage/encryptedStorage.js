@@ -0,0 +1,499 @@
+/**
+ * 加密存储管理器
+ * 包装 StorageManager 或 IndexedDBStorage，写入前用口令派生的密钥加密每个值，
+ * 对外提供与 StorageManager 相同的接口。
+ *
+ * 解锁时把所有数据解密到内存缓存，读取操作直接访问缓存（同步）；
+ * 写入操作先更新缓存，再按顺序异步加密并写入底层存储，可通过 flush() 等待写入完成。
+ * 底层存储中的 encryption 键（明文）保存盐、迭代次数和用于校验口令的密文。
+ * 无法解析或无法解密的数据不进入缓存，通过 inspect() 报告为已损坏，由调用方隔离。
+ */
+
+class EncryptedStorage extends StorageManager {
+  /**
+   * 构造函数（请使用 EncryptedStorage.unlock 或 EncryptedStorage.enable 创建实例）
+   * @param {StorageManager} inner - 底层存储
+   * @param {CryptoKey} key - 数据密钥
+   * @param {Object} meta - 加密信息 {version, salt, iterations, verifier}
+   */
+  constructor(inner, key, meta) {
+    super(inner.namespace);
+    this.inner = inner;
+    this.key = key;
+    this.meta = meta;
+    this.cache = new Map();
+    this.corrupt = new Map();
+    this.writeQueue = Promise.resolve();
+
+    // 底层写入提交后再通知其他标签页（包括加密信息的变更，其他标签页需要重新解锁）
+    this.inner.onChange = (keys) => this.notifyChange(keys);
+    this.inner.onError = (error, keys) => this.notifyError(error, keys);
+  }
+
+  /**
+   * 加密信息的存储键名（明文保存）
+   */
+  static get META_KEY() {
+    return 'encryption';
+  }
+
+  /**
+   * 用于校验口令的固定明文
+   */
+  static get VERIFIER() {
+    return 'LocalMemo';
+  }
+
+  /**
+   * 判断底层存储是否已启用加密
+   * @param {StorageManager} inner - 底层存储
+   * @returns {Boolean}
+   */
+  static isEnabled(inner) {
+    return inner.has(EncryptedStorage.META_KEY);
+  }
+
+  /**
+   * 判断值是否为加密后的数据
+   * @param {*} value - 存储的值
+   * @returns {Boolean}
+   */
+  static isEnvelope(value) {
+    return !!value && value.encrypted === true && typeof value.iv === 'string' && typeof value.data === 'string';
+  }
+
+  /**
+   * 生成新的密钥和加密信息
+   * @param {String} passphrase - 口令
+   * @returns {Promise<Object>} {key, meta}
+   */
+  static async createKey(passphrase) {
+    const salt = CryptoUtil.randomBytes(16);
+    const key = await CryptoUtil.deriveKey(passphrase, salt);
+    const meta = {
+      version: 1,
+      salt: CryptoUtil.toBase64(salt),
+      iterations: CryptoUtil.ITERATIONS,
+      verifier: await CryptoUtil.encrypt(key, EncryptedStorage.VERIFIER)
+    };
+    return { key, meta };
+  }
+
+  /**
+   * 用口令派生密钥并校验
+   * @param {Object} meta - 加密信息
+   * @param {String} passphrase - 口令
+   * @returns {Promise<CryptoKey>} 数据密钥
+   * @throws {Error} 口令错误时抛出
+   */
+  static async verifyPassphrase(meta, passphrase) {
+    const key = await CryptoUtil.deriveKey(passphrase, CryptoUtil.fromBase64(meta.salt), meta.iterations);
+    try {
+      if (await CryptoUtil.decrypt(key, meta.verifier) === EncryptedStorage.VERIFIER) {
+        return key;
+      }
+    } catch (error) {
+      // 密钥错误时 AES-GCM 校验失败
+    }
+    throw new Error('口令错误');
+  }
+
+  /**
+   * 获取底层存储中除加密信息外的所有键名（不含命名空间）
+   * @param {StorageManager} inner - 底层存储
+   * @returns {Array} 键名数组
+   */
+  static getDataKeys(inner) {
+    const prefix = inner.namespace + ':';
+    return inner.getAllKeys()
+      .map(fullKey => fullKey.slice(prefix.length))
+      .filter(key => key !== EncryptedStorage.META_KEY);
+  }
+
+  /**
+   * 解锁已加密的存储
+   * @param {StorageManager} inner - 底层存储
+   * @param {String} passphrase - 口令
+   * @returns {Promise<EncryptedStorage>} 已解锁的存储实例
+   * @throws {Error} 未启用加密或口令错误时抛出
+   */
+  static async unlock(inner, passphrase) {
+    const meta = inner.get(EncryptedStorage.META_KEY);
+    if (!meta) {
+      throw new Error('存储未启用加密');
+    }
+
+    const key = await EncryptedStorage.verifyPassphrase(meta, passphrase);
+    const storage = new EncryptedStorage(inner, key, meta);
+    await storage.loadCache();
+    return storage;
+  }
+
+  /**
+   * 为底层存储启用加密：加密现有的全部数据并原子写入
+   * @param {StorageManager} inner - 底层存储
+   * @param {String} passphrase - 口令
+   * @returns {Promise<EncryptedStorage>} 已解锁的存储实例
+   * @throws {Error} 已启用加密或写入失败时抛出
+   */
+  static async enable(inner, passphrase) {
+    if (EncryptedStorage.isEnabled(inner)) {
+      throw new Error('存储已启用加密');
+    }
+
+    const { key, meta } = await EncryptedStorage.createKey(passphrase);
+    const items = {};
+    for (const dataKey of EncryptedStorage.getDataKeys(inner)) {
+      // 已损坏的数据保持原样，解锁时报告为损坏
+      const record = inner.inspect(dataKey);
+      if (record.status === 'ok') {
+        items[dataKey] = await EncryptedStorage.encryptWith(key, JSON.stringify(record.value));
+      }
+    }
+    items[EncryptedStorage.META_KEY] = meta;
+
+    await EncryptedStorage.commit(inner, items);
+
+    const storage = new EncryptedStorage(inner, key, meta);
+    await storage.loadCache();
+    return storage;
+  }
+
+  /**
+   * 加密序列化后的值
+   * @param {CryptoKey} key - 数据密钥
+   * @param {String} serializedValue - 序列化后的值
+   * @returns {Promise<Object>} 加密后的数据 {encrypted, iv, data}
+   */
+  static async encryptWith(key, serializedValue) {
+    return {
+      encrypted: true,
+      ...await CryptoUtil.encrypt(key, serializedValue)
+    };
+  }
+
+  /**
+   * 原子写入底层存储并等待提交
+   * @param {StorageManager} inner - 底层存储
+   * @param {Object} items - 要保存的键值对对象
+   * @param {Array} removeKeys - 要删除的键名数组
+   * @returns {Promise<void>}
+   * @throws {Error} 写入失败时抛出
+   */
+  static async commit(inner, items, removeKeys = []) {
+    let failure = null;
+    const onError = inner.onError;
+    inner.onError = (error) => {
+      failure = error;
+    };
+
+    try {
+      if (!inner.batchWrite(items, removeKeys)) {
+        throw new Error('写入存储失败');
+      }
+      if (inner.flush) {
+        await inner.flush();
+      }
+    } finally {
+      inner.onError = onError;
+    }
+
+    if (failure) {
+      throw failure;
+    }
+  }
+
+  /**
+   * 解密底层存储中的全部数据到内存缓存
+   * 遇到明文数据（例如未加密时写入的旧键）时加密后写回；
+   * 无法解析或解密失败的数据记录为已损坏，不会被写回覆盖
+   * @returns {Promise<void>}
+   */
+  async loadCache() {
+    const cache = new Map();
+    const corrupt = new Map();
+    const plainItems = {};
+
+    for (const dataKey of EncryptedStorage.getDataKeys(this.inner)) {
+      const record = this.inner.inspect(dataKey);
+      if (record.status === 'corrupt') {
+        corrupt.set(dataKey, record);
+      } else if (EncryptedStorage.isEnvelope(record.value)) {
+        try {
+          cache.set(dataKey, await CryptoUtil.decrypt(this.key, record.value));
+        } catch (error) {
+          corrupt.set(dataKey, {
+            status: 'corrupt',
+            value: null,
+            raw: record.raw,
+            error: StorageManager.createCorruptionError('decrypt', '无法解密')
+          });
+        }
+      } else {
+        cache.set(dataKey, JSON.stringify(record.value));
+        plainItems[dataKey] = cache.get(dataKey);
+      }
+    }
+
+    this.cache = cache;
+    this.corrupt = corrupt;
+
+    if (Object.keys(plainItems).length > 0) {
+      this.enqueueWrite(plainItems, []);
+    }
+  }
+
+  /**
+   * 按顺序异步加密并写入底层存储，失败时恢复缓存并通知 onError
+   * @param {Object} serializedItems - 序列化后的键值对对象
+   * @param {Array} removeKeys - 要删除的键名数组
+   * @param {Map} previous - 写入前缓存中的值（用于回滚）
+   * @returns {Promise<void>}
+   */
+  enqueueWrite(serializedItems, removeKeys, previous = new Map()) {
+    const key = this.key;
+
+    // 缓存未被后续写入覆盖时回滚
+    const rollback = () => {
+      previous.forEach((value, dataKey) => {
+        if (this.cache.get(dataKey) === serializedItems[dataKey]) {
+          if (value === undefined) {
+            this.cache.delete(dataKey);
+          } else {
+            this.cache.set(dataKey, value);
+          }
+        }
+      });
+    };
+
+    this.writeQueue = this.writeQueue.then(async () => {
+      const items = {};
+      for (const dataKey of Object.keys(serializedItems)) {
+        items[dataKey] = await EncryptedStorage.encryptWith(key, serializedItems[dataKey]);
+      }
+      // 底层存储写入失败时已通过 onError 通知
+      if (!this.inner.batchWrite(items, removeKeys)) {
+        rollback();
+      }
+    }).catch(error => {
+      console.error('写入加密数据失败:', error);
+      rollback();
+      this.notifyError(error, [...Object.keys(serializedItems), ...removeKeys]);
+    });
+
+    return this.writeQueue;
+  }
+
+  /**
+   * 等待所有未完成的写入
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.writeQueue;
+    if (this.inner.flush) {
+      await this.inner.flush();
+    }
+  }
+
+  /**
+   * 重新加载并解密底层存储的数据（其他标签页写入数据后调用）
+   * @returns {Promise<void>}
+   */
+  async reload() {
+    await this.flush();
+    await this.inner.reload();
+    await this.loadCache();
+  }
+
+  /**
+   * 修改口令：用新口令派生的密钥重新加密全部数据
+   * @param {String} currentPassphrase - 当前口令
+   * @param {String} newPassphrase - 新口令
+   * @returns {Promise<void>}
+   * @throws {Error} 当前口令错误或写入失败时抛出
+   */
+  async changePassphrase(currentPassphrase, newPassphrase) {
+    await EncryptedStorage.verifyPassphrase(this.meta, currentPassphrase);
+    await this.flush();
+
+    const { key, meta } = await EncryptedStorage.createKey(newPassphrase);
+    const items = {};
+    for (const [dataKey, serializedValue] of this.cache) {
+      items[dataKey] = await EncryptedStorage.encryptWith(key, serializedValue);
+    }
+    items[EncryptedStorage.META_KEY] = meta;
+
+    await EncryptedStorage.commit(this.inner, items);
+    this.key = key;
+    this.meta = meta;
+  }
+
+  /**
+   * 关闭加密：把全部数据以明文写回底层存储
+   * @param {String} passphrase - 当前口令
+   * @returns {Promise<StorageManager>} 底层存储
+   * @throws {Error} 口令错误或写入失败时抛出
+   */
+  async disable(passphrase) {
+    await EncryptedStorage.verifyPassphrase(this.meta, passphrase);
+    await this.flush();
+
+    const items = {};
+    this.cache.forEach((serializedValue, dataKey) => {
+      items[dataKey] = JSON.parse(serializedValue);
+    });
+
+    await EncryptedStorage.commit(this.inner, items, [EncryptedStorage.META_KEY]);
+    this.inner.onChange = null;
+    this.inner.onError = null;
+    return this.inner;
+  }
+
+  /**
+   * 保存数据
+   * @param {String} key - 键名
+   * @param {*} value - 要保存的值
+   * @returns {Boolean} 是否保存成功（加密和写入为异步，失败时通过 onError 通知）
+   */
+  set(key, value) {
+    return this.batchWrite({ [key]: value });
+  }
+
+  /**
+   * 原子批量写入：保存和删除多个键，加密后在底层存储中一次提交
+   * @param {Object} items - 要保存的键值对对象
+   * @param {Array} removeKeys - 要删除的键名数组
+   * @returns {Boolean} 是否写入成功（写入失败时通过 onError 通知，缓存全部回滚）
+   */
+  batchWrite(items, removeKeys = []) {
+    try {
+      const serializedItems = {};
+      Object.keys(items).forEach(key => {
+        serializedItems[key] = JSON.stringify(items[key]);
+      });
+
+      const previous = new Map();
+      [...Object.keys(serializedItems), ...removeKeys].forEach(key => {
+        previous.set(key, this.cache.get(key));
+      });
+
+      Object.keys(serializedItems).forEach(key => {
+        this.cache.set(key, serializedItems[key]);
+        this.corrupt.delete(key);
+      });
+      removeKeys.forEach(key => {
+        this.cache.delete(key);
+        this.corrupt.delete(key);
+      });
+
+      this.enqueueWrite(serializedItems, removeKeys, previous);
+      return true;
+    } catch (error) {
+      console.error('批量写入失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 从缓存读取解密后的字符串
+   * @param {String} key - 键名
+   * @returns {String|null} 解密后的字符串，不存在时为 null
+   */
+  readRaw(key) {
+    return this.cache.has(key) ? this.cache.get(key) : null;
+  }
+
+  /**
+   * 读取并校验数据（解锁时发现的损坏数据返回底层存储中的原始内容）
+   * @param {String} key - 键名
+   * @returns {Object} 读取结果 {status: 'ok'|'missing'|'corrupt', value, raw, error}
+   */
+  inspect(key) {
+    if (this.corrupt.has(key)) {
+      return this.corrupt.get(key);
+    }
+    return super.inspect(key);
+  }
+
+  /**
+   * 删除数据
+   * @param {String} key - 键名
+   * @returns {Boolean} 是否删除成功
+   */
+  remove(key) {
+    if (!this.has(key)) {
+      return true;
+    }
+    return this.batchWrite({}, [key]);
+  }
+
+  /**
+   * 清空所有数据（保留加密信息，清空后仍为加密状态）
+   * @returns {Boolean} 是否清空成功
+   */
+  clear() {
+    return this.batchWrite({}, [...this.cache.keys(), ...this.corrupt.keys()]);
+  }
+
+  /**
+   * 获取所有键名（当前命名空间，不含加密信息）
+   * @returns {Array} 键名数组
+   */
+  getAllKeys() {
+    return [...this.cache.keys(), ...this.corrupt.keys()].map(key => this.getKey(key));
+  }
+
+  /**
+   * 检查键是否存在
+   * @param {String} key - 键名
+   * @returns {Boolean} 是否存在
+   */
+  has(key) {
+    return this.cache.has(key) || this.corrupt.has(key);
+  }
+
+  /**
+   * 获取每个键占用的大小（按加密后底层存储的实际占用计算）
+   * @returns {Object} 键名（不含命名空间）到字节数的映射
+   */
+  getSizeByKey() {
+    return this.inner.getSizeByKey();
+  }
+
+  /**
+   * 获取存储数据的大小（字节，按加密后底层存储的实际占用计算）
+   * @returns {Number} 存储大小
+   */
+  getSize() {
+    return this.inner.getSize();
+  }
+
+  /**
+   * 获取浏览器报告的配额和用量
+   * @returns {Promise<Object|null>} 估算结果 {quota, usage}
+   */
+  estimateQuota() {
+    return this.inner.estimateQuota();
+  }
+
+  /**
+   * 获取存储容量上限
+   * @returns {Number} 容量上限（字节）
+   */
+  getQuota() {
+    return this.inner.getQuota();
+  }
+
+  /**
+   * 获取剩余存储空间
+   * @returns {Number} 剩余空间（字节）
+   */
+  getRemainingSpace() {
+    return this.inner.getRemainingSpace();
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EncryptedStorage;
+}
@@ -0,0 +1,373 @@
+/**
+ * IndexedDB 存储管理器
+ * 与 StorageManager 提供相同的 get/set/remove/批量操作接口，数据保存在 IndexedDB 中，
+ * 不受 localStorage 约 5MB 的容量限制。
+ *
+ * 打开时把当前命名空间的数据全部读入内存缓存，读取操作直接访问缓存（同步），
+ * 写入操作先更新缓存再异步写入 IndexedDB，可通过 flush() 等待写入完成。
+ * 因此 MemoService 等同步调用方可以直接使用任一存储后端。
+ */
+
+class IndexedDBStorage extends StorageManager {
+  /**
+   * 构造函数（请使用 IndexedDBStorage.open 创建实例）
+   * @param {String} namespace - 命名空间，用于隔离不同应用的数据
+   * @param {String} dbName - 数据库名称
+   */
+  constructor(namespace = 'LocalMemo', dbName = 'LocalMemoDB') {
+    super(namespace);
+    this.dbName = dbName;
+    this.storeName = 'keyvalue';
+    this.db = null;
+    this.cache = new Map();
+    this.pendingWrites = new Set();
+  }
+
+  /**
+   * 打开数据库并加载数据（首次使用时从 localStorage 迁移）
+   * @param {String} namespace - 命名空间
+   * @param {String} dbName - 数据库名称
+   * @returns {Promise<IndexedDBStorage>} 已就绪的存储实例
+   */
+  static async open(namespace = 'LocalMemo', dbName = 'LocalMemoDB') {
+    const storage = new IndexedDBStorage(namespace, dbName);
+    await storage.init();
+    return storage;
+  }
+
+  /**
+   * 判断当前环境是否支持 IndexedDB
+   * @returns {Boolean}
+   */
+  static isSupported() {
+    return typeof window !== 'undefined' && !!window.indexedDB;
+  }
+
+  /**
+   * 将 IDBRequest 包装为 Promise
+   * @param {IDBRequest} request - 请求对象
+   * @returns {Promise<*>} 请求结果
+   */
+  static promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * 将 IDBTransaction 包装为 Promise（事务提交后 resolve）
+   * @param {IDBTransaction} transaction - 事务对象
+   * @returns {Promise<void>}
+   */
+  static promisifyTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('事务已中止'));
+    });
+  }
+
+  /**
+   * 初始化：打开数据库、迁移 localStorage 数据、加载缓存
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (!IndexedDBStorage.isSupported()) {
+      throw new Error('当前环境不支持 IndexedDB');
+    }
+
+    const request = window.indexedDB.open(this.dbName, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(this.storeName);
+    };
+    this.db = await IndexedDBStorage.promisifyRequest(request);
+
+    await this.loadCache();
+    await this.migrateFromLocalStorage();
+    await this.estimateQuota();
+  }
+
+  /**
+   * 获取当前命名空间的键范围
+   * @returns {IDBKeyRange} 键范围
+   */
+  getKeyRange() {
+    const prefix = this.getKey('');
+    return IDBKeyRange.bound(prefix, prefix + '\uffff');
+  }
+
+  /**
+   * 将当前命名空间的所有数据读入内存缓存
+   * @returns {Promise<void>}
+   */
+  async loadCache() {
+    const store = this.db.transaction(this.storeName, 'readonly').objectStore(this.storeName);
+    const range = this.getKeyRange();
+    const [keys, values] = await Promise.all([
+      IndexedDBStorage.promisifyRequest(store.getAllKeys(range)),
+      IndexedDBStorage.promisifyRequest(store.getAll(range))
+    ]);
+
+    this.cache.clear();
+    keys.forEach((key, index) => {
+      this.cache.set(key, values[index]);
+    });
+  }
+
+  /**
+   * 将 localStorage 中当前命名空间的数据迁移到 IndexedDB
+   * 只迁移 IndexedDB 中尚不存在的键，全部写入成功后才从 localStorage 删除
+   * @returns {Promise<Number>} 迁移的键数量
+   */
+  async migrateFromLocalStorage() {
+    const legacy = new StorageManager(this.namespace);
+    const legacyKeys = legacy.getAllKeys();
+    if (legacyKeys.length === 0) {
+      return 0;
+    }
+
+    const transaction = this.db.transaction(this.storeName, 'readwrite');
+    const store = transaction.objectStore(this.storeName);
+    const migrated = [];
+
+    legacyKeys.forEach(fullKey => {
+      if (!this.cache.has(fullKey)) {
+        const value = legacy.storage.getItem(fullKey);
+        store.put(value, fullKey);
+        migrated.push([fullKey, value]);
+      }
+    });
+
+    await IndexedDBStorage.promisifyTransaction(transaction);
+
+    migrated.forEach(([fullKey, value]) => {
+      this.cache.set(fullKey, value);
+    });
+    legacyKeys.forEach(fullKey => {
+      legacy.storage.removeItem(fullKey);
+    });
+
+    return migrated.length;
+  }
+
+  /**
+   * 异步写入 IndexedDB，失败时恢复缓存并通知 onError
+   * @param {String} fullKey - 带命名空间的键名
+   * @param {String|undefined} value - 序列化后的值（undefined 表示删除）
+   * @param {String|undefined} previous - 写入前缓存中的值
+   * @returns {Promise<void>}
+   */
+  persist(fullKey, value, previous) {
+    return this.persistMany([{ fullKey, value, previous }]);
+  }
+
+  /**
+   * 在同一个事务中异步写入多个键，任一写入失败时整个事务回滚，并恢复缓存、通知 onError
+   * @param {Array} writes - 写入数组 [{fullKey, value, previous}]（value 为 undefined 表示删除）
+   * @returns {Promise<void>}
+   */
+  persistMany(writes) {
+    const write = (async () => {
+      const transaction = this.db.transaction(this.storeName, 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+      writes.forEach(({ fullKey, value }) => {
+        if (value === undefined) {
+          store.delete(fullKey);
+        } else {
+          store.put(value, fullKey);
+        }
+      });
+      await IndexedDBStorage.promisifyTransaction(transaction);
+      // 事务提交后其他标签页才能读到新数据
+      this.notifyChange(writes.map(item => item.fullKey.slice(this.namespace.length + 1)));
+    })().catch(error => {
+      console.error('写入 IndexedDB 失败:', error);
+      // 缓存未被后续写入覆盖时回滚
+      writes.forEach(({ fullKey, value, previous }) => {
+        if (this.cache.get(fullKey) === value) {
+          if (previous === undefined) {
+            this.cache.delete(fullKey);
+          } else {
+            this.cache.set(fullKey, previous);
+          }
+        }
+      });
+      this.notifyError(error, writes.map(item => item.fullKey));
+    });
+
+    this.pendingWrites.add(write);
+    write.finally(() => this.pendingWrites.delete(write));
+    return write;
+  }
+
+  /**
+   * 从 IndexedDB 重新加载缓存（其他标签页写入数据后调用）
+   * @returns {Promise<void>}
+   */
+  async reload() {
+    await this.flush();
+    await this.loadCache();
+  }
+
+  /**
+   * 等待所有未完成的写入
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all([...this.pendingWrites]);
+  }
+
+  /**
+   * 保存数据
+   * @param {String} key - 键名
+   * @param {*} value - 要保存的值
+   * @returns {Boolean} 是否保存成功（写入 IndexedDB 为异步，失败时通过 onError 通知）
+   */
+  set(key, value) {
+    try {
+      const fullKey = this.getKey(key);
+      const serializedValue = StorageManager.serialize(value);
+      if (!this.hasSpace(serializedValue.length)) {
+        console.error('存储空间已满');
+        this.notifyError(StorageManager.createQuotaError(), [key]);
+        return false;
+      }
+
+      const previous = this.cache.get(fullKey);
+      this.cache.set(fullKey, serializedValue);
+      this.persist(fullKey, serializedValue, previous);
+      return true;
+    } catch (error) {
+      console.error('存储数据失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 原子批量写入：保存和删除多个键，在同一个 IndexedDB 事务中提交
+   * @param {Object} items - 要保存的键值对对象
+   * @param {Array} removeKeys - 要删除的键名数组
+   * @returns {Boolean} 是否写入成功（事务提交失败时通过 onError 通知，缓存全部回滚）
+   */
+  batchWrite(items, removeKeys = []) {
+    try {
+      const writes = Object.keys(items).map(key => ({
+        fullKey: this.getKey(key),
+        value: StorageManager.serialize(items[key])
+      }));
+      removeKeys.forEach(key => {
+        writes.push({ fullKey: this.getKey(key), value: undefined });
+      });
+
+      const requiredBytes = writes.reduce((sum, item) => sum + (item.value ? item.value.length : 0), 0);
+      if (!this.hasSpace(requiredBytes)) {
+        console.error('存储空间已满');
+        this.notifyError(StorageManager.createQuotaError(), [...Object.keys(items), ...removeKeys]);
+        return false;
+      }
+
+      writes.forEach(item => {
+        item.previous = this.cache.get(item.fullKey);
+        if (item.value === undefined) {
+          this.cache.delete(item.fullKey);
+        } else {
+          this.cache.set(item.fullKey, item.value);
+        }
+      });
+
+      this.persistMany(writes);
+      return true;
+    } catch (error) {
+      console.error('批量写入失败:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 从缓存读取序列化后的原始字符串
+   * @param {String} key - 键名
+   * @returns {String|null} 原始字符串，不存在时为 null
+   */
+  readRaw(key) {
+    const serializedValue = this.cache.get(this.getKey(key));
+    return serializedValue === undefined ? null : serializedValue;
+  }
+
+  /**
+   * 删除数据
+   * @param {String} key - 键名
+   * @returns {Boolean} 是否删除成功
+   */
+  remove(key) {
+    const fullKey = this.getKey(key);
+    const previous = this.cache.get(fullKey);
+    if (previous === undefined) {
+      return true;
+    }
+
+    this.cache.delete(fullKey);
+    this.persist(fullKey, undefined, previous);
+    return true;
+  }
+
+  /**
+   * 清空所有数据（仅清空当前命名空间的数据）
+   * @returns {Boolean} 是否清空成功
+   */
+  clear() {
+    this.getAllKeys().forEach(fullKey => {
+      const previous = this.cache.get(fullKey);
+      this.cache.delete(fullKey);
+      this.persist(fullKey, undefined, previous);
+    });
+    return true;
+  }
+
+  /**
+   * 获取所有键名（当前命名空间）
+   * @returns {Array} 键名数组
+   */
+  getAllKeys() {
+    const prefix = this.namespace + ':';
+    return [...this.cache.keys()].filter(key => key.startsWith(prefix));
+  }
+
+  /**
+   * 检查键是否存在
+   * @param {String} key - 键名
+   * @returns {Boolean} 是否存在
+   */
+  has(key) {
+    return this.cache.has(this.getKey(key));
+  }
+
+  /**
+   * 获取每个键占用的大小（按键名和序列化后的值的字符数计算）
+   * @returns {Object} 键名（不含命名空间）到字节数的映射
+   */
+  getSizeByKey() {
+    const sizes = {};
+    const prefix = this.namespace + ':';
+    this.getAllKeys().forEach(fullKey => {
+      sizes[fullKey.slice(prefix.length)] = fullKey.length + this.cache.get(fullKey).length;
+    });
+    return sizes;
+  }
+
+  /**
+   * 获取存储容量上限（基于 navigator.storage.estimate 报告的配额）
+   * @returns {Number} 容量上限（字节），无法获取配额时为 Infinity
+   */
+  getQuota() {
+    if (!this.estimate || !this.estimate.quota) {
+      return Infinity;
+    }
+    return this.estimate.quota;
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IndexedDBStorage;
+}
@@ -1,9 +1,17 @@
 /**
  * 本地存储管理器
  * 封装 localStorage 操作，提供统一的数据持久化接口
+ *
+ * 每个值保存为 {"$checksum": 校验值, "$value": 值}，读取时校验，
+ * 可以发现无法解析或被意外修改的数据（没有校验值的旧数据只检查能否解析）。
  */
 
 class StorageManager {
+  /**
+   * localStorage 的容量上限（浏览器通常限制为 5-10MB，按 5MB 估算）
+   */
+  static DEFAULT_QUOTA = 5 * 1024 * 1024;
+
   /**
    * 构造函数
    * @param {String} namespace - 命名空间，用于隔离不同应用的数据
@@ -11,6 +19,122 @@ class StorageManager {
   constructor(namespace = 'LocalMemo') {
     this.namespace = namespace;
     this.storage = window.localStorage;
+    this.onChange = null;
+    this.onError = null;
+    this.estimate = null;
+  }
+
+  /**
+   * 带校验值的序列化格式的前缀
+   */
+  static CHECKSUM_PATTERN = /^\{"\$checksum":"([0-9a-f]+)","\$value":/;
+
+  /**
+   * 计算字符串的校验值
+   * @param {String} text - 字符串
+   * @returns {String} 十六进制校验值
+   */
+  static checksum(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  /**
+   * 序列化要保存的值（附带校验值）
+   * @param {*} value - 要保存的值
+   * @returns {String} 序列化后的字符串
+   */
+  static serialize(value) {
+    const json = JSON.stringify(value === undefined ? null : value);
+    return `{"$checksum":"${StorageManager.checksum(json)}","$value":${json}}`;
+  }
+
+  /**
+   * 解析保存的字符串并校验
+   * @param {String} serialized - 序列化后的字符串
+   * @returns {*} 保存的值
+   * @throws {Error} 无法解析或校验值不匹配时抛出（error.name 为 'DataCorruptionError'）
+   */
+  static parse(serialized) {
+    const match = typeof serialized === 'string' ? StorageManager.CHECKSUM_PATTERN.exec(serialized) : null;
+
+    if (match) {
+      const json = serialized.slice(match[0].length, -1);
+      if (!serialized.endsWith('}') || StorageManager.checksum(json) !== match[1]) {
+        throw StorageManager.createCorruptionError('checksum', '校验值不匹配');
+      }
+      try {
+        return JSON.parse(json);
+      } catch (error) {
+        throw StorageManager.createCorruptionError('parse', error.message);
+      }
+    }
+
+    try {
+      return JSON.parse(serialized);
+    } catch (error) {
+      throw StorageManager.createCorruptionError('parse', error.message);
+    }
+  }
+
+  /**
+   * 创建数据损坏的错误
+   * @param {String} reason - 损坏原因（parse：无法解析，checksum：校验值不匹配）
+   * @param {String} message - 错误信息
+   * @returns {Error} 错误对象
+   */
+  static createCorruptionError(reason, message) {
+    const error = new Error(message);
+    error.name = 'DataCorruptionError';
+    error.reason = reason;
+    return error;
+  }
+
+  /**
+   * 判断错误是否为存储空间不足
+   * @param {Error} error - 错误对象
+   * @returns {Boolean}
+   */
+  static isQuotaError(error) {
+    return !!error && (
+      error.name === 'QuotaExceededError' ||
+      error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      error.code === 22
+    );
+  }
+
+  /**
+   * 创建存储空间不足的错误
+   * @returns {Error} 错误对象
+   */
+  static createQuotaError() {
+    const error = new Error('存储空间已满');
+    error.name = 'QuotaExceededError';
+    return error;
+  }
+
+  /**
+   * 通知写入失败（例如存储空间不足），让界面可以提示用户
+   * @param {Error} error - 错误对象
+   * @param {Array} keys - 写入失败的键名
+   */
+  notifyError(error, keys) {
+    if (this.onError) {
+      this.onError(error, keys);
+    }
+  }
+
+  /**
+   * 通知数据已写入（用于多标签页同步）
+   * @param {Array} keys - 变更的键名
+   */
+  notifyChange(keys) {
+    if (this.onChange && keys.length > 0) {
+      this.onChange(keys);
+    }
   }
 
   /**
@@ -30,31 +154,63 @@ class StorageManager {
    */
   set(key, value) {
     try {
-      const serializedValue = JSON.stringify(value);
+      const serializedValue = StorageManager.serialize(value);
       this.storage.setItem(this.getKey(key), serializedValue);
+      this.notifyChange([key]);
       return true;
     } catch (error) {
       console.error('存储数据失败:', error);
-      if (error.name === 'QuotaExceededError') {
-        console.error('存储空间已满');
-      }
+      this.notifyError(error, [key]);
       return false;
     }
   }
 
   /**
-   * 获取数据
+   * 重新加载数据（localStorage 始终读取最新数据，无需操作；与 IndexedDBStorage 接口保持一致）
+   * @returns {Promise<void>}
+   */
+  async reload() {}
+
+  /**
+   * 读取序列化后的原始字符串
+   * @param {String} key - 键名
+   * @returns {String|null} 原始字符串，不存在时为 null
+   */
+  readRaw(key) {
+    return this.storage.getItem(this.getKey(key));
+  }
+
+  /**
+   * 读取并校验数据
+   * @param {String} key - 键名
+   * @returns {Object} 读取结果 {status: 'ok'|'missing'|'corrupt', value, raw, error}
+   */
+  inspect(key) {
+    const raw = this.readRaw(key);
+    if (raw === null) {
+      return { status: 'missing', value: null, raw: null, error: null };
+    }
+
+    try {
+      return { status: 'ok', value: StorageManager.parse(raw), raw, error: null };
+    } catch (error) {
+      return { status: 'corrupt', value: null, raw, error };
+    }
+  }
+
+  /**
+   * 获取数据（数据已损坏时返回默认值）
    * @param {String} key - 键名
    * @param {*} defaultValue - 默认值
    * @returns {*} 存储的值或默认值
    */
   get(key, defaultValue = null) {
     try {
-      const serializedValue = this.storage.getItem(this.getKey(key));
-      if (serializedValue === null) {
-        return defaultValue;
+      const record = this.inspect(key);
+      if (record.status === 'corrupt') {
+        console.error(`读取数据失败（${key}）:`, record.error);
       }
-      return JSON.parse(serializedValue);
+      return record.status === 'ok' ? record.value : defaultValue;
     } catch (error) {
       console.error('读取数据失败:', error);
       return defaultValue;
@@ -69,6 +225,7 @@ class StorageManager {
   remove(key) {
     try {
       this.storage.removeItem(this.getKey(key));
+      this.notifyChange([key]);
       return true;
     } catch (error) {
       console.error('删除数据失败:', error);
@@ -86,6 +243,7 @@ class StorageManager {
       keys.forEach(key => {
         this.storage.removeItem(key);
       });
+      this.notifyChange(keys.map(key => key.slice(this.namespace.length + 1)));
       return true;
     } catch (error) {
       console.error('清空数据失败:', error);
@@ -121,21 +279,29 @@ class StorageManager {
   }
 
   /**
-   * 获取存储数据的大小（字节）
-   * @returns {Number} 存储大小
+   * 获取每个键占用的大小（按键名和序列化后的值的字符数计算）
+   * @returns {Object} 键名（不含命名空间）到字节数的映射
    */
-  getSize() {
-    let size = 0;
-    const keys = this.getAllKeys();
-    
-    keys.forEach(key => {
-      const value = this.storage.getItem(key);
+  getSizeByKey() {
+    const sizes = {};
+    const prefix = this.namespace + ':';
+
+    this.getAllKeys().forEach(fullKey => {
+      const value = this.storage.getItem(fullKey);
       if (value) {
-        size += key.length + value.length;
+        sizes[fullKey.slice(prefix.length)] = fullKey.length + value.length;
       }
     });
-    
-    return size;
+
+    return sizes;
+  }
+
+  /**
+   * 获取存储数据的大小（字节）
+   * @returns {Number} 存储大小
+   */
+  getSize() {
+    return Object.values(this.getSizeByKey()).reduce((size, bytes) => size + bytes, 0);
   }
 
   /**
@@ -143,7 +309,15 @@ class StorageManager {
    * @returns {String} 格式化的大小
    */
   getFormattedSize() {
-    const bytes = this.getSize();
+    return StorageManager.formatBytes(this.getSize());
+  }
+
+  /**
+   * 将字节数格式化为可读格式
+   * @param {Number} bytes - 字节数
+   * @returns {String} 格式化的大小
+   */
+  static formatBytes(bytes) {
     const sizes = ['Bytes', 'KB', 'MB', 'GB'];
     
     if (bytes === 0) return '0 Bytes';
@@ -218,14 +392,40 @@ class StorageManager {
   }
 
   /**
-   * 获取剩余存储空间（估算）
-   * @returns {Number} 剩余空间（字节）
+   * 通过 navigator.storage.estimate 获取浏览器报告的配额和用量（不支持时保持为 null）
+   * @returns {Promise<Object|null>} 估算结果 {quota, usage}
+   */
+  async estimateQuota() {
+    try {
+      if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+        const { quota, usage } = await navigator.storage.estimate();
+        this.estimate = { quota: quota || null, usage: usage || 0 };
+      }
+    } catch (error) {
+      console.warn('获取存储配额失败:', error);
+    }
+    return this.estimate;
+  }
+
+  /**
+   * 获取存储容量上限
+   * localStorage 有独立的固定上限，不受 navigator.storage.estimate 报告的配额影响，
+   * 因此取两者中较小的值
+   * @returns {Number} 容量上限（字节）
+   */
+  getQuota() {
+    if (this.estimate && this.estimate.quota) {
+      return Math.min(this.estimate.quota, StorageManager.DEFAULT_QUOTA);
+    }
+    return StorageManager.DEFAULT_QUOTA;
+  }
+
+  /**
+   * 获取剩余存储空间
+   * @returns {Number} 剩余空间（字节），容量不限时为 Infinity
    */
   getRemainingSpace() {
-    // localStorage 通常限制为 5-10MB
-    const maxSize = 5 * 1024 * 1024; // 假设 5MB
-    const usedSize = this.getSize();
-    return Math.max(0, maxSize - usedSize);
+    return Math.max(0, this.getQuota() - this.getSize());
   }
 
   /**
@@ -270,6 +470,50 @@ class StorageManager {
     }
   }
 
+  /**
+   * 原子批量写入：保存和删除多个键，任一操作失败时全部回滚
+   * @param {Object} items - 要保存的键值对对象
+   * @param {Array} removeKeys - 要删除的键名数组
+   * @returns {Boolean} 是否全部写入成功
+   */
+  batchWrite(items, removeKeys = []) {
+    const keys = [...Object.keys(items), ...removeKeys];
+    const previous = {};
+    keys.forEach(key => {
+      previous[key] = this.storage.getItem(this.getKey(key));
+    });
+
+    const written = [];
+
+    try {
+      Object.keys(items).forEach(key => {
+        this.storage.setItem(this.getKey(key), StorageManager.serialize(items[key]));
+        written.push(key);
+      });
+      removeKeys.forEach(key => {
+        this.storage.removeItem(this.getKey(key));
+        written.push(key);
+      });
+      this.notifyChange(keys);
+      return true;
+    } catch (error) {
+      console.error('批量写入失败，正在回滚:', error);
+      this.notifyError(error, keys);
+      written.forEach(key => {
+        try {
+          if (previous[key] === null) {
+            this.storage.removeItem(this.getKey(key));
+          } else {
+            this.storage.setItem(this.getKey(key), previous[key]);
+          }
+        } catch (rollbackError) {
+          console.error(`回滚 ${key} 失败:`, rollbackError);
+        }
+      });
+      return false;
+    }
+  }
+
   /**
    * 批量获取数据
    * @param {Array} keys - 键名数组
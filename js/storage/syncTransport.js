@@ -0,0 +1,200 @@
+/**
+ * 同步服务器传输层
+ * 通过 HTTP 读写服务器上的同步文档（一个 JSON 文件）
+ *
+ * 支持两种服务器：
+ * - http：地址指向同步文档本身，GET 读取、PUT 写入
+ * - webdav：地址指向一个目录（集合），同步文档保存为其中的 LocalMemo-sync.json，目录不存在时自动创建
+ * 服务器返回 ETag 时，写入带上 If-Match / If-None-Match，其他设备已先写入时返回 412，由调用方重新同步。
+ */
+
+class SyncTransport {
+  /**
+   * 支持的服务器类型
+   */
+  static TYPES = {
+    http: 'HTTP',
+    webdav: 'WebDAV'
+  };
+
+  /**
+   * WebDAV 目录中同步文档的文件名
+   */
+  static DOCUMENT_NAME = 'LocalMemo-sync.json';
+
+  /**
+   * 构造函数
+   * @param {Object} config - 服务器配置 {type, url, username, password}
+   * @param {Function} fetchImpl - fetch 实现（默认使用全局 fetch）
+   */
+  constructor(config, fetchImpl = null) {
+    this.type = config.type === 'webdav' ? 'webdav' : 'http';
+    this.url = (config.url || '').trim();
+    this.username = config.username || '';
+    this.password = config.password || '';
+    this.fetch = fetchImpl || ((...args) => fetch(...args));
+  }
+
+  /**
+   * 校验服务器配置
+   * @param {Object} config - 服务器配置 {type, url}
+   * @returns {Array} 错误信息数组
+   */
+  static validateConfig(config) {
+    const errors = [];
+    if (!SyncTransport.TYPES[config.type]) {
+      errors.push('不支持的服务器类型');
+    }
+
+    try {
+      const url = new URL((config.url || '').trim());
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        errors.push('服务器地址必须以 http:// 或 https:// 开头');
+      }
+    } catch (error) {
+      errors.push('服务器地址无效');
+    }
+
+    return errors;
+  }
+
+  /**
+   * 创建请求错误
+   * @param {String} message - 错误信息
+   * @param {Number} status - HTTP 状态码（网络不可用时为 0）
+   * @returns {Error} 错误对象 {name: 'SyncTransportError', status}
+   */
+  static createError(message, status) {
+    const error = new Error(message);
+    error.name = 'SyncTransportError';
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * 获取同步文档的地址
+   * @returns {String}
+   */
+  getDocumentUrl() {
+    if (this.type === 'webdav') {
+      return this.url.replace(/\/*$/, '/') + SyncTransport.DOCUMENT_NAME;
+    }
+    return this.url;
+  }
+
+  /**
+   * 生成请求头
+   * @param {Object} extra - 其他请求头
+   * @returns {Object}
+   */
+  getHeaders(extra = {}) {
+    const headers = { ...extra };
+    if (this.username || this.password) {
+      const credentials = new TextEncoder().encode(`${this.username}:${this.password}`);
+      headers.Authorization = 'Basic ' + CryptoUtil.toBase64(credentials);
+    }
+    return headers;
+  }
+
+  /**
+   * 发送请求（网络错误转换为 status 为 0 的 SyncTransportError）
+   * @param {String} url - 地址
+   * @param {Object} options - fetch 选项
+   * @returns {Promise<Response>}
+   */
+  async request(url, options) {
+    try {
+      return await this.fetch(url, { cache: 'no-store', ...options });
+    } catch (error) {
+      throw SyncTransport.createError('无法连接同步服务器: ' + error.message, 0);
+    }
+  }
+
+  /**
+   * 读取同步文档
+   * @returns {Promise<Object>} {document: 同步文档（服务器上还没有时为 null）, etag}
+   */
+  async pull() {
+    const response = await this.request(this.getDocumentUrl(), {
+      method: 'GET',
+      headers: this.getHeaders({ Accept: 'application/json' })
+    });
+
+    if (response.status === 404) {
+      return { document: null, etag: null };
+    }
+    if (!response.ok) {
+      throw SyncTransport.createError(`读取同步数据失败（HTTP ${response.status}）`, response.status);
+    }
+
+    const text = await response.text();
+    let document;
+    try {
+      document = text.trim() ? JSON.parse(text) : null;
+    } catch (error) {
+      throw SyncTransport.createError('服务器上的同步数据无法解析', response.status);
+    }
+
+    return { document, etag: response.headers.get('ETag') };
+  }
+
+  /**
+   * 写入同步文档
+   * @param {Object} document - 同步文档
+   * @param {String|null} etag - 读取时的 ETag（服务器上还没有文档时为 null）
+   * @param {Boolean} exists - 读取时服务器上是否已有文档
+   * @returns {Promise<Object>} {etag: 写入后的 ETag}
+   */
+  async push(document, etag, exists) {
+    const headers = this.getHeaders({ 'Content-Type': 'application/json' });
+    if (etag) {
+      headers['If-Match'] = etag;
+    } else if (!exists) {
+      headers['If-None-Match'] = '*';
+    }
+
+    const send = () => this.request(this.getDocumentUrl(), {
+      method: 'PUT',
+      headers,
+      body: JSON.stringify(document)
+    });
+
+    let response = await send();
+
+    // WebDAV 目录不存在时返回 409，创建目录后重试
+    if (response.status === 409 && this.type === 'webdav') {
+      await this.createCollection();
+      response = await send();
+    }
+
+    if (response.status === 412) {
+      throw SyncTransport.createError('同步数据已被其他设备修改', 412);
+    }
+    if (!response.ok) {
+      throw SyncTransport.createError(`写入同步数据失败（HTTP ${response.status}）`, response.status);
+    }
+
+    return { etag: response.headers.get('ETag') };
+  }
+
+  /**
+   * 创建 WebDAV 目录
+   * @returns {Promise<void>}
+   */
+  async createCollection() {
+    const response = await this.request(this.url.replace(/\/*$/, '/'), {
+      method: 'MKCOL',
+      headers: this.getHeaders()
+    });
+
+    // 405 表示目录已存在
+    if (!response.ok && response.status !== 405) {
+      throw SyncTransport.createError(`创建 WebDAV 目录失败（HTTP ${response.status}）`, response.status);
+    }
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SyncTransport;
+}
@@ -0,0 +1,125 @@
+/**
+ * 多标签页同步
+ * 在同一浏览器的多个标签页之间广播数据变更通知
+ *
+ * 优先使用 BroadcastChannel，不支持时通过写入 localStorage 触发其他标签页的 storage 事件。
+ * 同一轮事件循环中的多次通知会合并为一条消息发送。
+ */
+
+class TabSync {
+  /**
+   * 构造函数
+   * @param {String} namespace - 命名空间，与存储的命名空间一致
+   */
+  constructor(namespace = 'LocalMemo') {
+    this.namespace = namespace;
+    this.tabId = Memo.prototype.generateId();
+    this.channel = null;
+    this.signalKey = `${namespace}-sync`;
+    this.pendingKeys = new Set();
+    this.flushTimer = null;
+    this.onMessage = null;
+    this.handleStorageEvent = this.handleStorageEvent.bind(this);
+    this.connect();
+  }
+
+  /**
+   * 建立通信通道
+   */
+  connect() {
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(`${this.namespace}-sync`);
+      this.channel.onmessage = (e) => this.receive(e.data);
+    } else {
+      window.addEventListener('storage', this.handleStorageEvent);
+    }
+  }
+
+  /**
+   * 处理 localStorage 的 storage 事件（BroadcastChannel 不可用时）
+   * @param {StorageEvent} e - 事件对象
+   */
+  handleStorageEvent(e) {
+    if (e.key !== this.signalKey || !e.newValue) {
+      return;
+    }
+
+    try {
+      this.receive(JSON.parse(e.newValue));
+    } catch (error) {
+      console.error('解析同步消息失败:', error);
+    }
+  }
+
+  /**
+   * 接收其他标签页的消息
+   * @param {Object} message - 消息 {tabId, keys, timestamp}
+   */
+  receive(message) {
+    if (!message || message.tabId === this.tabId) {
+      return;
+    }
+
+    if (this.onMessage) {
+      this.onMessage(message);
+    }
+  }
+
+  /**
+   * 通知其他标签页数据已变更（同一轮事件循环中的通知会合并）
+   * @param {Array} keys - 变更的存储键名
+   */
+  notify(keys) {
+    keys.forEach(key => this.pendingKeys.add(key));
+
+    if (this.flushTimer === null) {
+      this.flushTimer = setTimeout(() => this.flush(), 0);
+    }
+  }
+
+  /**
+   * 立即发送合并后的变更通知
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.pendingKeys.size === 0) {
+      return;
+    }
+
+    const message = {
+      tabId: this.tabId,
+      keys: [...this.pendingKeys],
+      timestamp: Date.now()
+    };
+    this.pendingKeys.clear();
+
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else {
+        window.localStorage.setItem(this.signalKey, JSON.stringify(message));
+      }
+    } catch (error) {
+      console.error('发送同步消息失败:', error);
+    }
+  }
+
+  /**
+   * 关闭通信通道
+   */
+  close() {
+    this.flush();
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    } else {
+      window.removeEventListener('storage', this.handleStorageEvent);
+    }
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TabSync;
+}
@@ -0,0 +1,148 @@
+/**
+ * 归档视图组件
+ * 负责浏览已归档的备忘录，提供取消归档和自动归档设置
+ */
+
+class ArchiveView {
+  /**
+   * 构造函数
+   * @param {String} containerId - 容器元素ID
+   * @param {MemoService} memoService - 备忘录服务实例
+   */
+  constructor(containerId, memoService) {
+    this.container = document.getElementById(containerId);
+    this.memoService = memoService;
+    this.memoList = null;
+    this.onChange = null;
+    this.onMemoClick = null;
+  }
+
+  /**
+   * 渲染归档视图
+   */
+  render() {
+    if (!this.container) {
+      console.error('归档容器不存在');
+      return;
+    }
+
+    this.container.innerHTML = '';
+    this.container.appendChild(this.createToolbar());
+
+    const listDiv = document.createElement('div');
+    listDiv.id = `${this.container.id}-list`;
+    this.container.appendChild(listDiv);
+
+    // 复用备忘录列表组件，只显示已归档的备忘录
+    this.memoList = new MemoList(listDiv.id, this.memoService);
+    this.memoList.currentFilter = { archived: true };
+    this.memoList.onMemoClick = (memoId) => {
+      if (this.onMemoClick) {
+        this.onMemoClick(memoId);
+      }
+    };
+    this.memoList.onMemoArchive = () => this.handleChange();
+    this.memoList.onMemoToggle = () => this.handleChange();
+    this.memoList.onMemoDelete = () => this.handleChange();
+    this.memoList.onMemoPin = () => this.handleChange();
+    this.memoList.render();
+  }
+
+  /**
+   * 创建归档工具栏（自动归档设置、全部取消归档）
+   * @returns {HTMLElement} 工具栏DOM元素
+   */
+  createToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'trash-toolbar';
+
+    const autoLabel = document.createElement('label');
+    autoLabel.className = 'trash-retention';
+    autoLabel.textContent = '完成 ';
+
+    const autoInput = document.createElement('input');
+    autoInput.type = 'number';
+    autoInput.min = '0';
+    autoInput.max = '3650';
+    autoInput.className = 'form-input trash-retention-input';
+    autoInput.value = this.memoService.settings.autoArchiveDays;
+    autoInput.title = '设为 0 表示不自动归档';
+    autoInput.addEventListener('change', () => {
+      this.handleAutoArchiveChange(autoInput.value);
+    });
+
+    autoLabel.appendChild(autoInput);
+    autoLabel.appendChild(document.createTextNode(' 天后自动归档（0 为关闭）'));
+
+    const unarchiveAllBtn = document.createElement('button');
+    unarchiveAllBtn.className = 'btn btn-secondary btn-sm';
+    unarchiveAllBtn.textContent = '全部取消归档';
+    unarchiveAllBtn.disabled = this.memoService.getArchivedMemos().length === 0;
+    unarchiveAllBtn.addEventListener('click', () => this.handleUnarchiveAll());
+
+    toolbar.appendChild(autoLabel);
+    toolbar.appendChild(unarchiveAllBtn);
+
+    return toolbar;
+  }
+
+  /**
+   * 处理全部取消归档
+   */
+  handleUnarchiveAll() {
+    const ids = this.memoService.getArchivedMemos().map(memo => memo.id);
+    const result = this.memoService.unarchiveMemos(ids);
+
+    if (result.success) {
+      this.handleChange();
+    } else {
+      alert('取消归档失败: ' + result.errors.join(', '));
+    }
+  }
+
+  /**
+   * 处理自动归档天数变更
+   * @param {String} value - 输入的天数
+   */
+  handleAutoArchiveChange(value) {
+    const result = this.memoService.setAutoArchiveDays(value);
+
+    if (result.success) {
+      this.memoService.autoArchiveCompleted();
+    } else {
+      alert(result.errors.join(', '));
+    }
+
+    this.handleChange();
+  }
+
+  /**
+   * 归档内容变化后重新渲染并通知外部
+   */
+  handleChange() {
+    this.render();
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+
+  /**
+   * 显示归档视图
+   */
+  show() {
+    this.container.style.display = 'block';
+    this.render();
+  }
+
+  /**
+   * 隐藏归档视图
+   */
+  hide() {
+    this.container.style.display = 'none';
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ArchiveView;
+}
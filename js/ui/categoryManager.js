@@ -0,0 +1,279 @@
+/**
+ * 分类管理组件
+ * 提供分类的新建、重命名、排序和删除界面
+ */
+
+class CategoryManager {
+  /**
+   * 构造函数
+   * @param {MemoService} memoService - 备忘录服务实例
+   * @param {String} id - 对话框ID
+   */
+  constructor(memoService, id = 'category-manager') {
+    this.memoService = memoService;
+    this.id = id;
+    this.modal = null;
+    this.onChange = null;
+    this.createModal();
+  }
+
+  /**
+   * 创建对话框DOM结构
+   */
+  createModal() {
+    if (document.getElementById(this.id)) {
+      this.modal = document.getElementById(this.id);
+      return;
+    }
+
+    const modalHTML = `
+      <div class="modal" id="${this.id}">
+        <div class="modal-overlay"></div>
+        <div class="modal-container category-manager">
+          <div class="modal-header">
+            <h3 class="modal-title">管理分类</h3>
+            <button class="modal-close-btn" title="关闭">✕</button>
+          </div>
+          <div class="modal-body">
+            <div class="category-list"></div>
+            <div class="category-add">
+              <input type="text" class="form-input category-add-icon" placeholder="图标" maxlength="8" />
+              <input type="text" class="form-input category-add-name" placeholder="新分类名称" maxlength="20" />
+              <input type="color" class="category-add-color" value="#3498db" />
+              <button class="btn btn-primary btn-sm category-add-btn">添加</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+    this.modal = document.getElementById(this.id);
+
+    this.bindEvents();
+  }
+
+  /**
+   * 绑定事件
+   */
+  bindEvents() {
+    this.modal.querySelector('.modal-overlay').addEventListener('click', () => this.hide());
+    this.modal.querySelector('.modal-close-btn').addEventListener('click', () => this.hide());
+    this.modal.querySelector('.category-add-btn').addEventListener('click', () => this.handleAdd());
+
+    this.modal.querySelector('.category-add-name').addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.handleAdd();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isVisible()) {
+        this.hide();
+      }
+    });
+  }
+
+  /**
+   * 渲染分类列表
+   */
+  render() {
+    const list = this.modal.querySelector('.category-list');
+    list.innerHTML = '';
+
+    const categories = this.memoService.getCategories();
+    const counts = this.memoService.getStatistics().byCategory;
+
+    categories.forEach((category, index) => {
+      const row = document.createElement('div');
+      row.className = 'category-row';
+      row.dataset.categoryId = category.id;
+
+      const iconInput = document.createElement('input');
+      iconInput.type = 'text';
+      iconInput.className = 'form-input category-icon-input';
+      iconInput.value = category.icon;
+      iconInput.maxLength = 8;
+      iconInput.addEventListener('change', () => this.handleUpdate(category.id, { icon: iconInput.value.trim() }));
+
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.className = 'form-input category-name-input';
+      nameInput.value = category.name;
+      nameInput.maxLength = 20;
+      nameInput.addEventListener('change', () => this.handleUpdate(category.id, { name: nameInput.value }));
+
+      const colorInput = document.createElement('input');
+      colorInput.type = 'color';
+      colorInput.value = category.color;
+      colorInput.addEventListener('change', () => this.handleUpdate(category.id, { color: colorInput.value }));
+
+      const countSpan = document.createElement('span');
+      countSpan.className = 'category-count';
+      countSpan.textContent = `${counts[category.name] || 0} 条`;
+
+      const upBtn = document.createElement('button');
+      upBtn.className = 'checklist-move-up';
+      upBtn.textContent = '↑';
+      upBtn.title = '上移';
+      upBtn.disabled = index === 0;
+      upBtn.addEventListener('click', () => this.handleMove(category.id, -1));
+
+      const downBtn = document.createElement('button');
+      downBtn.className = 'checklist-move-down';
+      downBtn.textContent = '↓';
+      downBtn.title = '下移';
+      downBtn.disabled = index === categories.length - 1;
+      downBtn.addEventListener('click', () => this.handleMove(category.id, 1));
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'memo-delete-btn';
+      deleteBtn.textContent = '🗑️';
+      deleteBtn.title = '删除';
+      deleteBtn.disabled = categories.length === 1;
+      deleteBtn.addEventListener('click', () => this.handleDelete(category));
+
+      row.appendChild(iconInput);
+      row.appendChild(nameInput);
+      row.appendChild(colorInput);
+      row.appendChild(countSpan);
+      row.appendChild(upBtn);
+      row.appendChild(downBtn);
+      row.appendChild(deleteBtn);
+      list.appendChild(row);
+    });
+  }
+
+  /**
+   * 处理添加分类
+   */
+  handleAdd() {
+    const nameInput = this.modal.querySelector('.category-add-name');
+    const iconInput = this.modal.querySelector('.category-add-icon');
+    const colorInput = this.modal.querySelector('.category-add-color');
+
+    const result = this.memoService.createCategory({
+      name: nameInput.value,
+      icon: iconInput.value.trim(),
+      color: colorInput.value
+    });
+
+    if (result.success) {
+      nameInput.value = '';
+      iconInput.value = '';
+      this.afterChange();
+      nameInput.focus();
+    } else {
+      Toast.error(result.errors.join(', '));
+    }
+  }
+
+  /**
+   * 处理更新分类
+   * @param {String} id - 分类ID
+   * @param {Object} updates - 更新的字段
+   */
+  handleUpdate(id, updates) {
+    const result = this.memoService.updateCategory(id, updates);
+
+    if (result.success) {
+      if (result.migrated > 0) {
+        Toast.success(`已同步更新 ${result.migrated} 条备忘录的分类`);
+      }
+    } else {
+      Toast.error(result.errors.join(', '));
+    }
+
+    this.afterChange();
+  }
+
+  /**
+   * 处理移动分类
+   * @param {String} id - 分类ID
+   * @param {Number} offset - 移动偏移量（-1 上移，1 下移）
+   */
+  handleMove(id, offset) {
+    const ids = this.memoService.getCategories().map(category => category.id);
+    const index = ids.indexOf(id);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= ids.length) {
+      return;
+    }
+
+    ids.splice(index, 1);
+    ids.splice(target, 0, id);
+
+    const result = this.memoService.reorderCategories(ids);
+    if (!result.success) {
+      Toast.error(result.errors.join(', '));
+    }
+
+    this.afterChange();
+  }
+
+  /**
+   * 处理删除分类
+   * @param {Category} category - 分类实例
+   */
+  handleDelete(category) {
+    const others = this.memoService.getCategories().filter(item => item.id !== category.id);
+    const target = others.find(item => item.name === '其他') || others[others.length - 1];
+    const count = this.memoService.getStatistics().byCategory[category.name] || 0;
+
+    const message = count > 0
+      ? `确定要删除分类"${category.name}"吗？其中的 ${count} 条备忘录将移到"${target.name}"。`
+      : `确定要删除分类"${category.name}"吗？`;
+
+    if (!confirm(message)) {
+      return;
+    }
+
+    const result = this.memoService.deleteCategory(category.id, target.name);
+    if (!result.success) {
+      Toast.error(result.errors.join(', '));
+    }
+
+    this.afterChange();
+  }
+
+  /**
+   * 分类变更后重新渲染并通知外部
+   */
+  afterChange() {
+    this.render();
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+
+  /**
+   * 显示对话框
+   */
+  show() {
+    this.render();
+    this.modal.classList.add('modal-visible');
+    document.body.style.overflow = 'hidden';
+  }
+
+  /**
+   * 隐藏对话框
+   */
+  hide() {
+    this.modal.classList.remove('modal-visible');
+    document.body.style.overflow = '';
+  }
+
+  /**
+   * 判断对话框是否可见
+   * @returns {Boolean} 是否可见
+   */
+  isVisible() {
+    return this.modal && this.modal.classList.contains('modal-visible');
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CategoryManager;
+}
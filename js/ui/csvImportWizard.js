@@ -0,0 +1,329 @@
+/**
+ * CSV 导入向导
+ * 预览 CSV 文件、为每一列选择对应的备忘录字段，并在导入前列出每一行的错误；
+ * 确认后转换的数据交给导入预览（onImport），由导入预览写入
+ */
+
+class CsvImportWizard {
+  /**
+   * 预览的最大行数
+   */
+  static PREVIEW_ROWS = 10;
+
+  /**
+   * 构造函数
+   * @param {MemoService} memoService - 备忘录服务实例
+   * @param {String} id - 对话框ID
+   */
+  constructor(memoService, id = 'csv-import-wizard') {
+    this.memoService = memoService;
+    this.id = id;
+    this.modal = null;
+    this.filename = '';
+    this.rows = [];
+    this.hasHeader = true;
+    this.mapping = [];
+    this.onImport = null;
+    this.createModal();
+  }
+
+  /**
+   * 创建对话框DOM结构
+   */
+  createModal() {
+    if (document.getElementById(this.id)) {
+      this.modal = document.getElementById(this.id);
+      return;
+    }
+
+    const modalHTML = `
+      <div class="modal" id="${this.id}">
+        <div class="modal-overlay"></div>
+        <div class="modal-container csv-import-wizard">
+          <div class="modal-header">
+            <h3 class="modal-title">导入 CSV</h3>
+            <button class="modal-close-btn" title="关闭">✕</button>
+          </div>
+          <div class="modal-body">
+            <p class="csv-hint csv-file-info"></p>
+            <label class="checkbox-label form-group">
+              <input type="checkbox" class="form-checkbox csv-has-header" />
+              第一行是表头
+            </label>
+            <div class="csv-section-title">列对应的字段</div>
+            <div class="csv-mapping"></div>
+            <div class="csv-section-title">预览</div>
+            <div class="csv-preview"></div>
+            <div class="csv-summary"></div>
+            <ul class="csv-errors"></ul>
+          </div>
+          <div class="modal-footer">
+            <button class="btn btn-secondary modal-cancel-btn">取消</button>
+            <button class="btn btn-primary modal-confirm-btn">下一步</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+    this.modal = document.getElementById(this.id);
+
+    this.bindEvents();
+  }
+
+  /**
+   * 绑定事件
+   */
+  bindEvents() {
+    this.modal.querySelector('.modal-overlay').addEventListener('click', () => this.hide());
+    this.modal.querySelector('.modal-close-btn').addEventListener('click', () => this.hide());
+    this.modal.querySelector('.modal-cancel-btn').addEventListener('click', () => this.hide());
+    this.modal.querySelector('.modal-confirm-btn').addEventListener('click', () => this.handleImport());
+
+    this.modal.querySelector('.csv-has-header').addEventListener('change', (e) => {
+      this.hasHeader = e.target.checked;
+      this.render();
+    });
+
+    // 列映射下拉框（使用事件委托）
+    this.modal.querySelector('.csv-mapping').addEventListener('change', (e) => {
+      const select = e.target.closest('.csv-mapping-select');
+      if (!select) return;
+      this.setMapping(Number(select.dataset.column), select.value);
+      this.render();
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isVisible()) {
+        this.hide();
+      }
+    });
+  }
+
+  /**
+   * 设置某一列对应的字段（同一字段只能对应一列，原来对应该字段的列改为不导入）
+   * @param {Number} column - 列序号
+   * @param {String} key - 字段 key，空字符串表示不导入
+   */
+  setMapping(column, key) {
+    this.mapping = this.mapping.map((value, index) => {
+      if (index === column) return key;
+      return key && value === key ? '' : value;
+    });
+  }
+
+  /**
+   * 获取数据行（不含表头）
+   * @returns {Array}
+   */
+  getDataRows() {
+    return this.hasHeader ? this.rows.slice(1) : this.rows;
+  }
+
+  /**
+   * 获取列名（有表头时使用表头，否则为"第 n 列"）
+   * @returns {Array}
+   */
+  getColumnNames() {
+    return this.mapping.map((key, index) =>
+      (this.hasHeader && this.rows[0][index] && this.rows[0][index].trim()) || `第 ${index + 1} 列`
+    );
+  }
+
+  /**
+   * 渲染列映射、预览和错误列表
+   */
+  render() {
+    const dataRows = this.getDataRows();
+    const firstRowNumber = this.hasHeader ? 2 : 1;
+    const parsed = this.memoService.parseCsvRows(dataRows, this.mapping, firstRowNumber);
+    const invalid = parsed.filter(item => item.errors.length > 0);
+
+    this.modal.querySelector('.csv-file-info').textContent = `${this.filename} · ${dataRows.length} 行数据`;
+    this.modal.querySelector('.csv-has-header').checked = this.hasHeader;
+
+    this.renderMapping();
+    this.renderPreview(parsed.slice(0, CsvImportWizard.PREVIEW_ROWS));
+
+    const hasTitle = this.mapping.includes('title');
+    const validCount = parsed.length - invalid.length;
+    const summary = this.modal.querySelector('.csv-summary');
+    summary.className = 'csv-summary' + (hasTitle && invalid.length === 0 ? '' : ' csv-summary-warning');
+    summary.textContent = !hasTitle
+      ? '请为标题选择一列'
+      : `${validCount} 行可以导入` + (invalid.length > 0 ? `，${invalid.length} 行有错误，导入时将跳过` : '');
+
+    const errors = this.modal.querySelector('.csv-errors');
+    errors.innerHTML = '';
+    if (hasTitle) {
+      invalid.forEach(item => {
+        const li = document.createElement('li');
+        li.textContent = `第 ${item.row} 行: ${item.errors.join(', ')}`;
+        errors.appendChild(li);
+      });
+    }
+
+    const confirmBtn = this.modal.querySelector('.modal-confirm-btn');
+    confirmBtn.disabled = !hasTitle || validCount === 0;
+    confirmBtn.textContent = validCount > 0 ? `下一步（${validCount} 条）` : '下一步';
+  }
+
+  /**
+   * 渲染每一列的字段选择
+   */
+  renderMapping() {
+    const container = this.modal.querySelector('.csv-mapping');
+    const names = this.getColumnNames();
+    const sample = this.getDataRows().find(row => row.some(value => value.trim())) || [];
+    container.innerHTML = '';
+
+    this.mapping.forEach((key, index) => {
+      const row = document.createElement('div');
+      row.className = 'csv-mapping-row';
+
+      const info = document.createElement('div');
+      info.className = 'csv-mapping-info';
+
+      const name = document.createElement('div');
+      name.className = 'csv-mapping-name';
+      name.textContent = names[index];
+
+      const example = document.createElement('div');
+      example.className = 'csv-meta';
+      example.textContent = (sample[index] || '').replace(/\s+/g, ' ').slice(0, 60);
+
+      info.appendChild(name);
+      info.appendChild(example);
+
+      const select = document.createElement('select');
+      select.className = 'form-select csv-mapping-select';
+      select.dataset.column = index;
+      select.add(new Option('不导入', ''));
+      MemoService.CSV_COLUMNS.forEach(column => select.add(new Option(column.label, column.key)));
+      select.value = key;
+
+      row.appendChild(info);
+      row.appendChild(select);
+      container.appendChild(row);
+    });
+  }
+
+  /**
+   * 渲染前几行的转换结果
+   * @param {Array} parsed - parseCsvRows 的结果
+   */
+  renderPreview(parsed) {
+    const container = this.modal.querySelector('.csv-preview');
+    const columns = MemoService.CSV_COLUMNS.filter(column => this.mapping.includes(column.key));
+    container.innerHTML = '';
+
+    if (parsed.length === 0 || columns.length === 0) {
+      container.innerHTML = '<p class="csv-empty">没有可预览的数据</p>';
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'csv-preview-table';
+
+    const headRow = table.createTHead().insertRow();
+    ['行', ...columns.map(column => column.label), '状态'].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      headRow.appendChild(th);
+    });
+
+    const body = table.createTBody();
+    parsed.forEach(item => {
+      const tr = body.insertRow();
+      tr.className = item.errors.length > 0 ? 'csv-row-invalid' : '';
+      tr.insertCell().textContent = item.row;
+      columns.forEach(column => {
+        tr.insertCell().textContent = this.formatPreviewValue(item.memo, column.key);
+      });
+      const status = tr.insertCell();
+      status.textContent = item.errors.length > 0 ? item.errors.join(', ') : '✓';
+    });
+
+    container.appendChild(table);
+  }
+
+  /**
+   * 格式化预览中的字段值
+   * @param {Object} memo - 转换后的备忘录数据
+   * @param {String} key - 字段
+   * @returns {String}
+   */
+  formatPreviewValue(memo, key) {
+    const value = memo[key];
+    if (value === undefined || value === null) {
+      return '';
+    }
+    if (typeof value === 'number') {
+      return isFinite(value) ? DateUtil.format(value, key === 'dueAt' && !memo.dueHasTime ? 'date' : 'full') : '无效';
+    }
+    if (typeof value === 'boolean') {
+      return value ? '是' : '否';
+    }
+    if (Array.isArray(value)) {
+      return value.join(', ');
+    }
+    return value.length > 40 ? value.slice(0, 40) + '…' : value;
+  }
+
+  /**
+   * 处理导入：转换没有错误的行，交给导入预览确认
+   */
+  handleImport() {
+    const result = this.memoService.prepareCsvImport(this.getDataRows(), this.mapping, this.hasHeader ? 2 : 1);
+    if (!result.success) {
+      Toast.error('导入失败: ' + result.errors.join(', '));
+      return;
+    }
+
+    this.hide();
+    if (this.onImport) {
+      this.onImport(result.data);
+    }
+  }
+
+  /**
+   * 显示向导
+   * @param {String} filename - 文件名
+   * @param {Array} rows - CsvUtil.parse 解析出的所有行
+   */
+  show(filename, rows) {
+    const width = Math.max(...rows.map(row => row.length));
+    this.filename = filename;
+    this.rows = rows.map(row => [...row, ...new Array(width - row.length).fill('')]);
+
+    // 第一行能匹配到字段时视为表头
+    const guessed = this.memoService.guessCsvMapping(this.rows[0]);
+    this.hasHeader = guessed.some(key => key);
+    this.mapping = this.hasHeader ? guessed : this.rows[0].map((value, index) => (index === 0 ? 'title' : ''));
+
+    this.render();
+    this.modal.classList.add('modal-visible');
+    document.body.style.overflow = 'hidden';
+  }
+
+  /**
+   * 隐藏向导
+   */
+  hide() {
+    this.modal.classList.remove('modal-visible');
+    document.body.style.overflow = '';
+  }
+
+  /**
+   * 检查向导是否可见
+   * @returns {Boolean}
+   */
+  isVisible() {
+    return this.modal.classList.contains('modal-visible');
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CsvImportWizard;
+}
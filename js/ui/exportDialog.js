@@ -0,0 +1,190 @@
+/**
+ * 导出对话框
+ * 导出 CSV 或 iCalendar 文件：选择导出范围（当前列表或全部备忘录），CSV 还可以选择要导出的列
+ */
+
+class ExportDialog {
+  /**
+   * 支持的格式
+   */
+  static FORMATS = {
+    csv: { title: '导出 CSV', hint: '文件使用 UTF-8 编码（带 BOM），可直接用 Excel 打开。' },
+    ics: { title: '导出日历', hint: '每条备忘录导出为一个待办事项（VTODO），可导入日历应用。再次导入此文件时会更新对应的备忘录，不会重复添加。' }
+  };
+
+  /**
+   * 构造函数
+   * @param {MemoService} memoService - 备忘录服务实例
+   * @param {String} id - 对话框ID
+   */
+  constructor(memoService, id = 'export-dialog') {
+    this.memoService = memoService;
+    this.id = id;
+    this.modal = null;
+    this.format = 'csv';
+    this.displayedIds = [];
+    this.columns = [...MemoService.CSV_DEFAULT_COLUMNS];
+    this.createModal();
+  }
+
+  /**
+   * 创建对话框DOM结构
+   */
+  createModal() {
+    if (document.getElementById(this.id)) {
+      this.modal = document.getElementById(this.id);
+      return;
+    }
+
+    const modalHTML = `
+      <div class="modal" id="${this.id}">
+        <div class="modal-overlay"></div>
+        <div class="modal-container export-dialog">
+          <div class="modal-header">
+            <h3 class="modal-title"></h3>
+            <button class="modal-close-btn" title="关闭">✕</button>
+          </div>
+          <div class="modal-body">
+            <div class="form-group">
+              <label class="form-label">导出范围</label>
+              <label class="checkbox-label">
+                <input type="radio" name="${this.id}-scope" value="current" class="form-checkbox export-scope" checked />
+                <span class="export-scope-current"></span>
+              </label>
+              <label class="checkbox-label">
+                <input type="radio" name="${this.id}-scope" value="all" class="form-checkbox export-scope" />
+                <span class="export-scope-all"></span>
+              </label>
+            </div>
+            <div class="form-group export-columns-group">
+              <label class="form-label">导出的列</label>
+              <div class="export-columns"></div>
+            </div>
+            <p class="export-hint"></p>
+          </div>
+          <div class="modal-footer">
+            <button class="btn btn-secondary modal-cancel-btn">取消</button>
+            <button class="btn btn-primary modal-confirm-btn">导出</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+    this.modal = document.getElementById(this.id);
+
+    this.bindEvents();
+  }
+
+  /**
+   * 绑定事件
+   */
+  bindEvents() {
+    this.modal.querySelector('.modal-overlay').addEventListener('click', () => this.hide());
+    this.modal.querySelector('.modal-close-btn').addEventListener('click', () => this.hide());
+    this.modal.querySelector('.modal-cancel-btn').addEventListener('click', () => this.hide());
+    this.modal.querySelector('.modal-confirm-btn').addEventListener('click', () => this.handleExport());
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isVisible()) {
+        this.hide();
+      }
+    });
+  }
+
+  /**
+   * 渲染导出范围和列选择
+   */
+  render() {
+    const format = ExportDialog.FORMATS[this.format];
+    this.modal.querySelector('.modal-title').textContent = format.title;
+    this.modal.querySelector('.export-hint').textContent = format.hint;
+    this.modal.querySelector('.export-scope-current').textContent = `当前列表（${this.displayedIds.length} 条）`;
+    this.modal.querySelector('.export-scope-all').textContent =
+      `全部备忘录（${this.memoService.getAllMemos().length} 条，包括已归档的）`;
+
+    this.modal.querySelector('.export-columns-group').style.display = this.format === 'csv' ? '' : 'none';
+    const columns = this.modal.querySelector('.export-columns');
+    columns.innerHTML = '';
+    MemoService.CSV_COLUMNS.forEach(column => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'form-checkbox export-column-checkbox';
+      checkbox.value = column.key;
+      checkbox.checked = this.columns.includes(column.key);
+
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(column.label));
+      columns.appendChild(label);
+    });
+  }
+
+  /**
+   * 处理导出（记住选择的列，下次打开时沿用）
+   */
+  handleExport() {
+    const columns = Array.from(this.modal.querySelectorAll('.export-column-checkbox:checked'))
+      .map(checkbox => checkbox.value);
+    if (this.format === 'csv' && columns.length === 0) {
+      Toast.info('请至少选择一列');
+      return;
+    }
+
+    const scope = this.modal.querySelector('.export-scope:checked').value;
+    const memos = scope === 'current'
+      ? this.displayedIds.map(id => this.memoService.getMemoById(id)).filter(memo => memo)
+      : this.memoService.getAllMemos();
+    if (memos.length === 0) {
+      Toast.info('没有可导出的备忘录');
+      return;
+    }
+
+    if (this.format === 'csv') {
+      this.columns = columns;
+      const csv = this.memoService.exportCsv(memos, columns);
+      FileUtil.download(FileUtil.datedFilename('LocalMemo', 'csv'), csv, 'text/csv;charset=utf-8');
+    } else {
+      FileUtil.download(FileUtil.datedFilename('LocalMemo', 'ics'), this.memoService.exportIcs(memos), 'text/calendar;charset=utf-8');
+    }
+    Toast.success(`已导出 ${memos.length} 条备忘录`);
+    this.hide();
+  }
+
+  /**
+   * 显示对话框
+   * @param {String} format - 导出格式（csv 或 ics）
+   * @param {Array} displayedIds - 当前列表中显示的备忘录ID（按显示顺序）
+   */
+  show(format, displayedIds = []) {
+    this.format = format;
+    this.displayedIds = displayedIds;
+    this.render();
+    this.modal.querySelector(`.export-scope[value="${displayedIds.length > 0 ? 'current' : 'all'}"]`).checked = true;
+    this.modal.classList.add('modal-visible');
+    document.body.style.overflow = 'hidden';
+  }
+
+  /**
+   * 隐藏对话框
+   */
+  hide() {
+    this.modal.classList.remove('modal-visible');
+    document.body.style.overflow = '';
+  }
+
+  /**
+   * 检查对话框是否可见
+   * @returns {Boolean}
+   */
+  isVisible() {
+    return this.modal.classList.contains('modal-visible');
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExportDialog;
+}
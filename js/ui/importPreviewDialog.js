@@ -0,0 +1,510 @@
+/**
+ * 导入预览对话框
+ * 写入前列出导入文件中的新增、相同、冲突和无效记录，为每个冲突选择处理方式，导入后显示导入报告
+ */
+
+class ImportPreviewDialog {
+  /**
+   * 列表中最多显示的记录数
+   */
+  static MAX_ROWS = 200;
+
+  /**
+   * 记录状态的名称
+   */
+  static STATUS_LABELS = {
+    new: '新增',
+    identical: '相同',
+    changed: '冲突',
+    invalid: '无效'
+  };
+
+  /**
+   * 冲突处理方式的名称（顺序与 MemoService.IMPORT_RESOLUTIONS 相同）
+   */
+  static RESOLUTION_LABELS = {
+    mine: '保留本机版本',
+    theirs: '使用导入的版本',
+    both: '两者都保留',
+    newer: '保留较新的版本'
+  };
+
+  /**
+   * 导入报告中每条记录的处理结果
+   */
+  static ACTION_LABELS = {
+    added: '已新增',
+    replaced: '已使用导入的版本',
+    kept: '已保留本机版本',
+    duplicated: '已保留两者',
+    identical: '相同，已跳过',
+    invalid: '无效，已跳过'
+  };
+
+  /**
+   * 构造函数
+   * @param {MemoService} memoService - 备忘录服务实例
+   * @param {String} id - 对话框ID
+   */
+  constructor(memoService, id = 'import-preview-dialog') {
+    this.memoService = memoService;
+    this.id = id;
+    this.modal = null;
+    this.source = '';
+    this.preview = null;
+    this.resolutions = {};
+    this.filter = 'all';
+    this.expanded = new Set();
+    this.report = null;
+    this.onApply = null;
+    this.createModal();
+  }
+
+  /**
+   * 创建对话框DOM结构
+   */
+  createModal() {
+    if (document.getElementById(this.id)) {
+      this.modal = document.getElementById(this.id);
+      return;
+    }
+
+    const modalHTML = `
+      <div class="modal" id="${this.id}">
+        <div class="modal-overlay"></div>
+        <div class="modal-container import-preview-dialog">
+          <div class="modal-header">
+            <h3 class="modal-title">导入预览</h3>
+            <button class="modal-close-btn" title="关闭">✕</button>
+          </div>
+          <div class="modal-body">
+            <p class="import-hint"></p>
+            <div class="import-preview">
+              <div class="import-counts"></div>
+              <div class="import-bulk">
+                <span class="import-bulk-label">全部冲突：</span>
+                <select class="form-select import-bulk-select"></select>
+              </div>
+              <div class="import-list"></div>
+              <ul class="import-errors"></ul>
+            </div>
+            <div class="import-report" style="display: none;"></div>
+          </div>
+          <div class="modal-footer">
+            <button class="btn btn-secondary modal-cancel-btn">取消</button>
+            <button class="btn btn-primary modal-confirm-btn">导入</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+    this.modal = document.getElementById(this.id);
+
+    const bulkSelect = this.modal.querySelector('.import-bulk-select');
+    bulkSelect.add(new Option('逐条选择', ''));
+    this.addResolutionOptions(bulkSelect);
+
+    this.bindEvents();
+  }
+
+  /**
+   * 绑定事件
+   */
+  bindEvents() {
+    this.modal.querySelector('.modal-overlay').addEventListener('click', () => this.hide());
+    this.modal.querySelector('.modal-close-btn').addEventListener('click', () => this.hide());
+    this.modal.querySelector('.modal-cancel-btn').addEventListener('click', () => this.hide());
+    this.modal.querySelector('.modal-confirm-btn').addEventListener('click', () => {
+      if (this.report) {
+        this.hide();
+      } else {
+        this.handleApply();
+      }
+    });
+
+    // 状态筛选（使用事件委托）
+    this.modal.querySelector('.import-counts').addEventListener('click', (e) => {
+      const btn = e.target.closest('.import-count');
+      if (!btn) return;
+      this.filter = btn.dataset.status;
+      this.render();
+    });
+
+    // 一次设置所有冲突的处理方式
+    this.modal.querySelector('.import-bulk-select').addEventListener('change', (e) => {
+      if (!e.target.value) return;
+      this.getItems('changed').forEach(item => {
+        this.resolutions[item.index] = e.target.value;
+      });
+      this.render();
+    });
+
+    const list = this.modal.querySelector('.import-list');
+    list.addEventListener('change', (e) => {
+      const select = e.target.closest('.import-resolution-select');
+      if (!select) return;
+      this.resolutions[Number(select.dataset.index)] = select.value;
+      this.updateBulkSelect();
+    });
+    list.addEventListener('click', (e) => {
+      const btn = e.target.closest('.import-diff-btn');
+      if (!btn) return;
+      const index = Number(btn.dataset.index);
+      if (this.expanded.has(index)) {
+        this.expanded.delete(index);
+      } else {
+        this.expanded.add(index);
+      }
+      this.render();
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isVisible()) {
+        this.hide();
+      }
+    });
+  }
+
+  /**
+   * 添加冲突处理方式选项
+   * @param {HTMLSelectElement} select - 下拉框
+   */
+  addResolutionOptions(select) {
+    MemoService.IMPORT_RESOLUTIONS.forEach(resolution => {
+      select.add(new Option(ImportPreviewDialog.RESOLUTION_LABELS[resolution], resolution));
+    });
+  }
+
+  /**
+   * 获取指定状态的记录
+   * @param {String} status - 状态，'all' 表示全部
+   * @returns {Array}
+   */
+  getItems(status) {
+    return status === 'all' ? this.preview.items : this.preview.items.filter(item => item.status === status);
+  }
+
+  /**
+   * 渲染预览或导入报告
+   */
+  render() {
+    const cancelBtn = this.modal.querySelector('.modal-cancel-btn');
+    const confirmBtn = this.modal.querySelector('.modal-confirm-btn');
+    this.modal.querySelector('.import-preview').style.display = this.report ? 'none' : '';
+    this.modal.querySelector('.import-report').style.display = this.report ? '' : 'none';
+    this.modal.querySelector('.modal-title').textContent = this.report ? '导入报告' : '导入预览';
+    cancelBtn.style.display = this.report ? 'none' : '';
+
+    if (this.report) {
+      this.renderReport();
+      confirmBtn.disabled = false;
+      confirmBtn.textContent = '完成';
+      return;
+    }
+
+    const { counts } = this.preview;
+    this.modal.querySelector('.import-hint').textContent = `${this.source ? this.source + ' · ' : ''}${this.preview.items.length} 条记录` +
+      (this.preview.skipped ? `，另有 ${this.preview.skipped} 条已删除的笔记等已跳过` : '') +
+      '。导入前不会修改任何数据。';
+
+    this.renderCounts();
+    this.modal.querySelector('.import-bulk').style.display = counts.changed > 0 ? '' : 'none';
+    this.updateBulkSelect();
+    this.renderList();
+
+    const errors = this.modal.querySelector('.import-errors');
+    errors.innerHTML = '';
+    this.preview.errors.forEach(error => {
+      const li = document.createElement('li');
+      li.textContent = error;
+      errors.appendChild(li);
+    });
+
+    confirmBtn.disabled = counts.new + counts.changed === 0;
+    confirmBtn.textContent = '导入';
+  }
+
+  /**
+   * 渲染各状态的数量（点击筛选列表）
+   */
+  renderCounts() {
+    const container = this.modal.querySelector('.import-counts');
+    container.innerHTML = '';
+
+    ['all', 'new', 'identical', 'changed', 'invalid'].forEach(status => {
+      const btn = document.createElement('button');
+      btn.className = `import-count import-status-${status}` + (this.filter === status ? ' active' : '');
+      btn.dataset.status = status;
+      btn.textContent = `${status === 'all' ? '全部' : ImportPreviewDialog.STATUS_LABELS[status]} ${this.getItems(status).length}`;
+      container.appendChild(btn);
+    });
+  }
+
+  /**
+   * 所有冲突的处理方式相同时在批量下拉框中显示该方式
+   */
+  updateBulkSelect() {
+    const values = new Set(this.getItems('changed').map(item => this.resolutions[item.index]));
+    this.modal.querySelector('.import-bulk-select').value = values.size === 1 ? [...values][0] : '';
+  }
+
+  /**
+   * 渲染记录列表（冲突在前）
+   */
+  renderList() {
+    const container = this.modal.querySelector('.import-list');
+    const order = ['changed', 'invalid', 'new', 'identical'];
+    const items = [...this.getItems(this.filter)]
+      .sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status) || a.index - b.index);
+    container.innerHTML = '';
+
+    if (items.length === 0) {
+      container.innerHTML = '<p class="import-empty">没有记录</p>';
+      return;
+    }
+
+    items.slice(0, ImportPreviewDialog.MAX_ROWS).forEach(item => container.appendChild(this.createRow(item)));
+
+    if (items.length > ImportPreviewDialog.MAX_ROWS) {
+      const more = document.createElement('p');
+      more.className = 'import-empty';
+      more.textContent = `还有 ${items.length - ImportPreviewDialog.MAX_ROWS} 条未显示`;
+      container.appendChild(more);
+    }
+  }
+
+  /**
+   * 创建一条记录
+   * @param {Object} item - previewImport 的记录
+   * @returns {HTMLElement}
+   */
+  createRow(item) {
+    const row = document.createElement('div');
+    row.className = 'import-row';
+
+    const main = document.createElement('div');
+    main.className = 'import-row-main';
+
+    const status = document.createElement('span');
+    status.className = `import-status import-status-${item.status}`;
+    status.textContent = ImportPreviewDialog.STATUS_LABELS[item.status];
+
+    const info = document.createElement('div');
+    info.className = 'import-info';
+
+    const title = document.createElement('div');
+    title.className = 'import-title';
+    title.textContent = (item.memo && item.memo.title) || `第 ${item.index + 1} 条数据`;
+
+    const meta = document.createElement('div');
+    meta.className = 'import-meta';
+    meta.textContent = this.getRowMeta(item);
+
+    info.appendChild(title);
+    info.appendChild(meta);
+    main.appendChild(status);
+    main.appendChild(info);
+
+    if (item.status === 'changed') {
+      const diffBtn = document.createElement('button');
+      diffBtn.className = 'btn btn-secondary btn-sm import-diff-btn';
+      diffBtn.dataset.index = item.index;
+      diffBtn.textContent = this.expanded.has(item.index) ? '收起' : '差异';
+
+      const select = document.createElement('select');
+      select.className = 'form-select import-resolution-select';
+      select.dataset.index = item.index;
+      this.addResolutionOptions(select);
+      select.value = this.resolutions[item.index];
+
+      main.appendChild(diffBtn);
+      main.appendChild(select);
+    }
+
+    row.appendChild(main);
+
+    if (item.status === 'changed' && this.expanded.has(item.index)) {
+      row.appendChild(this.createDiff(item));
+    }
+
+    return row;
+  }
+
+  /**
+   * 获取记录的说明
+   * @param {Object} item - previewImport 的记录
+   * @returns {String}
+   */
+  getRowMeta(item) {
+    if (item.status === 'invalid') {
+      return item.errors.join(', ');
+    }
+    if (item.status === 'identical') {
+      return '与本机的备忘录相同';
+    }
+    if (item.status === 'new') {
+      return `${item.memo.category} · 更新于 ${DateUtil.format(item.memo.updatedAt, 'full')}`;
+    }
+
+    const fields = [...new Set(MemoService.IMPORT_FIELDS
+      .filter(field => item.changedFields.includes(field.key))
+      .map(field => field.label))];
+    const newer = item.memo.updatedAt > item.existing.updatedAt ? '导入的版本较新' : '本机版本较新';
+    return `不同：${fields.join('、')} · 本机 ${DateUtil.format(item.existing.updatedAt, 'full')} · ` +
+      `导入 ${DateUtil.format(item.memo.updatedAt, 'full')}（${newer}）`;
+  }
+
+  /**
+   * 创建冲突的标题和内容差异
+   * @param {Object} item - previewImport 的冲突记录
+   * @returns {HTMLElement}
+   */
+  createDiff(item) {
+    const diffDiv = document.createElement('div');
+    diffDiv.className = 'history-diff';
+
+    const legend = document.createElement('div');
+    legend.className = 'import-meta';
+    legend.textContent = '红色为本机版本，绿色为导入的版本';
+    diffDiv.appendChild(legend);
+
+    [
+      ...DiffUtil.diffLines(`标题：${item.existing.title}`, `标题：${item.memo.title}`),
+      ...DiffUtil.diffLines(item.existing.content, item.memo.content)
+    ].forEach(line => {
+      const lineDiv = document.createElement('div');
+      lineDiv.className = `diff-line diff-${line.type}`;
+      lineDiv.textContent = (line.type === 'add' ? '+ ' : line.type === 'remove' ? '- ' : '  ') + line.text;
+      diffDiv.appendChild(lineDiv);
+    });
+
+    return diffDiv;
+  }
+
+  /**
+   * 渲染导入报告
+   */
+  renderReport() {
+    const report = this.report;
+    const container = this.modal.querySelector('.import-report');
+    container.innerHTML = '';
+
+    this.modal.querySelector('.import-hint').textContent = report.success
+      ? '导入完成，可以在提示中撤销。'
+      : (report.imported + report.updated > 0 ? '导入完成，部分记录未导入。' : '没有导入任何备忘录。');
+
+    const summary = document.createElement('ul');
+    summary.className = 'import-summary';
+    [
+      ['新增', report.added],
+      ['使用导入的版本', report.replaced],
+      ['保留本机版本', report.kept],
+      ['两者都保留', report.duplicated],
+      ['相同，已跳过', report.identical],
+      ['无效，已跳过', report.invalid],
+      ['已删除的笔记等，已跳过', report.skipped]
+    ].filter(([, count]) => count > 0).forEach(([label, count]) => {
+      const li = document.createElement('li');
+      li.textContent = `${label}: ${count} 条`;
+      summary.appendChild(li);
+    });
+    container.appendChild(summary);
+
+    const conflicts = report.details.filter(detail => detail.status === 'changed');
+    if (conflicts.length > 0) {
+      const heading = document.createElement('div');
+      heading.className = 'import-section-title';
+      heading.textContent = '冲突的处理结果';
+      container.appendChild(heading);
+
+      conflicts.forEach(detail => {
+        const row = document.createElement('div');
+        row.className = 'import-row import-row-main';
+
+        const title = document.createElement('div');
+        title.className = 'import-title import-info';
+        title.textContent = detail.title;
+
+        const action = document.createElement('span');
+        action.className = 'import-meta';
+        action.textContent = ImportPreviewDialog.ACTION_LABELS[detail.action];
+
+        row.appendChild(title);
+        row.appendChild(action);
+        container.appendChild(row);
+      });
+    }
+
+    if (report.errors.length > 0) {
+      const errors = document.createElement('ul');
+      errors.className = 'import-errors';
+      report.errors.forEach(error => {
+        const li = document.createElement('li');
+        li.textContent = error;
+        errors.appendChild(li);
+      });
+      container.appendChild(errors);
+    }
+  }
+
+  /**
+   * 按选择的处理方式导入，然后显示导入报告
+   */
+  handleApply() {
+    this.report = this.memoService.applyImport(this.preview, this.resolutions);
+    this.render();
+
+    if (this.onApply) {
+      this.onApply(this.report);
+    }
+  }
+
+  /**
+   * 显示对话框
+   * @param {Object} data - 导入的数据（与 MemoService.previewImport 相同）
+   * @param {String} source - 来源说明（例如文件名）
+   * @returns {Object} previewImport 的结果
+   */
+  show(data, source = '') {
+    this.preview = this.memoService.previewImport(data);
+    if (!this.preview.success) {
+      return this.preview;
+    }
+
+    this.source = source;
+    this.report = null;
+    this.expanded = new Set();
+    this.resolutions = {};
+    this.getItems('changed').forEach(item => {
+      this.resolutions[item.index] = 'mine';
+    });
+    this.filter = this.preview.counts.changed > 0 ? 'changed' : 'all';
+
+    this.render();
+    this.modal.classList.add('modal-visible');
+    document.body.style.overflow = 'hidden';
+    return this.preview;
+  }
+
+  /**
+   * 隐藏对话框
+   */
+  hide() {
+    this.modal.classList.remove('modal-visible');
+    document.body.style.overflow = '';
+  }
+
+  /**
+   * 检查对话框是否可见
+   * @returns {Boolean}
+   */
+  isVisible() {
+    return this.modal.classList.contains('modal-visible');
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImportPreviewDialog;
+}
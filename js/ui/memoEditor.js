@@ -9,6 +9,13 @@ class MemoEditor {
     this.onCancel = onCancel;
     this.isEditMode = false;
     this.currentMemo = null;
+    this.checklistItems = [];
+    this.onEndSeries = null;
+    this.onRestoreRevision = null;
+    this.categories = [];
+    this.links = [];
+    this.backlinks = [];
+    this.onOpenMemo = null;
     this.init();
   }
 
@@ -38,6 +45,31 @@ class MemoEditor {
       }
     });
 
+    // 清单项添加按钮
+    const addChecklistBtn = this.container.querySelector('.btn-add-checklist-item');
+    addChecklistBtn.addEventListener('click', () => this.addChecklistItem());
+
+    // 清单项输入框回车事件
+    const checklistInput = this.container.querySelector('#memo-checklist-input');
+    checklistInput.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.addChecklistItem();
+      }
+    });
+
+    // 重复类型切换
+    const recurrenceType = this.container.querySelector('#memo-recurrence-type');
+    recurrenceType.addEventListener('change', () => this.updateRecurrenceFields());
+
+    // 历史版本面板
+    const historyBtn = this.container.querySelector('.btn-history');
+    historyBtn.addEventListener('click', () => this.toggleHistoryPanel());
+
+    // 结束重复系列
+    const endSeriesBtn = this.container.querySelector('.btn-end-series');
+    endSeriesBtn.addEventListener('click', () => this.handleEndSeries());
+
     // 内容字符计数
     const contentTextarea = this.container.querySelector('#memo-content');
     contentTextarea.addEventListener('input', () => this.updateCharCount());
@@ -63,6 +95,8 @@ class MemoEditor {
     this.currentMemo = null;
     this.resetForm();
     this.container.querySelector('.editor-title').textContent = '新建备忘录';
+    this.container.querySelector('.btn-history').style.display = 'none';
+    this.container.querySelector('#memo-links-panel').style.display = 'none';
     this.container.querySelector('#completed-group').style.display = 'none';
         this.container.style.display = 'block';
     this.container.querySelector('#memo-title').focus();
@@ -87,6 +121,7 @@ class MemoEditor {
     this.container.querySelector('#memo-content').value = memo.content;
     this.container.querySelector('#memo-category').value = memo.category;
     this.container.querySelector('#memo-priority').value = memo.priority;
+    this.setDueInputs(memo.dueAt, memo.dueHasTime);
     
     // ✅ 核心修复：明确设置复选框状态
     const checkbox = this.container.querySelector('#memo-completed');
@@ -95,6 +130,21 @@ class MemoEditor {
     
     // 渲染标签
     this.renderExistingTags(memo.tags);
+
+    // 渲染清单
+    this.checklistItems = (memo.checklist || []).map(item => ({ ...item }));
+    this.container.querySelector('#memo-auto-complete-checklist').checked = Boolean(memo.autoCompleteChecklist);
+    this.renderChecklist();
+
+    // 填充重复规则
+    this.setRecurrenceInputs(memo.recurrence);
+
+    // 历史版本
+    this.hideHistoryPanel();
+    this.container.querySelector('.btn-history').style.display = 'inline-block';
+
+    // 链接和反向链接
+    this.renderLinksPanel();
     
     // 显示编辑器
     this.container.querySelector('.editor-title').textContent = '编辑备忘录';
@@ -104,16 +154,114 @@ class MemoEditor {
     this.container.querySelector('#memo-title').focus();
   }
 
+  /**
+   * 设置可选分类并更新分类下拉框
+   * @param {Array} categories - 分类数组（按顺序）
+   */
+  setCategories(categories) {
+    this.categories = categories;
+
+    const select = this.container.querySelector('#memo-category');
+    const selected = select.value;
+    select.innerHTML = '';
+
+    categories.forEach(category => {
+      const option = document.createElement('option');
+      option.value = category.name;
+      option.textContent = category.icon ? `${category.icon} ${category.name}` : category.name;
+      select.appendChild(option);
+    });
+
+    const names = categories.map(category => category.name);
+    select.value = names.includes(selected) ? selected : this.getDefaultCategory();
+  }
+
+  /**
+   * 设置当前备忘录的链接和反向链接（在 showEdit 之前调用）
+   * @param {Array} links - 当前备忘录链接到的备忘录
+   * @param {Array} backlinks - 引用了当前备忘录的备忘录
+   */
+  setLinks(links, backlinks) {
+    this.links = links;
+    this.backlinks = backlinks;
+  }
+
+  /**
+   * 渲染链接面板（链接到 / 被引用）
+   */
+  renderLinksPanel() {
+    const panel = this.container.querySelector('#memo-links-panel');
+    panel.innerHTML = '';
+
+    const sections = [
+      { label: '链接到', memos: this.links, empty: '内容中使用 [[备忘录标题]] 链接其他备忘录' },
+      { label: '被引用', memos: this.backlinks, empty: '暂无其他备忘录引用' }
+    ];
+
+    sections.forEach(section => {
+      const sectionDiv = document.createElement('div');
+      sectionDiv.className = 'links-section';
+
+      const title = document.createElement('div');
+      title.className = 'links-title';
+      title.textContent = `${section.label}（${section.memos.length}）`;
+      sectionDiv.appendChild(title);
+
+      if (section.memos.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'links-empty';
+        empty.textContent = section.empty;
+        sectionDiv.appendChild(empty);
+      }
+
+      section.memos.forEach(memo => {
+        const linkBtn = document.createElement('button');
+        linkBtn.type = 'button';
+        linkBtn.className = 'memo-link';
+        linkBtn.textContent = memo.title;
+        linkBtn.addEventListener('click', () => {
+          if (this.onOpenMemo) {
+            this.onOpenMemo(memo.id);
+          }
+        });
+        sectionDiv.appendChild(linkBtn);
+      });
+
+      panel.appendChild(sectionDiv);
+    });
+
+    panel.style.display = 'block';
+  }
+
+  /**
+   * 获取新建备忘录的默认分类
+   * @returns {string} 分类名称
+   */
+  getDefaultCategory() {
+    const names = this.categories.map(category => category.name);
+    if (names.length === 0 || names.includes('其他')) {
+      return '其他';
+    }
+    return names[names.length - 1];
+  }
+
   /**
    * 重置表单
    */
   resetForm() {
     this.container.querySelector('#memo-title').value = '';
     this.container.querySelector('#memo-content').value = '';
-    this.container.querySelector('#memo-category').value = '其他';
+    this.container.querySelector('#memo-category').value = this.getDefaultCategory();
     this.container.querySelector('#memo-priority').value = '中';
     this.container.querySelector('#memo-completed').checked = false; // ✅ 确保重置
+    this.setDueInputs(null, false);
     this.container.querySelector('#memo-tags-container').innerHTML = '';
+    this.container.querySelector('#memo-checklist-input').value = '';
+    this.container.querySelector('#memo-auto-complete-checklist').checked = false;
+    this.checklistItems = [];
+    this.renderChecklist();
+    this.setRecurrenceInputs(null);
+    this.hideHistoryPanel();
     this.clearErrors();
     this.updateCharCount();
   }
@@ -125,7 +273,9 @@ class MemoEditor {
     const formData = this.getFormData();
     
     // 验证表单数据
-    const validation = Validator.validateMemo(formData);
+    const validation = Validator.validateMemo(formData, {
+      categories: this.categories.map(category => category.name)
+    });
     if (!validation.isValid) {
       this.showErrors(validation.errors);
       return;
@@ -149,11 +299,300 @@ class MemoEditor {
       category: this.container.querySelector('#memo-category').value,
       priority: this.container.querySelector('#memo-priority').value,
       tags: this.getTags(),
+      ...this.getDueData(),
+      checklist: this.checklistItems.map(item => ({ ...item })),
+      autoCompleteChecklist: this.container.querySelector('#memo-auto-complete-checklist').checked,
+      recurrence: this.getRecurrenceData(),
       // ✅ 核心修复：新建模式强制为 false，编辑模式读取复选框状态
       isCompleted: this.isEditMode ? checkbox.checked : false
     };
   }
 
+  /**
+   * 获取截止时间数据
+   * @returns {Object} {dueAt, dueHasTime}
+   */
+  getDueData() {
+    const dateValue = this.container.querySelector('#memo-due-date').value;
+    const timeValue = this.container.querySelector('#memo-due-time').value;
+
+    return {
+      dueAt: DateUtil.fromInputValues(dateValue, timeValue),
+      dueHasTime: Boolean(dateValue && timeValue)
+    };
+  }
+
+  /**
+   * 设置截止时间输入框
+   * @param {Number|null} dueAt - 截止时间戳
+   * @param {Boolean} hasTime - 是否包含具体时间
+   */
+  setDueInputs(dueAt, hasTime) {
+    const dateInput = this.container.querySelector('#memo-due-date');
+    const timeInput = this.container.querySelector('#memo-due-time');
+
+    dateInput.value = dueAt ? DateUtil.formatDate(new Date(dueAt)) : '';
+    timeInput.value = dueAt && hasTime ? DateUtil.formatTime(new Date(dueAt)).slice(0, 5) : '';
+  }
+
+  /**
+   * 获取重复规则数据
+   * @returns {Object|null} 重复规则 {type, interval, weekdays, dayOfMonth, until}
+   */
+  getRecurrenceData() {
+    const type = this.container.querySelector('#memo-recurrence-type').value;
+    if (!type) {
+      return null;
+    }
+
+    const weekdays = Array.from(this.container.querySelectorAll('.recurrence-weekday:checked'))
+      .map(input => Number(input.value));
+    const untilValue = this.container.querySelector('#memo-recurrence-until').value;
+    const until = DateUtil.fromInputValues(untilValue);
+
+    return {
+      type,
+      interval: Number(this.container.querySelector('#memo-recurrence-interval').value) || 1,
+      weekdays,
+      dayOfMonth: Number(this.container.querySelector('#memo-recurrence-day').value) || null,
+      // 结束日期当天仍可生成
+      until: until ? DateUtil.getDayRange(until).end : null
+    };
+  }
+
+  /**
+   * 设置重复规则输入框
+   * @param {Object|null} recurrence - 重复规则
+   */
+  setRecurrenceInputs(recurrence) {
+    const rule = recurrence || {};
+
+    this.container.querySelector('#memo-recurrence-type').value = rule.type || '';
+    this.container.querySelector('#memo-recurrence-interval').value = rule.interval || 1;
+    this.container.querySelector('#memo-recurrence-day').value = rule.dayOfMonth || '';
+    this.container.querySelector('#memo-recurrence-until').value = rule.until
+      ? DateUtil.formatDate(new Date(rule.until))
+      : '';
+    this.container.querySelectorAll('.recurrence-weekday').forEach(input => {
+      input.checked = (rule.weekdays || []).includes(Number(input.value));
+    });
+
+    this.updateRecurrenceFields();
+  }
+
+  /**
+   * 根据重复类型显示对应的选项
+   */
+  updateRecurrenceFields() {
+    const type = this.container.querySelector('#memo-recurrence-type').value;
+
+    this.container.querySelector('#recurrence-interval-group').style.display = type === 'interval' ? 'flex' : 'none';
+    this.container.querySelector('#recurrence-weekdays-group').style.display = type === 'weekly' ? 'flex' : 'none';
+    this.container.querySelector('#recurrence-day-group').style.display = type === 'monthly' ? 'flex' : 'none';
+    this.container.querySelector('#recurrence-until-group').style.display = type ? 'flex' : 'none';
+
+    // 只有已保存的重复备忘录才能结束系列
+    const canEndSeries = this.isEditMode && this.currentMemo && this.currentMemo.recurrence;
+    this.container.querySelector('.btn-end-series').style.display = canEndSeries ? 'inline-block' : 'none';
+  }
+
+  /**
+   * 处理结束重复系列
+   */
+  handleEndSeries() {
+    if (!this.currentMemo || !this.currentMemo.seriesId) {
+      return;
+    }
+
+    if (!confirm('结束后不再生成新的重复备忘录，确定要结束该系列吗？')) {
+      return;
+    }
+
+    if (this.onEndSeries) {
+      this.onEndSeries(this.currentMemo.seriesId);
+    }
+    this.currentMemo = { ...this.currentMemo, recurrence: null };
+    this.setRecurrenceInputs(null);
+  }
+
+  /**
+   * 切换历史版本面板
+   */
+  toggleHistoryPanel() {
+    const panel = this.container.querySelector('#memo-history-panel');
+    if (panel.style.display === 'block') {
+      this.hideHistoryPanel();
+    } else {
+      panel.style.display = 'block';
+      this.renderHistoryPanel();
+    }
+  }
+
+  /**
+   * 隐藏历史版本面板
+   */
+  hideHistoryPanel() {
+    const panel = this.container.querySelector('#memo-history-panel');
+    panel.style.display = 'none';
+    panel.innerHTML = '';
+  }
+
+  /**
+   * 获取可比较的版本列表（当前版本在前）
+   * @returns {Array} 版本数组 [{id, label, snapshot, revision}]
+   */
+  getHistoryVersions() {
+    const memo = this.currentMemo;
+    const fieldNames = {
+      title: '标题',
+      content: '内容',
+      category: '分类',
+      priority: '优先级',
+      tags: '标签',
+      dueAt: '截止时间',
+      dueHasTime: '截止时间'
+    };
+
+    const current = {
+      id: 'current',
+      label: `当前版本（${DateUtil.smartFormat(memo.updatedAt)}）`,
+      snapshot: memo.getRevisionSnapshot(),
+      revision: null
+    };
+
+    const revisions = memo.revisions.map(revision => ({
+      id: revision.id,
+      label: `${DateUtil.smartFormat(revision.savedAt)}（之后修改了${[...new Set(revision.fields.map(field => fieldNames[field] || field))].join('、')}）`,
+      snapshot: revision.snapshot,
+      revision
+    }));
+
+    return [current, ...revisions];
+  }
+
+  /**
+   * 渲染历史版本面板
+   */
+  renderHistoryPanel() {
+    const panel = this.container.querySelector('#memo-history-panel');
+    panel.innerHTML = '';
+
+    if (!this.currentMemo || this.currentMemo.revisions.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'form-hint';
+      empty.textContent = '暂无历史版本';
+      panel.appendChild(empty);
+      return;
+    }
+
+    const versions = this.getHistoryVersions();
+
+    const header = document.createElement('div');
+    header.className = 'history-header';
+    header.textContent = `共 ${versions.length - 1} 个历史版本，占用 ${StorageManager.formatBytes(this.currentMemo.getRevisionsSize())}`;
+
+    // 版本选择
+    const createSelect = (className, selectedIndex) => {
+      const select = document.createElement('select');
+      select.className = `form-select ${className}`;
+      versions.forEach((version, index) => {
+        const option = document.createElement('option');
+        option.value = version.id;
+        option.textContent = version.label;
+        option.selected = index === selectedIndex;
+        select.appendChild(option);
+      });
+      select.addEventListener('change', () => this.renderHistoryDiff(versions));
+      return select;
+    };
+
+    const compareRow = document.createElement('div');
+    compareRow.className = 'history-compare';
+    compareRow.appendChild(createSelect('history-from', 1));
+    compareRow.appendChild(document.createTextNode(' → '));
+    compareRow.appendChild(createSelect('history-to', 0));
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.className = 'btn btn-secondary btn-sm history-restore';
+    restoreBtn.textContent = '恢复左侧版本';
+    restoreBtn.addEventListener('click', () => {
+      const fromId = panel.querySelector('.history-from').value;
+      this.handleRestoreRevision(fromId);
+    });
+
+    const diffDiv = document.createElement('div');
+    diffDiv.className = 'history-diff';
+
+    panel.appendChild(header);
+    panel.appendChild(compareRow);
+    panel.appendChild(restoreBtn);
+    panel.appendChild(diffDiv);
+
+    this.renderHistoryDiff(versions);
+  }
+
+  /**
+   * 渲染两个版本之间的差异
+   * @param {Array} versions - 版本数组
+   */
+  renderHistoryDiff(versions) {
+    const panel = this.container.querySelector('#memo-history-panel');
+    const fromId = panel.querySelector('.history-from').value;
+    const toId = panel.querySelector('.history-to').value;
+    const from = versions.find(version => version.id === fromId).snapshot;
+    const to = versions.find(version => version.id === toId).snapshot;
+
+    const restoreBtn = panel.querySelector('.history-restore');
+    restoreBtn.disabled = fromId === 'current';
+
+    const diffDiv = panel.querySelector('.history-diff');
+    diffDiv.innerHTML = '';
+
+    const lines = [
+      ...DiffUtil.diffLines(`标题：${from.title}`, `标题：${to.title}`),
+      ...DiffUtil.diffLines(from.content, to.content)
+    ];
+    const prefixes = { equal: '  ', add: '+ ', remove: '- ' };
+
+    lines.forEach(line => {
+      const lineDiv = document.createElement('div');
+      lineDiv.className = `diff-line diff-${line.type}`;
+      lineDiv.textContent = prefixes[line.type] + line.text;
+      diffDiv.appendChild(lineDiv);
+    });
+
+    const { added, removed } = DiffUtil.summarize(lines);
+    if (added === 0 && removed === 0) {
+      const same = document.createElement('div');
+      same.className = 'form-hint';
+      same.textContent = '标题和内容没有差异';
+      diffDiv.appendChild(same);
+    }
+  }
+
+  /**
+   * 处理恢复历史版本
+   * @param {String} revisionId - 版本ID
+   */
+  handleRestoreRevision(revisionId) {
+    if (!this.currentMemo || revisionId === 'current') {
+      return;
+    }
+
+    if (!confirm('确定要恢复到该版本吗？当前内容会保存为一个新的历史版本。')) {
+      return;
+    }
+
+    if (this.onRestoreRevision) {
+      const memo = this.onRestoreRevision(this.currentMemo.id, revisionId);
+      if (memo) {
+        this.showEdit(memo);
+        this.toggleHistoryPanel();
+      }
+    }
+  }
+
   /**
    * 获取标签列表
    * @returns {Array} 标签数组
@@ -230,6 +669,141 @@ class MemoEditor {
     tags.forEach(tag => this.renderTag(tag));
   }
 
+  /**
+   * 添加清单项
+   */
+  addChecklistItem() {
+    const input = this.container.querySelector('#memo-checklist-input');
+    const text = input.value.trim();
+
+    if (!text) {
+      return;
+    }
+
+    if (text.length > 200) {
+      Toast.error('清单项长度不能超过200个字符');
+      return;
+    }
+
+    if (this.checklistItems.length >= 100) {
+      Toast.warning('最多只能添加100个清单项');
+      return;
+    }
+
+    this.checklistItems.push(Memo.createChecklistItem(text));
+    this.renderChecklist();
+    input.value = '';
+    input.focus();
+  }
+
+  /**
+   * 切换清单项完成状态
+   * @param {String} itemId - 清单项ID
+   */
+  toggleChecklistItem(itemId) {
+    const item = this.checklistItems.find(entry => entry.id === itemId);
+    if (!item) return;
+
+    const now = Date.now();
+    item.isCompleted = !item.isCompleted;
+    item.completedAt = item.isCompleted ? now : null;
+    item.updatedAt = now;
+    this.renderChecklist();
+  }
+
+  /**
+   * 移动清单项
+   * @param {String} itemId - 清单项ID
+   * @param {Number} offset - 移动偏移量（-1 上移，1 下移）
+   */
+  moveChecklistItem(itemId, offset) {
+    const index = this.checklistItems.findIndex(item => item.id === itemId);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= this.checklistItems.length) {
+      return;
+    }
+
+    const [item] = this.checklistItems.splice(index, 1);
+    this.checklistItems.splice(target, 0, item);
+    this.renderChecklist();
+
+    // 保持键盘焦点在移动后的清单项上
+    const button = this.container.querySelector(
+      `.checklist-item[data-item-id="${itemId}"] .checklist-move-${offset < 0 ? 'up' : 'down'}`
+    );
+    if (button && !button.disabled) {
+      button.focus();
+    }
+  }
+
+  /**
+   * 删除清单项
+   * @param {String} itemId - 清单项ID
+   */
+  removeChecklistItem(itemId) {
+    this.checklistItems = this.checklistItems.filter(item => item.id !== itemId);
+    this.renderChecklist();
+  }
+
+  /**
+   * 渲染清单
+   */
+  renderChecklist() {
+    const listContainer = this.container.querySelector('#memo-checklist-container');
+    listContainer.innerHTML = '';
+
+    this.checklistItems.forEach((item, index) => {
+      const row = document.createElement('div');
+      row.className = `checklist-item ${item.isCompleted ? 'completed' : ''}`;
+      row.dataset.itemId = item.id;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = item.isCompleted;
+      checkbox.addEventListener('change', () => this.toggleChecklistItem(item.id));
+
+      const text = document.createElement('span');
+      text.className = 'checklist-text';
+      text.textContent = item.text;
+
+      const upBtn = document.createElement('button');
+      upBtn.type = 'button';
+      upBtn.className = 'checklist-move-up';
+      upBtn.textContent = '↑';
+      upBtn.title = '上移';
+      upBtn.disabled = index === 0;
+      upBtn.addEventListener('click', () => this.moveChecklistItem(item.id, -1));
+
+      const downBtn = document.createElement('button');
+      downBtn.type = 'button';
+      downBtn.className = 'checklist-move-down';
+      downBtn.textContent = '↓';
+      downBtn.title = '下移';
+      downBtn.disabled = index === this.checklistItems.length - 1;
+      downBtn.addEventListener('click', () => this.moveChecklistItem(item.id, 1));
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'checklist-remove';
+      removeBtn.textContent = '×';
+      removeBtn.setAttribute('aria-label', '删除清单项');
+      removeBtn.addEventListener('click', () => this.removeChecklistItem(item.id));
+
+      row.appendChild(checkbox);
+      row.appendChild(text);
+      row.appendChild(upBtn);
+      row.appendChild(downBtn);
+      row.appendChild(removeBtn);
+      listContainer.appendChild(row);
+    });
+
+    const completed = this.checklistItems.filter(item => item.isCompleted).length;
+    const progress = this.container.querySelector('.checklist-progress');
+    progress.textContent = this.checklistItems.length > 0
+      ? `${completed}/${this.checklistItems.length}`
+      : '';
+  }
+
   /**
    * 显示错误信息
    * @param {Object} errors - 错误信息对象
@@ -296,5 +870,17 @@ class MemoEditor {
     this.container.style.display = 'none';
     this.resetForm();
   }
+
+  /**
+   * 判断编辑器是否正在编辑指定备忘录
+   * @param {String} memoId - 备忘录ID
+   * @returns {Boolean}
+   */
+  isEditing(memoId) {
+    return this.isEditMode &&
+      this.container.style.display === 'block' &&
+      this.currentMemo !== null &&
+      this.currentMemo.id === memoId;
+  }
 }
 
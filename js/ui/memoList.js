@@ -17,6 +17,13 @@ class MemoList {
     this.onMemoClick = null;
     this.onMemoDelete = null;
     this.onMemoToggle = null;
+    this.onMemoPin = null;
+    this.onMemoReorder = null;
+    this.onMemoArchive = null;
+    this.onSelectionChange = null;
+    this.draggingId = null;
+    this.selectionMode = false;
+    this.selectedIds = new Set();
   }
 
   /**
@@ -58,9 +65,20 @@ class MemoList {
    */
   createMemoElement(memo) {
     const memoDiv = document.createElement('div');
-    memoDiv.className = `memo-item ${memo.isCompleted ? 'completed' : ''} priority-${memo.priority}`;
+    memoDiv.className = `memo-item ${memo.isCompleted ? 'completed' : ''} ${memo.isOverdue() ? 'overdue' : ''} ${memo.isPinned ? 'pinned' : ''} priority-${memo.priority}`;
     memoDiv.dataset.memoId = memo.id;
 
+    // 选择模式下点击备忘录切换选中状态
+    if (this.selectionMode) {
+      memoDiv.classList.add('selectable');
+      memoDiv.classList.toggle('selected', this.selectedIds.has(memo.id));
+    }
+
+    // 手动排序模式下支持拖拽和键盘（Alt + ↑/↓）调整顺序
+    if (this.isManualSort() && !this.selectionMode) {
+      this.bindReorderEvents(memoDiv, memo.id);
+    }
+
     // 复选框
     const checkbox = document.createElement('input');
     checkbox.type = 'checkbox';
@@ -75,7 +93,11 @@ class MemoList {
     const contentDiv = document.createElement('div');
     contentDiv.className = 'memo-content';
     contentDiv.addEventListener('click', () => {
-      this.handleMemoClick(memo.id);
+      if (this.selectionMode) {
+        this.toggleSelection(memo.id);
+      } else {
+        this.handleMemoClick(memo.id);
+      }
     });
 
     // 标题
@@ -89,7 +111,13 @@ class MemoList {
 
     const categorySpan = document.createElement('span');
     categorySpan.className = 'memo-category';
-    categorySpan.textContent = memo.category;
+    const category = this.memoService.categoryService.getByName(memo.category);
+    if (category) {
+      categorySpan.textContent = category.icon ? `${category.icon} ${category.name}` : category.name;
+      categorySpan.style.borderLeft = `3px solid ${category.color}`;
+    } else {
+      categorySpan.textContent = memo.category;
+    }
 
     const prioritySpan = document.createElement('span');
     prioritySpan.className = 'memo-priority';
@@ -101,6 +129,34 @@ class MemoList {
 
     metaDiv.appendChild(categorySpan);
     metaDiv.appendChild(prioritySpan);
+
+    // 截止时间
+    if (memo.dueAt) {
+      const dueSpan = document.createElement('span');
+      dueSpan.className = `memo-due ${memo.isOverdue() ? 'overdue' : ''}`;
+      dueSpan.textContent = (memo.isOverdue() ? '已逾期 ' : '截止 ') + DateUtil.formatDue(memo.dueAt, memo.dueHasTime);
+      dueSpan.title = DateUtil.format(memo.getDueDeadline(), 'full');
+      metaDiv.appendChild(dueSpan);
+    }
+
+    // 重复规则
+    if (memo.recurrence) {
+      const recurrenceSpan = document.createElement('span');
+      recurrenceSpan.className = 'memo-recurrence';
+      recurrenceSpan.textContent = '🔁 ' + this.formatRecurrence(memo.recurrence);
+      metaDiv.appendChild(recurrenceSpan);
+    }
+
+    // 清单进度
+    if (memo.checklist.length > 0) {
+      const { completed, total } = memo.getChecklistProgress();
+      const progressSpan = document.createElement('span');
+      progressSpan.className = `memo-checklist-progress ${completed === total ? 'done' : ''}`;
+      progressSpan.textContent = `☑ ${completed}/${total}`;
+      progressSpan.title = `清单已完成 ${completed} 项，共 ${total} 项`;
+      metaDiv.appendChild(progressSpan);
+    }
+
     metaDiv.appendChild(timeSpan);
 
     // 标签
@@ -116,10 +172,16 @@ class MemoList {
       });
 
       contentDiv.appendChild(titleDiv);
+      if (memo.content) {
+        contentDiv.appendChild(this.createPreviewElement(memo));
+      }
       contentDiv.appendChild(metaDiv);
       contentDiv.appendChild(tagsDiv);
     } else {
       contentDiv.appendChild(titleDiv);
+      if (memo.content) {
+        contentDiv.appendChild(this.createPreviewElement(memo));
+      }
       contentDiv.appendChild(metaDiv);
     }
 
@@ -127,6 +189,26 @@ class MemoList {
     const actionsDiv = document.createElement('div');
     actionsDiv.className = 'memo-actions';
 
+    // 置顶按钮
+    const pinBtn = document.createElement('button');
+    pinBtn.className = `memo-pin-btn ${memo.isPinned ? 'active' : ''}`;
+    pinBtn.innerHTML = '📌';
+    pinBtn.title = memo.isPinned ? '取消置顶' : '置顶';
+    pinBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.handleTogglePin(memo.id);
+    });
+
+    // 归档按钮
+    const archiveBtn = document.createElement('button');
+    archiveBtn.className = 'memo-archive-btn';
+    archiveBtn.innerHTML = memo.isArchived ? '📤' : '📦';
+    archiveBtn.title = memo.isArchived ? '取消归档' : '归档';
+    archiveBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.handleToggleArchive(memo.id);
+    });
+
     // 删除按钮
     const deleteBtn = document.createElement('button');
     deleteBtn.className = 'memo-delete-btn';
@@ -137,6 +219,8 @@ class MemoList {
       this.handleDeleteMemo(memo.id);
     });
 
+    actionsDiv.appendChild(pinBtn);
+    actionsDiv.appendChild(archiveBtn);
     actionsDiv.appendChild(deleteBtn);
 
     // 组装元素
@@ -147,12 +231,82 @@ class MemoList {
     return memoDiv;
   }
 
+  /**
+   * 创建内容预览元素，其中的 [[标题]] 链接可点击打开目标备忘录
+   * @param {Memo} memo - 备忘录实例
+   * @returns {HTMLElement} 预览DOM元素
+   */
+  createPreviewElement(memo) {
+    const previewDiv = document.createElement('div');
+    previewDiv.className = 'memo-preview';
+
+    LinkUtil.parse(memo.content).forEach(segment => {
+      if (segment.type === 'text') {
+        previewDiv.appendChild(document.createTextNode(segment.text.replace(/\s+/g, ' ')));
+        return;
+      }
+
+      const linkSpan = document.createElement('span');
+      const target = this.memoService.resolveLinkTitle(segment.text, memo.links);
+      linkSpan.textContent = segment.text;
+
+      if (target) {
+        linkSpan.className = 'memo-link';
+        linkSpan.title = '打开备忘录';
+        linkSpan.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.handleMemoClick(target.id);
+        });
+      } else {
+        linkSpan.className = 'memo-link broken';
+        linkSpan.title = '未找到该备忘录';
+      }
+
+      previewDiv.appendChild(linkSpan);
+    });
+
+    return previewDiv;
+  }
+
+  /**
+   * 格式化重复规则描述
+   * @param {Object} recurrence - 重复规则
+   * @returns {String} 重复规则描述
+   */
+  formatRecurrence(recurrence) {
+    const weekdayNames = ['日', '一', '二', '三', '四', '五', '六'];
+
+    switch (recurrence.type) {
+      case 'daily':
+        return '每天';
+      case 'weekly':
+        return '每周' + (recurrence.weekdays || []).map(day => weekdayNames[day]).join('、');
+      case 'monthly':
+        return `每月${recurrence.dayOfMonth}日`;
+      case 'interval':
+        return `每${recurrence.interval}天`;
+      default:
+        return '重复';
+    }
+  }
+
   /**
    * 渲染空状态
    */
   renderEmptyState() {
     const emptyDiv = document.createElement('div');
     emptyDiv.className = 'empty-state';
+
+    if (this.currentFilter.archived) {
+      emptyDiv.innerHTML = `
+        <div class="empty-icon">📦</div>
+        <div class="empty-text">暂无归档的备忘录</div>
+        <div class="empty-hint">归档后的备忘录不会出现在默认列表中</div>
+      `;
+      this.container.appendChild(emptyDiv);
+      return;
+    }
+
     emptyDiv.innerHTML = `
       <div class="empty-icon">📝</div>
       <div class="empty-text">暂无备忘录</div>
@@ -176,7 +330,7 @@ class MemoList {
    * @param {String} memoId - 备忘录ID
    */
   handleDeleteMemo(memoId) {
-    if (confirm('确定要删除这条备忘录吗？')) {
+    if (confirm('确定要将这条备忘录移到回收站吗？')) {
       const result = this.memoService.deleteMemo(memoId);
       
       if (result.success) {
@@ -207,6 +361,198 @@ class MemoList {
     }
   }
 
+  /**
+   * 处理切换置顶
+   * @param {String} memoId - 备忘录ID
+   */
+  handleTogglePin(memoId) {
+    const result = this.memoService.togglePin(memoId);
+
+    if (result.success) {
+      this.refresh();
+      if (this.onMemoPin) {
+        this.onMemoPin(memoId, result.memo.isPinned);
+      }
+    } else {
+      alert('操作失败: ' + result.errors.join(', '));
+    }
+  }
+
+  /**
+   * 处理切换归档状态
+   * @param {String} memoId - 备忘录ID
+   */
+  handleToggleArchive(memoId) {
+    const memo = this.memoService.getMemoById(memoId);
+    if (!memo) return;
+
+    const result = memo.isArchived
+      ? this.memoService.unarchiveMemo(memoId)
+      : this.memoService.archiveMemo(memoId);
+
+    if (result.success) {
+      this.refresh();
+      if (this.onMemoArchive) {
+        this.onMemoArchive(memoId, memo.isArchived);
+      }
+    } else {
+      alert('操作失败: ' + result.errors.join(', '));
+    }
+  }
+
+  /**
+   * 是否为手动排序模式
+   * @returns {Boolean}
+   */
+  isManualSort() {
+    return this.currentSort.by === 'manual';
+  }
+
+  /**
+   * 为备忘录元素绑定拖拽和键盘排序事件
+   * @param {HTMLElement} memoDiv - 备忘录DOM元素
+   * @param {String} memoId - 备忘录ID
+   */
+  bindReorderEvents(memoDiv, memoId) {
+    memoDiv.draggable = true;
+    memoDiv.tabIndex = 0;
+    memoDiv.classList.add('sortable');
+    memoDiv.setAttribute('aria-roledescription', '可排序项');
+    memoDiv.title = '拖拽或按 Alt + ↑/↓ 调整顺序';
+
+    memoDiv.addEventListener('dragstart', (e) => {
+      this.draggingId = memoId;
+      memoDiv.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', memoId);
+    });
+
+    memoDiv.addEventListener('dragend', () => {
+      this.draggingId = null;
+      memoDiv.classList.remove('dragging');
+      this.container.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+    });
+
+    memoDiv.addEventListener('dragover', (e) => {
+      if (!this.draggingId || this.draggingId === memoId) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      memoDiv.classList.add('drag-over');
+    });
+
+    memoDiv.addEventListener('dragleave', () => {
+      memoDiv.classList.remove('drag-over');
+    });
+
+    memoDiv.addEventListener('drop', (e) => {
+      e.preventDefault();
+      memoDiv.classList.remove('drag-over');
+      if (this.draggingId && this.draggingId !== memoId) {
+        this.moveMemo(this.draggingId, this.getDisplayedIds().indexOf(memoId));
+      }
+    });
+
+    memoDiv.addEventListener('keydown', (e) => {
+      if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+      e.preventDefault();
+      const ids = this.getDisplayedIds();
+      const index = ids.indexOf(memoId);
+      this.moveMemo(memoId, index + (e.key === 'ArrowUp' ? -1 : 1));
+    });
+  }
+
+  /**
+   * 获取当前显示的备忘录ID（按显示顺序）
+   * @returns {Array} 备忘录ID数组
+   */
+  getDisplayedIds() {
+    return Array.from(this.container.querySelectorAll('.memo-item'))
+      .map(item => item.dataset.memoId);
+  }
+
+  /**
+   * 将备忘录移动到列表中的指定位置（不能跨越置顶分组）
+   * @param {String} memoId - 备忘录ID
+   * @param {Number} toIndex - 目标位置
+   */
+  moveMemo(memoId, toIndex) {
+    const ids = this.getDisplayedIds();
+    const fromIndex = ids.indexOf(memoId);
+    if (fromIndex === -1 || toIndex < 0 || toIndex >= ids.length || toIndex === fromIndex) {
+      return;
+    }
+
+    // 置顶和非置顶备忘录各自排序
+    const source = this.memoService.getMemoById(memoId);
+    const target = this.memoService.getMemoById(ids[toIndex]);
+    if (!source || !target || source.isPinned !== target.isPinned) {
+      return;
+    }
+
+    ids.splice(fromIndex, 1);
+    ids.splice(toIndex, 0, memoId);
+
+    const result = this.memoService.reorderMemos(ids);
+    if (result.success) {
+      this.refresh();
+      const moved = this.container.querySelector(`[data-memo-id="${memoId}"]`);
+      if (moved) {
+        moved.focus();
+      }
+      if (this.onMemoReorder) {
+        this.onMemoReorder(memoId, toIndex);
+      }
+    } else {
+      alert('调整顺序失败: ' + result.errors.join(', '));
+    }
+  }
+
+  /**
+   * 进入或退出选择模式（清空已选中的备忘录）
+   * @param {Boolean} enabled - 是否启用
+   */
+  setSelectionMode(enabled) {
+    this.selectionMode = enabled;
+    this.selectedIds.clear();
+    this.container.classList.toggle('selection-mode', enabled);
+    this.notifySelectionChange();
+  }
+
+  /**
+   * 切换备忘录的选中状态
+   * @param {String} memoId - 备忘录ID
+   */
+  toggleSelection(memoId) {
+    if (this.selectedIds.has(memoId)) {
+      this.selectedIds.delete(memoId);
+    } else {
+      this.selectedIds.add(memoId);
+    }
+
+    const memoElement = this.container.querySelector(`[data-memo-id="${memoId}"]`);
+    if (memoElement) {
+      memoElement.classList.toggle('selected', this.selectedIds.has(memoId));
+    }
+    this.notifySelectionChange();
+  }
+
+  /**
+   * 获取已选中的备忘录ID（按显示顺序，不包括已不存在的备忘录）
+   * @returns {Array} 备忘录ID数组
+   */
+  getSelectedIds() {
+    return this.getDisplayedIds().filter(id => this.selectedIds.has(id));
+  }
+
+  /**
+   * 通知选中状态变化
+   */
+  notifySelectionChange() {
+    if (this.onSelectionChange) {
+      this.onSelectionChange(this.getSelectedIds());
+    }
+  }
+
   /**
    * 设置筛选条件
    * @param {Object} filter - 筛选条件
@@ -234,8 +234,9 @@ class Toast {
    * @param {String} message - 消息内容
    * @param {String} type - 类型 (success|error|info|warning)
    * @param {Number} duration - 持续时间（毫秒）
+   * @param {Object} action - 操作按钮 {label, onClick}，可选
    */
-  static show(message, type = 'info', duration = 3000) {
+  static show(message, type = 'info', duration = 3000, action = null) {
     // 创建 Toast 容器（如果不存在）
     let container = document.getElementById('toast-container');
     if (!container) {
@@ -262,16 +263,9 @@ class Toast {
       <span class="toast-message">${message}</span>
     `;
 
-    // 添加到容器
-    container.appendChild(toast);
-
-    // 显示动画
-    setTimeout(() => {
-      toast.classList.add('toast-visible');
-    }, 10);
-
-    // 自动隐藏
-    setTimeout(() => {
+    // 隐藏并移除
+    const dismiss = () => {
+      if (!toast.isConnected) return;
       toast.classList.remove('toast-visible');
       setTimeout(() => {
         toast.remove();
@@ -281,16 +275,40 @@ class Toast {
           container.remove();
         }
       }, 300);
-    }, duration);
+    };
+
+    // 操作按钮
+    if (action) {
+      const actionBtn = document.createElement('button');
+      actionBtn.className = 'toast-action';
+      actionBtn.textContent = action.label;
+      actionBtn.addEventListener('click', () => {
+        dismiss();
+        action.onClick();
+      });
+      toast.appendChild(actionBtn);
+    }
+
+    // 添加到容器
+    container.appendChild(toast);
+
+    // 显示动画
+    setTimeout(() => {
+      toast.classList.add('toast-visible');
+    }, 10);
+
+    // 自动隐藏
+    setTimeout(dismiss, duration);
   }
 
   /**
    * 显示成功消息
    * @param {String} message - 消息内容
    * @param {Number} duration - 持续时间
+   * @param {Object} action - 操作按钮 {label, onClick}，可选
    */
-  static success(message, duration = 3000) {
-    this.show(message, 'success', duration);
+  static success(message, duration = 3000, action = null) {
+    this.show(message, 'success', duration, action);
   }
 
   /**
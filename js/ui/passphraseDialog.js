@@ -0,0 +1,290 @@
+/**
+ * 口令输入对话框
+ * 用于解锁加密存储、设置/修改/验证口令以及加密导出和导入
+ */
+
+class PassphraseDialog {
+  /**
+   * 构造函数
+   * @param {String} id - 对话框ID
+   */
+  constructor(id = 'passphrase-dialog') {
+    this.id = id;
+    this.modal = null;
+    this.options = null;
+    this.resolve = null;
+    this.busy = false;
+    this.createModal();
+  }
+
+  /**
+   * 设置新口令时的最小长度
+   */
+  static get MIN_LENGTH() {
+    return 8;
+  }
+
+  /**
+   * 输入项的标签
+   */
+  static get FIELD_LABELS() {
+    return {
+      passphrase: '口令',
+      current: '当前口令',
+      newPassphrase: '新口令',
+      confirm: '确认口令'
+    };
+  }
+
+  /**
+   * 创建对话框DOM结构
+   */
+  createModal() {
+    if (document.getElementById(this.id)) {
+      this.modal = document.getElementById(this.id);
+      return;
+    }
+
+    const modalHTML = `
+      <div class="modal passphrase-dialog" id="${this.id}">
+        <div class="modal-overlay"></div>
+        <div class="modal-container">
+          <div class="modal-header">
+            <h3 class="modal-title"></h3>
+            <button class="modal-close-btn" title="关闭">✕</button>
+          </div>
+          <div class="modal-body">
+            <p class="modal-message"></p>
+            <div class="passphrase-fields"></div>
+            <p class="passphrase-error"></p>
+          </div>
+          <div class="modal-footer">
+            <button class="btn btn-secondary modal-cancel-btn">取消</button>
+            <button class="btn btn-primary modal-confirm-btn">确定</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+    this.modal = document.getElementById(this.id);
+
+    this.bindEvents();
+  }
+
+  /**
+   * 绑定事件
+   */
+  bindEvents() {
+    const cancel = () => {
+      if (this.options && this.options.dismissible && !this.busy) {
+        this.finish(null);
+      }
+    };
+
+    this.modal.querySelector('.modal-overlay').addEventListener('click', cancel);
+    this.modal.querySelector('.modal-close-btn').addEventListener('click', cancel);
+    this.modal.querySelector('.modal-cancel-btn').addEventListener('click', cancel);
+    this.modal.querySelector('.modal-confirm-btn').addEventListener('click', () => this.handleSubmit());
+    this.modal.querySelector('.passphrase-fields').addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.handleSubmit();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isVisible()) {
+        cancel();
+      }
+    });
+  }
+
+  /**
+   * 显示对话框并等待输入
+   * @param {Object} options - 配置选项
+   * @param {String} options.title - 标题
+   * @param {String} options.message - 说明文字
+   * @param {Array} options.fields - 输入项 (passphrase|current|newPassphrase|confirm)
+   * @param {String} options.confirmText - 确定按钮文字
+   * @param {Boolean} options.dismissible - 是否允许取消
+   * @param {Boolean} options.fullscreen - 是否全屏遮挡页面（启动时解锁）
+   * @param {Function} options.onSubmit - 提交回调，接收输入值对象，抛出错误时显示错误信息并保持打开
+   * @returns {Promise<Object|null>} 输入值对象，取消时为 null
+   */
+  ask(options = {}) {
+    this.options = {
+      title: '输入口令',
+      message: '',
+      fields: ['passphrase'],
+      confirmText: '确定',
+      dismissible: true,
+      fullscreen: false,
+      onSubmit: null,
+      ...options
+    };
+
+    this.modal.querySelector('.modal-title').textContent = this.options.title;
+    this.modal.querySelector('.modal-message').textContent = this.options.message;
+    this.modal.querySelector('.modal-confirm-btn').textContent = this.options.confirmText;
+    this.modal.querySelector('.modal-close-btn').style.display = this.options.dismissible ? '' : 'none';
+    this.modal.querySelector('.modal-cancel-btn').style.display = this.options.dismissible ? '' : 'none';
+    this.modal.classList.toggle('passphrase-fullscreen', this.options.fullscreen);
+    this.renderFields();
+    this.setError('');
+    this.setBusy(false);
+
+    this.modal.classList.add('modal-visible');
+    document.body.style.overflow = 'hidden';
+    setTimeout(() => {
+      const firstInput = this.modal.querySelector('.passphrase-fields input');
+      if (firstInput) firstInput.focus();
+    }, 100);
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * 渲染输入项
+   */
+  renderFields() {
+    const container = this.modal.querySelector('.passphrase-fields');
+    container.innerHTML = '';
+
+    this.options.fields.forEach(field => {
+      const group = document.createElement('label');
+      group.className = 'form-group';
+
+      const label = document.createElement('span');
+      label.className = 'form-label';
+      label.textContent = PassphraseDialog.FIELD_LABELS[field];
+
+      const input = document.createElement('input');
+      input.type = 'password';
+      input.className = 'form-input';
+      input.name = field;
+      input.autocomplete = field === 'current' || (field === 'passphrase' && !this.options.fields.includes('confirm'))
+        ? 'current-password'
+        : 'new-password';
+
+      group.appendChild(label);
+      group.appendChild(input);
+      container.appendChild(group);
+    });
+  }
+
+  /**
+   * 读取并校验输入值
+   * @returns {Object} 输入值对象
+   * @throws {Error} 校验失败时抛出
+   */
+  getValues() {
+    const values = {};
+    this.options.fields.forEach(field => {
+      values[field] = this.modal.querySelector(`input[name="${field}"]`).value;
+    });
+
+    this.options.fields.forEach(field => {
+      if (!values[field]) {
+        throw new Error(`请输入${PassphraseDialog.FIELD_LABELS[field]}`);
+      }
+    });
+
+    // 设置新口令时需要再次输入确认
+    if (this.options.fields.includes('confirm')) {
+      const newPassphrase = values.newPassphrase !== undefined ? values.newPassphrase : values.passphrase;
+      if (newPassphrase.length < PassphraseDialog.MIN_LENGTH) {
+        throw new Error(`口令至少需要 ${PassphraseDialog.MIN_LENGTH} 个字符`);
+      }
+      if (newPassphrase !== values.confirm) {
+        throw new Error('两次输入的口令不一致');
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * 处理提交
+   */
+  async handleSubmit() {
+    if (!this.isVisible() || this.busy) {
+      return;
+    }
+
+    let values;
+    try {
+      values = this.getValues();
+    } catch (error) {
+      this.setError(error.message);
+      return;
+    }
+
+    if (this.options.onSubmit) {
+      this.setBusy(true);
+      this.setError('');
+      try {
+        await this.options.onSubmit(values);
+      } catch (error) {
+        this.setBusy(false);
+        this.setError(error.message);
+        return;
+      }
+    }
+
+    this.finish(values);
+  }
+
+  /**
+   * 显示错误信息
+   * @param {String} message - 错误信息
+   */
+  setError(message) {
+    this.modal.querySelector('.passphrase-error').textContent = message;
+  }
+
+  /**
+   * 设置处理中状态（派生密钥需要一定时间）
+   * @param {Boolean} busy - 是否处理中
+   */
+  setBusy(busy) {
+    this.busy = busy;
+    const confirmBtn = this.modal.querySelector('.modal-confirm-btn');
+    confirmBtn.disabled = busy;
+    confirmBtn.textContent = busy ? '处理中...' : this.options.confirmText;
+  }
+
+  /**
+   * 关闭对话框并返回结果
+   * @param {Object|null} values - 输入值对象
+   */
+  finish(values) {
+    this.modal.querySelectorAll('.passphrase-fields input').forEach(input => {
+      input.value = '';
+    });
+    this.modal.classList.remove('modal-visible');
+    document.body.style.overflow = '';
+
+    const resolve = this.resolve;
+    this.resolve = null;
+    this.options = null;
+    if (resolve) {
+      resolve(values);
+    }
+  }
+
+  /**
+   * 检查对话框是否可见
+   * @returns {Boolean}
+   */
+  isVisible() {
+    return this.modal.classList.contains('modal-visible');
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PassphraseDialog;
+}
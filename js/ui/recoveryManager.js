@@ -0,0 +1,307 @@
+/**
+ * 数据恢复组件
+ * 列出恢复区中隔离的损坏数据，预览并找回其中仍然有效的备忘录
+ */
+
+class RecoveryManager {
+  /**
+   * 构造函数
+   * @param {MemoService} memoService - 备忘录服务实例
+   * @param {String} id - 对话框ID
+   */
+  constructor(memoService, id = 'recovery-manager') {
+    this.memoService = memoService;
+    this.id = id;
+    this.modal = null;
+    this.previewId = null;
+    this.onRestore = null;
+    this.createModal();
+  }
+
+  /**
+   * 创建对话框DOM结构
+   */
+  createModal() {
+    if (document.getElementById(this.id)) {
+      this.modal = document.getElementById(this.id);
+      return;
+    }
+
+    const modalHTML = `
+      <div class="modal" id="${this.id}">
+        <div class="modal-overlay"></div>
+        <div class="modal-container recovery-manager">
+          <div class="modal-header">
+            <h3 class="modal-title">数据恢复</h3>
+            <button class="modal-close-btn" title="关闭">✕</button>
+          </div>
+          <div class="modal-body">
+            <p class="recovery-hint">加载时发现的无法解析、校验失败或无效的数据会隔离保存在这里，不会被后续的保存覆盖。</p>
+            <div class="recovery-list"></div>
+            <div class="recovery-preview" style="display: none;"></div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+    this.modal = document.getElementById(this.id);
+
+    this.bindEvents();
+  }
+
+  /**
+   * 绑定事件
+   */
+  bindEvents() {
+    this.modal.querySelector('.modal-overlay').addEventListener('click', () => this.hide());
+    this.modal.querySelector('.modal-close-btn').addEventListener('click', () => this.hide());
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isVisible()) {
+        this.hide();
+      }
+    });
+  }
+
+  /**
+   * 渲染隔离记录列表或预览
+   */
+  render() {
+    if (this.previewId) {
+      this.renderPreview();
+    } else {
+      this.renderList();
+    }
+  }
+
+  /**
+   * 渲染隔离记录列表
+   */
+  renderList() {
+    const list = this.modal.querySelector('.recovery-list');
+    const preview = this.modal.querySelector('.recovery-preview');
+    list.style.display = '';
+    preview.style.display = 'none';
+    list.innerHTML = '';
+
+    const entries = this.memoService.getRecoveryEntries();
+    if (entries.length === 0) {
+      list.innerHTML = '<p class="recovery-empty">没有发现损坏的数据</p>';
+      return;
+    }
+
+    entries.forEach(entry => {
+      const row = document.createElement('div');
+      row.className = 'recovery-row';
+      row.dataset.entryId = entry.id;
+
+      const info = document.createElement('div');
+      info.className = 'recovery-info';
+
+      const title = document.createElement('div');
+      title.className = 'recovery-title';
+      title.textContent = `${entry.key} · ${this.memoService.recoveryService.getReasonLabel(entry.reason)}`;
+
+      const meta = document.createElement('div');
+      meta.className = 'recovery-meta';
+      meta.textContent = `${DateUtil.format(entry.detectedAt, 'full')} · ${StorageManager.formatBytes(entry.size)}` +
+        (entry.detail ? ` · ${entry.detail}` : '');
+
+      info.appendChild(title);
+      info.appendChild(meta);
+
+      const previewBtn = document.createElement('button');
+      previewBtn.className = 'btn btn-primary btn-sm';
+      previewBtn.textContent = '查看';
+      previewBtn.addEventListener('click', () => this.showPreview(entry.id));
+
+      const downloadBtn = document.createElement('button');
+      downloadBtn.className = 'btn btn-secondary btn-sm';
+      downloadBtn.textContent = '下载原始数据';
+      downloadBtn.addEventListener('click', () => this.handleDownload(entry));
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'memo-delete-btn';
+      deleteBtn.textContent = '🗑️';
+      deleteBtn.title = '丢弃';
+      deleteBtn.addEventListener('click', () => this.handleDiscard(entry));
+
+      row.appendChild(info);
+      row.appendChild(previewBtn);
+      row.appendChild(downloadBtn);
+      row.appendChild(deleteBtn);
+      list.appendChild(row);
+    });
+  }
+
+  /**
+   * 渲染可以找回的备忘录
+   */
+  renderPreview() {
+    const list = this.modal.querySelector('.recovery-list');
+    const preview = this.modal.querySelector('.recovery-preview');
+    const result = this.memoService.previewRecovery(this.previewId);
+
+    if (!result.success) {
+      Toast.error(result.errors.join(', '));
+      this.previewId = null;
+      this.renderList();
+      return;
+    }
+
+    list.style.display = 'none';
+    preview.style.display = '';
+    preview.innerHTML = '';
+
+    const { entry, memos } = result;
+
+    const header = document.createElement('div');
+    header.className = 'recovery-preview-header';
+
+    const backBtn = document.createElement('button');
+    backBtn.className = 'btn btn-secondary btn-sm';
+    backBtn.textContent = '← 返回列表';
+    backBtn.addEventListener('click', () => this.showPreview(null));
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'btn btn-primary btn-sm';
+    restoreBtn.textContent = '找回选中的备忘录';
+    restoreBtn.disabled = memos.length === 0;
+    restoreBtn.addEventListener('click', () => this.handleRestore(entry));
+
+    header.appendChild(backBtn);
+    header.appendChild(restoreBtn);
+    preview.appendChild(header);
+
+    const summary = document.createElement('p');
+    summary.className = 'recovery-meta';
+    summary.textContent = memos.length > 0
+      ? `${entry.key} 中找到 ${memos.length} 条有效的备忘录` + (result.skipped > 0 ? `，${result.skipped} 条已损坏无法找回` : '')
+      : '没有找到可以找回的备忘录，可以下载原始数据后手动处理';
+    preview.appendChild(summary);
+
+    const memoList = document.createElement('ul');
+    memoList.className = 'recovery-memo-list';
+    memos.forEach(memo => {
+      const item = document.createElement('li');
+
+      const label = document.createElement('label');
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'recovery-memo-checkbox';
+      checkbox.value = memo.id;
+      checkbox.checked = true;
+
+      const title = document.createElement('span');
+      title.className = 'recovery-memo-title';
+      title.textContent = memo.title;
+
+      const meta = document.createElement('span');
+      meta.className = 'recovery-meta';
+      meta.textContent = `${memo.category} · ${DateUtil.format(memo.updatedAt, 'date')}`;
+
+      label.appendChild(checkbox);
+      label.appendChild(title);
+      item.appendChild(label);
+      item.appendChild(meta);
+      memoList.appendChild(item);
+    });
+    preview.appendChild(memoList);
+  }
+
+  /**
+   * 切换到预览（id 为 null 时返回列表）
+   * @param {String|null} id - 隔离记录ID
+   */
+  showPreview(id) {
+    this.previewId = id;
+    this.render();
+  }
+
+  /**
+   * 处理找回选中的备忘录
+   * @param {Object} entry - 隔离记录
+   */
+  handleRestore(entry) {
+    const ids = Array.from(this.modal.querySelectorAll('.recovery-memo-checkbox:checked'))
+      .map(checkbox => checkbox.value);
+    if (ids.length === 0) {
+      Toast.info('请选择要找回的备忘录');
+      return;
+    }
+
+    const result = this.memoService.restoreFromRecovery(entry.id, ids);
+    if (!result.success) {
+      Toast.error('找回失败: ' + result.errors.join(', '));
+      return;
+    }
+
+    if (confirm(`已找回 ${result.restored} 条备忘录。是否从恢复区删除这条记录？`)) {
+      this.memoService.discardRecovery(entry.id);
+    }
+
+    this.previewId = null;
+    this.render();
+    if (this.onRestore) {
+      this.onRestore(result);
+    }
+  }
+
+  /**
+   * 处理下载原始数据
+   * @param {Object} entry - 隔离记录
+   */
+  handleDownload(entry) {
+    const name = entry.key.replace(/[^\w-]+/g, '_');
+    FileUtil.download(FileUtil.datedFilename(`LocalMemo-recovery-${name}`, 'txt'), entry.raw, 'text/plain');
+  }
+
+  /**
+   * 处理丢弃隔离记录
+   * @param {Object} entry - 隔离记录
+   */
+  handleDiscard(entry) {
+    if (!confirm(`确定要丢弃 ${entry.key} 的损坏数据吗？丢弃后无法找回。`)) {
+      return;
+    }
+
+    const result = this.memoService.discardRecovery(entry.id);
+    if (!result.success) {
+      Toast.error(result.errors.join(', '));
+    }
+    this.render();
+  }
+
+  /**
+   * 显示对话框
+   */
+  show() {
+    this.previewId = null;
+    this.render();
+    this.modal.classList.add('modal-visible');
+    document.body.style.overflow = 'hidden';
+  }
+
+  /**
+   * 隐藏对话框
+   */
+  hide() {
+    this.modal.classList.remove('modal-visible');
+    document.body.style.overflow = '';
+  }
+
+  /**
+   * 检查对话框是否可见
+   * @returns {Boolean}
+   */
+  isVisible() {
+    return this.modal.classList.contains('modal-visible');
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RecoveryManager;
+}
@@ -0,0 +1,319 @@
+/**
+ * 数据快照管理组件
+ * 列出所有快照，预览快照内容并从快照恢复
+ */
+
+class SnapshotManager {
+  /**
+   * 构造函数
+   * @param {MemoService} memoService - 备忘录服务实例
+   * @param {String} id - 对话框ID
+   */
+  constructor(memoService, id = 'snapshot-manager') {
+    this.memoService = memoService;
+    this.id = id;
+    this.modal = null;
+    this.previewId = null;
+    this.onRestore = null;
+    this.createModal();
+  }
+
+  /**
+   * 预览中最多显示的备忘录数量
+   */
+  static get PREVIEW_LIMIT() {
+    return 100;
+  }
+
+  /**
+   * 创建对话框DOM结构
+   */
+  createModal() {
+    if (document.getElementById(this.id)) {
+      this.modal = document.getElementById(this.id);
+      return;
+    }
+
+    const modalHTML = `
+      <div class="modal" id="${this.id}">
+        <div class="modal-overlay"></div>
+        <div class="modal-container snapshot-manager">
+          <div class="modal-header">
+            <h3 class="modal-title">数据快照</h3>
+            <button class="modal-close-btn" title="关闭">✕</button>
+          </div>
+          <div class="modal-body">
+            <div class="snapshot-toolbar">
+              <span class="snapshot-hint"></span>
+              <button class="btn btn-primary btn-sm snapshot-create-btn">立即创建快照</button>
+            </div>
+            <div class="snapshot-list"></div>
+            <div class="snapshot-preview" style="display: none;"></div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+    this.modal = document.getElementById(this.id);
+
+    this.bindEvents();
+  }
+
+  /**
+   * 绑定事件
+   */
+  bindEvents() {
+    this.modal.querySelector('.modal-overlay').addEventListener('click', () => this.hide());
+    this.modal.querySelector('.modal-close-btn').addEventListener('click', () => this.hide());
+    this.modal.querySelector('.snapshot-create-btn').addEventListener('click', () => this.handleCreate());
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isVisible()) {
+        this.hide();
+      }
+    });
+  }
+
+  /**
+   * 渲染快照列表或预览
+   */
+  render() {
+    const retention = SnapshotService.RETENTION;
+    this.modal.querySelector('.snapshot-hint').textContent =
+      `每小时自动保存，保留最近 ${retention.hourly} 小时、${retention.daily} 天、${retention.weekly} 周各一个；` +
+      `覆盖导入、清空等操作前也会自动保存（保留最近 ${retention.manual} 个）`;
+
+    if (this.previewId) {
+      this.renderPreview();
+    } else {
+      this.renderList();
+    }
+  }
+
+  /**
+   * 渲染快照列表
+   */
+  renderList() {
+    const list = this.modal.querySelector('.snapshot-list');
+    const preview = this.modal.querySelector('.snapshot-preview');
+    list.style.display = '';
+    preview.style.display = 'none';
+    list.innerHTML = '';
+
+    const snapshots = this.memoService.getSnapshots();
+    if (snapshots.length === 0) {
+      list.innerHTML = '<p class="snapshot-empty">还没有快照</p>';
+      return;
+    }
+
+    snapshots.forEach(snapshot => {
+      const row = document.createElement('div');
+      row.className = 'snapshot-row';
+      row.dataset.snapshotId = snapshot.id;
+
+      const info = document.createElement('div');
+      info.className = 'snapshot-info';
+
+      const title = document.createElement('div');
+      title.className = 'snapshot-title';
+      title.textContent = `${DateUtil.format(snapshot.createdAt, 'full')} · ${this.memoService.snapshotService.getReasonLabel(snapshot.reason)}`;
+
+      const meta = document.createElement('div');
+      meta.className = 'snapshot-meta';
+      meta.textContent = `${snapshot.memoCount} 条备忘录 · 回收站 ${snapshot.trashCount} 条 · ${StorageManager.formatBytes(snapshot.size)}`;
+
+      info.appendChild(title);
+      info.appendChild(meta);
+
+      const previewBtn = document.createElement('button');
+      previewBtn.className = 'btn btn-secondary btn-sm';
+      previewBtn.textContent = '预览';
+      previewBtn.addEventListener('click', () => this.showPreview(snapshot.id));
+
+      const restoreBtn = document.createElement('button');
+      restoreBtn.className = 'btn btn-primary btn-sm';
+      restoreBtn.textContent = '恢复';
+      restoreBtn.addEventListener('click', () => this.handleRestore(snapshot));
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'memo-delete-btn';
+      deleteBtn.textContent = '🗑️';
+      deleteBtn.title = '删除快照';
+      deleteBtn.addEventListener('click', () => this.handleDelete(snapshot));
+
+      row.appendChild(info);
+      row.appendChild(previewBtn);
+      row.appendChild(restoreBtn);
+      row.appendChild(deleteBtn);
+      list.appendChild(row);
+    });
+  }
+
+  /**
+   * 渲染快照预览
+   */
+  renderPreview() {
+    const list = this.modal.querySelector('.snapshot-list');
+    const preview = this.modal.querySelector('.snapshot-preview');
+    const result = this.memoService.previewSnapshot(this.previewId);
+
+    if (!result.success) {
+      Toast.error(result.errors.join(', '));
+      this.previewId = null;
+      this.renderList();
+      return;
+    }
+
+    list.style.display = 'none';
+    preview.style.display = '';
+    preview.innerHTML = '';
+
+    const { snapshot, memos } = result;
+
+    const header = document.createElement('div');
+    header.className = 'snapshot-preview-header';
+
+    const backBtn = document.createElement('button');
+    backBtn.className = 'btn btn-secondary btn-sm';
+    backBtn.textContent = '← 返回列表';
+    backBtn.addEventListener('click', () => this.showPreview(null));
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'btn btn-primary btn-sm';
+    restoreBtn.textContent = '恢复此快照';
+    restoreBtn.addEventListener('click', () => this.handleRestore(snapshot));
+
+    header.appendChild(backBtn);
+    header.appendChild(restoreBtn);
+    preview.appendChild(header);
+
+    const summary = document.createElement('p');
+    summary.className = 'snapshot-meta';
+    const completed = memos.filter(memo => memo.isCompleted).length;
+    const archived = memos.filter(memo => memo.isArchived).length;
+    summary.textContent = `${DateUtil.format(snapshot.createdAt, 'full')} · ${memos.length} 条备忘录（已完成 ${completed}，已归档 ${archived}）· ` +
+      `回收站 ${result.trashCount} 条 · ${result.categories.length} 个分类`;
+    preview.appendChild(summary);
+
+    const memoList = document.createElement('ul');
+    memoList.className = 'snapshot-memo-list';
+    memos.slice(0, SnapshotManager.PREVIEW_LIMIT).forEach(memo => {
+      const item = document.createElement('li');
+      item.classList.toggle('completed', memo.isCompleted);
+
+      const title = document.createElement('span');
+      title.className = 'snapshot-memo-title';
+      title.textContent = `${memo.isPinned ? '📌 ' : ''}${memo.title}`;
+
+      const meta = document.createElement('span');
+      meta.className = 'snapshot-meta';
+      meta.textContent = `${memo.category} · ${DateUtil.format(memo.updatedAt, 'date')}`;
+
+      item.appendChild(title);
+      item.appendChild(meta);
+      memoList.appendChild(item);
+    });
+    preview.appendChild(memoList);
+
+    if (memos.length > SnapshotManager.PREVIEW_LIMIT) {
+      const more = document.createElement('p');
+      more.className = 'snapshot-meta';
+      more.textContent = `还有 ${memos.length - SnapshotManager.PREVIEW_LIMIT} 条未显示`;
+      preview.appendChild(more);
+    }
+  }
+
+  /**
+   * 切换到快照预览（id 为 null 时返回列表）
+   * @param {String|null} id - 快照ID
+   */
+  showPreview(id) {
+    this.previewId = id;
+    this.render();
+  }
+
+  /**
+   * 处理立即创建快照
+   */
+  handleCreate() {
+    const result = this.memoService.takeSnapshot('manual');
+    if (result.success) {
+      Toast.success('快照已创建');
+    } else {
+      Toast.error(result.errors.join(', '));
+    }
+    this.render();
+  }
+
+  /**
+   * 处理从快照恢复
+   * @param {Object} snapshot - 快照摘要
+   */
+  handleRestore(snapshot) {
+    const message = `确定要恢复到 ${DateUtil.format(snapshot.createdAt, 'full')} 的快照吗？` +
+      `当前的 ${this.memoService.getAllMemos().length} 条备忘录将被快照中的 ${snapshot.memoCount} 条替换（恢复前会自动保存当前数据的快照）。`;
+    if (!confirm(message)) {
+      return;
+    }
+
+    const result = this.memoService.restoreSnapshot(snapshot.id);
+    if (!result.success) {
+      Toast.error('恢复失败: ' + result.errors.join(', '));
+      return;
+    }
+
+    this.previewId = null;
+    this.hide();
+    if (this.onRestore) {
+      this.onRestore(result);
+    }
+  }
+
+  /**
+   * 处理删除快照
+   * @param {Object} snapshot - 快照摘要
+   */
+  handleDelete(snapshot) {
+    if (!confirm(`确定要删除 ${DateUtil.format(snapshot.createdAt, 'full')} 的快照吗？`)) {
+      return;
+    }
+
+    const result = this.memoService.deleteSnapshot(snapshot.id);
+    if (!result.success) {
+      Toast.error(result.errors.join(', '));
+    }
+    this.render();
+  }
+
+  /**
+   * 显示对话框
+   */
+  show() {
+    this.previewId = null;
+    this.render();
+    this.modal.classList.add('modal-visible');
+    document.body.style.overflow = 'hidden';
+  }
+
+  /**
+   * 隐藏对话框
+   */
+  hide() {
+    this.modal.classList.remove('modal-visible');
+    document.body.style.overflow = '';
+  }
+
+  /**
+   * 检查对话框是否可见
+   * @returns {Boolean}
+   */
+  isVisible() {
+    return this.modal.classList.contains('modal-visible');
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SnapshotManager;
+}
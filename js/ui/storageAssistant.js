@@ -0,0 +1,345 @@
+/**
+ * 存储空间助手组件
+ * 显示存储用量和各类数据的占用，提供清除历史版本、清空回收站、删除旧快照等释放空间的建议
+ */
+
+class StorageAssistant {
+  /**
+   * 构造函数
+   * @param {MemoService} memoService - 备忘录服务实例
+   * @param {String} id - 对话框ID
+   */
+  constructor(memoService, id = 'storage-assistant') {
+    this.memoService = memoService;
+    this.id = id;
+    this.modal = null;
+    this.onChange = null;
+    this.onOpenMemo = null;
+    this.createModal();
+  }
+
+  /**
+   * 用量分组的显示名称
+   */
+  static get GROUP_LABELS() {
+    return {
+      memos: '备忘录',
+      trash: '回收站',
+      snapshots: '快照',
+      other: '其他（分类、设置等）'
+    };
+  }
+
+  /**
+   * 创建对话框DOM结构
+   */
+  createModal() {
+    if (document.getElementById(this.id)) {
+      this.modal = document.getElementById(this.id);
+      return;
+    }
+
+    const modalHTML = `
+      <div class="modal" id="${this.id}">
+        <div class="modal-overlay"></div>
+        <div class="modal-container storage-assistant">
+          <div class="modal-header">
+            <h3 class="modal-title">存储空间</h3>
+            <button class="modal-close-btn" title="关闭">✕</button>
+          </div>
+          <div class="modal-body">
+            <div class="storage-summary"></div>
+            <div class="storage-bar"><div class="storage-bar-fill"></div></div>
+            <ul class="storage-groups"></ul>
+            <h4 class="storage-section-title">释放空间</h4>
+            <div class="storage-suggestions"></div>
+            <h4 class="storage-section-title">提醒设置</h4>
+            <div class="storage-settings">
+              <label>
+                已用空间达到
+                <input type="text" class="form-input storage-thresholds-input" placeholder="80, 95" />
+                % 时提醒
+              </label>
+              <button class="btn btn-secondary btn-sm storage-thresholds-save">保存</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+    this.modal = document.getElementById(this.id);
+
+    this.bindEvents();
+  }
+
+  /**
+   * 绑定事件
+   */
+  bindEvents() {
+    this.modal.querySelector('.modal-overlay').addEventListener('click', () => this.hide());
+    this.modal.querySelector('.modal-close-btn').addEventListener('click', () => this.hide());
+    this.modal.querySelector('.storage-thresholds-save').addEventListener('click', () => this.handleSaveThresholds());
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isVisible()) {
+        this.hide();
+      }
+    });
+  }
+
+  /**
+   * 渲染用量和建议
+   */
+  render() {
+    const usage = this.memoService.getStorageUsage();
+    const formatBytes = StorageManager.formatBytes;
+
+    const summary = this.modal.querySelector('.storage-summary');
+    summary.textContent = Number.isFinite(usage.quota)
+      ? `已用 ${formatBytes(usage.used)} / ${formatBytes(usage.quota)}（${usage.percent}%），剩余 ${formatBytes(usage.remaining)}`
+      : `已用 ${formatBytes(usage.used)}（浏览器未报告容量上限）`;
+
+    const level = this.memoService.getStorageWarningLevel(usage.percent);
+    const fill = this.modal.querySelector('.storage-bar-fill');
+    fill.style.width = `${usage.percent}%`;
+    fill.classList.toggle('warning', level > 0);
+
+    const groups = this.modal.querySelector('.storage-groups');
+    groups.innerHTML = '';
+    Object.keys(StorageAssistant.GROUP_LABELS).forEach(group => {
+      const item = document.createElement('li');
+      let text = `${StorageAssistant.GROUP_LABELS[group]}：${formatBytes(usage.groups[group])}`;
+      if (group === 'memos' && usage.revisions > 0) {
+        text += `（其中历史版本 ${formatBytes(usage.revisions)}）`;
+      }
+      item.textContent = text;
+      groups.appendChild(item);
+    });
+
+    this.renderSuggestions(usage);
+
+    this.modal.querySelector('.storage-thresholds-input').value =
+      this.memoService.settings.storageWarningThresholds.join(', ');
+  }
+
+  /**
+   * 渲染释放空间的建议
+   * @param {Object} usage - 存储用量
+   */
+  renderSuggestions(usage) {
+    const container = this.modal.querySelector('.storage-suggestions');
+    container.innerHTML = '';
+    const formatBytes = StorageManager.formatBytes;
+
+    const addSuggestion = (text, actionText, onAction) => {
+      const row = document.createElement('div');
+      row.className = 'storage-suggestion';
+
+      const label = document.createElement('span');
+      label.textContent = text;
+
+      const btn = document.createElement('button');
+      btn.className = 'btn btn-secondary btn-sm';
+      btn.textContent = actionText;
+      btn.addEventListener('click', onAction);
+
+      row.appendChild(label);
+      row.appendChild(btn);
+      container.appendChild(row);
+    };
+
+    if (usage.revisions > 0) {
+      addSuggestion(
+        `历史版本占用 ${formatBytes(usage.revisions)}`,
+        '清除全部历史版本',
+        () => this.handlePurgeRevisions()
+      );
+    }
+
+    const trashCount = this.memoService.getTrash().length;
+    if (trashCount > 0) {
+      addSuggestion(
+        `回收站中有 ${trashCount} 条备忘录，占用 ${formatBytes(usage.groups.trash)}`,
+        '清空回收站',
+        () => this.handleEmptyTrash(trashCount)
+      );
+    }
+
+    const snapshotCount = this.memoService.getSnapshots().length;
+    if (snapshotCount > 1) {
+      addSuggestion(
+        `${snapshotCount} 个快照占用 ${formatBytes(usage.groups.snapshots)}`,
+        '只保留最新快照',
+        () => this.handlePurgeSnapshots(snapshotCount)
+      );
+    }
+
+    const largest = usage.largestMemos.filter(item => item.bytes > 0);
+    if (largest.length > 0) {
+      const title = document.createElement('p');
+      title.className = 'storage-hint';
+      title.textContent = '占用空间最大的备忘录（移到回收站后清空回收站即可释放）：';
+      container.appendChild(title);
+
+      largest.forEach(({ memo, bytes }) => {
+        const row = document.createElement('div');
+        row.className = 'storage-suggestion';
+
+        const label = document.createElement('span');
+        label.textContent = `${memo.title}（${formatBytes(bytes)}）`;
+
+        const openBtn = document.createElement('button');
+        openBtn.className = 'btn btn-secondary btn-sm';
+        openBtn.textContent = '查看';
+        openBtn.addEventListener('click', () => {
+          this.hide();
+          if (this.onOpenMemo) {
+            this.onOpenMemo(memo.id);
+          }
+        });
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'memo-delete-btn';
+        deleteBtn.textContent = '🗑️';
+        deleteBtn.title = '移到回收站';
+        deleteBtn.addEventListener('click', () => this.handleDeleteMemo(memo));
+
+        row.appendChild(label);
+        row.appendChild(openBtn);
+        row.appendChild(deleteBtn);
+        container.appendChild(row);
+      });
+    }
+
+    if (container.children.length === 0) {
+      container.innerHTML = '<p class="storage-hint">没有可以释放的空间</p>';
+    }
+  }
+
+  /**
+   * 处理清除历史版本
+   */
+  handlePurgeRevisions() {
+    if (!confirm('确定要清除所有备忘录的历史版本吗？当前内容不受影响。')) {
+      return;
+    }
+
+    const result = this.memoService.purgeRevisions();
+    if (result.success) {
+      Toast.success(`已清除 ${result.cleared} 条备忘录的历史版本，释放 ${StorageManager.formatBytes(result.freed)}`);
+    } else {
+      Toast.error(result.errors.join(', '));
+    }
+    this.afterChange();
+  }
+
+  /**
+   * 处理清空回收站
+   * @param {Number} count - 回收站中的备忘录数量
+   */
+  handleEmptyTrash(count) {
+    if (!confirm(`确定要永久删除回收站中的 ${count} 条备忘录吗？`)) {
+      return;
+    }
+
+    const result = this.memoService.emptyTrash();
+    if (result.success) {
+      Toast.success(`已永久删除 ${result.purged} 条备忘录`);
+    } else {
+      Toast.error(result.errors.join(', '));
+    }
+    this.afterChange();
+  }
+
+  /**
+   * 处理删除旧快照
+   * @param {Number} count - 快照数量
+   */
+  handlePurgeSnapshots(count) {
+    if (!confirm(`确定要删除最新快照以外的 ${count - 1} 个快照吗？`)) {
+      return;
+    }
+
+    const result = this.memoService.purgeSnapshots(1);
+    if (result.success) {
+      Toast.success(`已删除 ${result.deleted} 个快照`);
+    } else {
+      Toast.error(result.errors.join(', '));
+    }
+    this.afterChange();
+  }
+
+  /**
+   * 处理把大备忘录移到回收站
+   * @param {Memo} memo - 备忘录实例
+   */
+  handleDeleteMemo(memo) {
+    if (!confirm(`确定要将备忘录"${memo.title}"移到回收站吗？`)) {
+      return;
+    }
+
+    const result = this.memoService.deleteMemo(memo.id);
+    if (!result.success) {
+      Toast.error(result.errors.join(', '));
+    }
+    this.afterChange();
+  }
+
+  /**
+   * 处理保存提醒阈值
+   */
+  handleSaveThresholds() {
+    const input = this.modal.querySelector('.storage-thresholds-input');
+    const thresholds = input.value.split(/[,，\s]+/).filter(Boolean);
+    const result = this.memoService.setStorageWarningThresholds(thresholds);
+
+    if (result.success) {
+      Toast.success('提醒设置已保存');
+    } else {
+      Toast.error(result.errors.join(', '));
+    }
+    this.afterChange();
+  }
+
+  /**
+   * 数据变更后重新渲染并通知外部
+   */
+  afterChange() {
+    this.render();
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+
+  /**
+   * 显示对话框（先刷新浏览器报告的配额）
+   */
+  async show() {
+    await this.memoService.storage.estimateQuota();
+    this.render();
+    this.modal.classList.add('modal-visible');
+    document.body.style.overflow = 'hidden';
+  }
+
+  /**
+   * 隐藏对话框
+   */
+  hide() {
+    this.modal.classList.remove('modal-visible');
+    document.body.style.overflow = '';
+  }
+
+  /**
+   * 检查对话框是否可见
+   * @returns {Boolean}
+   */
+  isVisible() {
+    return this.modal.classList.contains('modal-visible');
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StorageAssistant;
+}
@@ -0,0 +1,477 @@
+/**
+ * 同步设置组件
+ * 配置同步服务器、手动同步，并在合并界面中处理两端都修改了内容的冲突
+ */
+
+class SyncManager {
+  /**
+   * 自动同步间隔选项（分钟）
+   */
+  static INTERVALS = [
+    { value: 0, label: '只在修改后同步' },
+    { value: 1, label: '每 1 分钟' },
+    { value: 5, label: '每 5 分钟' },
+    { value: 15, label: '每 15 分钟' },
+    { value: 60, label: '每小时' }
+  ];
+
+  /**
+   * 构造函数
+   * @param {SyncService} syncService - 同步服务实例
+   * @param {String} id - 对话框ID
+   */
+  constructor(syncService, id = 'sync-manager') {
+    this.syncService = syncService;
+    this.id = id;
+    this.modal = null;
+    this.mergeId = null;
+    this.onSync = null;
+    this.onConfigChange = null;
+    this.onResolve = null;
+    this.createModal();
+  }
+
+  /**
+   * 创建对话框DOM结构
+   */
+  createModal() {
+    if (document.getElementById(this.id)) {
+      this.modal = document.getElementById(this.id);
+      return;
+    }
+
+    const typeOptions = Object.entries(SyncTransport.TYPES)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join('');
+    const intervalOptions = SyncManager.INTERVALS
+      .map(option => `<option value="${option.value}">${option.label}</option>`)
+      .join('');
+
+    const modalHTML = `
+      <div class="modal" id="${this.id}">
+        <div class="modal-overlay"></div>
+        <div class="modal-container sync-manager">
+          <div class="modal-header">
+            <h3 class="modal-title">同步</h3>
+            <button class="modal-close-btn" title="关闭">✕</button>
+          </div>
+          <div class="modal-body">
+            <div class="sync-settings">
+              <div class="sync-status-line"></div>
+              <label class="checkbox-label form-group">
+                <input type="checkbox" class="form-checkbox sync-enabled" />
+                启用同步
+              </label>
+              <div class="form-row">
+                <div class="form-group">
+                  <label class="form-label">服务器类型</label>
+                  <select class="form-select sync-type">${typeOptions}</select>
+                </div>
+                <div class="form-group">
+                  <label class="form-label">自动同步</label>
+                  <select class="form-select sync-interval">${intervalOptions}</select>
+                </div>
+              </div>
+              <div class="form-group">
+                <label class="form-label">服务器地址</label>
+                <input type="url" class="form-input sync-url" placeholder="https://example.com/memos.json" />
+                <p class="form-hint sync-url-hint"></p>
+              </div>
+              <div class="form-row">
+                <div class="form-group">
+                  <label class="form-label">用户名（可选）</label>
+                  <input type="text" class="form-input sync-username" autocomplete="username" />
+                </div>
+                <div class="form-group">
+                  <label class="form-label">密码（可选）</label>
+                  <input type="password" class="form-input sync-password" autocomplete="current-password" />
+                </div>
+              </div>
+              <p class="form-hint sync-password-hint"></p>
+              <div class="sync-actions">
+                <button class="btn btn-secondary btn-sm sync-save-btn">保存设置</button>
+                <button class="btn btn-primary btn-sm sync-now-btn">立即同步</button>
+              </div>
+              <h4 class="sync-section-title">冲突</h4>
+              <div class="sync-conflict-list"></div>
+            </div>
+            <div class="sync-merge" style="display: none;"></div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+    this.modal = document.getElementById(this.id);
+
+    this.bindEvents();
+  }
+
+  /**
+   * 绑定事件
+   */
+  bindEvents() {
+    this.modal.querySelector('.modal-overlay').addEventListener('click', () => this.hide());
+    this.modal.querySelector('.modal-close-btn').addEventListener('click', () => this.hide());
+    this.modal.querySelector('.sync-type').addEventListener('change', () => this.renderUrlHint());
+    this.modal.querySelector('.sync-save-btn').addEventListener('click', () => this.handleSave());
+    this.modal.querySelector('.sync-now-btn').addEventListener('click', () => this.handleSyncNow());
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isVisible()) {
+        this.hide();
+      }
+    });
+  }
+
+  /**
+   * 渲染设置和冲突列表，或合并界面
+   */
+  render() {
+    const settings = this.modal.querySelector('.sync-settings');
+    const merge = this.modal.querySelector('.sync-merge');
+
+    if (this.mergeId && this.syncService.getConflict(this.mergeId)) {
+      settings.style.display = 'none';
+      merge.style.display = '';
+      this.renderMerge();
+      return;
+    }
+
+    this.mergeId = null;
+    settings.style.display = '';
+    merge.style.display = 'none';
+    this.renderStatus();
+    this.renderConflicts();
+  }
+
+  /**
+   * 填入当前配置
+   */
+  renderConfig() {
+    const config = this.syncService.getConfig();
+    this.modal.querySelector('.sync-enabled').checked = config.enabled;
+    this.modal.querySelector('.sync-type').value = config.type;
+    this.modal.querySelector('.sync-interval').value = String(config.interval);
+    this.modal.querySelector('.sync-url').value = config.url;
+    this.modal.querySelector('.sync-username').value = config.username;
+    this.modal.querySelector('.sync-password').value = config.password;
+    this.modal.querySelector('.sync-password-hint').textContent = this.syncService.canStorePassword()
+      ? ''
+      : '未启用加密存储，密码不会保存，重新打开应用后需要重新输入。启用加密存储后密码会加密保存';
+    this.renderUrlHint();
+  }
+
+  /**
+   * 根据服务器类型显示地址说明
+   */
+  renderUrlHint() {
+    const type = this.modal.querySelector('.sync-type').value;
+    this.modal.querySelector('.sync-url-hint').textContent = type === 'webdav'
+      ? `填写 WebDAV 目录地址，同步数据保存为其中的 ${SyncTransport.DOCUMENT_NAME}`
+      : '填写同步文件的地址，服务器需要支持 GET 和 PUT';
+  }
+
+  /**
+   * 渲染同步状态
+   */
+  renderStatus() {
+    const status = this.syncService.getStatus();
+    let text = status.label;
+    if (status.lastSyncAt) {
+      text += ` · 上次同步 ${DateUtil.smartFormat(status.lastSyncAt)}`;
+    }
+    if (status.error) {
+      text += ` · ${status.error}`;
+    }
+
+    const line = this.modal.querySelector('.sync-status-line');
+    line.textContent = text;
+    line.className = `sync-status-line sync-status-${status.status}`;
+    this.modal.querySelector('.sync-now-btn').disabled = status.status === 'disabled' || status.status === 'syncing';
+  }
+
+  /**
+   * 渲染冲突列表
+   */
+  renderConflicts() {
+    const list = this.modal.querySelector('.sync-conflict-list');
+    list.innerHTML = '';
+
+    const conflicts = this.syncService.getConflicts();
+    if (conflicts.length === 0) {
+      list.innerHTML = '<p class="sync-empty">没有待合并的冲突</p>';
+      return;
+    }
+
+    conflicts.forEach(conflict => {
+      const row = document.createElement('div');
+      row.className = 'sync-conflict-row';
+      row.dataset.conflictId = conflict.id;
+
+      const info = document.createElement('div');
+      info.className = 'sync-conflict-info';
+
+      const title = document.createElement('div');
+      title.className = 'sync-conflict-title';
+      title.textContent = conflict.local.title;
+
+      const meta = document.createElement('div');
+      meta.className = 'sync-meta';
+      meta.textContent = `${DateUtil.format(conflict.detectedAt, 'full')} · 已暂时采用${conflict.winner === 'local' ? '本机' : '服务器'}的版本`;
+
+      info.appendChild(title);
+      info.appendChild(meta);
+
+      const mergeBtn = document.createElement('button');
+      mergeBtn.className = 'btn btn-primary btn-sm';
+      mergeBtn.textContent = '合并';
+      mergeBtn.addEventListener('click', () => this.showMerge(conflict.id));
+
+      row.appendChild(info);
+      row.appendChild(mergeBtn);
+      list.appendChild(row);
+    });
+  }
+
+  /**
+   * 渲染合并界面：两个版本的差异，以及可编辑的合并结果
+   */
+  renderMerge() {
+    const conflict = this.syncService.getConflict(this.mergeId);
+    const merge = this.modal.querySelector('.sync-merge');
+    merge.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'sync-merge-header';
+
+    const backBtn = document.createElement('button');
+    backBtn.className = 'btn btn-secondary btn-sm';
+    backBtn.textContent = '← 返回';
+    backBtn.addEventListener('click', () => this.showMerge(null));
+
+    const summary = document.createElement('span');
+    summary.className = 'sync-meta';
+    summary.textContent = `本机 ${DateUtil.format(conflict.local.updatedAt, 'full')} · 服务器 ${DateUtil.format(conflict.remote.updatedAt, 'full')}`;
+
+    header.appendChild(backBtn);
+    header.appendChild(summary);
+    merge.appendChild(header);
+
+    const legend = document.createElement('p');
+    legend.className = 'sync-meta';
+    legend.textContent = '差异：红色为本机版本，绿色为服务器版本';
+    merge.appendChild(legend);
+
+    const diffDiv = document.createElement('div');
+    diffDiv.className = 'history-diff';
+    [
+      ...DiffUtil.diffLines(`标题：${conflict.local.title}`, `标题：${conflict.remote.title}`),
+      ...DiffUtil.diffLines(conflict.local.content, conflict.remote.content)
+    ].forEach(line => {
+      const lineDiv = document.createElement('div');
+      lineDiv.className = `diff-line diff-${line.type}`;
+      lineDiv.textContent = (line.type === 'add' ? '+ ' : line.type === 'remove' ? '- ' : '  ') + line.text;
+      diffDiv.appendChild(lineDiv);
+    });
+    merge.appendChild(diffDiv);
+
+    // 合并结果默认为当前保存的版本
+    const current = this.syncService.memoService.getMemoById(conflict.memoId);
+    const base = current || (conflict.winner === 'local' ? conflict.local : conflict.remote);
+
+    const titleGroup = document.createElement('div');
+    titleGroup.className = 'form-group';
+    titleGroup.innerHTML = '<label class="form-label">合并后的标题</label>';
+    const titleInput = document.createElement('input');
+    titleInput.type = 'text';
+    titleInput.className = 'form-input sync-merge-title';
+    titleInput.value = base.title;
+    titleGroup.appendChild(titleInput);
+    merge.appendChild(titleGroup);
+
+    const contentGroup = document.createElement('div');
+    contentGroup.className = 'form-group';
+    contentGroup.innerHTML = '<label class="form-label">合并后的内容</label>';
+    const contentInput = document.createElement('textarea');
+    contentInput.className = 'form-textarea sync-merge-content';
+    contentInput.rows = 8;
+    contentInput.value = base.content;
+    contentGroup.appendChild(contentInput);
+    merge.appendChild(contentGroup);
+
+    const actions = document.createElement('div');
+    actions.className = 'sync-actions';
+
+    const fill = (version) => {
+      titleInput.value = version.title;
+      contentInput.value = version.content;
+    };
+
+    const localBtn = document.createElement('button');
+    localBtn.className = 'btn btn-secondary btn-sm';
+    localBtn.textContent = '填入本机版本';
+    localBtn.addEventListener('click', () => fill(conflict.local));
+
+    const remoteBtn = document.createElement('button');
+    remoteBtn.className = 'btn btn-secondary btn-sm';
+    remoteBtn.textContent = '填入服务器版本';
+    remoteBtn.addEventListener('click', () => fill(conflict.remote));
+
+    const dismissBtn = document.createElement('button');
+    dismissBtn.className = 'btn btn-secondary btn-sm';
+    dismissBtn.textContent = '忽略';
+    dismissBtn.title = '保留当前版本，不再提示';
+    dismissBtn.addEventListener('click', () => this.handleDismiss(conflict));
+
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'btn btn-primary btn-sm';
+    saveBtn.textContent = '保存合并结果';
+    saveBtn.disabled = !current;
+    saveBtn.addEventListener('click', () => this.handleResolve(conflict, titleInput.value, contentInput.value));
+
+    actions.appendChild(localBtn);
+    actions.appendChild(remoteBtn);
+    actions.appendChild(dismissBtn);
+    actions.appendChild(saveBtn);
+    merge.appendChild(actions);
+
+    if (!current) {
+      const hint = document.createElement('p');
+      hint.className = 'form-hint';
+      hint.textContent = '这条备忘录已被删除，只能忽略这个冲突';
+      merge.appendChild(hint);
+    }
+  }
+
+  /**
+   * 同步状态变化后刷新（合并界面中不刷新，避免丢失正在编辑的合并结果）
+   */
+  refresh() {
+    if (this.isVisible() && !this.mergeId) {
+      this.render();
+    }
+  }
+
+  /**
+   * 切换到合并界面（id 为 null 时返回设置）
+   * @param {String|null} id - 冲突ID
+   */
+  showMerge(id) {
+    this.mergeId = id;
+    this.render();
+  }
+
+  /**
+   * 保存表单中的设置
+   * @returns {Boolean} 是否保存成功
+   */
+  saveConfig() {
+    const result = this.syncService.updateConfig({
+      enabled: this.modal.querySelector('.sync-enabled').checked,
+      type: this.modal.querySelector('.sync-type').value,
+      interval: this.modal.querySelector('.sync-interval').value,
+      url: this.modal.querySelector('.sync-url').value,
+      username: this.modal.querySelector('.sync-username').value,
+      password: this.modal.querySelector('.sync-password').value
+    });
+
+    if (!result.success) {
+      Toast.error(result.errors.join(', '));
+      return false;
+    }
+
+    this.render();
+    if (this.onConfigChange) {
+      this.onConfigChange(this.syncService.getConfig());
+    }
+    return true;
+  }
+
+  /**
+   * 处理保存设置
+   */
+  handleSave() {
+    if (this.saveConfig()) {
+      Toast.success('同步设置已保存');
+    }
+  }
+
+  /**
+   * 处理立即同步（先保存修改过的设置）
+   */
+  async handleSyncNow() {
+    if (!this.saveConfig() || !this.syncService.isEnabled()) {
+      return;
+    }
+    if (this.onSync) {
+      await this.onSync();
+    }
+    this.render();
+  }
+
+  /**
+   * 处理保存合并结果
+   * @param {Object} conflict - 冲突
+   * @param {String} title - 合并后的标题
+   * @param {String} content - 合并后的内容
+   */
+  handleResolve(conflict, title, content) {
+    const result = this.syncService.resolveConflict(conflict.id, { title: title.trim(), content });
+    if (!result.success) {
+      Toast.error('保存失败: ' + result.errors.join(', '));
+      return;
+    }
+
+    this.showMerge(null);
+    if (this.onResolve) {
+      this.onResolve(result);
+    }
+  }
+
+  /**
+   * 处理忽略冲突
+   * @param {Object} conflict - 冲突
+   */
+  handleDismiss(conflict) {
+    const result = this.syncService.dismissConflict(conflict.id);
+    if (!result.success) {
+      Toast.error(result.errors.join(', '));
+      return;
+    }
+    this.showMerge(null);
+  }
+
+  /**
+   * 显示对话框
+   * @param {String|null} conflictId - 直接打开的冲突ID
+   */
+  show(conflictId = null) {
+    this.mergeId = conflictId;
+    this.renderConfig();
+    this.render();
+    this.modal.classList.add('modal-visible');
+    document.body.style.overflow = 'hidden';
+  }
+
+  /**
+   * 隐藏对话框
+   */
+  hide() {
+    this.modal.classList.remove('modal-visible');
+    document.body.style.overflow = '';
+  }
+
+  /**
+   * 检查对话框是否可见
+   * @returns {Boolean}
+   */
+  isVisible() {
+    return this.modal.classList.contains('modal-visible');
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SyncManager;
+}
@@ -0,0 +1,254 @@
+/**
+ * 回收站视图组件
+ * 负责显示已删除的备忘录，提供恢复和永久删除功能
+ */
+
+class TrashView {
+  /**
+   * 构造函数
+   * @param {String} containerId - 容器元素ID
+   * @param {MemoService} memoService - 备忘录服务实例
+   */
+  constructor(containerId, memoService) {
+    this.container = document.getElementById(containerId);
+    this.memoService = memoService;
+    this.onRestore = null;
+    this.onPurge = null;
+  }
+
+  /**
+   * 渲染回收站
+   */
+  render() {
+    if (!this.container) {
+      console.error('回收站容器不存在');
+      return;
+    }
+
+    this.container.innerHTML = '';
+    this.container.appendChild(this.createToolbar());
+
+    const entries = this.memoService.getTrash();
+
+    if (entries.length === 0) {
+      this.renderEmptyState();
+      return;
+    }
+
+    entries.forEach(entry => {
+      this.container.appendChild(this.createEntryElement(entry));
+    });
+  }
+
+  /**
+   * 创建回收站工具栏（保留天数设置、清空回收站）
+   * @returns {HTMLElement} 工具栏DOM元素
+   */
+  createToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'trash-toolbar';
+
+    const retentionLabel = document.createElement('label');
+    retentionLabel.className = 'trash-retention';
+    retentionLabel.textContent = '自动清除：';
+
+    const retentionInput = document.createElement('input');
+    retentionInput.type = 'number';
+    retentionInput.min = '0';
+    retentionInput.max = '3650';
+    retentionInput.className = 'form-input trash-retention-input';
+    retentionInput.value = this.memoService.settings.trashRetentionDays;
+    retentionInput.title = '设为 0 表示不自动清除';
+    retentionInput.addEventListener('change', () => {
+      this.handleRetentionChange(retentionInput.value);
+    });
+
+    retentionLabel.appendChild(retentionInput);
+    retentionLabel.appendChild(document.createTextNode(' 天后'));
+
+    const emptyBtn = document.createElement('button');
+    emptyBtn.className = 'btn btn-danger btn-sm';
+    emptyBtn.textContent = '清空回收站';
+    emptyBtn.disabled = this.memoService.trash.length === 0;
+    emptyBtn.addEventListener('click', () => this.handleEmptyTrash());
+
+    toolbar.appendChild(retentionLabel);
+    toolbar.appendChild(emptyBtn);
+
+    return toolbar;
+  }
+
+  /**
+   * 创建回收站条目元素
+   * @param {Object} entry - 回收站条目 {memo, deletedAt, expiresAt}
+   * @returns {HTMLElement} 条目DOM元素
+   */
+  createEntryElement(entry) {
+    const { memo } = entry;
+
+    const itemDiv = document.createElement('div');
+    itemDiv.className = `memo-item trash-item priority-${memo.priority}`;
+    itemDiv.dataset.memoId = memo.id;
+
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'memo-content';
+
+    const titleDiv = document.createElement('div');
+    titleDiv.className = 'memo-title';
+    titleDiv.textContent = memo.title;
+
+    const metaDiv = document.createElement('div');
+    metaDiv.className = 'memo-meta';
+
+    const categorySpan = document.createElement('span');
+    categorySpan.className = 'memo-category';
+    categorySpan.textContent = memo.category;
+
+    const deletedSpan = document.createElement('span');
+    deletedSpan.className = 'memo-time';
+    deletedSpan.textContent = '删除于 ' + DateUtil.smartFormat(entry.deletedAt);
+
+    metaDiv.appendChild(categorySpan);
+    metaDiv.appendChild(deletedSpan);
+
+    if (entry.expiresAt) {
+      const expiresSpan = document.createElement('span');
+      expiresSpan.className = 'trash-expires';
+      expiresSpan.textContent = DateUtil.formatDue(entry.expiresAt) + '自动清除';
+      metaDiv.appendChild(expiresSpan);
+    }
+
+    contentDiv.appendChild(titleDiv);
+    contentDiv.appendChild(metaDiv);
+
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'memo-actions trash-actions';
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'btn btn-secondary btn-sm';
+    restoreBtn.textContent = '恢复';
+    restoreBtn.addEventListener('click', () => this.handleRestore(memo.id));
+
+    const purgeBtn = document.createElement('button');
+    purgeBtn.className = 'btn btn-danger btn-sm';
+    purgeBtn.textContent = '永久删除';
+    purgeBtn.addEventListener('click', () => this.handlePurge(memo.id));
+
+    actionsDiv.appendChild(restoreBtn);
+    actionsDiv.appendChild(purgeBtn);
+
+    itemDiv.appendChild(contentDiv);
+    itemDiv.appendChild(actionsDiv);
+
+    return itemDiv;
+  }
+
+  /**
+   * 渲染空状态
+   */
+  renderEmptyState() {
+    const emptyDiv = document.createElement('div');
+    emptyDiv.className = 'empty-state';
+    emptyDiv.innerHTML = `
+      <div class="empty-icon">🗑️</div>
+      <div class="empty-text">回收站是空的</div>
+      <div class="empty-hint">删除的备忘录会在这里保留一段时间，可随时恢复</div>
+    `;
+    this.container.appendChild(emptyDiv);
+  }
+
+  /**
+   * 处理恢复备忘录
+   * @param {String} memoId - 备忘录ID
+   */
+  handleRestore(memoId) {
+    const result = this.memoService.restoreMemo(memoId);
+
+    if (result.success) {
+      this.render();
+      if (this.onRestore) {
+        this.onRestore(memoId);
+      }
+    } else {
+      alert('恢复失败: ' + result.errors.join(', '));
+    }
+  }
+
+  /**
+   * 处理永久删除备忘录
+   * @param {String} memoId - 备忘录ID
+   */
+  handlePurge(memoId) {
+    if (!confirm('永久删除后无法恢复，确定要删除这条备忘录吗？')) {
+      return;
+    }
+
+    const result = this.memoService.purgeMemos([memoId]);
+
+    if (result.success) {
+      this.render();
+      if (this.onPurge) {
+        this.onPurge([memoId]);
+      }
+    } else {
+      alert('删除失败: ' + result.errors.join(', '));
+    }
+  }
+
+  /**
+   * 处理清空回收站
+   */
+  handleEmptyTrash() {
+    if (!confirm('确定要永久删除回收站中的所有备忘录吗？此操作无法恢复。')) {
+      return;
+    }
+
+    const ids = this.memoService.trash.map(entry => entry.memo.id);
+    const result = this.memoService.emptyTrash();
+
+    if (result.success) {
+      this.render();
+      if (this.onPurge) {
+        this.onPurge(ids);
+      }
+    } else {
+      alert('清空失败: ' + result.errors.join(', '));
+    }
+  }
+
+  /**
+   * 处理保留天数变更
+   * @param {String} value - 输入的天数
+   */
+  handleRetentionChange(value) {
+    const result = this.memoService.setTrashRetentionDays(value);
+
+    if (result.success) {
+      this.memoService.purgeExpiredTrash();
+      this.render();
+    } else {
+      alert(result.errors.join(', '));
+      this.render();
+    }
+  }
+
+  /**
+   * 显示回收站
+   */
+  show() {
+    this.container.style.display = 'block';
+    this.render();
+  }
+
+  /**
+   * 隐藏回收站
+   */
+  hide() {
+    this.container.style.display = 'none';
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TrashView;
+}
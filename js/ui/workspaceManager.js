@@ -0,0 +1,317 @@
+/**
+ * 工作区管理组件
+ * 提供工作区的新建、重命名、复制、删除和切换界面，以及移动/复制备忘录时选择目标工作区
+ */
+
+class WorkspaceManager {
+  /**
+   * 构造函数
+   * @param {WorkspaceService} workspaceService - 工作区服务实例
+   * @param {String} id - 对话框ID
+   */
+  constructor(workspaceService, id = 'workspace-manager') {
+    this.workspaceService = workspaceService;
+    this.id = id;
+    this.modal = null;
+    this.picker = null;
+    this.onChange = null;
+    this.onSwitch = null;
+    this.onDuplicate = null;
+    this.onDelete = null;
+    this.createModal();
+  }
+
+  /**
+   * 创建对话框DOM结构
+   */
+  createModal() {
+    if (document.getElementById(this.id)) {
+      this.modal = document.getElementById(this.id);
+      return;
+    }
+
+    const modalHTML = `
+      <div class="modal" id="${this.id}">
+        <div class="modal-overlay"></div>
+        <div class="modal-container workspace-manager">
+          <div class="modal-header">
+            <h3 class="modal-title">管理工作区</h3>
+            <button class="modal-close-btn" title="关闭">✕</button>
+          </div>
+          <div class="modal-body">
+            <p class="workspace-hint"></p>
+            <div class="workspace-list"></div>
+            <div class="workspace-add">
+              <input type="text" class="form-input workspace-add-name" placeholder="新工作区名称" maxlength="${WorkspaceService.MAX_NAME_LENGTH}" />
+              <button class="btn btn-primary btn-sm workspace-add-btn">新建</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+    this.modal = document.getElementById(this.id);
+
+    this.bindEvents();
+  }
+
+  /**
+   * 绑定事件
+   */
+  bindEvents() {
+    this.modal.querySelector('.modal-overlay').addEventListener('click', () => this.hide());
+    this.modal.querySelector('.modal-close-btn').addEventListener('click', () => this.hide());
+    this.modal.querySelector('.workspace-add-btn').addEventListener('click', () => this.handleAdd());
+
+    this.modal.querySelector('.workspace-add-name').addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.handleAdd();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isVisible()) {
+        this.hide();
+      }
+    });
+  }
+
+  /**
+   * 渲染工作区列表或目标工作区选择
+   */
+  render() {
+    if (this.picker) {
+      this.renderPicker();
+    } else {
+      this.renderList();
+    }
+  }
+
+  /**
+   * 渲染工作区列表
+   */
+  renderList() {
+    this.modal.querySelector('.modal-title').textContent = '管理工作区';
+    this.modal.querySelector('.workspace-hint').textContent = '每个工作区的备忘录、分类、设置和快照相互独立，切换工作区后页面会重新加载。';
+    this.modal.querySelector('.workspace-add').style.display = '';
+
+    const list = this.modal.querySelector('.workspace-list');
+    list.innerHTML = '';
+
+    const currentId = this.workspaceService.getCurrent().id;
+
+    this.workspaceService.getAll().forEach(workspace => {
+      const isCurrent = workspace.id === currentId;
+
+      const row = document.createElement('div');
+      row.className = `workspace-row ${isCurrent ? 'current' : ''}`;
+      row.dataset.workspaceId = workspace.id;
+
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.className = 'form-input workspace-name-input';
+      nameInput.value = workspace.name;
+      nameInput.maxLength = WorkspaceService.MAX_NAME_LENGTH;
+      nameInput.addEventListener('change', () => this.handleRename(workspace.id, nameInput.value));
+
+      row.appendChild(nameInput);
+
+      if (isCurrent) {
+        const badge = document.createElement('span');
+        badge.className = 'workspace-current-badge';
+        badge.textContent = '当前';
+        row.appendChild(badge);
+      } else {
+        const switchBtn = document.createElement('button');
+        switchBtn.className = 'btn btn-primary btn-sm';
+        switchBtn.textContent = '切换';
+        switchBtn.addEventListener('click', () => this.handleSwitch(workspace));
+        row.appendChild(switchBtn);
+      }
+
+      const duplicateBtn = document.createElement('button');
+      duplicateBtn.className = 'btn btn-secondary btn-sm';
+      duplicateBtn.textContent = '复制';
+      duplicateBtn.title = '复制工作区及其全部数据';
+      duplicateBtn.addEventListener('click', () => this.handleDuplicate(workspace));
+      row.appendChild(duplicateBtn);
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'memo-delete-btn';
+      deleteBtn.textContent = '🗑️';
+      deleteBtn.title = isCurrent ? '不能删除当前工作区' : '删除工作区';
+      deleteBtn.disabled = isCurrent;
+      deleteBtn.addEventListener('click', () => this.handleDelete(workspace));
+      row.appendChild(deleteBtn);
+
+      list.appendChild(row);
+    });
+  }
+
+  /**
+   * 渲染目标工作区选择
+   */
+  renderPicker() {
+    this.modal.querySelector('.modal-title').textContent = this.picker.title;
+    this.modal.querySelector('.workspace-hint').textContent = '选择目标工作区：';
+    this.modal.querySelector('.workspace-add').style.display = 'none';
+
+    const list = this.modal.querySelector('.workspace-list');
+    list.innerHTML = '';
+
+    const currentId = this.workspaceService.getCurrent().id;
+    this.workspaceService.getAll()
+      .filter(workspace => workspace.id !== currentId)
+      .forEach(workspace => {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-secondary workspace-pick-btn';
+        btn.textContent = workspace.name;
+        btn.addEventListener('click', () => this.finishPick(workspace));
+        list.appendChild(btn);
+      });
+  }
+
+  /**
+   * 显示目标工作区选择（当前工作区以外的工作区）
+   * @param {String} title - 对话框标题
+   * @returns {Promise<Object|null>} 选择的工作区，取消时为 null
+   */
+  pickTarget(title) {
+    this.finishPick(null);
+    this.workspaceService.reload();
+
+    return new Promise(resolve => {
+      this.picker = { title, resolve };
+      this.render();
+      this.modal.classList.add('modal-visible');
+      document.body.style.overflow = 'hidden';
+    });
+  }
+
+  /**
+   * 结束目标工作区选择
+   * @param {Object|null} workspace - 选择的工作区
+   */
+  finishPick(workspace) {
+    if (!this.picker) {
+      return;
+    }
+
+    const { resolve } = this.picker;
+    this.picker = null;
+    this.hide();
+    resolve(workspace);
+  }
+
+  /**
+   * 处理新建工作区
+   */
+  handleAdd() {
+    const nameInput = this.modal.querySelector('.workspace-add-name');
+    const result = this.workspaceService.create(nameInput.value);
+
+    if (!result.success) {
+      Toast.error(result.errors.join(', '));
+      return;
+    }
+
+    nameInput.value = '';
+    Toast.success(`工作区"${result.workspace.name}"已创建`);
+    this.afterChange();
+  }
+
+  /**
+   * 处理重命名工作区
+   * @param {String} id - 工作区ID
+   * @param {String} name - 新名称
+   */
+  handleRename(id, name) {
+    const result = this.workspaceService.rename(id, name);
+    if (!result.success) {
+      Toast.error(result.errors.join(', '));
+    }
+    this.afterChange();
+  }
+
+  /**
+   * 处理切换工作区
+   * @param {Object} workspace - 工作区
+   */
+  handleSwitch(workspace) {
+    this.hide();
+    if (this.onSwitch) {
+      this.onSwitch(workspace);
+    }
+  }
+
+  /**
+   * 处理复制工作区
+   * @param {Object} workspace - 工作区
+   */
+  async handleDuplicate(workspace) {
+    if (this.onDuplicate) {
+      await this.onDuplicate(workspace);
+    }
+    this.afterChange();
+  }
+
+  /**
+   * 处理删除工作区
+   * @param {Object} workspace - 工作区
+   */
+  async handleDelete(workspace) {
+    if (!confirm(`确定要删除工作区"${workspace.name}"吗？其中的所有备忘录、快照和设置将被永久删除，无法撤销。`)) {
+      return;
+    }
+
+    if (this.onDelete) {
+      await this.onDelete(workspace);
+    }
+    this.afterChange();
+  }
+
+  /**
+   * 工作区列表变更后重新渲染并通知外部
+   */
+  afterChange() {
+    this.render();
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+
+  /**
+   * 显示对话框
+   */
+  show() {
+    this.finishPick(null);
+    this.workspaceService.reload();
+    this.render();
+    this.modal.classList.add('modal-visible');
+    document.body.style.overflow = 'hidden';
+  }
+
+  /**
+   * 隐藏对话框（正在选择目标工作区时视为取消）
+   */
+  hide() {
+    this.modal.classList.remove('modal-visible');
+    document.body.style.overflow = '';
+    this.finishPick(null);
+  }
+
+  /**
+   * 检查对话框是否可见
+   * @returns {Boolean}
+   */
+  isVisible() {
+    return this.modal.classList.contains('modal-visible');
+  }
+}
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WorkspaceManager;
+}
@@ -0,0 +1,170 @@
+/**
+ * 加密工具
+ * 基于 WebCrypto：PBKDF2 从口令派生密钥，AES-GCM 加密数据
+ */
+
+const CryptoUtil = {
+  /**
+   * PBKDF2 迭代次数
+   */
+  ITERATIONS: 250000,
+
+  /**
+   * 加密导出文件的格式标识
+   */
+  FILE_FORMAT: 'LocalMemo-encrypted',
+
+  /**
+   * 判断当前环境是否支持 WebCrypto
+   * @returns {Boolean}
+   */
+  isSupported() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+  },
+
+  /**
+   * 生成随机字节
+   * @param {Number} length - 字节数
+   * @returns {Uint8Array} 随机字节
+   */
+  randomBytes(length) {
+    return crypto.getRandomValues(new Uint8Array(length));
+  },
+
+  /**
+   * 字节数组转 Base64
+   * @param {Uint8Array} bytes - 字节数组
+   * @returns {String} Base64 字符串
+   */
+  toBase64(bytes) {
+    let binary = '';
+    // 分段转换，避免参数过多导致栈溢出
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  },
+
+  /**
+   * Base64 转字节数组
+   * @param {String} text - Base64 字符串
+   * @returns {Uint8Array} 字节数组
+   */
+  fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  },
+
+  /**
+   * 从口令派生 AES-GCM 密钥
+   * @param {String} passphrase - 口令
+   * @param {Uint8Array} salt - 盐
+   * @param {Number} iterations - 迭代次数
+   * @returns {Promise<CryptoKey>} 密钥
+   */
+  async deriveKey(passphrase, salt, iterations = this.ITERATIONS) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  },
+
+  /**
+   * 加密文本
+   * @param {CryptoKey} key - 密钥
+   * @param {String} plaintext - 明文
+   * @returns {Promise<Object>} 密文 {iv, data}（Base64）
+   */
+  async encrypt(key, plaintext) {
+    const iv = this.randomBytes(12);
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(plaintext)
+    );
+
+    return {
+      iv: this.toBase64(iv),
+      data: this.toBase64(new Uint8Array(data))
+    };
+  },
+
+  /**
+   * 解密文本（密钥错误或数据被篡改时抛出错误）
+   * @param {CryptoKey} key - 密钥
+   * @param {Object} payload - 密文 {iv, data}
+   * @returns {Promise<String>} 明文
+   */
+  async decrypt(key, payload) {
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: this.fromBase64(payload.iv) },
+      key,
+      this.fromBase64(payload.data)
+    );
+    return new TextDecoder().decode(data);
+  },
+
+  /**
+   * 用口令加密对象，生成可独立解密的加密文件内容
+   * @param {String} passphrase - 口令
+   * @param {Object} value - 要加密的对象
+   * @returns {Promise<Object>} 加密文件 {format, version, salt, iterations, iv, data}
+   */
+  async encryptFile(passphrase, value) {
+    const salt = this.randomBytes(16);
+    const key = await this.deriveKey(passphrase, salt);
+    const payload = await this.encrypt(key, JSON.stringify(value));
+
+    return {
+      format: this.FILE_FORMAT,
+      version: 1,
+      salt: this.toBase64(salt),
+      iterations: this.ITERATIONS,
+      ...payload
+    };
+  },
+
+  /**
+   * 判断对象是否为加密文件
+   * @param {Object} file - 解析后的文件内容
+   * @returns {Boolean}
+   */
+  isEncryptedFile(file) {
+    return !!file && file.format === this.FILE_FORMAT;
+  },
+
+  /**
+   * 用口令解密加密文件
+   * @param {String} passphrase - 口令
+   * @param {Object} file - 加密文件内容
+   * @returns {Promise<Object>} 解密后的对象
+   */
+  async decryptFile(passphrase, file) {
+    const key = await this.deriveKey(passphrase, this.fromBase64(file.salt), file.iterations);
+    try {
+      return JSON.parse(await this.decrypt(key, file));
+    } catch (error) {
+      throw new Error('口令错误或文件已损坏');
+    }
+  }
+};
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CryptoUtil;
+}
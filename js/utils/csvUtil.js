@@ -0,0 +1,138 @@
+/**
+ * CSV 工具
+ * 按 RFC 4180 生成和解析 CSV 文本
+ *
+ * 生成的文本以 UTF-8 BOM 开头、使用 CRLF 换行，Excel 打开时可以正确显示中文和单元格内的换行。
+ */
+
+const CsvUtil = {
+  /**
+   * UTF-8 BOM
+   */
+  BOM: '\uFEFF',
+
+  /**
+   * 解析时可自动识别的分隔符
+   */
+  DELIMITERS: [',', ';', '\t'],
+
+  /**
+   * 表格软件会当作公式执行的开头字符，导出时在这类单元格前加单引号
+   * 已经以单引号开头的同类文本也加一个，导入时去掉一个即可还原
+   */
+  FORMULA_PATTERN: /^'*[=+\-@]/,
+
+  /**
+   * 生成 CSV 文本
+   * @param {Array} rows - 行数组，每行是单元格数组
+   * @param {Object} options - 选项 {bom: 是否添加 BOM，默认 true}
+   * @returns {String} CSV 文本
+   */
+  stringify(rows, options = {}) {
+    const text = rows.map(row => row.map(value => this.escape(value)).join(',')).join('\r\n') + '\r\n';
+    return options.bom === false ? text : this.BOM + text;
+  },
+
+  /**
+   * 转义单元格（包含逗号、引号、换行或首尾空格时加双引号，内部的双引号写两次）
+   * 以 = + - @ 开头的单元格前加单引号，避免打开文件时被当作公式执行
+   * @param {*} value - 单元格的值（null 和 undefined 输出为空）
+   * @returns {String}
+   */
+  escape(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (this.FORMULA_PATTERN.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",;\r\n\t]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  },
+
+  /**
+   * 去掉导出时为防止公式执行而加的单引号
+   * @param {String} text - 单元格文本
+   * @returns {String}
+   */
+  unescapeFormula(text) {
+    return /^'+[=+\-@]/.test(text) ? text.slice(1) : text;
+  },
+
+  /**
+   * 解析 CSV 文本（支持引号内的分隔符和换行，忽略空行）
+   * @param {String} text - CSV 文本
+   * @param {String|null} delimiter - 分隔符，为空时根据第一行自动识别
+   * @returns {Array} 行数组，每行是单元格数组
+   */
+  parse(text, delimiter = null) {
+    const input = text.replace(/^\uFEFF/, '');
+    const separator = delimiter || this.detectDelimiter(input);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === separator) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\r' || char === '\n') {
+        if (char === '\r' && input[i + 1] === '\n') {
+          i++;
+        }
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+  },
+
+  /**
+   * 根据第一行（引号外）出现最多的字符识别分隔符
+   * @param {String} text - CSV 文本
+   * @returns {String} 分隔符，默认逗号
+   */
+  detectDelimiter(text) {
+    const counts = {};
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === '"') {
+        quoted = !quoted;
+      } else if (!quoted && (char === '\n' || char === '\r')) {
+        break;
+      } else if (!quoted && this.DELIMITERS.includes(char)) {
+        counts[char] = (counts[char] || 0) + 1;
+      }
+    }
+
+    return this.DELIMITERS.reduce((best, char) => ((counts[char] || 0) > (counts[best] || 0) ? char : best), ',');
+  }
+};
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CsvUtil;
+}
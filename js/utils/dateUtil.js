@@ -172,20 +172,91 @@ const DateUtil = {
    * @returns {Boolean} 是否是本周
    */
   isThisWeek(timestamp) {
-    const date = new Date(timestamp);
-    const now = new Date();
-    
-    // 获取本周一的日期
-    const monday = new Date(now);
-    monday.setDate(now.getDate() - now.getDay() + 1);
+    const { start, end } = this.getWeekRange();
+    return timestamp >= start && timestamp <= end;
+  },
+
+  /**
+   * 获取指定日期所在天的起止时间
+   * @param {Number} timestamp - 时间戳
+   * @returns {Object} 起止时间戳 {start, end}
+   */
+  getDayRange(timestamp = Date.now()) {
+    const start = new Date(timestamp);
+    start.setHours(0, 0, 0, 0);
+
+    const end = new Date(start);
+    end.setHours(23, 59, 59, 999);
+
+    return { start: start.getTime(), end: end.getTime() };
+  },
+
+  /**
+   * 获取指定日期所在周（周一至周日）的起止时间
+   * @param {Number} timestamp - 时间戳
+   * @returns {Object} 起止时间戳 {start, end}
+   */
+  getWeekRange(timestamp = Date.now()) {
+    const monday = new Date(timestamp);
+    monday.setDate(monday.getDate() - (monday.getDay() + 6) % 7);
     monday.setHours(0, 0, 0, 0);
-    
-    // 获取本周日的日期
+
     const sunday = new Date(monday);
     sunday.setDate(monday.getDate() + 6);
     sunday.setHours(23, 59, 59, 999);
-    
-    return date >= monday && date <= sunday;
+
+    return { start: monday.getTime(), end: sunday.getTime() };
+  },
+
+  /**
+   * 格式化截止时间
+   * @param {Number} timestamp - 截止时间戳
+   * @param {Boolean} hasTime - 是否包含具体时间
+   * @returns {String} 格式化的截止时间（今天、明天、MM-DD 等）
+   */
+  formatDue(timestamp, hasTime = false) {
+    if (!timestamp) return '';
+
+    const date = new Date(timestamp);
+    const today = this.getDayRange();
+    const dayDiff = Math.round((this.getDayRange(timestamp).start - today.start) / (24 * 60 * 60 * 1000));
+
+    let dayText;
+    if (dayDiff === 0) {
+      dayText = '今天';
+    } else if (dayDiff === 1) {
+      dayText = '明天';
+    } else if (dayDiff === -1) {
+      dayText = '昨天';
+    } else if (date.getFullYear() === new Date().getFullYear()) {
+      dayText = `${date.getMonth() + 1}月${date.getDate()}日`;
+    } else {
+      dayText = this.formatDate(date);
+    }
+
+    if (!hasTime) {
+      return dayText;
+    }
+
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    return `${dayText} ${hours}:${minutes}`;
+  },
+
+  /**
+   * 由日期和时间输入框的值生成时间戳
+   * @param {String} dateValue - 日期 (YYYY-MM-DD)
+   * @param {String} timeValue - 时间 (HH:mm)，可为空
+   * @returns {Number|null} 时间戳或null
+   */
+  fromInputValues(dateValue, timeValue = '') {
+    if (!dateValue) return null;
+
+    const [year, month, day] = dateValue.split('-').map(Number);
+    const [hours, minutes] = timeValue ? timeValue.split(':').map(Number) : [0, 0];
+    const timestamp = new Date(year, month - 1, day, hours, minutes).getTime();
+
+    return isNaN(timestamp) ? null : timestamp;
   },
 
   /**
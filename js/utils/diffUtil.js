@@ -0,0 +1,74 @@
+/**
+ * 文本差异工具
+ * 提供按行比较两段文本的功能
+ */
+
+const DiffUtil = {
+  /**
+   * 按行比较两段文本（基于最长公共子序列）
+   * @param {String} oldText - 旧文本
+   * @param {String} newText - 新文本
+   * @returns {Array} 差异数组 [{type: equal|add|remove, text}]
+   */
+  diffLines(oldText = '', newText = '') {
+    const oldLines = oldText === '' ? [] : oldText.split('\n');
+    const newLines = newText === '' ? [] : newText.split('\n');
+    const m = oldLines.length;
+    const n = newLines.length;
+
+    // lcs[i][j] 表示 oldLines[i..] 与 newLines[j..] 的最长公共子序列长度
+    const lcs = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
+    for (let i = m - 1; i >= 0; i--) {
+      for (let j = n - 1; j >= 0; j--) {
+        lcs[i][j] = oldLines[i] === newLines[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < m && j < n) {
+      if (oldLines[i] === newLines[j]) {
+        result.push({ type: 'equal', text: oldLines[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        result.push({ type: 'remove', text: oldLines[i] });
+        i++;
+      } else {
+        result.push({ type: 'add', text: newLines[j] });
+        j++;
+      }
+    }
+
+    while (i < m) {
+      result.push({ type: 'remove', text: oldLines[i++] });
+    }
+
+    while (j < n) {
+      result.push({ type: 'add', text: newLines[j++] });
+    }
+
+    return result;
+  },
+
+  /**
+   * 统计差异中新增和删除的行数
+   * @param {Array} diff - diffLines 的返回值
+   * @returns {Object} 统计结果 {added, removed}
+   */
+  summarize(diff) {
+    return {
+      added: diff.filter(line => line.type === 'add').length,
+      removed: diff.filter(line => line.type === 'remove').length
+    };
+  }
+};
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DiffUtil;
+}
@@ -0,0 +1,71 @@
+/**
+ * 文件工具
+ * 浏览器端文件下载和读取
+ */
+
+const FileUtil = {
+  /**
+   * 触发浏览器下载
+   * @param {String} filename - 文件名
+   * @param {String|Blob|Uint8Array} content - 文件内容
+   * @param {String} mimeType - MIME 类型
+   */
+  download(filename, content, mimeType = 'application/json') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // 等待浏览器开始下载后再释放
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
+  /**
+   * 以文本形式读取文件
+   * @param {File} file - 文件对象
+   * @returns {Promise<String>} 文件内容
+   */
+  readAsText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error || new Error('读取文件失败'));
+      reader.readAsText(file);
+    });
+  },
+
+  /**
+   * 以二进制形式读取文件
+   * @param {File} file - 文件对象
+   * @returns {Promise<Uint8Array>} 文件内容
+   */
+  readAsBytes(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(new Uint8Array(reader.result));
+      reader.onerror = () => reject(reader.error || new Error('读取文件失败'));
+      reader.readAsArrayBuffer(file);
+    });
+  },
+
+  /**
+   * 生成带日期的文件名
+   * @param {String} prefix - 文件名前缀
+   * @param {String} extension - 扩展名（不含点）
+   * @returns {String} 文件名，例如 LocalMemo-2025-10-27.json
+   */
+  datedFilename(prefix, extension) {
+    return `${prefix}-${DateUtil.format(Date.now(), 'date')}.${extension}`;
+  }
+};
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FileUtil;
+}
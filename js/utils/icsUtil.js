@@ -0,0 +1,230 @@
+/**
+ * iCalendar 工具
+ * 按 RFC 5545 生成和解析 .ics 文本（只处理备忘录用到的属性）
+ */
+
+const IcsUtil = {
+  /**
+   * 生成的日历的 PRODID
+   */
+  PRODUCT_ID: '-//LocalMemo//LocalMemo//ZH',
+
+  /**
+   * 每行的最大字节数（超出时折行）
+   */
+  MAX_LINE_OCTETS: 75,
+
+  /**
+   * 生成日历文本
+   * @param {Array} components - 组件数组 [{type: 'VTODO', properties: [[名称, 值, 参数对象]]}]，值为空的属性省略
+   * @returns {String} .ics 文本（CRLF 换行）
+   */
+  stringify(components) {
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${this.PRODUCT_ID}`, 'CALSCALE:GREGORIAN'];
+
+    components.forEach(component => {
+      lines.push(`BEGIN:${component.type}`);
+      component.properties
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .forEach(([name, value, params]) => lines.push(this.formatProperty(name, value, params)));
+      lines.push(`END:${component.type}`);
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.join('\r\n') + '\r\n';
+  },
+
+  /**
+   * 生成一个属性行（超过 75 字节时折行）
+   * @param {String} name - 属性名
+   * @param {String} value - 已转义的属性值
+   * @param {Object} params - 参数，例如 {VALUE: 'DATE'}
+   * @returns {String}
+   */
+  formatProperty(name, value, params = {}) {
+    const paramText = Object.entries(params).map(([key, param]) => `;${key}=${param}`).join('');
+    return this.foldLine(`${name}${paramText}:${value}`);
+  },
+
+  /**
+   * 折行：每行不超过 75 字节，后续行以一个空格开头（不拆开多字节字符）
+   * @param {String} line - 属性行
+   * @returns {String}
+   */
+  foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+
+    for (const char of line) {
+      const charSize = encoder.encode(char).length;
+      const limit = parts.length === 0 ? this.MAX_LINE_OCTETS : this.MAX_LINE_OCTETS - 1;
+      if (size + charSize > limit) {
+        parts.push(current);
+        current = '';
+        size = 0;
+      }
+      current += char;
+      size += charSize;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  },
+
+  /**
+   * 转义文本值（反斜杠、分号、逗号和换行）
+   * @param {String} text - 文本
+   * @returns {String}
+   */
+  escapeText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r\n?|\n/g, '\\n');
+  },
+
+  /**
+   * 还原转义的文本值
+   * @param {String} text - 转义的文本
+   * @returns {String}
+   */
+  unescapeText(text) {
+    return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+  },
+
+  /**
+   * 拆分以逗号分隔的多个文本值（例如 CATEGORIES）
+   * @param {String} value - 属性值
+   * @returns {Array} 还原转义后的文本数组
+   */
+  splitList(value) {
+    return (value.match(/(?:\\.|[^,\\])+/g) || [])
+      .map(item => this.unescapeText(item).trim())
+      .filter(item => item);
+  },
+
+  /**
+   * 格式化为 UTC 日期时间，例如 20251027T063000Z
+   * @param {Number} timestamp - 时间戳
+   * @returns {String}
+   */
+  formatDateTime(timestamp) {
+    return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  },
+
+  /**
+   * 格式化为本地日期，例如 20251027（用于 VALUE=DATE）
+   * @param {Number} timestamp - 时间戳
+   * @returns {String}
+   */
+  formatDate(timestamp) {
+    return DateUtil.formatDate(new Date(timestamp)).replace(/-/g, '');
+  },
+
+  /**
+   * 解析日期或日期时间（带 TZID 或不带 Z 的时间按本地时间处理）
+   * @param {String} value - 属性值
+   * @returns {Object|null} {timestamp, hasTime}，无法解析时为 null
+   */
+  parseDate(value) {
+    const match = String(value).trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) {
+      return null;
+    }
+
+    const [, year, month, day, hours, minutes, seconds] = match.map(part => Number(part) || 0);
+    const hasTime = match[4] !== undefined;
+    const timestamp = match[7]
+      ? Date.UTC(year, month - 1, day, hours, minutes, seconds)
+      : new Date(year, month - 1, day, hours, minutes, seconds).getTime();
+
+    return isNaN(timestamp) ? null : { timestamp, hasTime };
+  },
+
+  /**
+   * 解析日历文本中的 VTODO 和 VEVENT 组件（忽略其中嵌套的 VALARM 等组件）
+   * @param {String} text - .ics 文本
+   * @returns {Array} 组件数组 [{type, properties: {属性名: [{value, params}]}}]
+   */
+  parse(text) {
+    const lines = text
+      .replace(/^\uFEFF/, '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/\n[ \t]/g, '')
+      .split('\n');
+    const components = [];
+    let current = null;
+    let depth = 0;
+
+    lines.forEach(line => {
+      const property = this.parseLine(line);
+      if (!property) {
+        return;
+      }
+
+      if (property.name === 'BEGIN') {
+        const type = property.value.toUpperCase();
+        if (!current && (type === 'VTODO' || type === 'VEVENT')) {
+          current = { type, properties: {} };
+          depth = 0;
+        } else if (current) {
+          depth++;
+        }
+      } else if (property.name === 'END') {
+        if (current && depth === 0) {
+          components.push(current);
+          current = null;
+        } else if (current) {
+          depth--;
+        }
+      } else if (current && depth === 0) {
+        if (!current.properties[property.name]) {
+          current.properties[property.name] = [];
+        }
+        current.properties[property.name].push({ value: property.value, params: property.params });
+      }
+    });
+
+    return components;
+  },
+
+  /**
+   * 解析一个属性行
+   * @param {String} line - 属性行（已展开折行）
+   * @returns {Object|null} {name, params, value}
+   */
+  parseLine(line) {
+    // 值之前的第一个冒号（参数值可以用引号括起并包含冒号）
+    const match = line.match(/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:,]*)(?:,(?:"[^"]*"|[^";:,]*))*)*):(.*)$/);
+    if (!match) {
+      return null;
+    }
+
+    const params = {};
+    (match[2].match(/;[^;=]+=(?:"[^"]*"|[^";]*)(?:,(?:"[^"]*"|[^";]*))*/g) || []).forEach(param => {
+      const [key, ...rest] = param.slice(1).split('=');
+      params[key.toUpperCase()] = rest.join('=').replace(/^"(.*)"$/, '$1');
+    });
+
+    return { name: match[1].toUpperCase(), params, value: match[3] };
+  },
+
+  /**
+   * 获取组件的第一个属性值
+   * @param {Object} component - parse 返回的组件
+   * @param {String} name - 属性名
+   * @returns {Object|null} {value, params}
+   */
+  getProperty(component, name) {
+    const values = component.properties[name];
+    return values && values.length > 0 ? values[0] : null;
+  }
+};
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IcsUtil;
+}
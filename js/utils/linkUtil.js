@@ -0,0 +1,73 @@
+/**
+ * 备忘录链接工具
+ * 解析和改写内容中的 [[备忘录标题]] 链接
+ */
+
+const LinkUtil = {
+  /**
+   * 链接匹配规则：[[标题]]，标题不能包含方括号或换行
+   */
+  PATTERN: /\[\[([^[\]\n]+)\]\]/g,
+
+  /**
+   * 提取内容中链接的标题（去重，按出现顺序）
+   * @param {String} content - 备忘录内容
+   * @returns {Array} 标题数组
+   */
+  extractTitles(content = '') {
+    const titles = [];
+    for (const match of content.matchAll(this.PATTERN)) {
+      const title = match[1].trim();
+      if (title && !titles.includes(title)) {
+        titles.push(title);
+      }
+    }
+    return titles;
+  },
+
+  /**
+   * 将内容拆分为文本和链接片段
+   * @param {String} content - 备忘录内容
+   * @returns {Array} 片段数组 [{type: text|link, text}]
+   */
+  parse(content = '') {
+    const segments = [];
+    let lastIndex = 0;
+
+    for (const match of content.matchAll(this.PATTERN)) {
+      const title = match[1].trim();
+      if (!title) {
+        continue;
+      }
+      if (match.index > lastIndex) {
+        segments.push({ type: 'text', text: content.slice(lastIndex, match.index) });
+      }
+      segments.push({ type: 'link', text: title });
+      lastIndex = match.index + match[0].length;
+    }
+
+    if (lastIndex < content.length) {
+      segments.push({ type: 'text', text: content.slice(lastIndex) });
+    }
+
+    return segments;
+  },
+
+  /**
+   * 将内容中指向旧标题的链接改写为新标题
+   * @param {String} content - 备忘录内容
+   * @param {String} oldTitle - 旧标题
+   * @param {String} newTitle - 新标题
+   * @returns {String} 改写后的内容
+   */
+  renameTitle(content = '', oldTitle, newTitle) {
+    return content.replace(this.PATTERN, (match, title) =>
+      title.trim() === oldTitle ? `[[${newTitle}]]` : match
+    );
+  }
+};
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LinkUtil;
+}
@@ -0,0 +1,308 @@
+/**
+ * Markdown 工具
+ * 备忘录与带 YAML front matter 的 Markdown 文件互相转换（与 Obsidian 等工具的格式兼容）
+ *
+ * front matter 只支持备忘录用到的 YAML 子集：标量、行内列表 [a, b]、块列表（- a）和块文本（| / >）。
+ */
+
+const MarkdownUtil = {
+  /**
+   * 优先级的其他写法
+   */
+  PRIORITY_ALIASES: {
+    high: '高',
+    medium: '中',
+    normal: '中',
+    low: '低'
+  },
+
+  /**
+   * 文件名中不允许的字符（包括 Obsidian 链接中有特殊含义的字符）
+   */
+  UNSAFE_FILENAME_PATTERN: /[\\/:*?"<>|#^[\]\u0000-\u001f]/g,
+
+  /**
+   * 把备忘录转换为 Markdown 文本
+   * @param {Object} memo - 备忘录对象
+   * @returns {String} Markdown 文本
+   */
+  memoToMarkdown(memo) {
+    const frontMatter = {
+      id: memo.id,
+      title: memo.title,
+      category: memo.category,
+      priority: memo.priority,
+      tags: memo.tags,
+      created: new Date(memo.createdAt).toISOString(),
+      updated: new Date(memo.updatedAt).toISOString(),
+      completed: memo.isCompleted
+    };
+
+    if (memo.isCompleted && memo.completedAt) {
+      frontMatter.completedAt = new Date(memo.completedAt).toISOString();
+    }
+    if (memo.dueAt) {
+      frontMatter.due = memo.dueHasTime
+        ? new Date(memo.dueAt).toISOString()
+        : DateUtil.formatDate(new Date(memo.dueAt));
+    }
+    if (memo.isPinned) {
+      frontMatter.pinned = true;
+    }
+    if (memo.isArchived) {
+      frontMatter.archived = true;
+    }
+
+    return `---\n${this.stringifyYaml(frontMatter)}---\n\n${memo.content}\n`;
+  },
+
+  /**
+   * 从 Markdown 文本读取备忘录
+   * 没有 front matter 中的标题时，依次使用第一行的一级标题和文件名
+   * @param {String} text - Markdown 文本
+   * @param {String} filename - 文件名
+   * @returns {Object} 备忘录对象（缺少的字段由 Memo 使用默认值）
+   */
+  markdownToMemo(text, filename = '') {
+    const { data, body } = this.parseFrontMatter(text);
+    let content = body.replace(/\s+$/, '');
+    let title = data.title != null ? String(data.title).trim() : '';
+
+    if (!title) {
+      const heading = content.match(/^#\s+(.+)\n*/);
+      if (heading) {
+        title = heading[1].trim();
+        content = content.slice(heading[0].length);
+      } else {
+        title = filename.replace(/^.*\//, '').replace(/\.(md|markdown)$/i, '');
+      }
+    }
+
+    const memo = { title, content };
+
+    if (data.id) memo.id = String(data.id);
+    if (data.category) memo.category = String(data.category).trim();
+
+    const priority = data.priority != null ? String(data.priority).trim() : '';
+    if (priority) {
+      memo.priority = this.PRIORITY_ALIASES[priority.toLowerCase()] || priority;
+    }
+
+    const tags = data.tags != null ? data.tags : data.tag;
+    if (tags != null) {
+      // YAML 列表中的标签原样读取；写在一行中的标签（例如 Obsidian 的 "#工作 #重要"）去掉开头的 #
+      memo.tags = (Array.isArray(tags)
+        ? tags.map(tag => String(tag).trim())
+        : String(tags).split(/[,\s]+/).map(tag => tag.replace(/^#/, '')))
+        .filter(tag => tag);
+    }
+
+    const createdAt = this.parseDate(data.created != null ? data.created : data.date);
+    const updatedAt = this.parseDate(data.updated != null ? data.updated : data.modified);
+    if (createdAt) memo.createdAt = createdAt;
+    if (updatedAt || createdAt) memo.updatedAt = updatedAt || createdAt;
+
+    const completed = data.completed != null ? data.completed : data.done;
+    if (completed != null) {
+      memo.isCompleted = completed === true || String(completed).toLowerCase() === 'true';
+      if (memo.isCompleted) {
+        memo.completedAt = this.parseDate(data.completedAt) || memo.updatedAt || null;
+      }
+    }
+
+    if (data.due) {
+      memo.dueAt = this.parseDate(data.due);
+      memo.dueHasTime = !/^\d{4}-\d{2}-\d{2}$/.test(String(data.due).trim());
+    }
+    if (data.pinned === true) memo.isPinned = true;
+    if (data.archived === true) {
+      memo.isArchived = true;
+      memo.archivedAt = memo.updatedAt || Date.now();
+    }
+
+    return memo;
+  },
+
+  /**
+   * 解析日期（只有日期时按本地时间的零点）
+   * @param {*} value - 日期字符串或时间戳
+   * @returns {Number|null} 时间戳
+   */
+  parseDate(value) {
+    if (value == null || value === '') {
+      return null;
+    }
+    if (typeof value === 'number') {
+      return value;
+    }
+
+    const text = String(value).trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+      return DateUtil.fromInputValues(text);
+    }
+    return DateUtil.parse(text);
+  },
+
+  /**
+   * 根据标题生成不重复的文件名
+   * @param {String} title - 标题
+   * @param {Set} usedNames - 已使用的文件名（小写），生成后加入其中
+   * @returns {String} 文件名（含 .md）
+   */
+  getFilename(title, usedNames) {
+    const base = (title || '').replace(this.UNSAFE_FILENAME_PATTERN, '-').trim().slice(0, 80) || '未命名';
+    let name = `${base}.md`;
+    for (let i = 2; usedNames.has(name.toLowerCase()); i++) {
+      name = `${base} (${i}).md`;
+    }
+    usedNames.add(name.toLowerCase());
+    return name;
+  },
+
+  /**
+   * 拆分 front matter 和正文
+   * @param {String} text - Markdown 文本
+   * @returns {Object} {data: front matter 对象, body: 正文}
+   */
+  parseFrontMatter(text) {
+    const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const match = normalized.match(/^---[ \t]*\n(?:([\s\S]*?)\n)?(?:---|\.\.\.)[ \t]*(?:\n|$)/);
+    if (!match) {
+      return { data: {}, body: normalized };
+    }
+
+    return {
+      data: this.parseYaml(match[1] || ''),
+      body: normalized.slice(match[0].length).replace(/^\n/, '')
+    };
+  },
+
+  /**
+   * 解析 YAML（只支持顶层的键值对）
+   * @param {String} text - YAML 文本
+   * @returns {Object} 解析结果
+   */
+  parseYaml(text) {
+    const data = {};
+    const lines = text.split('\n');
+    let currentKey = null;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (!line.trim() || line.trim().startsWith('#')) {
+        continue;
+      }
+
+      const item = line.match(/^\s*-\s+(.*)$|^\s*-$/);
+      if (item && currentKey !== null) {
+        if (!Array.isArray(data[currentKey])) {
+          data[currentKey] = [];
+        }
+        data[currentKey].push(this.parseScalar((item[1] || '').trim()));
+        continue;
+      }
+
+      const pair = line.match(/^([^\s#][^:]*?)\s*:(?:\s+(.*))?$/);
+      if (!pair) {
+        continue;
+      }
+
+      currentKey = pair[1].replace(/^(["'])(.*)\1$/, '$2');
+      const raw = (pair[2] || '').trim();
+
+      // 块文本：| 保留换行，> 把换行折叠为空格
+      if (/^[|>][+-]?$/.test(raw)) {
+        const block = [];
+        while (i + 1 < lines.length && (/^\s/.test(lines[i + 1]) || !lines[i + 1].trim())) {
+          block.push(lines[++i]);
+        }
+        const indent = Math.min(...block.filter(l => l.trim()).map(l => l.match(/^\s*/)[0].length));
+        const blockLines = block.map(l => l.slice(Number.isFinite(indent) ? indent : 0));
+        data[currentKey] = (raw[0] === '|' ? blockLines.join('\n') : blockLines.join(' ')).replace(/\s+$/, '');
+        continue;
+      }
+
+      data[currentKey] = raw === '' ? null : this.parseScalar(raw);
+    }
+
+    return data;
+  },
+
+  /**
+   * 解析 YAML 标量或行内列表
+   * @param {String} raw - 原始文本
+   * @returns {*} 值
+   */
+  parseScalar(raw) {
+    if (raw.startsWith('"')) {
+      try {
+        return JSON.parse(raw.match(/^"(?:[^"\\]|\\.)*"/)[0]);
+      } catch (error) {
+        return raw.slice(1).replace(/"$/, '');
+      }
+    }
+    if (raw.startsWith("'")) {
+      const match = raw.match(/^'((?:[^']|'')*)'/);
+      return match ? match[1].replace(/''/g, "'") : raw.slice(1);
+    }
+    if (raw.startsWith('[')) {
+      const inner = raw.replace(/^\[/, '').replace(/\]\s*(#.*)?$/, '');
+      const items = inner.match(/"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+/g) || [];
+      return items.map(item => item.trim()).filter(item => item).map(item => this.parseScalar(item));
+    }
+
+    const text = raw.replace(/\s+#.*$/, '');
+    const lower = text.toLowerCase();
+    if (lower === 'true') return true;
+    if (lower === 'false') return false;
+    if (lower === 'null' || text === '~') return null;
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+    return text;
+  },
+
+  /**
+   * 生成 YAML（值为 null 或 undefined 的键省略）
+   * @param {Object} data - 键值对
+   * @returns {String} YAML 文本（每行以换行结尾）
+   */
+  stringifyYaml(data) {
+    return Object.entries(data)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => {
+        if (!Array.isArray(value)) {
+          return `${key}: ${this.formatScalar(value)}\n`;
+        }
+        if (value.length === 0) {
+          return `${key}: []\n`;
+        }
+        return `${key}:\n` + value.map(item => `  - ${this.formatScalar(item)}\n`).join('');
+      })
+      .join('');
+  },
+
+  /**
+   * 格式化 YAML 标量（可能被误解析的字符串加双引号）
+   * @param {*} value - 值
+   * @returns {String}
+   */
+  formatScalar(value) {
+    if (typeof value === 'boolean' || typeof value === 'number') {
+      return String(value);
+    }
+
+    const text = String(value);
+    const needsQuotes = text === '' ||
+      /^[\s\-?:,[\]{}#&*!|>'"%@`]/.test(text) ||
+      /\s$/.test(text) ||
+      /:\s|:$|\s#|[\n\r\t]/.test(text) ||
+      /^(true|false|null|~)$/i.test(text) ||
+      /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text);
+
+    return needsQuotes ? JSON.stringify(text) : text;
+  }
+};
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MarkdownUtil;
+}
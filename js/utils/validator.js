@@ -87,15 +87,21 @@ const Validator = {
   /**
    * 验证分类
    * @param {String} category - 分类
+   * @param {Array|null} validCategories - 有效的分类名称（来自分类列表），为空时只检查是否填写
    * @returns {Object} 验证结果 {isValid, message}
    */
-  validateCategory(category) {
-    const validCategories = ['工作', '生活', '学习', '其他'];
+  validateCategory(category, validCategories = null) {
+    if (this.isEmpty(category)) {
+      return {
+        isValid: false,
+        message: '分类不能为空'
+      };
+    }
     
-    if (!validCategories.includes(category)) {
+    if (validCategories && !validCategories.includes(category)) {
       return {
         isValid: false,
-        message: '分类必须是：工作、生活、学习、其他之一'
+        message: `分类必须是：${validCategories.join('、')}之一`
       };
     }
     
@@ -126,6 +132,32 @@ const Validator = {
     };
   },
 
+  /**
+   * 验证截止时间
+   * @param {Number|null} dueAt - 截止时间戳
+   * @returns {Object} 验证结果 {isValid, message}
+   */
+  validateDueAt(dueAt) {
+    if (dueAt === null || dueAt === undefined || dueAt === '') {
+      return {
+        isValid: true,
+        message: ''
+      };
+    }
+
+    if (typeof dueAt !== 'number' || !isFinite(dueAt)) {
+      return {
+        isValid: false,
+        message: '截止时间格式无效'
+      };
+    }
+
+    return {
+      isValid: true,
+      message: ''
+    };
+  },
+
   /**
    * 验证标签
    * @param {String} tag - 标签
@@ -180,12 +212,138 @@ const Validator = {
     };
   },
 
+  /**
+   * 验证重复规则
+   * @param {Object|null} recurrence - 重复规则 {type, interval, weekdays, dayOfMonth, until}
+   * @returns {Object} 验证结果 {isValid, message}
+   */
+  validateRecurrence(recurrence) {
+    if (!recurrence) {
+      return {
+        isValid: true,
+        message: ''
+      };
+    }
+
+    const validTypes = ['daily', 'weekly', 'monthly', 'interval'];
+    if (!validTypes.includes(recurrence.type)) {
+      return {
+        isValid: false,
+        message: '重复类型必须是：每天、每周、每月、每隔N天之一'
+      };
+    }
+
+    if (recurrence.type === 'interval') {
+      const interval = Number(recurrence.interval);
+      if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+        return {
+          isValid: false,
+          message: '重复间隔必须是1到365之间的整数'
+        };
+      }
+    }
+
+    if (recurrence.type === 'weekly') {
+      const weekdays = recurrence.weekdays || [];
+      if (weekdays.length === 0 || weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        return {
+          isValid: false,
+          message: '每周重复至少需要选择一天'
+        };
+      }
+    }
+
+    if (recurrence.type === 'monthly') {
+      const day = Number(recurrence.dayOfMonth);
+      if (!Number.isInteger(day) || day < 1 || day > 31) {
+        return {
+          isValid: false,
+          message: '每月重复的日期必须是1到31之间的整数'
+        };
+      }
+    }
+
+    if (recurrence.until !== undefined && recurrence.until !== null &&
+        (typeof recurrence.until !== 'number' || !isFinite(recurrence.until))) {
+      return {
+        isValid: false,
+        message: '重复结束日期格式无效'
+      };
+    }
+
+    return {
+      isValid: true,
+      message: ''
+    };
+  },
+
+  /**
+   * 验证清单项数组
+   * @param {Array} checklist - 清单项数组
+   * @returns {Object} 验证结果 {isValid, message}
+   */
+  validateChecklist(checklist) {
+    if (!Array.isArray(checklist)) {
+      return {
+        isValid: false,
+        message: '清单必须是数组'
+      };
+    }
+
+    if (checklist.length > 100) {
+      return {
+        isValid: false,
+        message: '清单项数量不能超过100个'
+      };
+    }
+
+    for (let item of checklist) {
+      if (!item || this.isEmpty(item.text)) {
+        return {
+          isValid: false,
+          message: '清单项内容不能为空'
+        };
+      }
+
+      const result = this.validateLength(item.text, 1, 200);
+      if (!result.isValid) {
+        result.message = '清单项' + result.message;
+        return result;
+      }
+    }
+
+    return {
+      isValid: true,
+      message: ''
+    };
+  },
+
+  /**
+   * 验证链接的备忘录ID数组
+   * @param {Array} links - 备忘录ID数组
+   * @returns {Object} 验证结果 {isValid, message}
+   */
+  validateLinks(links) {
+    if (!Array.isArray(links) || links.some(id => typeof id !== 'string' || this.isEmpty(id))) {
+      return {
+        isValid: false,
+        message: '链接必须是备忘录ID数组'
+      };
+    }
+
+    return {
+      isValid: true,
+      message: ''
+    };
+  },
+
   /**
    * 验证完整的备忘录数据
    * @param {Object} memoData - 备忘录数据
+   * @param {Object} options - 验证选项 {categories: 有效的分类名称}
    * @returns {Object} 验证结果 {isValid, errors}
    */
-  validateMemo(memoData) {
+  validateMemo(memoData, options = {}) {
     const errors = [];
     
     // 验证标题
@@ -202,7 +360,7 @@ const Validator = {
     
     // 验证分类
     if (memoData.category) {
-      const categoryResult = this.validateCategory(memoData.category);
+      const categoryResult = this.validateCategory(memoData.category, options.categories);
       if (!categoryResult.isValid) {
         errors.push(categoryResult.message);
       }
@@ -216,6 +374,14 @@ const Validator = {
       }
     }
     
+    // 验证截止时间
+    if (memoData.dueAt !== undefined) {
+      const dueResult = this.validateDueAt(memoData.dueAt);
+      if (!dueResult.isValid) {
+        errors.push(dueResult.message);
+      }
+    }
+    
     // 验证标签
     if (memoData.tags) {
       const tagsResult = this.validateTags(memoData.tags);
@@ -224,6 +390,30 @@ const Validator = {
       }
     }
     
+    // 验证重复规则
+    if (memoData.recurrence) {
+      const recurrenceResult = this.validateRecurrence(memoData.recurrence);
+      if (!recurrenceResult.isValid) {
+        errors.push(recurrenceResult.message);
+      }
+    }
+    
+    // 验证清单
+    if (memoData.checklist) {
+      const checklistResult = this.validateChecklist(memoData.checklist);
+      if (!checklistResult.isValid) {
+        errors.push(checklistResult.message);
+      }
+    }
+    
+    // 验证链接
+    if (memoData.links) {
+      const linksResult = this.validateLinks(memoData.links);
+      if (!linksResult.isValid) {
+        errors.push(linksResult.message);
+      }
+    }
+    
     return {
       isValid: errors.length === 0,
       errors
@@ -0,0 +1,211 @@
+/**
+ * ZIP 工具
+ * 在浏览器中生成和读取 ZIP 压缩包，不依赖第三方库
+ *
+ * 生成时不压缩（存储方式），文件名使用 UTF-8；
+ * 读取时支持存储和 Deflate 两种方式（Deflate 需要浏览器支持 DecompressionStream）。
+ */
+
+const ZipUtil = {
+  /**
+   * CRC-32 查找表
+   */
+  CRC_TABLE: (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let c = i;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[i] = c >>> 0;
+    }
+    return table;
+  })(),
+
+  /**
+   * 计算 CRC-32 校验值
+   * @param {Uint8Array} bytes - 数据
+   * @returns {Number} 校验值（无符号 32 位整数）
+   */
+  crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = this.CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  },
+
+  /**
+   * 时间戳转换为 DOS 格式的日期和时间
+   * @param {Number} timestamp - 时间戳
+   * @returns {Object} {date, time}
+   */
+  toDosDateTime(timestamp) {
+    const d = new Date(timestamp);
+    const year = Math.max(d.getFullYear(), 1980);
+    return {
+      date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+      time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2)
+    };
+  },
+
+  /**
+   * 生成 ZIP 压缩包
+   * @param {Array} files - 文件数组 [{name, content: String|Uint8Array, modifiedAt}]
+   * @returns {Uint8Array} ZIP 数据
+   */
+  create(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+      const crc = this.crc32(data);
+      const { date, time } = this.toDosDateTime(file.modifiedAt || Date.now());
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true); // 本地文件头标识
+      local.setUint16(4, 20, true); // 解压所需版本
+      local.setUint16(6, 0x0800, true); // 文件名使用 UTF-8
+      local.setUint16(8, 0, true); // 存储方式（不压缩）
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014B50, true); // 中央目录标识
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true); // 本地文件头的位置
+
+      localParts.push(new Uint8Array(local.buffer), name, data);
+      centralParts.push(new Uint8Array(central.buffer), name);
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // 中央目录结束标识
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return this.concat([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+  },
+
+  /**
+   * 合并多个字节数组
+   * @param {Array} parts - Uint8Array 数组
+   * @returns {Uint8Array}
+   */
+  concat(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+      result.set(part, position);
+      position += part.length;
+    });
+    return result;
+  },
+
+  /**
+   * 判断数据是否为 ZIP 压缩包
+   * @param {Uint8Array} bytes - 数据
+   * @returns {Boolean}
+   */
+  isZip(bytes) {
+    return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04;
+  },
+
+  /**
+   * 读取 ZIP 压缩包中的文件（忽略目录）
+   * @param {Uint8Array} bytes - ZIP 数据
+   * @returns {Promise<Array>} 文件数组 [{name, content: Uint8Array}]
+   */
+  async read(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // 从末尾向前查找中央目录结束记录（其后可能有最长 65535 字节的注释）
+    let endOffset = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+      if (view.getUint32(i, true) === 0x06054B50) {
+        endOffset = i;
+        break;
+      }
+    }
+    if (endOffset === -1) {
+      throw new Error('不是有效的 ZIP 文件');
+    }
+
+    const count = view.getUint16(endOffset + 10, true);
+    let position = view.getUint32(endOffset + 16, true);
+    const decoder = new TextDecoder();
+    const files = [];
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(position, true) !== 0x02014B50) {
+        throw new Error('ZIP 文件的目录已损坏');
+      }
+
+      const method = view.getUint16(position + 10, true);
+      const compressedSize = view.getUint32(position + 20, true);
+      const nameLength = view.getUint16(position + 28, true);
+      const extraLength = view.getUint16(position + 30, true);
+      const commentLength = view.getUint16(position + 32, true);
+      const localOffset = view.getUint32(position + 42, true);
+      const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+      position += 46 + nameLength + extraLength + commentLength;
+
+      if (name.endsWith('/')) {
+        continue;
+      }
+
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+      if (method === 0) {
+        files.push({ name, content: data.slice() });
+      } else if (method === 8) {
+        files.push({ name, content: await this.inflate(data) });
+      } else {
+        throw new Error(`不支持的压缩方式（${name}）`);
+      }
+    }
+
+    return files;
+  },
+
+  /**
+   * 解压 Deflate 数据
+   * @param {Uint8Array} bytes - 压缩的数据
+   * @returns {Promise<Uint8Array>} 解压后的数据
+   */
+  async inflate(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('当前浏览器不支持解压缩，请先解压后选择其中的 .md 文件');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+};
+
+// 导出
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ZipUtil;
+}
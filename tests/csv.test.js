@@ -0,0 +1,42 @@
+/**
+ * CSV 导出和导入测试
+ * 运行：node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/loadScripts');
+
+const { CsvUtil, MemoService, StorageManager } = loadScripts();
+
+test('以公式字符开头的单元格导出时加单引号，解析时去掉', () => {
+  assert.strictEqual(CsvUtil.escape('=1+1'), "'=1+1");
+  assert.strictEqual(CsvUtil.escape('@home'), "'@home");
+  assert.strictEqual(CsvUtil.escape("'=already"), "''=already");
+  assert.strictEqual(CsvUtil.escape('普通文本'), '普通文本');
+
+  ['=1+1', '+86', '-5', '@home', "'=already", "'plain"].forEach(text => {
+    assert.strictEqual(CsvUtil.unescapeFormula(CsvUtil.escape(text)), text);
+  });
+});
+
+test('导出后再导入，以公式字符开头的内容保持不变', () => {
+  const service = new MemoService(new StorageManager(`test-${Math.random()}`));
+  [
+    { title: '=HYPERLINK("http://example.com")', content: "'=already", tags: ['@home', 'x'] },
+    { title: '-5', content: '+1\n第二行' }
+  ].forEach(data => {
+    assert.ok(service.createMemo({ category: '工作', ...data }).success);
+  });
+
+  const memos = service.sortMemos(service.getAllMemos(), 'manual', 'asc');
+  const rows = CsvUtil.parse(service.exportCsv(memos));
+  assert.ok(rows.slice(1).every(row => !/^[=+\-@]/.test(row[0])));
+
+  const parsed = service.parseCsvRows(rows.slice(1), service.guessCsvMapping(rows[0]));
+  assert.ok(parsed.every(item => item.errors.length === 0));
+  assert.deepStrictEqual(
+    parsed.map(item => [item.memo.title, item.memo.content, Array.from(item.memo.tags || [])]),
+    memos.map(memo => [memo.title, memo.content, Array.from(memo.tags)])
+  );
+});
@@ -0,0 +1,96 @@
+/**
+ * 备忘录列表的筛选和排序测试
+ * 运行：node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/loadScripts');
+
+const { MemoService, StorageManager, LocalMemoApp } = loadScripts();
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * 创建带有不同截止时间的备忘录，以及只调用 applyFiltersAndSort 所需方法的应用对象
+ * @returns {Object} {app, rendered}
+ */
+function createApp() {
+  const service = new MemoService(new StorageManager(`test-${Math.random()}`));
+  const now = Date.now();
+  const endOfToday = new Date();
+  endOfToday.setHours(23, 59, 0, 0);
+
+  [
+    { title: '没有截止时间' },
+    { title: '已逾期', dueAt: now - 48 * HOUR, dueHasTime: true },
+    { title: '今天到期', dueAt: endOfToday.getTime(), dueHasTime: true },
+    { title: '下个月到期', dueAt: now + 30 * 24 * HOUR, dueHasTime: true }
+  ].forEach(data => {
+    assert.ok(service.createMemo({ content: '', category: '工作', ...data }).success);
+  });
+
+  const rendered = { titles: [] };
+  const app = Object.create(LocalMemoApp.prototype);
+  app.service = service;
+  app.currentFilters = { search: '', category: '', priority: '全部', status: 'all', due: '' };
+  app.currentSort = 'updatedAt-desc';
+  // vm 中创建的数组原型不同，转换为当前环境的数组再比较
+  app.memoList = { render: memos => { rendered.titles = Array.from(memos, memo => memo.title); } };
+  app.updateStats = () => {};
+
+  return { app, rendered };
+}
+
+test('截止时间筛选只显示对应范围内的备忘录', () => {
+  const { app, rendered } = createApp();
+
+  app.applyFiltersAndSort();
+  assert.strictEqual(rendered.titles.length, 4);
+
+  app.currentFilters.due = 'overdue';
+  app.applyFiltersAndSort();
+  assert.deepStrictEqual(rendered.titles, ['已逾期']);
+
+  app.currentFilters.due = 'today';
+  app.applyFiltersAndSort();
+  assert.deepStrictEqual(rendered.titles, ['今天到期']);
+});
+
+test('按截止时间排序，没有截止时间的排在最后', () => {
+  const { app, rendered } = createApp();
+
+  app.currentSort = 'dueAt-asc';
+  app.applyFiltersAndSort();
+  assert.deepStrictEqual(rendered.titles, ['已逾期', '今天到期', '下个月到期', '没有截止时间']);
+
+  app.currentSort = 'dueAt-desc';
+  app.applyFiltersAndSort();
+  assert.deepStrictEqual(rendered.titles, ['下个月到期', '今天到期', '已逾期', '没有截止时间']);
+});
+
+test('状态筛选与截止时间筛选可以组合', () => {
+  const { app, rendered } = createApp();
+  const overdue = app.service.getAllMemos().find(memo => memo.title === '已逾期');
+  assert.ok(app.service.toggleMemoComplete(overdue.id).success);
+
+  app.currentFilters.status = 'pending';
+  app.applyFiltersAndSort();
+  assert.ok(!rendered.titles.includes('已逾期'));
+
+  app.currentFilters.status = 'completed';
+  app.applyFiltersAndSort();
+  assert.deepStrictEqual(rendered.titles, ['已逾期']);
+});
+
+test('手动排序按调整后的顺序显示，列表刷新时沿用同样的筛选和排序', () => {
+  const { app, rendered } = createApp();
+  const reversed = app.service.sortMemos(app.service.getAllMemos(), 'manual', 'asc').reverse();
+  assert.ok(app.service.reorderMemos(reversed.map(memo => memo.id)).success);
+
+  app.currentSort = 'manual-asc';
+  app.currentFilters.status = 'pending';
+  app.applyFiltersAndSort();
+  assert.deepStrictEqual(rendered.titles, Array.from(reversed, memo => memo.title));
+  assert.deepStrictEqual({ ...app.memoList.currentSort }, { by: 'manual', order: 'asc' });
+  assert.strictEqual(app.memoList.currentFilter.isCompleted, false);
+});
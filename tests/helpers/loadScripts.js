@@ -0,0 +1,67 @@
+/**
+ * 测试用的脚本加载器
+ *
+ * 在 vm 中按 index.html 的顺序加载浏览器脚本，localStorage 和 document 使用最小的内存实现
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * 默认导出的全局类和工具
+ */
+const DEFAULT_NAMES = [
+  'Memo',
+  'MemoService',
+  'StorageManager',
+  'LocalMemoApp',
+  'CsvUtil',
+  'RecoveryService',
+  'SyncService'
+];
+
+/**
+ * 创建内存中的 localStorage
+ * @returns {Object}
+ */
+function createLocalStorage() {
+  const data = new Map();
+  return {
+    get length() { return data.size; },
+    key: index => [...data.keys()][index] ?? null,
+    getItem: key => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: key => data.delete(key),
+    clear: () => data.clear()
+  };
+}
+
+/**
+ * 按 index.html 中的顺序加载全部脚本，返回其中的全局类
+ * 每次调用使用新的 vm 环境和空的 localStorage
+ * @param {Array} names - 要返回的全局名称
+ * @returns {Object} 名称到全局类的映射
+ */
+function loadScripts(names = DEFAULT_NAMES) {
+  const context = {
+    console,
+    TextEncoder,
+    TextDecoder,
+    localStorage: createLocalStorage(),
+    // app.js 加载时创建应用实例，等待 DOMContentLoaded 的初始化不会执行
+    document: { readyState: 'loading', addEventListener() {} }
+  };
+  context.window = context;
+  vm.createContext(context);
+
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+  const source = scripts.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n;\n');
+  vm.runInContext(`${source}\n;globalThis.exports = { ${names.join(', ')} };`, context);
+  return context.exports;
+}
+
+module.exports = { loadScripts, createLocalStorage };
@@ -0,0 +1,69 @@
+/**
+ * 导入预览和复制到其他工作区的测试
+ * 运行：node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/loadScripts');
+
+const { MemoService, StorageManager } = loadScripts();
+
+/**
+ * 创建使用独立存储的备忘录服务
+ * @returns {MemoService}
+ */
+function createService() {
+  return new MemoService(new StorageManager(`test-${Math.random()}`));
+}
+
+test('复制到其他工作区时新备忘录保留ID，目标中已有的备忘录复制为新ID', () => {
+  const source = createService();
+  const target = createService();
+  const { memo: shared } = source.createMemo({ title: '两边都有', content: '', category: '工作' });
+  const { memo: fresh } = source.createMemo({ title: '只在来源', content: '', category: '工作' });
+  assert.ok(target.applyImport(target.previewImport({ memos: [shared.toObject()] })).success);
+
+  const result = source.copyMemosTo([shared.id, fresh.id], target);
+  assert.ok(result.success, result.errors.join(', '));
+  assert.strictEqual(result.copied, 2);
+
+  const titles = Array.from(target.getAllMemos(), memo => memo.title).sort();
+  assert.deepStrictEqual(titles, ['两边都有', '两边都有', '只在来源']);
+  assert.ok(target.getMemoById(fresh.id));
+  assert.strictEqual(new Set(target.getAllMemos().map(memo => memo.id)).size, 3);
+});
+
+test('用导入的版本替换本机备忘录前保存快照', () => {
+  const service = createService();
+  const { memo } = service.createMemo({ title: '本机', content: '', category: '工作' });
+  const incoming = { ...memo.toObject(), title: '导入的', updatedAt: memo.updatedAt + 1000 };
+
+  const kept = service.applyImport(service.previewImport({ memos: [incoming] }));
+  assert.strictEqual(kept.kept, 1);
+  assert.strictEqual(service.getSnapshots().filter(snapshot => snapshot.reason === 'import').length, 0);
+
+  const preview = service.previewImport({ memos: [incoming] });
+  const report = service.applyImport(preview, { 0: 'theirs' });
+  assert.strictEqual(report.replaced, 1);
+  assert.strictEqual(service.getMemoById(memo.id).title, '导入的');
+  assert.strictEqual(service.getSnapshots().filter(snapshot => snapshot.reason === 'import').length, 1);
+});
+
+test('导入预览按编辑器的规则检查重复规则、清单和链接', () => {
+  const service = createService();
+  const base = { title: '导入', content: '', category: '工作' };
+
+  const preview = service.previewImport({
+    memos: [
+      { ...base, id: 'valid', recurrence: { type: 'weekly', weekdays: ['1'] }, checklist: [{ id: 'a', text: '一项', done: false }] },
+      { ...base, id: 'links', links: [42] },
+      { ...base, id: 'recurrence', recurrence: { type: 'interval', interval: 1000 } },
+      { ...base, id: 'checklist', checklist: [{ id: 'a', text: 'x'.repeat(201), done: false }] }
+    ]
+  });
+
+  assert.deepStrictEqual(Array.from(preview.items, item => item.status), ['new', 'invalid', 'invalid', 'invalid']);
+  assert.deepStrictEqual(Array.from(preview.items[1].errors), ['链接必须是备忘录ID数组']);
+  assert.deepStrictEqual(Array.from(preview.items[2].errors), ['重复间隔必须是1到365之间的整数']);
+});
@@ -0,0 +1,51 @@
+/**
+ * 损坏数据中找回备忘录的测试
+ * 运行：node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/loadScripts');
+
+const { Memo, RecoveryService } = loadScripts();
+
+/**
+ * 创建备忘录对象
+ * @param {String} title - 标题
+ * @returns {Object}
+ */
+function createMemoData(title) {
+  return new Memo({ title, content: `${title}的内容`, category: '工作' }).toObject();
+}
+
+test('能完整解析时按结构找回备忘录，跳过无效和重复的记录', () => {
+  const first = createMemoData('第一条');
+  const second = createMemoData('第二条');
+  const invalid = { ...createMemoData('无效'), title: '' };
+  const raw = JSON.stringify({ $checksum: 'x', $value: [first, second, invalid, first] });
+
+  const { memos, skipped } = RecoveryService.salvageMemos(raw);
+  assert.deepStrictEqual(Array.from(memos, memo => memo.title), ['第一条', '第二条']);
+  assert.strictEqual(skipped, 2);
+});
+
+test('快照和回收站中的备忘录也能找回', () => {
+  const memo = createMemoData('快照中的');
+  const trashed = createMemoData('回收站中的');
+  const raw = JSON.stringify({ memos: [memo], trash: [{ memo: trashed, deletedAt: Date.now() }] });
+
+  const { memos } = RecoveryService.salvageMemos(raw);
+  assert.deepStrictEqual(Array.from(memos, item => item.title), ['快照中的', '回收站中的']);
+});
+
+test('内容被截断时找回完整的备忘录', () => {
+  const complete = createMemoData('完整的');
+  const truncated = createMemoData('被截断的 {"id": "x"}');
+  const text = JSON.stringify([complete, truncated]);
+  const raw = text.slice(0, text.length - 40);
+
+  assert.throws(() => JSON.parse(raw));
+  const { memos, skipped } = RecoveryService.salvageMemos(raw);
+  assert.deepStrictEqual(Array.from(memos, memo => memo.title), ['完整的']);
+  assert.strictEqual(skipped, 0);
+});
@@ -0,0 +1,138 @@
+/**
+ * 重复规则测试
+ * 运行：node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/loadScripts');
+
+const { Memo, MemoService, StorageManager } = loadScripts();
+
+/**
+ * 创建带截止时间和重复规则的备忘录
+ * @param {Date} dueAt - 截止时间（本地时间）
+ * @param {Object} recurrence - 重复规则
+ * @returns {Memo}
+ */
+function createRecurringMemo(dueAt, recurrence) {
+  return new Memo({ title: '重复', category: '工作', dueAt: dueAt.getTime(), dueHasTime: true, recurrence });
+}
+
+test('每天和每隔N天按截止时间顺延，保留原有的时刻', () => {
+  const dueAt = new Date(2026, 9, 19, 9, 30);
+
+  assert.strictEqual(createRecurringMemo(dueAt, { type: 'daily' }).getNextDueAt(),
+    new Date(2026, 9, 20, 9, 30).getTime());
+  assert.strictEqual(createRecurringMemo(dueAt, { type: 'interval', interval: 3 }).getNextDueAt(),
+    new Date(2026, 9, 22, 9, 30).getTime());
+});
+
+test('每周重复取下一个选中的星期几', () => {
+  const rule = { type: 'weekly', weekdays: [1, 3] };
+
+  // 2026-10-19 是星期一
+  assert.strictEqual(createRecurringMemo(new Date(2026, 9, 19, 9), rule).getNextDueAt(),
+    new Date(2026, 9, 21, 9).getTime());
+  assert.strictEqual(createRecurringMemo(new Date(2026, 9, 21, 9), rule).getNextDueAt(),
+    new Date(2026, 9, 26, 9).getTime());
+});
+
+test('每月重复在当月天数不足时取月末', () => {
+  const rule = { type: 'monthly', dayOfMonth: 31 };
+
+  assert.strictEqual(createRecurringMemo(new Date(2026, 0, 31, 9), rule).getNextDueAt(),
+    new Date(2026, 1, 28, 9).getTime());
+  assert.strictEqual(createRecurringMemo(new Date(2026, 1, 28, 9), rule).getNextDueAt(),
+    new Date(2026, 2, 31, 9).getTime());
+});
+
+test('超出结束日期时不再生成下一次', () => {
+  const memo = createRecurringMemo(new Date(2026, 9, 19, 9), {
+    type: 'daily',
+    until: new Date(2026, 9, 19, 23, 59).getTime()
+  });
+
+  assert.strictEqual(memo.getNextDueAt(), null);
+  assert.strictEqual(memo.createNextOccurrence(), null);
+});
+
+test('完成重复备忘录时生成下一次，每个备忘录只生成一次', () => {
+  const service = new MemoService(new StorageManager(`test-${Math.random()}`));
+  const dueAt = new Date(2026, 9, 19, 9);
+  const { memo } = service.createMemo({
+    title: '周会',
+    content: '',
+    category: '工作',
+    dueAt: dueAt.getTime(),
+    dueHasTime: true,
+    recurrence: { type: 'weekly', weekdays: [1] }
+  });
+
+  const completed = service.toggleMemoComplete(memo.id);
+  assert.ok(completed.success);
+  assert.ok(completed.nextMemo);
+  assert.strictEqual(completed.nextMemo.dueAt, new Date(2026, 9, 26, 9).getTime());
+  assert.strictEqual(completed.nextMemo.seriesId, memo.seriesId);
+  assert.strictEqual(completed.nextMemo.isCompleted, false);
+
+  // 改回未完成后再次完成，不会重复生成
+  service.toggleMemoComplete(memo.id);
+  const again = service.toggleMemoComplete(memo.id);
+  assert.strictEqual(again.nextMemo, null);
+  assert.strictEqual(service.getAllMemos().filter(item => item.seriesId === memo.seriesId).length, 2);
+});
+
+test('星期几为字符串时按数字处理，无效的每周规则不会通过验证也不会死循环', () => {
+  const monday = new Date(2026, 9, 19, 9);
+
+  const memo = createRecurringMemo(monday, { type: 'weekly', weekdays: ['3'] });
+  assert.deepStrictEqual(Array.from(memo.recurrence.weekdays), [3]);
+  assert.ok(memo.validate().isValid);
+  assert.strictEqual(memo.getNextDueAt(), new Date(2026, 9, 21, 9).getTime());
+
+  [['x'], [7], [], '1'].forEach(weekdays => {
+    const invalid = createRecurringMemo(monday, { type: 'weekly', weekdays });
+    assert.ok(!invalid.validate().isValid);
+  });
+  assert.strictEqual(createRecurringMemo(monday, { type: 'weekly', weekdays: [7] }).getNextDueAt(), null);
+
+  assert.ok(!createRecurringMemo(monday, { type: 'interval', interval: 0 }).validate().isValid);
+  assert.ok(!createRecurringMemo(monday, { type: 'monthly', dayOfMonth: 32 }).validate().isValid);
+});
+
+test('导入预览把无效的重复规则标记为无效', () => {
+  const service = new MemoService(new StorageManager(`test-${Math.random()}`));
+  const memo = createRecurringMemo(new Date(2026, 9, 19, 9), { type: 'weekly', weekdays: ['x'] }).toObject();
+
+  const preview = service.previewImport({ memos: [memo] });
+  assert.strictEqual(preview.items[0].status, 'invalid');
+  assert.ok(preview.items[0].errors.includes('每周重复至少需要选择一天'));
+});
+
+test('导入日历把重复备忘录标记为完成时生成下一次', () => {
+  const service = new MemoService(new StorageManager(`test-${Math.random()}`));
+  const { memo } = service.createMemo({
+    title: '周会',
+    content: '',
+    category: '工作',
+    dueAt: new Date(2026, 9, 19, 9).getTime(),
+    dueHasTime: true,
+    recurrence: { type: 'weekly', weekdays: [1] }
+  });
+
+  const ics = service.exportIcs([memo]).replace('STATUS:NEEDS-ACTION', 'STATUS:COMPLETED');
+  const result = service.importIcs(ics);
+  assert.ok(result.success);
+  assert.strictEqual(result.updated, 1);
+
+  const series = service.getAllMemos().filter(item => item.seriesId === memo.seriesId);
+  assert.strictEqual(series.length, 2);
+  const next = series.find(item => item.id !== memo.id);
+  assert.strictEqual(next.dueAt, new Date(2026, 9, 26, 9).getTime());
+  assert.strictEqual(service.getMemoById(memo.id).nextOccurrenceId, next.id);
+
+  // 再次导入同一文件不会重复生成
+  service.importIcs(ics);
+  assert.strictEqual(service.getAllMemos().filter(item => item.seriesId === memo.seriesId).length, 2);
+});
@@ -0,0 +1,43 @@
+/**
+ * 历史版本测试
+ * 运行：node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/loadScripts');
+
+const { MemoService, StorageManager } = loadScripts();
+
+test('恢复历史版本时截止时间和是否包含时刻一起恢复', () => {
+  const service = new MemoService(new StorageManager(`test-${Math.random()}`));
+  const dueAt = new Date(2026, 9, 19, 14, 30).getTime();
+  const { memo } = service.createMemo({ title: '会议', content: '', category: '工作', dueAt, dueHasTime: true });
+
+  // 只去掉时刻也会记录历史版本
+  const dateOnly = new Date(2026, 9, 19).getTime();
+  assert.ok(service.updateMemo(memo.id, { dueAt: dateOnly, dueHasTime: false }).success);
+  const revision = service.getMemoById(memo.id).revisions[0];
+  assert.deepStrictEqual(Array.from(revision.fields), ['dueAt', 'dueHasTime']);
+  assert.strictEqual(revision.snapshot.dueHasTime, true);
+
+  const result = service.restoreRevision(memo.id, revision.id);
+  assert.ok(result.success);
+  assert.strictEqual(result.memo.dueAt, dueAt);
+  assert.strictEqual(result.memo.dueHasTime, true);
+});
+
+test('旧版本的快照没有记录是否包含时刻时沿用当前设置', () => {
+  const service = new MemoService(new StorageManager(`test-${Math.random()}`));
+  const { memo } = service.createMemo({ title: '旧版本', content: '', category: '工作' });
+  assert.ok(service.updateMemo(memo.id, { title: '新标题', dueAt: Date.now(), dueHasTime: true }).success);
+
+  const revision = service.getMemoById(memo.id).revisions[0];
+  delete revision.snapshot.dueHasTime;
+
+  const result = service.restoreRevision(memo.id, revision.id);
+  assert.ok(result.success);
+  assert.strictEqual(result.memo.title, '旧版本');
+  assert.strictEqual(result.memo.dueAt, null);
+  assert.strictEqual(result.memo.dueHasTime, false);
+});
@@ -0,0 +1,124 @@
+/**
+ * 同步计划测试
+ * 运行：node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/loadScripts');
+
+const { Memo, MemoService, StorageManager, SyncService } = loadScripts();
+
+/**
+ * 创建带有一条备忘录的同步服务，该备忘录已在上次同步时以版本 1 同步
+ * @returns {Object} {service, sync, memo}
+ */
+function createSync() {
+  const service = new MemoService(new StorageManager(`test-${Math.random()}`));
+  const { memo } = service.createMemo({ title: '已同步', content: '', category: '工作' });
+  const sync = new SyncService(service, () => null);
+  sync.state.known[memo.id] = { version: 1, hash: sync.hashMemo(memo.toObject()) };
+  return { service, sync, memo };
+}
+
+/**
+ * 生成服务器上的备忘录记录
+ * @param {Object} data - 备忘录对象
+ * @param {Number} version - 版本
+ * @param {Object} extra - 其他字段
+ * @returns {Object}
+ */
+function remoteRecord(data, version, extra = {}) {
+  return { version, updatedAt: data.updatedAt, deviceId: 'other', deleted: false, data, ...extra };
+}
+
+test('两端都没有修改时不做任何操作', () => {
+  const { sync, memo } = createSync();
+  const plan = sync.plan({ [memo.id]: remoteRecord(memo.toObject(), 1) });
+
+  assert.strictEqual(plan.incoming.length, 0);
+  assert.strictEqual(plan.deletions.length, 0);
+  assert.deepStrictEqual(Object.keys(plan.outgoing), []);
+  assert.strictEqual(plan.conflicts.length, 0);
+});
+
+test('只有本机修改时上传新版本，本机新建的备忘录从版本 1 开始', () => {
+  const { service, sync, memo } = createSync();
+  service.updateMemo(memo.id, { content: '本机修改' });
+  const { memo: created } = service.createMemo({ title: '本机新建', content: '', category: '工作' });
+
+  const plan = sync.plan({ [memo.id]: remoteRecord(memo.toObject(), 1) });
+  assert.strictEqual(plan.outgoing[memo.id].version, 2);
+  assert.strictEqual(plan.outgoing[memo.id].data.content, '本机修改');
+  assert.strictEqual(plan.outgoing[created.id].version, 1);
+  assert.strictEqual(plan.outgoing[created.id].deviceId, sync.state.deviceId);
+  assert.strictEqual(plan.incoming.length, 0);
+});
+
+test('只有服务器修改时采用服务器版本，服务器删除的备忘录在本机删除', () => {
+  const { sync, memo } = createSync();
+  const other = new Memo({ title: '其他设备新建', category: '工作' }).toObject();
+
+  let plan = sync.plan({
+    [memo.id]: remoteRecord({ ...memo.toObject(), content: '服务器修改' }, 2),
+    [other.id]: remoteRecord(other, 1)
+  });
+  assert.deepStrictEqual(Array.from(plan.incoming, item => [item.id, item.data.content]).sort(),
+    [[memo.id, '服务器修改'], [other.id, '']].sort());
+  assert.strictEqual(plan.known[memo.id].version, 2);
+  assert.deepStrictEqual(Object.keys(plan.outgoing), []);
+
+  plan = sync.plan({ [memo.id]: remoteRecord(memo.toObject(), 2, { deleted: true, data: null }) });
+  assert.deepStrictEqual(Array.from(plan.deletions), [memo.id]);
+  assert.deepStrictEqual({ ...plan.known[memo.id] }, { version: 2, deleted: true });
+});
+
+test('两端都修改了标题或内容时后写入者胜，并记录冲突', () => {
+  const { service, sync, memo } = createSync();
+  service.updateMemo(memo.id, { content: '本机修改' });
+  const local = service.getMemoById(memo.id);
+
+  const newer = remoteRecord({ ...memo.toObject(), content: '服务器修改', updatedAt: local.updatedAt + 1000 }, 2);
+  let plan = sync.plan({ [memo.id]: newer });
+  assert.deepStrictEqual(Array.from(plan.incoming, item => item.id), [memo.id]);
+  assert.strictEqual(plan.conflicts.length, 1);
+  assert.strictEqual(plan.conflicts[0].winner, 'remote');
+  assert.strictEqual(plan.conflicts[0].local.content, '本机修改');
+  assert.strictEqual(plan.conflicts[0].remote.content, '服务器修改');
+
+  const older = remoteRecord({ ...memo.toObject(), content: '服务器修改', updatedAt: local.updatedAt - 1000 }, 2);
+  plan = sync.plan({ [memo.id]: older });
+  assert.strictEqual(plan.incoming.length, 0);
+  assert.strictEqual(plan.outgoing[memo.id].version, 3);
+  assert.strictEqual(plan.conflicts[0].winner, 'local');
+});
+
+test('两端修改的结果相同时只记录服务器的版本', () => {
+  const { service, sync, memo } = createSync();
+  service.updateMemo(memo.id, { content: '相同的修改' });
+  const local = service.getMemoById(memo.id).toObject();
+
+  const plan = sync.plan({ [memo.id]: remoteRecord(local, 2) });
+  assert.strictEqual(plan.incoming.length, 0);
+  assert.deepStrictEqual(Object.keys(plan.outgoing), []);
+  assert.strictEqual(plan.conflicts.length, 0);
+  assert.strictEqual(plan.known[memo.id].version, 2);
+});
+
+test('应用服务器上的修改时跳过重复规则或链接无效的备忘录', () => {
+  const { service, memo } = createSync();
+  const valid = new Memo({ title: '有效', category: '工作' }).toObject();
+
+  const result = service.applyRemoteChanges({
+    memos: [
+      valid,
+      { ...memo.toObject(), title: '无效的规则', recurrence: { type: 'weekly', weekdays: ['x'] } },
+      { ...new Memo({ title: '无效的链接', category: '工作' }).toObject(), links: [null] }
+    ]
+  });
+
+  assert.strictEqual(result.updated, 1);
+  assert.strictEqual(result.skippedIds.length, 2);
+  assert.ok(service.getMemoById(valid.id));
+  assert.strictEqual(service.getMemoById(memo.id).title, '已同步');
+});
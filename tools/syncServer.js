@@ -0,0 +1,106 @@
+/**
+ * 本地同步测试服务器
+ * 用于在本机代替自托管的 HTTP / WebDAV 服务器测试同步功能，数据只保存在内存中
+ *
+ * 用法：node tools/syncServer.js [端口，默认 8787]
+ * 在应用的同步设置中填写 http://localhost:8787/memos.json（HTTP）
+ * 或 http://localhost:8787/dav/（WebDAV）
+ *
+ * 支持 GET / PUT / MKCOL / DELETE，返回 ETag，并按 If-Match / If-None-Match 拒绝过期的写入（412）
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const port = parseInt(process.argv[2], 10) || 8787;
+const files = new Map(); // 路径 -> {body, etag}
+const collections = new Set(['/']);
+
+/**
+ * 获取上级目录路径
+ * @param {String} path - 路径
+ * @returns {String}
+ */
+function parentOf(path) {
+  return path.replace(/[^/]*\/?$/, '') || '/';
+}
+
+/**
+ * 发送响应（允许跨域访问）
+ * @param {http.ServerResponse} res - 响应
+ * @param {Number} status - 状态码
+ * @param {Object} headers - 响应头
+ * @param {String} body - 响应内容
+ */
+function send(res, status, headers = {}, body = '') {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, MKCOL, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match, If-None-Match',
+    'Access-Control-Expose-Headers': 'ETag',
+    ...headers
+  });
+  res.end(body);
+}
+
+const server = http.createServer((req, res) => {
+  let path;
+  try {
+    path = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (error) {
+    // 无效的百分号编码（例如 /%E0）
+    req.resume();
+    return send(res, 400);
+  }
+  const file = files.get(path);
+  let body = '';
+
+  req.on('data', chunk => {
+    body += chunk;
+  });
+
+  req.on('end', () => {
+    switch (req.method) {
+      case 'OPTIONS':
+        return send(res, 204);
+
+      case 'GET':
+        return file
+          ? send(res, 200, { 'Content-Type': 'application/json; charset=utf-8', ETag: file.etag }, file.body)
+          : send(res, 404);
+
+      case 'PUT': {
+        const ifMatch = req.headers['if-match'];
+        const ifNoneMatch = req.headers['if-none-match'];
+        if ((ifMatch && (!file || file.etag !== ifMatch)) || (ifNoneMatch === '*' && file)) {
+          return send(res, 412);
+        }
+        if (!collections.has(parentOf(path))) {
+          return send(res, 409);
+        }
+        const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+        files.set(path, { body, etag });
+        return send(res, file ? 204 : 201, { ETag: etag });
+      }
+
+      case 'MKCOL': {
+        const collection = path.replace(/\/*$/, '/');
+        if (collections.has(collection)) {
+          return send(res, 405);
+        }
+        collections.add(collection);
+        return send(res, 201);
+      }
+
+      case 'DELETE':
+        return files.delete(path) ? send(res, 204) : send(res, 404);
+
+      default:
+        return send(res, 405);
+    }
+  });
+});
+
+server.listen(port, () => {
+  console.log(`LocalMemo 同步测试服务器已启动: http://localhost:${port}/`);
+});